@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Quiz = require('../../models/Quiz');
+const Submission = require('../../models/Submission');
+const QuizVersion = require('../../models/QuizVersion');
+const ai = require('../../utils/ai');
+const {
+  regradeQuiz,
+  startQuizAttempt,
+  resumeQuizAttempt,
+  generateAIFeedback,
+} = require('../quizController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Run an asyncHandler controller and resolve with its response, or reject with what it passed to next
+const call = (handler, req) => new Promise((resolve, reject) => {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(body => resolve({ status: res.status.mock.calls[0][0], body })),
+  };
+  handler(req, res, reject);
+});
+
+describe('regradeQuiz', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('only regrades submissions taken on the current version', async () => {
+    const teacher = { id: id().toString(), role: 'teacher' };
+    const quiz = new Quiz({
+      title: 'Cells',
+      subject: 'Biology',
+      createdBy: teacher.id,
+      version: 2,
+      questions: [{ type: 'true-false', question: 'Cells have a nucleus?', correctAnswer: 'true' }],
+    });
+    const taken = (quizVersion) => new Submission({
+      quiz: quiz._id,
+      student: id(),
+      quizVersion,
+      status: 'evaluated',
+      timing: { startTime: new Date() },
+      answers: [{ questionId: quiz.questions[0]._id, answer: 'true', isCorrect: true, points: 1 }],
+      score: { total: 1, percentage: 100 },
+    });
+    const submissions = [taken(1), taken(2), taken(2)];
+
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    jest.spyOn(QuizVersion, 'findOne').mockResolvedValue({ version: 1, questions: quiz.questions });
+    jest.spyOn(Submission, 'find').mockImplementation((filter) => ({
+      populate: async () => submissions.filter(submission => !filter.quizVersion || submission.quizVersion === filter.quizVersion),
+    }));
+    jest.spyOn(Submission.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Quiz.prototype, 'save').mockResolvedValue();
+
+    const { body } = await call(regradeQuiz, { params: { id: quiz._id.toString() }, user: teacher });
+
+    expect(body.data).toMatchObject({ regraded: 2, version: 2 });
+    expect(submissions[0].regrades).toHaveLength(0);
+  });
+});
+
+describe('startQuizAttempt', () => {
+  const student = { id: id().toString(), role: 'student' };
+  const quiz = {
+    _id: id(),
+    isActive: true,
+    isAvailable: () => true,
+    assignedTo: [],
+    status: 'published',
+    settings: { allowRetake: false },
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('counts attempts waiting for review as taken when retakes are not allowed', async () => {
+    const finished = new Submission({ quiz: quiz._id, student: student.id, status: 'needs-review', timing: { startTime: new Date() } });
+    jest.spyOn(Submission, 'findOne').mockImplementation(async (filter) => (
+      filter.status.$in && filter.status.$in.includes(finished.status) ? finished : null
+    ));
+
+    const { status, body } = await call(startQuizAttempt, { params: { id: quiz._id.toString() }, user: student, headers: {} });
+
+    expect(status).toBe(400);
+    expect(body.message).toBe('Retakes are not allowed for this quiz');
+  });
+});
+
+describe('resumeQuizAttempt', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('sends the drawn questions without their answer key', async () => {
+    const student = { id: id().toString(), role: 'student' };
+    const quiz = new Quiz({
+      title: 'Cells',
+      subject: 'Biology',
+      createdBy: id(),
+      settings: { shuffleOptions: true },
+      questions: [{ type: 'true-false', question: 'Cells have a nucleus?', correctAnswer: 'true' }],
+    });
+    const submission = new Submission({ quiz: quiz._id, student: student.id, quizVersion: quiz.version, timing: { startTime: new Date() } });
+    submission.drawnQuestions = [{
+      _id: id(),
+      type: 'multiple-choice',
+      question: 'Which organelle makes energy?',
+      options: [{ text: 'Mitochondrion', isCorrect: true }, { text: 'Ribosome', isCorrect: false }],
+      points: 2,
+    }];
+    submission.generateOrdering(quiz);
+    jest.spyOn(Submission, 'findOne').mockResolvedValue(submission);
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+
+    const { status, body } = await call(resumeQuizAttempt, {
+      params: { id: quiz._id.toString(), submissionId: submission._id.toString() },
+      user: student,
+    });
+
+    expect(status).toBe(200);
+    expect(body.data.submission).not.toHaveProperty('drawnQuestions');
+    expect(body.data.submission).not.toHaveProperty('optionOrder');
+    expect(body.data.quiz.questions).toHaveLength(2);
+    expect(JSON.stringify(body.data.quiz.questions)).not.toMatch(/isCorrect|correctAnswer/);
+  });
+});
+
+describe('generateAIFeedback', () => {
+  const teacher = { id: id().toString(), role: 'teacher' };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const feedbackFor = async (answers) => {
+    const quiz = new Quiz({ title: 'Cells', subject: 'Biology', createdBy: teacher.id, questions: [] });
+    const submission = new Submission({ quiz: quiz._id, student: id(), status: 'needs-review', timing: { startTime: new Date() }, answers });
+    submission.quiz = quiz;
+    jest.spyOn(Submission, 'findById').mockReturnValue({ populate: () => ({ populate: async () => submission }) });
+    jest.spyOn(Submission.prototype, 'save').mockResolvedValue();
+    jest.spyOn(ai, 'evaluateSubmission').mockResolvedValue({
+      data: { strengths: [], weaknesses: [], recommendations: [], detailedAnalysis: 'Fine' },
+      report: {},
+    });
+
+    await call(generateAIFeedback, { params: { id: submission._id.toString() }, user: teacher });
+    return submission;
+  };
+
+  it('keeps submissions with answers awaiting review in the grading queue', async () => {
+    const submission = await feedbackFor([{ questionId: id(), answer: 'An essay', pendingReview: true }]);
+    expect(submission.status).toBe('needs-review');
+    expect(submission.evaluation.aiInsights.detailedAnalysis).toBe('Fine');
+  });
+
+  it('marks fully graded submissions as evaluated', async () => {
+    const submission = await feedbackFor([{ questionId: id(), answer: 'true', isCorrect: true, points: 1 }]);
+    expect(submission.status).toBe('evaluated');
+  });
+});
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Submission = require('../../models/Submission');
+const User = require('../../models/User');
+const { getStudentReport } = require('../reportController');
+
+// Run an asyncHandler controller and resolve with its response, or reject with what it passed to next
+const call = (handler, req) => new Promise((resolve, reject) => {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(body => resolve({ status: res.status.mock.calls[0][0], body })),
+  };
+  handler(req, res, reject);
+});
+
+describe('getStudentReport', () => {
+  const studentId = new mongoose.Types.ObjectId();
+  const attempt = (status, percentage) => ({
+    status,
+    score: { percentage },
+    quiz: { title: 'Cells', subject: 'Biology' },
+    evaluation: {},
+  });
+  const attempts = [attempt('evaluated', 80), attempt('needs-review', 40), attempt('in-progress', 0)];
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ _id: studentId, name: 'Sam' }) });
+    jest.spyOn(Submission, 'find').mockImplementation((filter) => ({
+      populate: () => ({
+        sort: async () => attempts.filter(submission => filter.status.$in.includes(submission.status)),
+      }),
+    }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('includes finished attempts still waiting for review', async () => {
+    const { body } = await call(getStudentReport, {
+      params: { studentId: studentId.toString() },
+      query: {},
+      user: { id: new mongoose.Types.ObjectId().toString(), role: 'admin' },
+    });
+
+    expect(body.data.stats).toMatchObject({ totalQuizzes: 2, averageScore: 60, lowestScore: 40 });
+  });
+});
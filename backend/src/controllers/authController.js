@@ -153,6 +153,41 @@ const changeUserRole = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Set a user's daily AI quota; null goes back to their role's quota (Admin only)
+// @route   PUT /auth/ai-quota/:userId
+// @access  Private (Admin)
+const setAIQuota = asyncHandler(async (req, res) => {
+  const { aiDailyQuota } = req.body;
+
+  if (aiDailyQuota !== null && !(Number.isInteger(aiDailyQuota) && aiDailyQuota >= 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'aiDailyQuota must be a whole number of calls (0 for unlimited) or null',
+    });
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.params.userId,
+    { aiDailyQuota },
+    { new: true, runValidators: true }
+  );
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: user,
+    message: aiDailyQuota === null
+      ? 'AI quota reset to the role default'
+      : `AI quota set to ${aiDailyQuota === 0 ? 'unlimited' : `${aiDailyQuota} calls a day`}`,
+  });
+});
+
 // @desc    Get all users (Admin only)
 // @route   GET /auth/users
 // @access  Private (Admin)
@@ -206,5 +241,6 @@ module.exports = {
   logout,
   deleteAccount,
   changeUserRole,
+  setAIQuota,
   getAllUsers,
 };
\ No newline at end of file
@@ -1,5 +1,8 @@
 const { asyncHandler } = require('../middleware/errorHandler');
-const geminiAI = require('../utils/geminiAI');
+const { quotaExceeded } = require('../middleware/aiQuota');
+const ai = require('../utils/ai');
+const { QuotaExceededError } = require('../utils/ai/usage');
+const { lintQuestions, errorMessages } = require('../utils/questionLinter');
 const Quiz = require('../models/Quiz');
 const Submission = require('../models/Submission');
 
@@ -18,7 +21,21 @@ const generatePracticeQuiz = asyncHandler(async (req, res) => {
 
   try {
     // Generate questions using AI
-    const questions = await geminiAI.generatePracticeQuiz(subject, difficulty, numberOfQuestions);
+    const { data, report } = await ai.generatePracticeQuiz(subject, difficulty, numberOfQuestions);
+
+    // Leave out questions that fail the linter's error checks; students cannot report them
+    const issues = lintQuestions(data, { difficulty });
+    const questions = data.filter((_, index) => errorMessages(issues[index]).length === 0);
+    const dropped = data
+      .map((question, index) => ({ question: question.question, reasons: errorMessages(issues[index]) }))
+      .filter(({ reasons }) => reasons.length > 0);
+
+    if (questions.length === 0) {
+      return res.status(502).json({
+        success: false,
+        message: 'None of the generated questions passed the quality checks',
+      });
+    }
 
     // Create temporary practice quiz
     const practiceQuiz = {
@@ -46,8 +63,10 @@ const generatePracticeQuiz = asyncHandler(async (req, res) => {
       success: true,
       data: practiceQuiz,
       message: 'Practice quiz generated successfully',
+      metadata: { aiReport: report, lint: { dropped } },
     });
   } catch (error) {
+    if (error instanceof QuotaExceededError) return quotaExceeded(res, error);
     console.error('Practice quiz generation error:', error);
     res.status(500).json({
       success: false,
@@ -65,7 +84,7 @@ const getPerformanceAnalysis = asyncHandler(async (req, res) => {
   // Get recent submissions
   const recentSubmissions = await Submission.find({
     student: userId,
-    status: { $in: ['submitted', 'evaluated'] },
+    status: { $in: Submission.COMPLETED_STATUSES },
   })
     .populate('quiz', 'subject metadata')
     .sort({ createdAt: -1 })
@@ -109,7 +128,7 @@ const getPerformanceAnalysis = asyncHandler(async (req, res) => {
 
   try {
     // Get AI analysis
-    const analysis = await geminiAI.analyzePerformanceTrends(studentData);
+    const { data: analysis, report } = await ai.analyzePerformanceTrends(studentData);
 
     // Calculate additional statistics
     const stats = {
@@ -145,6 +164,7 @@ const getPerformanceAnalysis = asyncHandler(async (req, res) => {
           date: sub.createdAt,
         })),
       },
+      metadata: { aiReport: report },
     });
   } catch (error) {
     console.error('Performance analysis error:', error);
@@ -185,7 +205,7 @@ const getPracticeRecommendations = asyncHandler(async (req, res) => {
   // Get recent submissions to analyze weak areas
   const recentSubmissions = await Submission.find({
     student: userId,
-    status: { $in: ['submitted', 'evaluated'] },
+    status: { $in: Submission.COMPLETED_STATUSES },
   })
     .populate('quiz', 'subject')
     .sort({ createdAt: -1 })
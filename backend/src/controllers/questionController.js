@@ -0,0 +1,173 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const Question = require('../models/Question');
+
+// Fields a teacher may set on a bank question; usage and statistics are maintained by the server
+const EDITABLE_FIELDS = [
+  'type', 'question', 'options', 'correctAnswer', 'scoring', 'answerRules', 'rubric',
+  'explanation', 'points', 'difficulty', 'tags', 'subject',
+];
+
+const pickEditable = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Teachers manage their own bank; admins can reach every question
+const canManage = (question, user) =>
+  user.role === 'admin' || question.createdBy.toString() === user.id;
+
+// @desc    Search the question bank
+// @route   GET /api/questions
+// @access  Private (Teacher, Admin)
+const getQuestions = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const { search, subject, difficulty, type, tags } = req.query;
+
+  const startIndex = (page - 1) * limit;
+
+  let query = { isActive: true };
+  if (req.user.role !== 'admin') query.createdBy = req.user.id;
+
+  // Apply filters
+  if (search) query.question = { $regex: escapeRegex(search), $options: 'i' };
+  if (subject) query.subject = { $regex: `^${escapeRegex(subject)}$`, $options: 'i' };
+  if (difficulty) query.difficulty = difficulty;
+  if (type) query.type = type;
+  if (tags) query.tags = { $all: tags.split(',').map(tag => tag.trim()).filter(Boolean) };
+
+  const questions = await Question.find(query)
+    .populate('usage.quiz', 'title')
+    .sort({ updatedAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  const total = await Question.countDocuments(query);
+
+  const pagination = {
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+  };
+
+  res.status(200).json({
+    success: true,
+    data: questions,
+    pagination,
+  });
+});
+
+// @desc    Get single bank question with its usage history
+// @route   GET /api/questions/:id
+// @access  Private (Teacher, Admin)
+const getQuestion = asyncHandler(async (req, res) => {
+  const question = await Question.findById(req.params.id)
+    .populate('usage.quiz', 'title subject status');
+
+  if (!question || !question.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Question not found',
+    });
+  }
+
+  if (!canManage(question, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied to this question',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: question,
+  });
+});
+
+// @desc    Add a question to the bank
+// @route   POST /api/questions
+// @access  Private (Teacher, Admin)
+const createQuestion = asyncHandler(async (req, res) => {
+  const question = await Question.create({
+    ...pickEditable(req.body),
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: question,
+    message: 'Question added to the bank',
+  });
+});
+
+// @desc    Update a bank question
+// @route   PUT /api/questions/:id
+// @access  Private (Owner, Admin)
+const updateQuestion = asyncHandler(async (req, res) => {
+  let question = await Question.findById(req.params.id);
+
+  if (!question || !question.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Question not found',
+    });
+  }
+
+  if (!canManage(question, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this question',
+    });
+  }
+
+  // Quizzes keep their own copy, so editing the bank never changes a quiz already built
+  question = await Question.findByIdAndUpdate(req.params.id, pickEditable(req.body), {
+    new: true,
+    runValidators: true,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: question,
+    message: 'Question updated successfully',
+  });
+});
+
+// @desc    Delete a bank question
+// @route   DELETE /api/questions/:id
+// @access  Private (Owner, Admin)
+const deleteQuestion = asyncHandler(async (req, res) => {
+  const question = await Question.findById(req.params.id);
+
+  if (!question || !question.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Question not found',
+    });
+  }
+
+  if (!canManage(question, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to delete this question',
+    });
+  }
+
+  // Soft delete so usage history and statistics survive
+  await Question.findByIdAndUpdate(req.params.id, { isActive: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Question deleted successfully',
+  });
+});
+
+module.exports = {
+  getQuestions,
+  getQuestion,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion,
+};
@@ -1,10 +1,53 @@
+const mongoose = require('mongoose');
 const { asyncHandler } = require('../middleware/errorHandler');
 const Quiz = require('../models/Quiz');
 const Submission = require('../models/Submission');
 const User = require('../models/User');
-const PDFProcessor = require('../utils/pdfProcessor');
-const geminiAI = require('../utils/geminiAI');
-const { getFileInfo, deleteFile } = require('../utils/fileUpload');
+const Question = require('../models/Question');
+const QuizVersion = require('../models/QuizVersion');
+const GenerationJob = require('../models/GenerationJob');
+const DocumentProcessor = require('../utils/documentProcessor');
+const ai = require('../utils/ai');
+const { QuotaExceededError } = require('../utils/ai/usage');
+const { quotaExceeded } = require('../middleware/aiQuota');
+const { processQueuedJobs } = require('../utils/generationWorker');
+const { deleteFile } = require('../utils/fileUpload');
+const { finalizeSubmission, regradeSubmissions } = require('../utils/grading');
+const { drawSectionQuestions } = require('../utils/questionPools');
+const { lintQuestions } = require('../utils/questionLinter');
+const { FORMATS: IMPORT_FORMATS, detectFormat, parseQuizFile } = require('../utils/importers');
+const { FORMATS: EXPORT_FORMATS, exportQuiz } = require('../utils/exporters');
+const {
+  diffQuestions,
+  sectionsFingerprint,
+  hasContentChanges,
+  loadQuizVersion,
+  getAttemptQuestions,
+} = require('../utils/quizVersions');
+
+// Strip correct answers and explanations before sending a quiz to a student,
+// in the question and option order frozen on their submission
+const sanitizeQuizForStudent = (quiz, submission, questions) => ({
+  ...quiz.toObject(),
+  questions: submission.orderQuestions(questions).map(q => ({
+    _id: q._id,
+    type: q.type,
+    question: q.question,
+    options: ['multiple-choice', 'multiple-select'].includes(q.type) ? q.options.map(opt => ({
+      text: opt.text,
+      _id: opt._id,
+    })) : undefined,
+    points: q.points,
+    tags: q.tags,
+  })),
+});
+
+// An in-progress submission for its student: drawn questions carry their answer key,
+// so questions only reach the student through sanitizeQuizForStudent
+const sanitizeAttemptForStudent = (submission) => {
+  const { drawnQuestions, optionOrder, ...attempt } = submission.toObject();
+  return attempt;
+};
 
 // @desc    Get all quizzes
 // @route   GET /api/quiz
@@ -127,6 +170,7 @@ const createQuiz = asyncHandler(async (req, res) => {
 
   const quiz = await Quiz.create(quizData);
   await quiz.populate('createdBy', 'name email');
+  await Question.recordUsage(quiz._id, quiz.questions);
 
   res.status(201).json({
     success: true,
@@ -156,15 +200,253 @@ const updateQuiz = asyncHandler(async (req, res) => {
     });
   }
 
-  quiz = await Quiz.findByIdAndUpdate(req.params.id, req.body, {
+  // Editing the questions of a published quiz, or one students have already taken,
+  // starts a new version so existing submissions keep the questions they answered
+  const updates = { ...req.body };
+  delete updates.version;
+
+  const isLive = quiz.status === 'published' || await Submission.exists({ quiz: quiz._id });
+  const newVersion = isLive && hasContentChanges(quiz, updates);
+  if (newVersion) {
+    await QuizVersion.snapshot(quiz, req.user.id);
+    updates.version = quiz.version + 1;
+  }
+
+  quiz = await Quiz.findByIdAndUpdate(req.params.id, updates, {
     new: true,
     runValidators: true,
   }).populate('createdBy', 'name email');
+  await Question.recordUsage(quiz._id, quiz.questions);
 
   res.status(200).json({
     success: true,
     data: quiz,
-    message: 'Quiz updated successfully',
+    message: newVersion ? `Quiz updated to version ${quiz.version}` : 'Quiz updated successfully',
+  });
+});
+
+// @desc    Check questions being edited for structural problems, near duplicates and reading level
+// @route   POST /api/quiz/lint
+// @access  Private (Teacher, Admin)
+const lintQuiz = asyncHandler(async (req, res) => {
+  const { questions, difficulty } = req.body;
+
+  if (!Array.isArray(questions)) {
+    return res.status(400).json({
+      success: false,
+      message: 'questions must be a list',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: lintQuestions(questions, { difficulty }),
+  });
+});
+
+// Submissions that recorded no version were taken before versioning, against version 1
+const versionQuery = (version) => (version === 1 ? { $in: [1, null] } : version);
+
+// @desc    List the versions of a quiz
+// @route   GET /api/quiz/:id/versions
+// @access  Private (Owner, Admin)
+const getQuizVersions = asyncHandler(async (req, res) => {
+  const quiz = await Quiz.findById(req.params.id);
+
+  if (!quiz || !quiz.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quiz not found',
+    });
+  }
+
+  if (quiz.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view versions of this quiz',
+    });
+  }
+
+  const [snapshots, submissionCounts] = await Promise.all([
+    QuizVersion.find({ quiz: quiz._id })
+      .populate('replacedBy', 'name')
+      .sort({ version: -1 }),
+    Submission.aggregate([
+      { $match: { quiz: quiz._id } },
+      { $group: { _id: { $ifNull: ['$quizVersion', 1] }, count: { $sum: 1 } } },
+    ]),
+  ]);
+  const countFor = (version) => (submissionCounts.find(entry => entry._id === version) || { count: 0 }).count;
+
+  const versions = [
+    {
+      version: quiz.version,
+      current: true,
+      title: quiz.title,
+      questionCount: quiz.questions.length,
+      sectionCount: quiz.sections.length,
+      totalPoints: quiz.metadata.totalPoints,
+      submissionCount: countFor(quiz.version),
+      updatedAt: quiz.updatedAt,
+    },
+    ...snapshots.map(snapshot => ({
+      version: snapshot.version,
+      current: false,
+      title: snapshot.title,
+      questionCount: snapshot.questions.length,
+      sectionCount: snapshot.sections.length,
+      totalPoints: snapshot.totalPoints,
+      submissionCount: countFor(snapshot.version),
+      replacedAt: snapshot.createdAt,
+      replacedBy: snapshot.replacedBy,
+    })),
+  ];
+
+  res.status(200).json({
+    success: true,
+    data: versions,
+  });
+});
+
+// @desc    Compare two versions of a quiz
+// @route   GET /api/quiz/:id/versions/diff?from=1&to=2
+// @access  Private (Owner, Admin)
+const getQuizVersionDiff = asyncHandler(async (req, res) => {
+  const quiz = await Quiz.findById(req.params.id);
+
+  if (!quiz || !quiz.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quiz not found',
+    });
+  }
+
+  if (quiz.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view versions of this quiz',
+    });
+  }
+
+  const from = parseInt(req.query.from, 10);
+  const to = parseInt(req.query.to, 10) || quiz.version;
+  if (!from) {
+    return res.status(400).json({
+      success: false,
+      message: 'A version to compare from is required',
+    });
+  }
+
+  const [fromVersion, toVersion] = await Promise.all([
+    loadQuizVersion(quiz, from),
+    loadQuizVersion(quiz, to),
+  ]);
+  if (!fromVersion || !toVersion) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quiz version not found',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      from,
+      to,
+      ...diffQuestions(fromVersion.questions, toVersion.questions),
+      sectionsChanged: sectionsFingerprint(fromVersion.sections) !== sectionsFingerprint(toVersion.sections),
+    },
+  });
+});
+
+// @desc    Regrade submissions taken on an earlier version against the current one
+// @route   POST /api/quiz/:id/versions/:version/regrade
+// @access  Private (Owner, Admin)
+const regradeQuizVersion = asyncHandler(async (req, res) => {
+  const quiz = await Quiz.findById(req.params.id);
+
+  if (!quiz || !quiz.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quiz not found',
+    });
+  }
+
+  if (quiz.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to regrade this quiz',
+    });
+  }
+
+  const version = parseInt(req.params.version, 10);
+  if (!version || version >= quiz.version) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only submissions on an earlier version can be regraded',
+    });
+  }
+
+  // In-progress attempts finish on the version they started with
+  const submissions = await Submission.find({
+    quiz: quiz._id,
+    quizVersion: versionQuery(version),
+    status: { $ne: 'in-progress' },
+  }).populate('student', 'name email');
+
+  const results = await regradeSubmissions(quiz, submissions, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      regraded: results.length,
+      changed: results.filter(result => result.changed).length,
+      version: quiz.version,
+      results,
+    },
+    message: `${results.length} submission(s) regraded against version ${quiz.version}`,
+  });
+});
+
+// @desc    Regrade the finished submissions on the current version, e.g. after an answer key fix.
+//          Submissions on earlier versions are only regraded through regradeQuizVersion.
+// @route   POST /api/quiz/:id/regrade
+// @access  Private (Owner, Admin)
+const regradeQuiz = asyncHandler(async (req, res) => {
+  const quiz = await Quiz.findById(req.params.id);
+
+  if (!quiz || !quiz.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quiz not found',
+    });
+  }
+
+  if (quiz.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to regrade this quiz',
+    });
+  }
+
+  const submissions = await Submission.find({
+    quiz: quiz._id,
+    quizVersion: versionQuery(quiz.version),
+    status: { $ne: 'in-progress' },
+  }).populate('student', 'name email');
+
+  const results = await regradeSubmissions(quiz, submissions, req.user.id);
+  const changed = results.filter(result => result.changed).length;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      regraded: results.length,
+      changed,
+      version: quiz.version,
+      results,
+    },
+    message: `${results.length} submission(s) regraded, ${changed} score(s) changed`,
   });
 });
 
@@ -198,73 +480,237 @@ const deleteQuiz = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Upload PDF and generate quiz
+// "pdf" is the original field name of document uploads and still accepted
+const uploadedDocument = (req) => req.files?.document?.[0] || req.files?.pdf?.[0];
+
+// Upload form fields a generation job keeps for the worker
+const GENERATION_FIELDS = ['numberOfQuestions', 'difficulty', 'questionTypes', 'subject', 'title', 'description', 'pages', 'chapters'];
+
+// @desc    Upload lesson material (PDF, DOCX, TXT, Markdown or HTML) and queue a job that generates a quiz from it
 // @route   POST /api/quiz/upload
 // @access  Private (Teacher, Admin)
-const uploadPDFAndGenerateQuiz = asyncHandler(async (req, res) => {
-  if (!req.file) {
+const uploadDocumentAndGenerateQuiz = asyncHandler(async (req, res) => {
+  const file = uploadedDocument(req);
+  if (!file) {
     return res.status(400).json({
       success: false,
-      message: 'Please upload a PDF file',
+      message: 'Please upload a document',
     });
   }
 
   try {
-    // Get file info
-    const fileInfo = getFileInfo(req.file);
-    
-    // Process PDF
-    const pdfData = await PDFProcessor.processPDFForQuiz(req.file.path);
-    
-    // Generate questions using AI
-    const options = {
-      numberOfQuestions: parseInt(req.body.numberOfQuestions) || 10,
-      difficulty: req.body.difficulty || 'medium',
-      questionTypes: req.body.questionTypes ? req.body.questionTypes.split(',') : ['multiple-choice', 'short-answer'],
-      subject: req.body.subject || pdfData.metadata.subject || 'General',
-    };
-
-    const questions = await geminiAI.generateQuestionsFromText(pdfData.text, options);
-
-    // Create quiz draft
-    const quizData = {
-      title: req.body.title || pdfData.metadata.title || 'Generated Quiz',
-      description: req.body.description || `Quiz generated from uploaded PDF: ${req.file.originalname}`,
-      subject: options.subject,
-      questions: questions,
+    // Unsupported files are rejected now rather than failing in the background
+    DocumentProcessor.detectFormat(file.originalname, file.mimetype);
+
+    const job = await GenerationJob.create({
       createdBy: req.user.id,
-      status: 'draft',
-      metadata: {
-        ...req.body.metadata,
-        generatedFromPDF: true,
-        originalFile: fileInfo,
-        keyTopics: pdfData.keyTopics,
+      file: {
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        path: file.path,
       },
-    };
-
-    const quiz = await Quiz.create(quizData);
-    await quiz.populate('createdBy', 'name email');
+      request: GENERATION_FIELDS.reduce((request, field) => (
+        req.body[field] ? { ...request, [field]: String(req.body[field]) } : request
+      ), {}),
+    });
 
-    // Clean up uploaded file after processing
-    deleteFile(req.file.path);
+    // Start right away instead of waiting for the next poll
+    processQueuedJobs();
 
-    res.status(201).json({
+    res.status(202).json({
       success: true,
-      data: quiz,
-      message: 'Quiz generated successfully from PDF',
-      metadata: {
-        questionsGenerated: questions.length,
-        keyTopics: pdfData.keyTopics,
-        pages: pdfData.pages,
-      },
+      data: job,
+      message: 'Quiz generation started',
     });
   } catch (error) {
-    // Clean up uploaded file on error
-    deleteFile(req.file.path);
+    deleteFile(file.path);
     throw error;
   }
 });
 
+// @desc    List my recent quiz generation jobs
+// @route   GET /api/quiz/jobs
+// @access  Private (Teacher, Admin)
+const getGenerationJobs = asyncHandler(async (req, res) => {
+  const jobs = await GenerationJob.find({ createdBy: req.user.id })
+    .select('-partialQuestions')
+    .sort({ createdAt: -1 })
+    .limit(20);
+
+  res.json({
+    success: true,
+    data: jobs,
+  });
+});
+
+// @desc    Progress, questions generated so far and failure reason of a quiz generation job
+// @route   GET /api/quiz/jobs/:jobId
+// @access  Private (Teacher, Admin)
+const getGenerationJob = asyncHandler(async (req, res) => {
+  const job = await GenerationJob.findById(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Generation job not found',
+    });
+  }
+
+  if (job.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this generation job',
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job,
+  });
+});
+
+// @desc    Outline and page text lengths of a document, to pick pages or chapters before generating
+// @route   POST /api/quiz/upload/preview
+// @access  Private (Teacher, Admin)
+const previewDocument = asyncHandler(async (req, res) => {
+  const file = uploadedDocument(req);
+  if (!file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload a document',
+    });
+  }
+
+  try {
+    const preview = await DocumentProcessor.previewDocument(file);
+    res.json({
+      success: true,
+      data: preview,
+    });
+  } finally {
+    deleteFile(file.path);
+  }
+});
+
+// Parse the uploaded question file of an import request. Returns { format, questions, errors },
+// or { status, message } when the request can't be parsed at all.
+const parseImportFile = async (req) => {
+  if (!req.file) {
+    return { status: 400, message: 'Please upload a question file' };
+  }
+
+  const format = req.body.format || detectFormat(req.file.originalname, req.file.buffer.toString('utf8'));
+  if (!IMPORT_FORMATS.includes(format)) {
+    return { status: 400, message: `Unknown format. Use one of: ${IMPORT_FORMATS.join(', ')}` };
+  }
+
+  const { questions, errors } = await parseQuizFile(req.file.buffer, format);
+  return { format, questions, errors };
+};
+
+// @desc    Parse a question file without saving, to review it before adding the questions
+// @route   POST /api/quiz/import/preview
+// @access  Private (Teacher, Admin)
+const previewImport = asyncHandler(async (req, res) => {
+  const { status, message, format, questions, errors } = await parseImportFile(req);
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { format, questions, errors },
+  });
+});
+
+// @desc    Import a quiz from a GIFT, Aiken, Moodle XML, CSV or XLSX file
+// @route   POST /api/quiz/import
+// @access  Private (Teacher, Admin)
+const importQuiz = asyncHandler(async (req, res) => {
+  const { status, message, format, questions, errors } = await parseImportFile(req);
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  if (questions.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No questions could be imported from this file',
+      errors,
+    });
+  }
+
+  const fileTitle = req.file.originalname.replace(/\.[^.]+$/, '');
+  const quiz = await Quiz.create({
+    title: req.body.title || fileTitle,
+    description: req.body.description || `Imported from ${req.file.originalname}`,
+    subject: req.body.subject || 'General',
+    questions,
+    createdBy: req.user.id,
+    status: 'draft',
+  });
+  await quiz.populate('createdBy', 'name email');
+
+  res.status(201).json({
+    success: true,
+    data: quiz,
+    message: errors.length > 0
+      ? `Imported ${questions.length} questions, ${errors.length} skipped`
+      : `Imported ${questions.length} questions`,
+    metadata: {
+      format,
+      imported: questions.length,
+      skipped: errors.length,
+      errors,
+    },
+  });
+});
+
+// @desc    Download a quiz as a QTI 2.1 package, Moodle XML or JSON
+// @route   GET /api/quiz/:id/export?format=qti|moodle|json
+// @access  Private (Owner, Admin)
+const exportQuizFile = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'json';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown format. Use one of: ${EXPORT_FORMATS.join(', ')}`,
+    });
+  }
+
+  const quiz = await Quiz.findById(req.params.id);
+
+  if (!quiz || !quiz.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quiz not found',
+    });
+  }
+
+  // Exports include the answer key
+  if (quiz.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to export this quiz',
+    });
+  }
+
+  const { filename, contentType, body } = await exportQuiz(quiz, format);
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+  res.status(200).send(body);
+});
+
 // @desc    Assign quiz to students
 // @route   POST /api/quiz/:id/assign
 // @access  Private (Teacher, Admin)
@@ -353,11 +799,18 @@ const startQuizAttempt = asyncHandler(async (req, res) => {
     status: 'in-progress',
   });
 
-  if (existingSubmission) {
+  // An expired attempt the sweeper has not reached yet is closed now, unless it got there first
+  if (existingSubmission && existingSubmission.isPastDeadline()) {
+    const claimed = await Submission.claimAttempt({ _id: existingSubmission._id });
+    if (claimed) {
+      claimed.timing.autoClosed = true;
+      await finalizeSubmission(claimed, quiz, { student: req.user, endTime: claimed.getExpiryTime() });
+    }
+  } else if (existingSubmission) {
     return res.status(400).json({
       success: false,
       message: 'You already have an ongoing attempt for this quiz',
-      data: existingSubmission,
+      data: sanitizeAttemptForStudent(existingSubmission),
     });
   }
 
@@ -366,7 +819,7 @@ const startQuizAttempt = asyncHandler(async (req, res) => {
     const completedSubmission = await Submission.findOne({
       quiz: req.params.id,
       student: req.user.id,
-      status: { $in: ['submitted', 'evaluated'] },
+      status: { $in: Submission.COMPLETED_STATUSES },
     });
 
     if (completedSubmission) {
@@ -378,53 +831,52 @@ const startQuizAttempt = asyncHandler(async (req, res) => {
   }
 
   // Create new submission
-  const submission = await Submission.create({
+  const submission = new Submission({
     quiz: req.params.id,
     student: req.user.id,
+    quizVersion: quiz.version,
     timing: {
       startTime: new Date(),
       timeLimit: quiz.settings.timeLimit * 60, // Convert minutes to seconds
+      gracePeriod: quiz.settings.gracePeriod || 0,
     },
     metadata: {
       browserInfo: req.headers['user-agent'],
       ipAddress: req.ip,
     },
   });
+  submission.drawnQuestions = await drawSectionQuestions(quiz, submission._id.toString());
+  submission.generateOrdering(quiz);
+  await submission.save();
 
   // Return quiz questions without correct answers for students
-  const sanitizedQuiz = {
-    ...quiz.toObject(),
-    questions: quiz.questions.map(q => ({
-      _id: q._id,
-      type: q.type,
-      question: q.question,
-      options: q.type === 'multiple-choice' ? q.options.map(opt => ({
-        text: opt.text,
-        _id: opt._id,
-      })) : undefined,
-      points: q.points,
-      tags: q.tags,
-    })),
-  };
-
   res.status(201).json({
     success: true,
     data: {
-      quiz: sanitizedQuiz,
-      submission,
+      quiz: sanitizeQuizForStudent(quiz, submission, submission.getQuestions(quiz)),
+      submission: sanitizeAttemptForStudent(submission),
+      timeRemaining: submission.getTimeRemaining(),
     },
     message: 'Quiz attempt started successfully',
   });
 });
 
-// @desc    Submit quiz answers
-// @route   POST /api/quiz/:id/submit
+// @desc    Autosave answers for an in-progress attempt
+// @route   PATCH /api/quiz/:id/attempt/:submissionId
 // @access  Private (Student)
-const submitQuiz = asyncHandler(async (req, res) => {
-  const { submissionId, answers } = req.body;
+const saveQuizProgress = asyncHandler(async (req, res) => {
+  const { answers } = req.body;
+
+  if (!Array.isArray(answers)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Answers must be an array',
+    });
+  }
 
   const submission = await Submission.findOne({
-    _id: submissionId,
+    _id: req.params.submissionId,
+    quiz: req.params.id,
     student: req.user.id,
     status: 'in-progress',
   });
@@ -436,6 +888,13 @@ const submitQuiz = asyncHandler(async (req, res) => {
     });
   }
 
+  if (submission.isPastDeadline()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Time limit exceeded',
+    });
+  }
+
   const quiz = await Quiz.findById(req.params.id);
   if (!quiz) {
     return res.status(404).json({
@@ -444,70 +903,151 @@ const submitQuiz = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check time limit
-  const currentTime = new Date();
-  const timeElapsed = Math.floor((currentTime - submission.timing.startTime) / 1000);
-  
-  if (submission.timing.timeLimit && timeElapsed > submission.timing.timeLimit) {
-    return res.status(400).json({
+  // Merge incoming answers by question; blank answers clear a saved one. Nothing is graded
+  // here, that only happens in submitQuiz or the sweeper, which score cleared questions as
+  // unanswered out of every question in the attempt (Submission.calculateScore).
+  const savedAnswers = new Map(
+    submission.answers.map(answer => [answer.questionId.toString(), answer])
+  );
+  const attemptQuestions = await getAttemptQuestions(submission, quiz);
+
+  answers.forEach(answer => {
+    const questionId = answer.questionId && answer.questionId.toString();
+    if (!questionId || !attemptQuestions.some(q => q._id.toString() === questionId)) return;
+
+    const isBlank = answer.answer === undefined || answer.answer === null || answer.answer === ''
+      || (Array.isArray(answer.answer) && answer.answer.length === 0);
+    if (isBlank) {
+      savedAnswers.delete(questionId);
+      return;
+    }
+
+    savedAnswers.set(questionId, {
+      questionId,
+      answer: answer.answer,
+      isCorrect: false,
+      points: 0,
+      timeSpent: answer.timeSpent || 0,
+    });
+  });
+
+  submission.answers = [...savedAnswers.values()];
+  submission.timing.lastSavedAt = new Date();
+  await submission.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      savedAt: submission.timing.lastSavedAt,
+      answerCount: submission.answers.length,
+      timeRemaining: submission.getTimeRemaining(),
+    },
+    message: 'Progress saved',
+  });
+});
+
+// @desc    Resume an in-progress attempt
+// @route   GET /api/quiz/:id/attempt/:submissionId
+// @access  Private (Student)
+const resumeQuizAttempt = asyncHandler(async (req, res) => {
+  const submission = await Submission.findOne({
+    _id: req.params.submissionId,
+    quiz: req.params.id,
+    student: req.user.id,
+    status: 'in-progress',
+  });
+
+  if (!submission) {
+    return res.status(404).json({
       success: false,
-      message: 'Time limit exceeded',
+      message: 'Active submission not found',
     });
   }
 
-  // Process and validate answers
-  const processedAnswers = answers.map(answer => {
-    const question = quiz.questions.find(q => q._id.toString() === answer.questionId);
-    let isCorrect = false;
-    let points = 0;
+  const quiz = await Quiz.findById(req.params.id);
+  if (!quiz || !quiz.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quiz not found',
+    });
+  }
 
-    if (question) {
-      if (question.type === 'multiple-choice') {
-        const correctOption = question.options.find(opt => opt.isCorrect);
-        isCorrect = correctOption && correctOption.text === answer.answer;
-      } else if (question.type === 'true-false') {
-        isCorrect = question.correctAnswer.toLowerCase() === answer.answer.toLowerCase();
-      } else if (question.type === 'short-answer') {
-        // Simple string matching (can be enhanced with AI evaluation)
-        isCorrect = question.correctAnswer.toLowerCase().trim() === answer.answer.toLowerCase().trim();
-      }
+  res.status(200).json({
+    success: true,
+    data: {
+      quiz: sanitizeQuizForStudent(quiz, submission, await getAttemptQuestions(submission, quiz)),
+      submission: sanitizeAttemptForStudent(submission),
+      answers: submission.answers.map(answer => ({
+        questionId: answer.questionId,
+        answer: answer.answer,
+        timeSpent: answer.timeSpent,
+      })),
+      timeRemaining: submission.getTimeRemaining(),
+    },
+    message: 'Quiz attempt resumed',
+  });
+});
 
-      if (isCorrect) {
-        points = question.points || 1;
-      }
-    }
+// @desc    Submit quiz answers
+// @route   POST /api/quiz/:id/submit
+// @access  Private (Student)
+const submitQuiz = asyncHandler(async (req, res) => {
+  const { submissionId, answers } = req.body;
 
-    return {
-      questionId: answer.questionId,
-      answer: answer.answer,
-      isCorrect,
-      points,
-      timeSpent: answer.timeSpent || 0,
-    };
+  const submission = await Submission.findOne({
+    _id: submissionId,
+    student: req.user.id,
+    status: 'in-progress',
   });
 
-  // Update submission
-  submission.answers = processedAnswers;
-  submission.calculateScore(quiz.questions);
-  submission.finishSubmission();
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Active submission not found',
+    });
+  }
+
+  const quiz = await Quiz.findById(req.params.id);
+  if (!quiz) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quiz not found',
+    });
+  }
 
-  // Auto-evaluate if enabled
-  if (quiz.settings.autoGrade) {
-    submission.status = 'evaluated';
-    submission.evaluation.autoGraded = true;
-    submission.evaluation.evaluatedAt = new Date();
+  // Checked before the attempt is claimed, so a malformed request leaves it open
+  if (Array.isArray(answers) && answers.some(answer => !answer || !mongoose.isValidObjectId(answer.questionId))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Every answer needs a valid questionId',
+    });
   }
 
-  await submission.save();
+  // Claimed so a double submit or the expiry sweeper can't grade the attempt a second time
+  const claimed = await Submission.claimAttempt({ _id: submission._id });
+  if (!claimed) {
+    return res.status(409).json({
+      success: false,
+      message: 'This attempt has already been submitted',
+    });
+  }
 
-  // Update quiz and user statistics
-  await quiz.updateStatistics(submission.score.percentage);
-  await req.user.updateStats(submission.score.percentage);
+  // Past the grace period only the autosaved answers are graded, as of when time ran out
+  const isPastDeadline = claimed.isPastDeadline();
+
+  await finalizeSubmission(claimed, quiz, {
+    answers: isPastDeadline || !Array.isArray(answers) ? undefined : answers,
+    student: req.user,
+    endTime: isPastDeadline ? claimed.getExpiryTime() : undefined,
+  });
 
   res.status(200).json({
     success: true,
-    data: submission,
-    message: 'Quiz submitted successfully',
+    data: claimed,
+    message: [
+      isPastDeadline ? 'Time limit exceeded. Your last saved answers were submitted' : 'Quiz submitted successfully',
+      claimed.status === 'needs-review' && 'Essay answers will be graded by your teacher',
+    ].filter(Boolean).join('. '),
   });
 });
 
@@ -537,17 +1077,19 @@ const generateAIFeedback = asyncHandler(async (req, res) => {
 
   try {
     // Generate AI insights
-    const aiInsights = await geminiAI.evaluateSubmission(
+    const { data: aiInsights, report } = await ai.evaluateSubmission(
       quiz,
       submission,
-      submission.answers
+      submission.answers,
+      await getAttemptQuestions(submission, quiz)
     );
 
     // Update submission with AI feedback
     submission.evaluation.aiInsights = aiInsights;
     submission.evaluation.evaluatedAt = new Date();
     submission.evaluation.evaluatedBy = req.user.id;
-    submission.status = 'evaluated';
+    // Answers still waiting for a teacher keep the submission in the grading queue
+    submission.status = submission.answers.some(answer => answer.pendingReview) ? 'needs-review' : 'evaluated';
 
     await submission.save();
 
@@ -555,8 +1097,10 @@ const generateAIFeedback = asyncHandler(async (req, res) => {
       success: true,
       data: submission,
       message: 'AI feedback generated successfully',
+      metadata: { aiReport: report },
     });
   } catch (error) {
+    if (error instanceof QuotaExceededError) return quotaExceeded(res, error);
     console.error('AI feedback generation error:', error);
     res.status(500).json({
       success: false,
@@ -570,10 +1114,23 @@ module.exports = {
   getQuiz,
   createQuiz,
   updateQuiz,
+  lintQuiz,
+  getQuizVersions,
+  getQuizVersionDiff,
+  regradeQuizVersion,
+  regradeQuiz,
   deleteQuiz,
-  uploadPDFAndGenerateQuiz,
+  uploadDocumentAndGenerateQuiz,
+  getGenerationJobs,
+  getGenerationJob,
+  previewDocument,
+  previewImport,
+  importQuiz,
+  exportQuizFile,
   assignQuiz,
   startQuizAttempt,
+  saveQuizProgress,
+  resumeQuizAttempt,
   submitQuiz,
   generateAIFeedback,
 };
\ No newline at end of file
@@ -1,7 +1,11 @@
 const { asyncHandler } = require('../middleware/errorHandler');
 const Submission = require('../models/Submission');
 const Quiz = require('../models/Quiz');
+const QuizVersion = require('../models/QuizVersion');
 const User = require('../models/User');
+const AIUsage = require('../models/AIUsage');
+const AICache = require('../models/AICache');
+const { roleQuotas, dailyQuota, startOfDay } = require('../utils/ai/usage');
 const mongoose = require('mongoose');
 
 // @desc    Get student performance report
@@ -39,7 +43,7 @@ const getStudentReport = asyncHandler(async (req, res) => {
   // Build aggregation pipeline
   const matchStage = {
     student: new mongoose.Types.ObjectId(studentId),
-    status: { $in: ['submitted', 'evaluated'] },
+    status: { $in: Submission.COMPLETED_STATUSES },
     ...dateFilter,
   };
 
@@ -183,7 +187,7 @@ const getQuizReport = asyncHandler(async (req, res) => {
   // Get all submissions for this quiz
   const submissions = await Submission.find({
     quiz: quizId,
-    status: { $in: ['submitted', 'evaluated'] },
+    status: { $in: Submission.COMPLETED_STATUSES },
   }).populate('student', 'name email profilePicture');
 
   if (submissions.length === 0) {
@@ -219,8 +223,21 @@ const getQuizReport = asyncHandler(async (req, res) => {
     lowestScore: Math.min(...submissions.map(sub => sub.score.percentage)),
   };
 
-  // Question-wise analysis
-  const questionAnalysis = quiz.questions.map(question => {
+  // Question-wise analysis. Question ids survive quiz versions and drawn questions keep
+  // their bank id, so each question is analysed once across every attempt that had it.
+  // Questions removed in a later version still show, as they were last written.
+  const snapshots = await QuizVersion.find({ quiz: quiz._id }).sort({ version: -1 });
+  const analysedQuestions = new Map();
+  const addQuestion = (question) => {
+    if (!analysedQuestions.has(question._id.toString())) {
+      analysedQuestions.set(question._id.toString(), question);
+    }
+  };
+  quiz.questions.forEach(addQuestion);
+  snapshots.forEach(snapshot => snapshot.questions.forEach(addQuestion));
+  submissions.forEach(sub => sub.drawnQuestions.forEach(addQuestion));
+
+  const questionAnalysis = [...analysedQuestions.values()].map(question => {
     const questionId = question._id.toString();
     const answersForQuestion = submissions.map(sub => 
       sub.answers.find(ans => ans.questionId.toString() === questionId)
@@ -233,6 +250,7 @@ const getQuizReport = asyncHandler(async (req, res) => {
       questionId: question._id,
       question: question.question,
       type: question.type,
+      section: question.section,
       totalAnswers,
       correctAnswers,
       successRate: totalAnswers > 0 ? Math.round((correctAnswers / totalAnswers) * 100) : 0,
@@ -271,6 +289,7 @@ const getQuizReport = asyncHandler(async (req, res) => {
         score: sub.score,
         timing: sub.timing,
         status: sub.status,
+        late: sub.late,
         createdAt: sub.createdAt,
       })),
       questionAnalysis,
@@ -296,7 +315,7 @@ const getTeacherReport = asyncHandler(async (req, res) => {
   // Get submissions for teacher's quizzes
   const submissions = await Submission.find({
     quiz: { $in: quizIds },
-    status: { $in: ['submitted', 'evaluated'] },
+    status: { $in: Submission.COMPLETED_STATUSES },
   }).populate('student', 'name email');
 
   // Calculate statistics
@@ -308,7 +327,7 @@ const getTeacherReport = asyncHandler(async (req, res) => {
     averageScore: submissions.length > 0 
       ? submissions.reduce((sum, sub) => sum + sub.score.percentage, 0) / submissions.length 
       : 0,
-    pendingEvaluations: submissions.filter(sub => sub.status === 'submitted').length,
+    pendingEvaluations: submissions.filter(sub => ['submitted', 'needs-review'].includes(sub.status)).length,
     revaluationRequests: submissions.filter(sub => sub.revaluation.requested && sub.revaluation.status === 'pending').length,
   };
 
@@ -387,7 +406,7 @@ const getAdminReport = asyncHandler(async (req, res) => {
         totalSubmissions: { $sum: 1 },
         completedSubmissions: {
           $sum: {
-            $cond: [{ $in: ['$status', ['submitted', 'evaluated']] }, 1, 0]
+            $cond: [{ $in: ['$status', Submission.COMPLETED_STATUSES] }, 1, 0]
           }
         },
       }
@@ -426,9 +445,100 @@ const getAdminReport = asyncHandler(async (req, res) => {
   });
 });
 
+// Sums of a group of AI usage ledger entries; latency only counts calls that reached the model
+const usageTotals = {
+  calls: { $sum: 1 },
+  cachedCalls: { $sum: { $cond: ['$cached', 1, 0] } },
+  failedCalls: { $sum: { $cond: ['$success', 0, 1] } },
+  promptTokens: { $sum: '$promptTokens' },
+  responseTokens: { $sum: '$responseTokens' },
+  averageLatencyMs: { $avg: { $cond: ['$cached', null, '$latencyMs'] } },
+};
+
+// A grouped row with its _id renamed, e.g. to `method`
+const usageRow = (name) => ({ _id, averageLatencyMs, ...totals }) => ({
+  ...(name && { [name]: _id }),
+  ...totals,
+  averageLatencyMs: Math.round(averageLatencyMs || 0),
+});
+
+// @desc    Get AI usage per day, method, role and user, with the busiest users' quotas
+// @route   GET /api/reports/ai-usage?days=7
+// @access  Private (Admin)
+const getAIUsageReport = asyncHandler(async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+  const since = startOfDay();
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+  const inPeriod = { $match: { createdAt: { $gte: since } } };
+
+  const [summary, byDay, byMethod, byRole, byUser, recent, cache] = await Promise.all([
+    AIUsage.aggregate([inPeriod, { $group: { _id: null, ...usageTotals } }]),
+    AIUsage.aggregate([
+      inPeriod,
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, ...usageTotals } },
+      { $sort: { _id: 1 } },
+    ]),
+    AIUsage.aggregate([inPeriod, { $group: { _id: '$method', ...usageTotals } }, { $sort: { calls: -1 } }]),
+    AIUsage.aggregate([
+      inPeriod,
+      { $lookup: { from: 'users', localField: 'user', foreignField: '_id', as: 'account' } },
+      // Calls made outside a request or job have no user
+      { $group: { _id: { $ifNull: [{ $arrayElemAt: ['$account.role', 0] }, 'none'] }, ...usageTotals } },
+      { $sort: { calls: -1 } },
+    ]),
+    AIUsage.aggregate([
+      inPeriod,
+      { $match: { user: { $ne: null } } },
+      { $group: { _id: '$user', ...usageTotals } },
+      { $sort: { calls: -1 } },
+      { $limit: 20 },
+    ]),
+    AIUsage.find({ createdAt: { $gte: since } })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .populate('user', 'name email role'),
+    AICache.aggregate([{ $group: { _id: null, entries: { $sum: 1 }, hits: { $sum: '$hits' } } }]),
+  ]);
+
+  // The busiest users' accounts and model requests today, to show against their quotas
+  const userIds = byUser.map(row => row._id);
+  const [users, today] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select('name email role aiDailyQuota'),
+    AIUsage.aggregate([
+      { $match: { user: { $in: userIds }, cached: false, createdAt: { $gte: startOfDay() } } },
+      { $group: { _id: '$user', attempts: { $sum: '$attempts' } } },
+    ]),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      days,
+      since,
+      totals: summary.length > 0 ? usageRow()(summary[0]) : null,
+      byDay: byDay.map(usageRow('date')),
+      byMethod: byMethod.map(usageRow('method')),
+      byRole: byRole.map(usageRow('role')),
+      users: byUser.map(usageRow('user')).map(row => {
+        const user = users.find(candidate => candidate._id.equals(row.user));
+        return {
+          ...row,
+          user,
+          usedToday: today.find(entry => entry._id.equals(row.user))?.attempts || 0,
+          dailyQuota: user ? dailyQuota(user) : null,
+        };
+      }),
+      recent,
+      quotas: roleQuotas(),
+      cache: cache[0] ? { entries: cache[0].entries, hits: cache[0].hits } : { entries: 0, hits: 0 },
+    },
+  });
+});
+
 module.exports = {
   getStudentReport,
   getQuizReport,
   getTeacherReport,
   getAdminReport,
+  getAIUsageReport,
 };
\ No newline at end of file
@@ -2,7 +2,14 @@ const { asyncHandler } = require('../middleware/errorHandler');
 const Submission = require('../models/Submission');
 const Quiz = require('../models/Quiz');
 const User = require('../models/User');
-const geminiAI = require('../utils/geminiAI');
+const ai = require('../utils/ai');
+const { QuotaExceededError, hasQuotaLeft } = require('../utils/ai/usage');
+const { quotaExceeded } = require('../middleware/aiQuota');
+const { applyManualGrades, normalizeSuggestion, reviewSuggestions, adjustAverages } = require('../utils/grading');
+const { getAttemptQuestions } = require('../utils/quizVersions');
+
+// Question types the AI grading pass proposes scores for
+const AI_GRADED_TYPES = ['essay', 'short-answer'];
 
 // @desc    Get all submissions
 // @route   GET /api/submissions
@@ -84,9 +91,20 @@ const getSubmission = asyncHandler(async (req, res) => {
     });
   }
 
+  // Show questions in the order this attempt was taken in
+  const data = submission.toObject();
+  data.quiz.questions = submission.orderQuestions(await getAttemptQuestions(submission, submission.quiz));
+
+  // AI grade suggestions are only for the teacher reviewing them
+  if (req.user.role === 'student') {
+    data.answers.forEach(answer => {
+      delete answer.aiSuggestion;
+    });
+  }
+
   res.status(200).json({
     success: true,
-    data: submission,
+    data,
   });
 });
 
@@ -116,35 +134,36 @@ const evaluateSubmission = asyncHandler(async (req, res) => {
     });
   }
 
-  // Apply manual grades if provided
-  if (manualGrades && Array.isArray(manualGrades)) {
-    manualGrades.forEach(grade => {
-      const answerIndex = submission.answers.findIndex(
-        a => a.questionId.toString() === grade.questionId
-      );
-      if (answerIndex !== -1) {
-        submission.answers[answerIndex].points = grade.points;
-        submission.answers[answerIndex].isCorrect = grade.points > 0;
-      }
-    });
+  const questions = await getAttemptQuestions(submission, quiz);
+  const scoreBefore = submission.score.percentage;
 
-    // Recalculate score
-    submission.calculateScore(quiz.questions);
+  // Apply manual grades if provided, as points or rubric levels
+  if (manualGrades && Array.isArray(manualGrades)) {
+    const gradeError = applyManualGrades(submission, questions, manualGrades);
+    if (gradeError) {
+      return res.status(400).json({
+        success: false,
+        message: gradeError,
+      });
+    }
   }
 
   // Update evaluation
   submission.evaluation.evaluatedBy = req.user.id;
   submission.evaluation.evaluatedAt = new Date();
-  submission.evaluation.feedback = feedback;
-  submission.status = 'evaluated';
+  if (feedback !== undefined) submission.evaluation.feedback = feedback;
+  // Stays in the grading queue until every essay has a grade
+  submission.status = submission.answers.some(a => a.pendingReview) ? 'needs-review' : 'evaluated';
 
-  // Generate AI insights if not already present
-  if (!submission.evaluation.aiInsights) {
+  // Generate AI insights if not already present; grading goes ahead without them once the
+  // teacher's daily AI quota is used up
+  if (!submission.evaluation.aiInsights && await hasQuotaLeft(req.user)) {
     try {
-      const aiInsights = await geminiAI.evaluateSubmission(
+      const { data: aiInsights } = await ai.evaluateSubmission(
         quiz,
         submission,
-        submission.answers
+        submission.answers,
+        questions
       );
       submission.evaluation.aiInsights = aiInsights;
     } catch (error) {
@@ -154,6 +173,7 @@ const evaluateSubmission = asyncHandler(async (req, res) => {
   }
 
   await submission.save();
+  await adjustAverages(submission, quiz, scoreBefore);
 
   res.status(200).json({
     success: true,
@@ -162,6 +182,212 @@ const evaluateSubmission = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get essay and rubric answers waiting to be graded
+// @route   GET /api/submissions/grading-queue
+// @access  Private (Teacher, Admin)
+const getGradingQueue = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const quizId = req.query.quiz;
+
+  const quizQuery = { isActive: true };
+  if (req.user.role === 'teacher') quizQuery.createdBy = req.user.id;
+  if (quizId) quizQuery._id = quizId;
+
+  const quizzes = await Quiz.find(quizQuery).select('title subject questions version');
+  const quizMap = new Map(quizzes.map(q => [q._id.toString(), q]));
+
+  // One row per pending answer, so pages hold answers rather than submissions.
+  // Oldest submissions first so nobody waits too long.
+  const [{ rows, count }] = await Submission.aggregate([
+    {
+      $match: {
+        quiz: { $in: quizzes.map(q => q._id) },
+        status: 'needs-review',
+        'answers.pendingReview': true,
+      },
+    },
+    { $sort: { 'timing.endTime': 1, _id: 1 } },
+    { $unwind: '$answers' },
+    { $match: { 'answers.pendingReview': true } },
+    {
+      $facet: {
+        rows: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { _id: 1, questionId: '$answers.questionId' } },
+        ],
+        count: [{ $count: 'total' }],
+      },
+    },
+  ]);
+  const total = count.length > 0 ? count[0].total : 0;
+
+  const submissions = await Submission.find({ _id: { $in: [...new Set(rows.map(row => row._id.toString()))] } })
+    .populate('student', 'name email profilePicture');
+  const submissionMap = new Map(submissions.map(submission => [submission._id.toString(), submission]));
+
+  const attemptQuestions = new Map(await Promise.all(submissions.map(async submission => [
+    submission._id.toString(),
+    await getAttemptQuestions(submission, quizMap.get(submission.quiz.toString())),
+  ])));
+
+  // A submission deleted since the count is skipped
+  const data = rows.filter(row => submissionMap.has(row._id.toString())).map(row => {
+    const submission = submissionMap.get(row._id.toString());
+    const quiz = quizMap.get(submission.quiz.toString());
+    const answer = submission.answers.find(a => a.questionId.equals(row.questionId));
+    const question = attemptQuestions.get(row._id.toString()).find(q => q._id.equals(row.questionId));
+    return {
+      submissionId: submission._id,
+      quiz: { _id: quiz._id, title: quiz.title, subject: quiz.subject },
+      student: submission.student,
+      question: question && {
+        _id: question._id,
+        type: question.type,
+        question: question.question,
+        points: question.points,
+        sampleAnswer: question.correctAnswer,
+        rubric: question.rubric,
+      },
+      answer: answer.answer,
+      submittedAt: submission.timing.endTime,
+      late: submission.late,
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    data,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+// @desc    Generate AI grade suggestions for written answers
+// @route   POST /api/submissions/:id/ai-grade
+// @access  Private (Teacher, Admin)
+const suggestGrades = asyncHandler(async (req, res) => {
+  const submission = await Submission.findById(req.params.id).populate('quiz');
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found',
+    });
+  }
+
+  // Check permissions
+  const quiz = submission.quiz;
+  if (quiz.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to grade this submission',
+    });
+  }
+
+  const questions = await getAttemptQuestions(submission, quiz);
+  const written = submission.answers
+    .map(answer => ({ answer, question: questions.find(q => q._id.equals(answer.questionId)) }))
+    .filter(({ question }) => question && AI_GRADED_TYPES.includes(question.type));
+
+  if (written.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'This submission has no essay or short-answer responses to grade',
+    });
+  }
+
+  let suggestions;
+  let report;
+  try {
+    ({ data: suggestions, report } = await ai.suggestGrades(quiz, written));
+  } catch (error) {
+    if (error instanceof QuotaExceededError) return quotaExceeded(res, error);
+    console.error('AI grading error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate grade suggestions',
+    });
+  }
+
+  // Suggestions are stored for review only; scores change once a teacher accepts them
+  written.forEach(({ answer, question }) => {
+    const raw = suggestions.find(s => s.questionId === question._id.toString());
+    if (raw) {
+      answer.aiSuggestion = normalizeSuggestion(question, raw);
+    }
+  });
+
+  await submission.save();
+
+  res.status(200).json({
+    success: true,
+    data: submission,
+    message: 'AI grade suggestions generated',
+    metadata: { aiReport: report },
+  });
+});
+
+// @desc    Accept, edit or reject AI grade suggestions
+// @route   PUT /api/submissions/:id/ai-grade
+// @access  Private (Teacher, Admin)
+const reviewGradeSuggestions = asyncHandler(async (req, res) => {
+  const { decisions } = req.body;
+
+  if (!Array.isArray(decisions) || decisions.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide decisions for the suggestions',
+    });
+  }
+
+  const submission = await Submission.findById(req.params.id).populate('quiz');
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found',
+    });
+  }
+
+  // Check permissions
+  const quiz = submission.quiz;
+  if (quiz.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to grade this submission',
+    });
+  }
+
+  const questions = await getAttemptQuestions(submission, quiz);
+  const scoreBefore = submission.score.percentage;
+  const reviewError = reviewSuggestions(submission, questions, decisions, req.user.id);
+  if (reviewError) {
+    return res.status(400).json({
+      success: false,
+      message: reviewError,
+    });
+  }
+
+  submission.evaluation.evaluatedBy = req.user.id;
+  submission.evaluation.evaluatedAt = new Date();
+  submission.status = submission.answers.some(a => a.pendingReview) ? 'needs-review' : 'evaluated';
+
+  await submission.save();
+  await adjustAverages(submission, quiz, scoreBefore);
+
+  res.status(200).json({
+    success: true,
+    data: submission,
+    message: 'Grade suggestions reviewed',
+  });
+});
+
 // @desc    Request revaluation
 // @route   POST /api/submissions/:id/revaluation
 // @access  Private (Student)
@@ -250,29 +476,26 @@ const handleRevaluation = asyncHandler(async (req, res) => {
     });
   }
 
+  // Apply new grades if approved
+  const scoreBefore = submission.score.percentage;
+  if (status === 'approved' && Array.isArray(newGrades)) {
+    const gradeError = applyManualGrades(submission, await getAttemptQuestions(submission, quiz), newGrades);
+    if (gradeError) {
+      return res.status(400).json({
+        success: false,
+        message: gradeError,
+      });
+    }
+  }
+
   // Update revaluation
   submission.revaluation.status = status;
   submission.revaluation.handledBy = req.user.id;
   submission.revaluation.handledAt = new Date();
   submission.revaluation.response = response;
 
-  // Apply new grades if approved
-  if (status === 'approved' && newGrades) {
-    newGrades.forEach(grade => {
-      const answerIndex = submission.answers.findIndex(
-        a => a.questionId.toString() === grade.questionId
-      );
-      if (answerIndex !== -1) {
-        submission.answers[answerIndex].points = grade.points;
-        submission.answers[answerIndex].isCorrect = grade.points > 0;
-      }
-    });
-
-    // Recalculate score
-    submission.calculateScore(quiz.questions);
-  }
-
   await submission.save();
+  await adjustAverages(submission, quiz, scoreBefore);
 
   res.status(200).json({
     success: true,
@@ -305,7 +528,12 @@ const getSubmissionStats = asyncHandler(async (req, res) => {
         averageScore: { $avg: '$score.percentage' },
         completedSubmissions: {
           $sum: {
-            $cond: [{ $in: ['$status', ['submitted', 'evaluated']] }, 1, 0]
+            $cond: [{ $in: ['$status', Submission.COMPLETED_STATUSES] }, 1, 0]
+          }
+        },
+        pendingReviewSubmissions: {
+          $sum: {
+            $cond: [{ $eq: ['$status', 'needs-review'] }, 1, 0]
           }
         },
         inProgressSubmissions: {
@@ -327,6 +555,7 @@ const getSubmissionStats = asyncHandler(async (req, res) => {
     averageScore: 0,
     completedSubmissions: 0,
     inProgressSubmissions: 0,
+    pendingReviewSubmissions: 0,
     revaluationRequests: 0,
   };
 
@@ -350,6 +579,9 @@ module.exports = {
   getSubmissions,
   getSubmission,
   evaluateSubmission,
+  getGradingQueue,
+  suggestGrades,
+  reviewGradeSuggestions,
   requestRevaluation,
   handleRevaluation,
   getSubmissionStats,
@@ -0,0 +1,38 @@
+const { asyncHandler } = require('./errorHandler');
+const ai = require('../utils/ai');
+const { withUsage, QuotaExceededError, checkQuota } = require('../utils/ai/usage');
+
+// Route the ledger files a request's AI calls under, e.g. "POST /api/submissions/:id/ai-grade"
+const endpointOf = (req) => `${req.method} ${req.baseUrl}${req.route && req.route.path !== '/' ? req.route.path : ''}`;
+
+// Record the AI calls made while handling the request against its user, whose quota every
+// model request is checked against
+const trackAIUsage = (req, res, next) => withUsage({ user: req.user, endpoint: endpointOf(req) }, next);
+
+// 429 response for a QuotaExceededError
+const quotaExceeded = (res, error) => res.status(429).json({
+  success: false,
+  message: error.message,
+  metadata: { quota: error.quota },
+});
+
+// Refuse requests while no AI provider is configured (503) or from users who have used up
+// their daily AI quota, then track the rest
+const aiQuota = asyncHandler(async (req, res, next) => {
+  ai.getProvider();
+
+  try {
+    await checkQuota(req.user);
+  } catch (error) {
+    if (error instanceof QuotaExceededError) return quotaExceeded(res, error);
+    throw error;
+  }
+
+  trackAIUsage(req, res, next);
+});
+
+module.exports = {
+  aiQuota,
+  trackAIUsage,
+  quotaExceeded,
+};
@@ -24,18 +24,54 @@ const validateQuiz = [
     .isLength({ min: 2, max: 100 })
     .withMessage('Subject must be between 2 and 100 characters'),
   body('questions')
-    .isArray({ min: 1 })
+    .isArray()
+    .custom((questions, { req }) => questions.length > 0 || (req.body.sections || []).length > 0)
     .withMessage('Quiz must have at least one question'),
+  body('sections')
+    .optional()
+    .isArray()
+    .withMessage('Sections must be an array'),
+  body('sections.*.count')
+    .isInt({ min: 1 })
+    .withMessage('Each section must draw at least one question'),
+  body('sections.*.difficulty')
+    .optional({ checkFalsy: true })
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Invalid section difficulty'),
   body('questions.*.question')
     .trim()
     .isLength({ min: 10 })
     .withMessage('Question must be at least 10 characters long'),
   body('questions.*.type')
-    .isIn(['multiple-choice', 'short-answer', 'true-false', 'essay'])
+    .isIn(['multiple-choice', 'multiple-select', 'short-answer', 'true-false', 'essay'])
     .withMessage('Invalid question type'),
   handleValidationErrors,
 ];
 
+// Question bank validation rules
+const validateQuestion = [
+  body('question')
+    .trim()
+    .isLength({ min: 10 })
+    .withMessage('Question must be at least 10 characters long'),
+  body('type')
+    .isIn(['multiple-choice', 'multiple-select', 'short-answer', 'true-false', 'essay'])
+    .withMessage('Invalid question type'),
+  body('subject')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Subject must be between 2 and 100 characters'),
+  body('difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Invalid difficulty'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be a list'),
+  handleValidationErrors,
+];
+
 // User profile validation rules
 const validateProfile = [
   body('name')
@@ -130,6 +166,7 @@ const validateAnnouncement = [
 
 module.exports = {
   validateQuiz,
+  validateQuestion,
   validateProfile,
   validateMessage,
   validateCompetition,
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A validated AI response, found again by the hash of the provider, model and prompt that
+// produced it (utils/ai/usage.js). Entries are removed after 30 days.
+const aiCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  method: String,
+  data: mongoose.Schema.Types.Mixed,
+  report: mongoose.Schema.Types.Mixed,
+  hits: { type: Number, default: 0 },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 30 * 24 * 60 * 60,
+  },
+});
+
+module.exports = mongoose.model('AICache', aiCacheSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One call to the AI provider (utils/ai), for quotas and the admin usage report.
+// Token counts are estimates from the text length; entries are removed after 90 days.
+const aiUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Route or background task the call was made for, e.g. "POST /api/practice"
+  endpoint: String,
+  provider: { type: String, required: true },
+  model: String,
+  method: { type: String, required: true },
+  prompt: String, // cut to the first 2,000 characters
+  promptCharacters: { type: Number, default: 0 },
+  promptTokens: { type: Number, default: 0 },
+  responseTokens: { type: Number, default: 0 },
+  attempts: { type: Number, default: 0 },
+  latencyMs: { type: Number, default: 0 },
+  // Answered from the response cache without calling the model; these don't count towards quotas
+  cached: { type: Boolean, default: false },
+  success: { type: Boolean, default: true },
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 90 * 24 * 60 * 60,
+  },
+});
+
+aiUsageSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A quiz being generated from an uploaded document in the background (utils/generationWorker.js).
+// The upload stays on disk until the job has finished.
+const generationJobSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
+  },
+  file: {
+    originalName: { type: String, required: true },
+    mimeType: String,
+    size: Number,
+    path: { type: String, required: true },
+  },
+  // Upload form fields: numberOfQuestions, difficulty, questionTypes, subject, title, description, pages, chapters
+  request: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  progress: {
+    stage: {
+      type: String,
+      enum: ['queued', 'extracting', 'generating', 'saving', 'done'],
+      default: 'queued',
+    },
+    totalChunks: { type: Number, default: 0 },
+    completedChunks: { type: Number, default: 0 },
+    failedChunks: { type: Number, default: 0 },
+  },
+  // Questions of the chunks generated so far, before duplicates are removed
+  partialQuestions: [{ type: mongoose.Schema.Types.Mixed }],
+  // Questions the AI returned that failed validation or the linter's error checks, left out
+  discardedQuestions: [{
+    section: Number,
+    question: String,
+    reasons: [String],
+  }],
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+  },
+  failure: {
+    message: String,
+    statusCode: Number,
+  },
+  startedAt: Date,
+  // Finished jobs are removed after a week
+  finishedAt: {
+    type: Date,
+    expires: 7 * 24 * 60 * 60,
+  },
+}, {
+  timestamps: true,
+});
+
+generationJobSchema.index({ createdBy: 1, createdAt: -1 });
+generationJobSchema.index({ status: 1, createdAt: 1 });
+
+// The server path of the upload stays private; percent is derived from the chunks done
+generationJobSchema.methods.toJSON = function() {
+  const job = this.toObject();
+  delete job.file.path;
+  const { stage, totalChunks, completedChunks } = job.progress;
+  if (stage === 'done') {
+    job.progress.percent = 100;
+  } else {
+    job.progress.percent = totalChunks > 0 ? Math.round((completedChunks / totalChunks) * 100) : 0;
+  }
+  return job;
+};
+
+module.exports = mongoose.model('GenerationJob', generationJobSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const questionFields = require('./questionFields');
+
+const questionSchema = new mongoose.Schema({
+  ...questionFields,
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Quizzes this question has been added to
+  usage: [{
+    quiz: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz' },
+    addedAt: { type: Date, default: Date.now },
+  }],
+  statistics: {
+    timesAnswered: { type: Number, default: 0 },
+    timesCorrect: { type: Number, default: 0 },
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+questionSchema.index({ createdBy: 1, subject: 1 });
+questionSchema.index({ tags: 1 });
+
+// Virtual for the share of answers that were correct
+questionSchema.virtual('successRate').get(function() {
+  const { timesAnswered, timesCorrect } = this.statistics;
+  return timesAnswered > 0 ? Math.round((timesCorrect / timesAnswered) * 100) : 0;
+});
+
+questionSchema.set('toJSON', { virtuals: true });
+
+// Statics
+// Record that a quiz uses these bank questions; a quiz is only listed once per question
+questionSchema.statics.recordUsage = async function(quizId, quizQuestions) {
+  const bankIds = quizQuestions.map(q => q.bankQuestion).filter(Boolean);
+  if (bankIds.length === 0) return;
+
+  await this.updateMany(
+    { _id: { $in: bankIds }, 'usage.quiz': { $ne: quizId } },
+    { $push: { usage: { quiz: quizId, addedAt: new Date() } } }
+  );
+};
+
+// Add graded answers to the statistics of the bank questions they came from
+questionSchema.statics.recordResults = async function(quizQuestions, answers) {
+  const operations = answers.flatMap(answer => {
+    const question = quizQuestions.find(q => q._id.toString() === answer.questionId.toString());
+    if (!question || !question.bankQuestion || answer.pendingReview) return [];
+
+    return [{
+      updateOne: {
+        filter: { _id: question.bankQuestion },
+        update: { $inc: { 'statistics.timesAnswered': 1, 'statistics.timesCorrect': answer.isCorrect ? 1 : 0 } },
+      },
+    }];
+  });
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+};
+
+module.exports = mongoose.model('Question', questionSchema);
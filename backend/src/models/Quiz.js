@@ -1,42 +1,13 @@
 const mongoose = require('mongoose');
+const questionFields = require('./questionFields');
 
+// A quiz question; bankQuestion links it back to the question bank entry it was picked from
 const questionSchema = new mongoose.Schema({
-  type: {
-    type: String,
-    enum: ['multiple-choice', 'short-answer', 'true-false', 'essay'],
-    required: true,
-  },
-  question: {
-    type: String,
-    required: true,
-    trim: true,
-  },
-  options: [{
-    text: { type: String, trim: true },
-    isCorrect: { type: Boolean, default: false },
-  }],
-  correctAnswer: {
-    type: String,
-    trim: true,
-  },
-  explanation: {
-    type: String,
-    trim: true,
-  },
-  points: {
-    type: Number,
-    default: 1,
-    min: 0,
-  },
-  difficulty: {
-    type: String,
-    enum: ['easy', 'medium', 'hard'],
-    default: 'medium',
+  ...questionFields,
+  bankQuestion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
   },
-  tags: [{
-    type: String,
-    trim: true,
-  }],
 });
 
 const quizSchema = new mongoose.Schema({
@@ -59,6 +30,15 @@ const quizSchema = new mongoose.Schema({
     trim: true,
   },
   questions: [questionSchema],
+  // Each section draws `count` questions per attempt from the quiz owner's question bank
+  sections: [{
+    title: { type: String, trim: true },
+    count: { type: Number, required: true, min: 1 },
+    pool: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Question' }], // limit the draw to these questions
+    tags: [{ type: String, trim: true }],
+    difficulty: { type: String, enum: ['easy', 'medium', 'hard'] },
+    points: { type: Number, default: 1, min: 0 }, // every drawn question is worth the same
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -73,10 +53,17 @@ const quizSchema = new mongoose.Schema({
     enum: ['draft', 'published', 'archived', 'scheduled'],
     default: 'draft',
   },
+  // Bumped when questions change after publication; earlier versions are kept as QuizVersion
+  version: {
+    type: Number,
+    default: 1,
+  },
   settings: {
     timeLimit: { type: Number, default: 60 }, // in minutes
+    gracePeriod: { type: Number, default: 30, min: 0 }, // in seconds, accepted after the time limit
     allowRetake: { type: Boolean, default: false },
     shuffleQuestions: { type: Boolean, default: false },
+    shuffleOptions: { type: Boolean, default: false },
     showResults: { type: Boolean, default: true },
     passingScore: { type: Number, default: 60 }, // percentage
     autoGrade: { type: Boolean, default: true },
@@ -113,10 +100,14 @@ quizSchema.virtual('quizUrl').get(function() {
 
 // Pre-save middleware to calculate total points
 quizSchema.pre('save', function(next) {
-  if (this.questions && this.questions.length > 0) {
-    this.metadata.totalPoints = this.questions.reduce((total, question) => {
+  if (this.questions.length > 0 || this.sections.length > 0) {
+    const fixedPoints = this.questions.reduce((total, question) => {
       return total + (question.points || 1);
     }, 0);
+    const sectionPoints = this.sections.reduce((total, section) => {
+      return total + section.count * section.points;
+    }, 0);
+    this.metadata.totalPoints = fixedPoints + sectionPoints;
   }
   next();
 });
@@ -149,4 +140,12 @@ quizSchema.methods.updateStatistics = async function(score) {
   await this.save();
 };
 
+// Shift the average after already-counted attempts were regraded; delta is the sum of their score changes
+quizSchema.methods.adjustAverageScore = async function(delta) {
+  if (this.statistics.totalAttempts > 0) {
+    this.statistics.averageScore += delta / this.statistics.totalAttempts;
+  }
+  await this.save();
+};
+
 module.exports = mongoose.model('Quiz', quizSchema);
\ No newline at end of file
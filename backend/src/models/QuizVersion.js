@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const questionFields = require('./questionFields');
+
+// Question ids are kept from the quiz, so submissions can still find the questions they answered
+const versionQuestionSchema = new mongoose.Schema({
+  ...questionFields,
+  bankQuestion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+  },
+});
+
+// Frozen copy of a quiz version that was replaced by an edit after publication.
+// The current version always lives on the Quiz itself.
+const quizVersionSchema = new mongoose.Schema({
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  title: {
+    type: String,
+    trim: true,
+  },
+  questions: [versionQuestionSchema],
+  sections: [{ type: mongoose.Schema.Types.Mixed }],
+  settings: { type: mongoose.Schema.Types.Mixed },
+  totalPoints: {
+    type: Number,
+    default: 0,
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+quizVersionSchema.index({ quiz: 1, version: 1 }, { unique: true });
+
+// Snapshot a quiz as it is now, before an edit moves it to the next version
+quizVersionSchema.statics.snapshot = function(quiz, userId) {
+  const source = quiz.toObject();
+  return this.create({
+    quiz: source._id,
+    version: source.version,
+    title: source.title,
+    questions: source.questions,
+    sections: source.sections,
+    settings: source.settings,
+    totalPoints: source.metadata.totalPoints,
+    replacedBy: userId,
+  });
+};
+
+module.exports = mongoose.model('QuizVersion', quizVersionSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const questionFields = require('./questionFields');
+const { seededShuffle } = require('../utils/shuffle');
 
 const answerSchema = new mongoose.Schema({
   questionId: {
@@ -21,6 +23,43 @@ const answerSchema = new mongoose.Schema({
     type: Number, // in seconds
     default: 0,
   },
+  // Essay and rubric answers wait here until a teacher grades them
+  pendingReview: {
+    type: Boolean,
+    default: false,
+  },
+  // Rubric level chosen per criterion, with labels copied so later rubric edits don't change them
+  rubricScores: [{
+    criterionId: { type: mongoose.Schema.Types.ObjectId },
+    levelId: { type: mongoose.Schema.Types.ObjectId },
+    criterion: { type: String },
+    level: { type: String },
+    points: { type: Number, default: 0 },
+  }],
+  // AI-proposed grade; it only counts once a teacher accepts or edits it
+  aiSuggestion: {
+    points: { type: Number },
+    justification: { type: String, trim: true },
+    rubric: [{
+      criterionId: { type: mongoose.Schema.Types.ObjectId },
+      levelId: { type: mongoose.Schema.Types.ObjectId },
+    }],
+    status: { type: String, enum: ['pending', 'accepted', 'edited', 'rejected'] },
+    generatedAt: { type: Date },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+  },
+});
+
+// A question drawn from a quiz section for this attempt. It keeps the bank question's id,
+// so the same question answered on different attempts aggregates together in reports.
+const drawnQuestionSchema = new mongoose.Schema({
+  ...questionFields,
+  bankQuestion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+  },
+  section: { type: Number }, // index into quiz.sections
 });
 
 const submissionSchema = new mongoose.Schema({
@@ -34,7 +73,36 @@ const submissionSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Quiz version the attempt was taken against
+  quizVersion: {
+    type: Number,
+    default: 1,
+  },
+  // Score before and after each regrade, e.g. after an answer key fix
+  regrades: [{
+    regradedAt: { type: Date, default: Date.now },
+    regradedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    quizVersion: { type: Number },
+    before: {
+      total: { type: Number },
+      percentage: { type: Number },
+    },
+    after: {
+      total: { type: Number },
+      percentage: { type: Number },
+    },
+  }],
   answers: [answerSchema],
+  // Questions drawn from the quiz's sections, frozen when the attempt starts
+  drawnQuestions: [drawnQuestionSchema],
+  // Order frozen when the attempt starts, shared by resume, review and grading
+  questionOrder: [{
+    type: mongoose.Schema.Types.ObjectId,
+  }],
+  optionOrder: [{
+    questionId: { type: mongoose.Schema.Types.ObjectId },
+    options: [{ type: mongoose.Schema.Types.ObjectId }],
+  }],
   score: {
     total: { type: Number, default: 0 },
     percentage: { type: Number, default: 0 },
@@ -45,12 +113,19 @@ const submissionSchema = new mongoose.Schema({
     endTime: { type: Date },
     totalTime: { type: Number, default: 0 }, // in seconds
     timeLimit: { type: Number }, // in seconds
+    gracePeriod: { type: Number, default: 0 }, // in seconds
+    lastSavedAt: { type: Date },
+    autoClosed: { type: Boolean, default: false }, // closed by the expiry sweeper
   },
   status: {
     type: String,
     enum: ['in-progress', 'submitted', 'evaluated', 'needs-review'],
     default: 'in-progress',
   },
+  late: {
+    type: Boolean,
+    default: false,
+  },
   evaluation: {
     autoGraded: { type: Boolean, default: false },
     evaluatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -90,6 +165,7 @@ submissionSchema.index({ quiz: 1, student: 1 });
 submissionSchema.index({ student: 1, createdAt: -1 });
 submissionSchema.index({ quiz: 1, status: 1 });
 submissionSchema.index({ status: 1 });
+submissionSchema.index({ quiz: 1, 'answers.pendingReview': 1 });
 
 // Virtual for submission URL
 submissionSchema.virtual('submissionUrl').get(function() {
@@ -112,28 +188,118 @@ submissionSchema.pre('save', function(next) {
 });
 
 // Methods
+// Score out of every question in the attempt, so unanswered questions count as zero
 submissionSchema.methods.calculateScore = function(quizQuestions) {
-  let totalPoints = 0;
+  const totalPoints = quizQuestions.reduce((sum, question) => sum + (question.points || 1), 0);
   let earnedPoints = 0;
 
-  this.answers.forEach(answer => {
-    const question = quizQuestions.find(q => q._id.toString() === answer.questionId.toString());
-    if (question) {
-      totalPoints += question.points || 1;
-      if (answer.isCorrect) {
-        earnedPoints += answer.points || (question.points || 1);
-      }
-    }
+  quizQuestions.forEach(question => {
+    const answer = this.answers.find(a => a.questionId.toString() === question._id.toString());
+    // Points may be partial credit, so they count even when not fully correct
+    earnedPoints += answer?.points || 0;
   });
 
   this.score.total = earnedPoints;
   this.score.percentage = totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 0;
 };
 
-submissionSchema.methods.finishSubmission = function() {
+submissionSchema.methods.getTimeRemaining = function() {
+  if (!this.timing.timeLimit) return null;
+
+  const elapsed = Math.floor((Date.now() - this.timing.startTime) / 1000);
+  return Math.max(0, this.timing.timeLimit - elapsed);
+};
+
+// Every question in this attempt: the quiz's fixed questions followed by the drawn ones
+submissionSchema.methods.getQuestions = function(quiz) {
+  return [...quiz.questions, ...(this.drawnQuestions || [])];
+};
+
+// Freeze question and option order for this attempt, seeded from the submission id
+submissionSchema.methods.generateOrdering = function(quiz) {
+  const seed = this._id.toString();
+  const questions = this.getQuestions(quiz);
+  const questionIds = questions.map(q => q._id);
+
+  this.questionOrder = quiz.settings.shuffleQuestions
+    ? seededShuffle(questionIds, seed)
+    : questionIds;
+
+  this.optionOrder = quiz.settings.shuffleOptions
+    ? questions
+      .filter(q => q.options && q.options.length > 1)
+      .map(q => ({
+        questionId: q._id,
+        options: seededShuffle(q.options.map(opt => opt._id), `${seed}:${q._id}`),
+      }))
+    : [];
+};
+
+// Arrange questions (and their options) in this attempt's frozen order.
+// Questions or options missing from the stored order keep their authored position at the end.
+const applyOrder = (items, orderIds) => {
+  const byId = new Map(items.map(item => [item._id.toString(), item]));
+  const ordered = (orderIds || [])
+    .map(id => byId.get(id.toString()))
+    .filter(Boolean);
+  const orderedIds = new Set(ordered.map(item => item._id.toString()));
+  return [...ordered, ...items.filter(item => !orderedIds.has(item._id.toString()))];
+};
+
+submissionSchema.methods.orderQuestions = function(questions) {
+  return applyOrder(questions, this.questionOrder).map(question => {
+    const plain = typeof question.toObject === 'function' ? question.toObject() : { ...question };
+    const entry = (this.optionOrder || []).find(o => o.questionId.toString() === plain._id.toString());
+
+    if (entry && Array.isArray(plain.options)) {
+      plain.options = applyOrder(plain.options, entry.options);
+    }
+    return plain;
+  });
+};
+
+// True once the time limit and its grace period have both run out
+submissionSchema.methods.isPastDeadline = function() {
+  if (!this.timing.timeLimit) return false;
+
+  const elapsed = Math.floor((Date.now() - this.timing.startTime) / 1000);
+  return elapsed > this.timing.timeLimit + (this.timing.gracePeriod || 0);
+};
+
+// When an attempt that ran out of time ended: at its time limit, or at its last autosave
+// if that came during the grace period
+submissionSchema.methods.getExpiryTime = function() {
+  const limitEnd = new Date(this.timing.startTime.getTime() + this.timing.timeLimit * 1000);
+  return this.timing.lastSavedAt > limitEnd ? this.timing.lastSavedAt : limitEnd;
+};
+
+submissionSchema.methods.finishSubmission = function(endTime = new Date()) {
   this.status = 'submitted';
-  this.timing.endTime = new Date();
+  this.timing.endTime = endTime;
   this.timing.totalTime = Math.floor((this.timing.endTime - this.timing.startTime) / 1000);
+  this.late = Boolean(this.timing.timeLimit && this.timing.totalTime > this.timing.timeLimit);
+};
+
+// Statuses of attempts the student has finished, graded or still waiting for review
+submissionSchema.statics.COMPLETED_STATUSES = ['submitted', 'evaluated', 'needs-review'];
+
+// Atomically move an in-progress attempt matching filter to "submitted" and return it, so of
+// several callers racing to close the same attempt only one grades it; the others get null
+submissionSchema.statics.claimAttempt = function(filter) {
+  return this.findOneAndUpdate(
+    { ...filter, status: 'in-progress' },
+    { $set: { status: 'submitted' } },
+    { new: true }
+  );
+};
+
+// Hand a claimed attempt back to in-progress when grading it failed, so a resubmit or the
+// sweeper can close it later. Attempts that were already graded (they have an endTime) stay.
+submissionSchema.statics.releaseAttempt = function(id) {
+  return this.updateOne(
+    { _id: id, status: 'submitted', 'timing.endTime': null },
+    { $set: { status: 'in-progress' } }
+  );
 };
 
 module.exports = mongoose.model('Submission', submissionSchema);
\ No newline at end of file
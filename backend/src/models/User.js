@@ -60,6 +60,12 @@ const userSchema = new mongoose.Schema({
     streak: { type: Number, default: 0 },
     lastActive: { type: Date, default: Date.now },
   },
+  // Daily AI calls allowed; null uses the role's quota (utils/ai/usage.js) and 0 is unlimited
+  aiDailyQuota: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -92,6 +98,14 @@ userSchema.methods.updateStats = async function(score, isNewQuiz = true) {
   await this.save();
 };
 
+// Shift the average after already-counted quizzes were regraded; delta is the sum of their score changes
+userSchema.methods.adjustAverageScore = async function(delta) {
+  if (this.stats.totalQuizzes > 0) {
+    this.stats.averageScore += delta / this.stats.totalQuizzes;
+  }
+  await this.save();
+};
+
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.googleId;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { isValidPattern } = require('../utils/shortAnswerMatcher');
+
+// One rubric row: graders pick exactly one level per criterion
+const rubricCriterionSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  levels: {
+    type: [{
+      label: { type: String, required: true, trim: true },
+      description: { type: String, trim: true },
+      points: { type: Number, required: true, min: 0 },
+    }],
+    validate: {
+      validator: levels => levels.length > 0,
+      message: 'Each rubric criterion needs at least one level',
+    },
+  },
+});
+
+// Question content shared by questions embedded in a quiz and the question bank
+const questionFields = {
+  type: {
+    type: String,
+    enum: ['multiple-choice', 'multiple-select', 'short-answer', 'true-false', 'essay'],
+    required: true,
+  },
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  options: [{
+    text: { type: String, trim: true },
+    isCorrect: { type: Boolean, default: false },
+  }],
+  correctAnswer: {
+    type: String,
+    trim: true,
+  },
+  // Multiple-select scoring: all-or-nothing, or partial credit per correct pick
+  scoring: {
+    mode: { type: String, enum: ['all-or-nothing', 'partial'], default: 'all-or-nothing' },
+    wrongPenalty: { type: Number, default: 1, min: 0 }, // partial mode: correct picks cancelled per wrong pick
+  },
+  // Short-answer matching rules; correctAnswer is always accepted as well
+  answerRules: {
+    acceptedAnswers: [{ type: String, trim: true }],
+    patterns: [{
+      type: String,
+      validate: {
+        validator: isValidPattern,
+        message: props => `${props.value} is not a valid regular expression (lookarounds and backreferences are not supported)`,
+      },
+    }],
+    caseSensitive: { type: Boolean, default: false },
+    ignorePunctuation: { type: Boolean, default: true },
+    fuzzyThreshold: { type: Number, default: 1, min: 0, max: 1 }, // similarity needed; 1 = exact only
+    numeric: {
+      enabled: { type: Boolean, default: false },
+      value: Number,
+      tolerance: { type: Number, default: 0, min: 0 },
+      units: [{ type: String, trim: true }],
+      unitRequired: { type: Boolean, default: false },
+    },
+  },
+  // Essay and short-answer questions with a rubric are graded by hand
+  rubric: [rubricCriterionSchema],
+  explanation: {
+    type: String,
+    trim: true,
+  },
+  points: {
+    type: Number,
+    default: 1,
+    min: 0,
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium',
+  },
+  tags: [{
+    type: String,
+    trim: true,
+  }],
+  // Where a question generated from an uploaded document came from
+  source: {
+    section: Number, // 1-based chunk of the document it was generated from
+    pageFrom: Number,
+    pageTo: Number,
+    page: Number, // page of the excerpt
+    excerpt: { type: String, trim: true }, // sentence of the document that supports the answer
+  },
+};
+
+module.exports = questionFields;
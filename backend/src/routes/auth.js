@@ -12,6 +12,7 @@ const {
   logout,
   deleteAccount,
   changeUserRole,
+  setAIQuota,
   getAllUsers,
 } = require('../controllers/authController');
 
@@ -75,6 +76,7 @@ router.delete('/account', authenticate, deleteAccount);
 
 // Admin only routes
 router.put('/role/:userId', authenticate, authorize('admin'), changeUserRole);
+router.put('/ai-quota/:userId', authenticate, authorize('admin'), setAIQuota);
 router.get('/users', authenticate, authorize('admin'), getAllUsers);
 
 // JWT routes
@@ -8,10 +8,11 @@ const {
 } = require('../controllers/practiceController');
 
 const { authenticate, authorize } = require('../middleware/auth');
+const { aiQuota } = require('../middleware/aiQuota');
 
 // Student routes
-router.post('/', authenticate, authorize('student'), generatePracticeQuiz);
-router.get('/analysis', authenticate, authorize('student'), getPerformanceAnalysis);
+router.post('/', authenticate, authorize('student'), aiQuota, generatePracticeQuiz);
+router.get('/analysis', authenticate, authorize('student'), aiQuota, getPerformanceAnalysis);
 router.get('/recommendations', authenticate, authorize('student'), getPracticeRecommendations);
 
 module.exports = router;
\ No newline at end of file
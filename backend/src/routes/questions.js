@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getQuestions,
+  getQuestion,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion,
+} = require('../controllers/questionController');
+
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateQuestion } = require('../middleware/validation');
+
+// Teacher/Admin routes
+router.get('/', authenticate, authorize('teacher', 'admin'), getQuestions);
+router.get('/:id', authenticate, authorize('teacher', 'admin'), getQuestion);
+router.post('/', authenticate, authorize('teacher', 'admin'), validateQuestion, createQuestion);
+router.put('/:id', authenticate, authorize('teacher', 'admin'), validateQuestion, updateQuestion);
+router.delete('/:id', authenticate, authorize('teacher', 'admin'), deleteQuestion);
+
+module.exports = router;
@@ -6,10 +6,23 @@ const {
   getQuiz,
   createQuiz,
   updateQuiz,
+  lintQuiz,
+  getQuizVersions,
+  getQuizVersionDiff,
+  regradeQuizVersion,
+  regradeQuiz,
   deleteQuiz,
-  uploadPDFAndGenerateQuiz,
+  uploadDocumentAndGenerateQuiz,
+  getGenerationJobs,
+  getGenerationJob,
+  previewDocument,
+  previewImport,
+  importQuiz,
+  exportQuizFile,
   assignQuiz,
   startQuizAttempt,
+  saveQuizProgress,
+  resumeQuizAttempt,
   submitQuiz,
   generateAIFeedback,
 } = require('../controllers/quizController');
@@ -17,30 +30,74 @@ const {
 const { authenticate, authorize } = require('../middleware/auth');
 const { validateQuiz } = require('../middleware/validation');
 const { quizLimiter, uploadLimiter } = require('../middleware/rateLimiter');
+const { aiQuota } = require('../middleware/aiQuota');
 const { uploadMiddleware } = require('../utils/fileUpload');
 
 // Public routes (with authentication)
 router.get('/', authenticate, getQuizzes);
+
+// Quiz generation jobs, ahead of /:id
+router.get('/jobs', authenticate, authorize('teacher', 'admin'), getGenerationJobs);
+router.get('/jobs/:jobId', authenticate, authorize('teacher', 'admin'), getGenerationJob);
+
 router.get('/:id', authenticate, getQuiz);
 
 // Student routes
 router.post('/:id/start', authenticate, authorize('student'), startQuizAttempt);
+router.get('/:id/attempt/:submissionId', authenticate, authorize('student'), resumeQuizAttempt);
+router.patch('/:id/attempt/:submissionId', authenticate, authorize('student'), saveQuizProgress);
 router.post('/:id/submit', authenticate, authorize('student'), quizLimiter, submitQuiz);
 
 // Teacher/Admin routes
 router.post('/', authenticate, authorize('teacher', 'admin'), validateQuiz, createQuiz);
+router.post('/lint', authenticate, authorize('teacher', 'admin'), lintQuiz);
 router.put('/:id', authenticate, authorize('teacher', 'admin'), validateQuiz, updateQuiz);
 router.delete('/:id', authenticate, authorize('teacher', 'admin'), deleteQuiz);
 
+// Quiz versions
+router.get('/:id/versions', authenticate, authorize('teacher', 'admin'), getQuizVersions);
+router.get('/:id/versions/diff', authenticate, authorize('teacher', 'admin'), getQuizVersionDiff);
+router.post('/:id/versions/:version/regrade', authenticate, authorize('teacher', 'admin'), regradeQuizVersion);
+router.post('/:id/regrade', authenticate, authorize('teacher', 'admin'), regradeQuiz);
+
 router.post(
   '/upload',
   authenticate,
   authorize('teacher', 'admin'),
   uploadLimiter,
-  uploadMiddleware.single('pdf'),
-  uploadPDFAndGenerateQuiz
+  aiQuota,
+  uploadMiddleware.fields([{ name: 'document', maxCount: 1 }, { name: 'pdf', maxCount: 1 }]),
+  uploadDocumentAndGenerateQuiz
+);
+
+router.post(
+  '/upload/preview',
+  authenticate,
+  authorize('teacher', 'admin'),
+  uploadLimiter,
+  uploadMiddleware.fields([{ name: 'document', maxCount: 1 }, { name: 'pdf', maxCount: 1 }]),
+  previewDocument
+);
+
+router.post(
+  '/import/preview',
+  authenticate,
+  authorize('teacher', 'admin'),
+  uploadLimiter,
+  uploadMiddleware.importFile('file'),
+  previewImport
+);
+
+router.post(
+  '/import',
+  authenticate,
+  authorize('teacher', 'admin'),
+  uploadLimiter,
+  uploadMiddleware.importFile('file'),
+  importQuiz
 );
 
+router.get('/:id/export', authenticate, authorize('teacher', 'admin'), exportQuizFile);
 router.post('/:id/assign', authenticate, authorize('teacher', 'admin'), assignQuiz);
 
 // AI feedback generation
@@ -48,6 +105,7 @@ router.post(
   '/submission/:id/feedback',
   authenticate,
   authorize('teacher', 'admin'),
+  aiQuota,
   generateAIFeedback
 );
 
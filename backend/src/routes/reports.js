@@ -6,6 +6,7 @@ const {
   getQuizReport,
   getTeacherReport,
   getAdminReport,
+  getAIUsageReport,
 } = require('../controllers/reportController');
 
 const { authenticate, authorize } = require('../middleware/auth');
@@ -19,5 +20,6 @@ router.get('/quiz/:quizId', authenticate, authorize('teacher', 'admin'), getQuiz
 // Role-specific dashboard reports
 router.get('/teacher', authenticate, authorize('teacher'), getTeacherReport);
 router.get('/admin', authenticate, authorize('admin'), getAdminReport);
+router.get('/ai-usage', authenticate, authorize('admin'), getAIUsageReport);
 
 module.exports = router;
\ No newline at end of file
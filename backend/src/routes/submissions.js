@@ -5,23 +5,30 @@ const {
   getSubmissions,
   getSubmission,
   evaluateSubmission,
+  getGradingQueue,
+  suggestGrades,
+  reviewGradeSuggestions,
   requestRevaluation,
   handleRevaluation,
   getSubmissionStats,
 } = require('../controllers/submissionController');
 
 const { authenticate, authorize } = require('../middleware/auth');
+const { aiQuota, trackAIUsage } = require('../middleware/aiQuota');
 
 // General routes
 router.get('/', authenticate, getSubmissions);
 router.get('/stats', authenticate, getSubmissionStats);
+router.get('/grading-queue', authenticate, authorize('teacher', 'admin'), getGradingQueue);
 router.get('/:id', authenticate, getSubmission);
 
 // Student routes
 router.post('/:id/revaluation', authenticate, authorize('student'), requestRevaluation);
 
 // Teacher/Admin routes
-router.put('/:id/evaluate', authenticate, authorize('teacher', 'admin'), evaluateSubmission);
+router.put('/:id/evaluate', authenticate, authorize('teacher', 'admin'), trackAIUsage, evaluateSubmission);
 router.put('/:id/revaluation', authenticate, authorize('teacher', 'admin'), handleRevaluation);
+router.post('/:id/ai-grade', authenticate, authorize('teacher', 'admin'), aiQuota, suggestGrades);
+router.put('/:id/ai-grade', authenticate, authorize('teacher', 'admin'), reviewGradeSuggestions);
 
 module.exports = router;
\ No newline at end of file
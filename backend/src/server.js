@@ -9,6 +9,9 @@ require('dotenv').config();
 // Import configurations
 const connectDB = require('./config/database');
 const passport = require('./config/passport');
+const { startAttemptSweeper } = require('./utils/attemptSweeper');
+const { startGenerationWorker } = require('./utils/generationWorker');
+const ai = require('./utils/ai');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/errorHandler');
@@ -17,6 +20,7 @@ const { generalLimiter } = require('./middleware/rateLimiter');
 // Import routes
 const authRoutes = require('./routes/auth');
 const quizRoutes = require('./routes/quiz');
+const questionRoutes = require('./routes/questions');
 const submissionRoutes = require('./routes/submissions');
 const reportRoutes = require('./routes/reports');
 const messageRoutes = require('./routes/messages');
@@ -38,6 +42,12 @@ if (!process.env.JWT_SECRET) {
 // Connect to database
 connectDB();
 
+// Close quiz attempts whose time has run out
+startAttemptSweeper();
+
+// Generate quizzes from uploaded documents in the background
+startGenerationWorker();
+
 // Security middleware
 app.use(helmet({
   crossOriginEmbedderPolicy: false,
@@ -69,6 +79,7 @@ const corsOptions = {
     }
   },
   credentials: true,
+  exposedHeaders: ['Content-Disposition'], // lets the frontend name downloaded exports
   optionsSuccessStatus: 200,
 };
 
@@ -134,6 +145,7 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/auth', authRoutes);
 app.use('/api/quiz', quizRoutes);
+app.use('/api/questions', questionRoutes);
 app.use('/api/submissions', submissionRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/messages', messageRoutes);
@@ -152,6 +164,7 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/auth',
       quiz: '/api/quiz',
+      questions: '/api/questions',
       submissions: '/api/submissions',
       reports: '/api/reports',
       messages: '/api/messages',
@@ -170,6 +183,16 @@ app.use(errorHandler);
 
 const PORT = process.env.PORT || 5000;
 
+// For the startup banner; AI routes answer 503 until a provider is configured
+const aiProviderName = () => {
+  try {
+    return ai.getProvider().constructor.name;
+  } catch (error) {
+    console.warn('⚠️  AI features are disabled:', error.message);
+    return 'Not configured';
+  }
+};
+
 const server = app.listen(PORT, () => {
   console.log(`
 🚀 Quiz Mantra Server is running!
@@ -177,7 +200,7 @@ const server = app.listen(PORT, () => {
 🌍 Environment: ${process.env.NODE_ENV}
 📊 Database: ${process.env.MONGODB_URI ? 'Connected' : 'Not configured'}
 🔐 Google OAuth: ${process.env.GOOGLE_CLIENT_ID ? 'Configured' : 'Not configured'}
-🤖 Gemini AI: ${process.env.GEMINI_API_KEY ? 'Configured' : 'Not configured'}
+🤖 AI provider: ${aiProviderName()}
   `);
 });
 
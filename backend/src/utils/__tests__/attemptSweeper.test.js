@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Submission = require('../../models/Submission');
+const Quiz = require('../../models/Quiz');
+const { finalizeSubmission } = require('../grading');
+const { closeExpiredAttempts } = require('../attemptSweeper');
+
+jest.mock('../grading');
+
+const expiredAttempt = () => new Submission({
+  quiz: new mongoose.Types.ObjectId(),
+  student: new mongoose.Types.ObjectId(),
+  timing: { startTime: new Date(Date.now() - 60 * 60 * 1000), timeLimit: 600 },
+});
+
+describe('closeExpiredAttempts', () => {
+  const quiz = { settings: {} };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    finalizeSubmission.mockReset().mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('claims each expired attempt and closes it at its deadline', async () => {
+    const attempt = expiredAttempt();
+    jest.spyOn(Submission, 'find').mockResolvedValue([attempt]);
+    jest.spyOn(Submission, 'claimAttempt').mockResolvedValue(attempt);
+
+    expect(await closeExpiredAttempts()).toBe(1);
+
+    expect(Submission.claimAttempt).toHaveBeenCalledWith({ _id: attempt._id });
+    expect(attempt.timing.autoClosed).toBe(true);
+    expect(finalizeSubmission).toHaveBeenCalledWith(attempt, quiz, { endTime: attempt.getExpiryTime() });
+  });
+
+  it('leaves attempts that were submitted in the meantime alone', async () => {
+    jest.spyOn(Submission, 'find').mockResolvedValue([expiredAttempt()]);
+    jest.spyOn(Submission, 'claimAttempt').mockResolvedValue(null);
+
+    expect(await closeExpiredAttempts()).toBe(0);
+    expect(finalizeSubmission).not.toHaveBeenCalled();
+  });
+
+  it('carries on past an attempt that fails to close', async () => {
+    const [broken, working] = [expiredAttempt(), expiredAttempt()];
+    jest.spyOn(Submission, 'find').mockResolvedValue([broken, working]);
+    jest.spyOn(Submission, 'claimAttempt').mockImplementation(async ({ _id }) => (_id === broken._id ? broken : working));
+    finalizeSubmission.mockImplementation(async (submission) => {
+      if (submission === broken) throw new Error('grading failed');
+    });
+
+    expect(await closeExpiredAttempts()).toBe(1);
+    expect(console.error).toHaveBeenCalledWith(`Error closing expired submission ${broken._id}:`, expect.any(Error));
+  });
+});
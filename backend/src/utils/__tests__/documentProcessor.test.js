@@ -0,0 +1,190 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mammoth = require('mammoth');
+const DocumentProcessor = require('../documentProcessor');
+const PDFProcessor = require('../pdfProcessor');
+
+const LESSON = [
+  'Photosynthesis turns light energy into chemical energy inside the leaves of green plants.',
+  'Chlorophyll absorbs mostly red and blue light and reflects the green part of the spectrum.',
+  'Carbon dioxide enters the leaf through small pores on its underside called stomata.',
+  'Water travels up from the roots through the xylem to reach the cells that need it.',
+  'Glucose made during the day is stored as starch and used for growth during the night.',
+  'Oxygen is released into the air as a by-product of splitting water molecules apart.',
+  'The rate of photosynthesis rises with light intensity until another factor limits it.',
+  'Plants in deep shade grow broad, thin leaves to catch as much of the light as they can.',
+];
+
+let dir;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// A multer-like file object for content written to a temporary file
+const upload = (originalname, content, mimetype = '') => {
+  const filePath = path.join(dir, originalname);
+  fs.writeFileSync(filePath, content);
+  return { originalname, mimetype, path: filePath };
+};
+
+describe('DocumentProcessor.detectFormat', () => {
+  it('goes by the extension, then the mime type', () => {
+    expect(DocumentProcessor.detectFormat('notes.MD')).toBe('markdown');
+    expect(DocumentProcessor.detectFormat('page.htm')).toBe('html');
+    expect(DocumentProcessor.detectFormat('upload', 'text/plain')).toBe('text');
+  });
+
+  it('rejects legacy Word and unknown files as client errors', () => {
+    expect(() => DocumentProcessor.detectFormat('old.doc')).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: expect.stringContaining('Save the document as .docx'),
+    }));
+    expect(() => DocumentProcessor.detectFormat('slides.pptx')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('DocumentProcessor.extractText', () => {
+  it('strips Markdown syntax and takes the title from the first heading', async () => {
+    const file = upload('lesson.md', '# Plant biology\n\nSome **bold** and [a link](http://example.com).\n\n- item one\n');
+    const { text, title } = await DocumentProcessor.extractText(file.path, 'markdown');
+
+    expect(title).toBe('Plant biology');
+    expect(text).toContain('Some bold and a link.');
+    expect(text).toContain('item one');
+    expect(text).not.toMatch(/[#*[\]]/);
+  });
+
+  it('drops the HTML head and markup and decodes entities', async () => {
+    const file = upload('lesson.html', '<html><head><title>Leaves &amp; light</title><style>p{}</style></head>'
+      + '<body><h1>Ignored</h1><p>Green &lt;pigment&gt;</p><script>alert(1)</script></body></html>');
+    const { text, title } = await DocumentProcessor.extractText(file.path, 'html');
+
+    expect(title).toBe('Leaves & light');
+    expect(text).toBe('Ignored\nGreen <pigment>');
+  });
+
+  it('reads the raw text of Word documents', async () => {
+    jest.spyOn(mammoth, 'extractRawText').mockResolvedValue({ value: 'Lesson text' });
+
+    await expect(DocumentProcessor.extractText('/uploads/lesson.docx', 'docx')).resolves.toEqual({ text: 'Lesson text' });
+    expect(mammoth.extractRawText).toHaveBeenCalledWith({ path: '/uploads/lesson.docx' });
+  });
+
+  it('reports unreadable Word documents as client errors', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const file = upload('broken.docx', 'not a zip');
+
+    await expect(DocumentProcessor.extractText(file.path, 'docx')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Failed to read the Word document',
+    });
+  });
+});
+
+describe('DocumentProcessor.processDocumentForQuiz', () => {
+  it('cleans a text file into unpaged sections', async () => {
+    const file = upload('photosynthesis.txt', `\uFEFF${LESSON.join('\n\n')}`);
+    const result = await DocumentProcessor.processDocumentForQuiz(file);
+
+    expect(result).toMatchObject({ format: 'text', pages: null, selectedPages: null });
+    expect(result.text).toBe(LESSON.join(' '));
+    expect(result.sections.every(section => section.page === null)).toBe(true);
+    expect(result.metadata).toMatchObject({ title: 'photosynthesis', author: 'Unknown' });
+  });
+
+  it('rejects documents too short to generate from', async () => {
+    const file = upload('short.txt', LESSON[0]);
+
+    await expect(DocumentProcessor.processDocumentForQuiz(file)).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringContaining('too short'),
+    });
+  });
+});
+
+describe('DocumentProcessor.parsePageRanges', () => {
+  it('expands pages and ranges', () => {
+    expect([...DocumentProcessor.parsePageRanges('5, 1-3, 2', 6)]).toEqual([5, 1, 2, 3]);
+  });
+
+  it('rejects malformed ranges and pages past the end', () => {
+    expect(() => DocumentProcessor.parsePageRanges('1-a', 6)).toThrow('Invalid page range "1-a"');
+    expect(() => DocumentProcessor.parsePageRanges('4-2', 6)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => DocumentProcessor.parsePageRanges('6-7', 6)).toThrow('Page range "6-7" is outside the document\'s 6 pages');
+  });
+});
+
+describe('DocumentProcessor page and chapter selection', () => {
+  // Four pages of two lesson sentences, with chapters starting on pages 1 and 3
+  const mockPdf = () => {
+    jest.spyOn(PDFProcessor, 'extractTextFromFile').mockResolvedValue({
+      text: LESSON.join('\n'),
+      pageTexts: [LESSON.slice(0, 2), LESSON.slice(2, 4), LESSON.slice(4, 6), LESSON.slice(6)].map(page => page.join('\n')),
+      pages: 4,
+      info: { Title: 'Plant biology' },
+    });
+    jest.spyOn(PDFProcessor, 'extractOutline').mockResolvedValue([
+      { id: '1', title: 'Leaves', level: 1, pageFrom: 1, pageTo: 2 },
+      { id: '2', title: 'Sugar', level: 1, pageFrom: 3, pageTo: 4 },
+    ]);
+    return upload('biology.pdf', 'pdf');
+  };
+
+  it('uses the whole document without a selection', async () => {
+    const result = await DocumentProcessor.processDocumentForQuiz(mockPdf());
+
+    expect(result.selectedPages).toBeNull();
+    expect(result.metadata.title).toBe('Plant biology');
+    expect(new Set(result.sections.map(section => section.page))).toEqual(new Set([1, 2, 3, 4]));
+  });
+
+  it('keeps the page numbers of the selected pages and chapters', async () => {
+    const result = await DocumentProcessor.processDocumentForQuiz(mockPdf(), { pages: '1', chapters: '2' });
+
+    expect(result.selectedPages).toEqual([1, 3, 4]);
+    expect(result.text).not.toContain('stomata');
+    expect(new Set(result.sections.map(section => section.page))).toEqual(new Set([1, 3, 4]));
+  });
+
+  it('rejects unknown chapters', async () => {
+    await expect(DocumentProcessor.processDocumentForQuiz(mockPdf(), { chapters: '1, 9' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringContaining('Unknown chapter "9"'),
+    });
+  });
+
+  it('rejects chapters when the PDF has no outline', async () => {
+    const file = mockPdf();
+    PDFProcessor.extractOutline.mockResolvedValue([]);
+
+    await expect(DocumentProcessor.processDocumentForQuiz(file, { chapters: '1' })).rejects.toThrow('has no outline');
+  });
+
+  it('only selects pages of PDFs', async () => {
+    const file = upload('notes.txt', LESSON.join(' '));
+
+    await expect(DocumentProcessor.processDocumentForQuiz(file, { pages: '1' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Page and chapter selection is only available for PDFs',
+    });
+  });
+
+  it('previews the outline and the length of each page', async () => {
+    const preview = await DocumentProcessor.previewDocument(mockPdf());
+
+    expect(preview).toMatchObject({ format: 'pdf', pages: 4, metadata: { title: 'Plant biology' } });
+    expect(preview.outline.map(entry => entry.title)).toEqual(['Leaves', 'Sugar']);
+    expect(preview.pageLengths).toHaveLength(4);
+    expect(preview.characterCount).toBe(preview.pageLengths.reduce((total, length) => total + length, 0));
+  });
+});
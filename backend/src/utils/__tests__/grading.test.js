@@ -0,0 +1,346 @@
+const mongoose = require('mongoose');
+const Submission = require('../../models/Submission');
+const User = require('../../models/User');
+const Question = require('../../models/Question');
+const QuizVersion = require('../../models/QuizVersion');
+const Message = require('../../models/Message');
+const {
+  gradeAnswer,
+  gradeAnswers,
+  applyManualGrades,
+  regradeAnswers,
+  regradeSubmissions,
+  adjustAverages,
+  finalizeSubmission,
+} = require('../grading');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const choice = (texts, correct, extra = {}) => ({
+  _id: id(),
+  type: 'multiple-choice',
+  question: 'Pick one',
+  options: texts.map(text => ({ _id: id(), text, isCorrect: correct.includes(text) })),
+  points: 1,
+  ...extra,
+});
+
+const trueFalse = (correctAnswer, points = 1) => ({ _id: id(), type: 'true-false', question: 'True?', correctAnswer, points });
+
+const essay = (points = 2, extra = {}) => ({ _id: id(), type: 'essay', question: 'Explain', points, ...extra });
+
+const newSubmission = (fields = {}) => new Submission({
+  quiz: id(),
+  student: id(),
+  timing: { startTime: new Date() },
+  ...fields,
+});
+
+const optionId = (question, text) => question.options.find(option => option.text === text)._id;
+
+describe('gradeAnswer', () => {
+  it('grades multiple choice by option id', () => {
+    const question = choice(['Paris', 'Rome'], ['Paris']);
+    expect(gradeAnswer(question, optionId(question, 'Paris'))).toEqual({ isCorrect: true, points: 1 });
+    expect(gradeAnswer(question, optionId(question, 'Rome'))).toEqual({ isCorrect: false, points: 0 });
+  });
+
+  it('tells options with the same text apart', () => {
+    const question = choice(['Paris', 'Rome'], ['Paris']);
+    question.options.push({ _id: id(), text: 'Paris', isCorrect: false });
+    expect(gradeAnswer(question, question.options[2]._id).isCorrect).toBe(false);
+  });
+
+  it('still matches option text from attempts saved before ids were used', () => {
+    const question = choice(['Paris', 'Rome'], ['Paris']);
+    expect(gradeAnswer(question, 'Paris').isCorrect).toBe(true);
+  });
+
+  it('grades true/false without regard to case', () => {
+    expect(gradeAnswer(trueFalse('true'), 'True')).toEqual({ isCorrect: true, points: 1 });
+    expect(gradeAnswer(trueFalse('true'), 'false').points).toBe(0);
+  });
+
+  it('grades short answers through the answer rules', () => {
+    const question = {
+      _id: id(),
+      type: 'short-answer',
+      correctAnswer: 'Mitochondria',
+      answerRules: { acceptedAnswers: ['mitochondrion'] },
+      points: 3,
+    };
+    expect(gradeAnswer(question, ' mitochondria ')).toEqual({ isCorrect: true, points: 3 });
+    expect(gradeAnswer(question, 'Mitochondrion').points).toBe(3);
+    expect(gradeAnswer(question, 'nucleus').points).toBe(0);
+  });
+
+  it('holds essays and rubric questions for review', () => {
+    expect(gradeAnswer(essay(), 'Long answer')).toEqual({ isCorrect: false, points: 0, pendingReview: true });
+    const rubricQuestion = { _id: id(), type: 'short-answer', correctAnswer: 'x', rubric: [{ title: 'Clarity' }] };
+    expect(gradeAnswer(rubricQuestion, 'x').pendingReview).toBe(true);
+  });
+
+  describe('multiple select', () => {
+    const question = choice(['A', 'B', 'C', 'D'], ['A', 'B'], { type: 'multiple-select', points: 2 });
+    const picks = (...texts) => texts.map(text => optionId(question, text));
+
+    it('is all or nothing by default', () => {
+      expect(gradeAnswer(question, picks('A', 'B'))).toEqual({ isCorrect: true, points: 2 });
+      expect(gradeAnswer(question, picks('A'))).toEqual({ isCorrect: false, points: 0 });
+      expect(gradeAnswer(question, picks('A', 'B', 'C')).points).toBe(0);
+    });
+
+    it('gives partial credit, less a penalty per wrong pick', () => {
+      const partial = { ...question, scoring: { mode: 'partial', wrongPenalty: 1 } };
+      expect(gradeAnswer(partial, picks('A')).points).toBe(1);
+      expect(gradeAnswer(partial, picks('A', 'C')).points).toBe(0);
+      expect(gradeAnswer(partial, picks('A', 'B', 'C')).points).toBe(1);
+      expect(gradeAnswer({ ...partial, scoring: { mode: 'partial', wrongPenalty: 0.5 } }, picks('A', 'C')).points).toBe(0.5);
+    });
+  });
+});
+
+describe('gradeAnswers', () => {
+  it('keeps only the last answer to a question', () => {
+    const question = trueFalse('true');
+    const graded = gradeAnswers([question], [
+      { questionId: question._id, answer: 'false' },
+      { questionId: question._id, answer: 'true' },
+    ]);
+    expect(graded).toHaveLength(1);
+    expect(graded[0]).toMatchObject({ answer: 'true', isCorrect: true, points: 1 });
+  });
+
+  it('drops answers without a questionId', () => {
+    const question = trueFalse('true');
+    const graded = gradeAnswers([question], [{ answer: 'true' }, null, { questionId: question._id, answer: 'true' }]);
+    expect(graded).toHaveLength(1);
+  });
+
+  it('gives no points for questions outside the attempt', () => {
+    const [graded] = gradeAnswers([trueFalse('true')], [{ questionId: id(), answer: 'true' }]);
+    expect(graded).toMatchObject({ isCorrect: false, points: 0 });
+  });
+});
+
+describe('Submission.calculateScore', () => {
+  it('scores out of every question, so unanswered ones count as zero', () => {
+    const questions = Array.from({ length: 10 }, () => trueFalse('true'));
+    const submission = newSubmission();
+    submission.answers = gradeAnswers(questions, [
+      { questionId: questions[0]._id, answer: 'true' },
+      { questionId: questions[0]._id, answer: 'true' },
+    ]);
+    submission.calculateScore(questions);
+
+    expect(submission.score.total).toBe(1);
+    expect(submission.score.percentage).toBe(10);
+  });
+});
+
+describe('applyManualGrades', () => {
+  const rubricEssay = () => essay(4, {
+    rubric: [
+      { _id: id(), title: 'Content', levels: [{ _id: id(), label: 'Weak', points: 0 }, { _id: id(), label: 'Strong', points: 3 }] },
+      { _id: id(), title: 'Style', levels: [{ _id: id(), label: 'Poor', points: 0 }, { _id: id(), label: 'Good', points: 2 }] },
+    ],
+  });
+
+  const pendingSubmission = (questions) => {
+    const submission = newSubmission({ status: 'needs-review' });
+    submission.answers = gradeAnswers(questions, questions.map(q => ({ questionId: q._id, answer: 'My essay' })));
+    submission.calculateScore(questions);
+    return submission;
+  };
+
+  it('grades with points and clears the review flag', () => {
+    const question = essay(2);
+    const submission = pendingSubmission([question]);
+
+    expect(applyManualGrades(submission, [question], [{ questionId: question._id, points: 1.5 }])).toBeNull();
+    expect(submission.answers[0]).toMatchObject({ points: 1.5, isCorrect: true, pendingReview: false });
+    expect(submission.score.percentage).toBe(75);
+  });
+
+  it('adds up rubric levels, capped at the question points', () => {
+    const question = rubricEssay();
+    const submission = pendingSubmission([question]);
+    const rubric = question.rubric.map(criterion => ({ criterionId: criterion._id, levelId: criterion.levels[1]._id }));
+
+    expect(applyManualGrades(submission, [question], [{ questionId: question._id, rubric }])).toBeNull();
+    expect(submission.answers[0].points).toBe(4);
+    expect(submission.answers[0].rubricScores.map(score => score.level)).toEqual(['Strong', 'Good']);
+  });
+
+  it('needs a level for every rubric criterion', () => {
+    const question = rubricEssay();
+    const submission = pendingSubmission([question]);
+
+    expect(applyManualGrades(submission, [question], [{ questionId: question._id, rubric: [] }]))
+      .toBe('Select a level for "Content"');
+    expect(submission.answers[0].pendingReview).toBe(true);
+  });
+
+  it('rejects invalid grades and leaves the submission alone', () => {
+    const question = essay(2);
+    const submission = pendingSubmission([question]);
+
+    expect(applyManualGrades(submission, [question], [{ questionId: question._id, points: 9 }]))
+      .toBe(`Points for question ${question._id} must be between 0 and 2`);
+    expect(applyManualGrades(submission, [question], [{ questionId: id(), points: 1 }])).toMatch(/is not part of this quiz/);
+    expect(submission.answers[0].pendingReview).toBe(true);
+  });
+});
+
+describe('regradeAnswers', () => {
+  it('regrades against the corrected key but keeps teacher grades', () => {
+    const question = trueFalse('false');
+    const written = essay(2);
+    const submission = newSubmission({ status: 'needs-review' });
+    submission.answers = gradeAnswers([question, written], [
+      { questionId: question._id, answer: 'true' },
+      { questionId: written._id, answer: 'Essay' },
+    ]);
+    applyManualGrades(submission, [question, written], [{ questionId: written._id, points: 2 }]);
+
+    regradeAnswers(submission, [{ ...question, correctAnswer: 'true' }, written]);
+
+    expect(submission.answers.map(answer => answer.points)).toEqual([1, 2]);
+    expect(submission.score.percentage).toBe(100);
+    expect(submission.status).toBe('evaluated');
+  });
+});
+
+describe('regradeSubmissions', () => {
+  // Version 1 had questions a (worth 2, wrong key) and b; version 2 fixed a, dropped b and added c
+  const a = trueFalse('true', 1);
+  const c = trueFalse('true');
+  const b = trueFalse('true');
+  const quiz = {
+    _id: id(),
+    title: 'Cells',
+    version: 2,
+    questions: [a, c],
+    adjustAverageScore: jest.fn(),
+  };
+  const oldVersion = { version: 1, questions: [{ ...a, correctAnswer: 'false', points: 2 }, b] };
+  const student = { _id: id(), adjustAverageScore: jest.fn() };
+
+  beforeEach(() => {
+    jest.spyOn(QuizVersion, 'findOne').mockResolvedValue(oldVersion);
+    jest.spyOn(User, 'findById').mockResolvedValue(student);
+    jest.spyOn(Message, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(Submission.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('scores an older attempt out of its own questions with the current answer key', async () => {
+    const submission = newSubmission({ student: student._id, quizVersion: 1, status: 'evaluated' });
+    submission.answers = gradeAnswers(oldVersion.questions, [
+      { questionId: a._id, answer: 'true' },
+      { questionId: b._id, answer: 'true' },
+    ]);
+    submission.calculateScore(oldVersion.questions);
+    expect(submission.score.percentage).toBe(33);
+
+    const [result] = await regradeSubmissions(quiz, [submission], id());
+
+    expect(result).toMatchObject({ before: { total: 1, percentage: 33 }, after: { total: 3, percentage: 100 }, changed: true });
+    expect(submission.quizVersion).toBe(1);
+    expect(submission.regrades[0].quizVersion).toBe(2);
+    expect(quiz.adjustAverageScore).toHaveBeenCalledWith(67);
+    expect(student.adjustAverageScore).toHaveBeenCalledWith(67);
+    expect(Message.insertMany).toHaveBeenCalledWith([expect.objectContaining({ recipient: student._id, relatedSubmission: submission._id })]);
+  });
+});
+
+describe('adjustAverages', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('moves quiz and student averages by the score change', async () => {
+    const student = { adjustAverageScore: jest.fn() };
+    jest.spyOn(User, 'findById').mockResolvedValue(student);
+    const quiz = { adjustAverageScore: jest.fn() };
+    const submission = newSubmission({ status: 'evaluated', score: { percentage: 80 } });
+
+    await adjustAverages(submission, quiz, 50);
+
+    expect(quiz.adjustAverageScore).toHaveBeenCalledWith(30);
+    expect(student.adjustAverageScore).toHaveBeenCalledWith(30);
+  });
+
+  it('leaves averages alone when nothing changed or the attempt is still open', async () => {
+    const quiz = { adjustAverageScore: jest.fn() };
+    await adjustAverages(newSubmission({ status: 'evaluated', score: { percentage: 50 } }), quiz, 50);
+    await adjustAverages(newSubmission({ status: 'in-progress', score: { percentage: 80 } }), quiz, 50);
+    expect(quiz.adjustAverageScore).not.toHaveBeenCalled();
+  });
+});
+
+describe('finalizeSubmission', () => {
+  const questions = [trueFalse('true'), trueFalse('false'), essay(2)];
+  const quiz = {
+    version: 1,
+    questions,
+    settings: { autoGrade: true },
+    updateStatistics: jest.fn(),
+  };
+  const student = { updateStats: jest.fn() };
+
+  beforeEach(() => {
+    quiz.updateStatistics.mockClear();
+    student.updateStats.mockClear();
+    jest.spyOn(Question, 'recordResults').mockResolvedValue();
+    jest.spyOn(Submission, 'releaseAttempt').mockResolvedValue();
+    jest.spyOn(Submission.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('grades the answers given, in question order, and records statistics', async () => {
+    const submission = newSubmission();
+    await finalizeSubmission(submission, quiz, {
+      student,
+      answers: [
+        { questionId: questions[1]._id, answer: 'false' },
+        { questionId: questions[0]._id, answer: 'true' },
+      ],
+    });
+
+    expect(submission.answers.map(answer => answer.questionId.toString()))
+      .toEqual([questions[0]._id.toString(), questions[1]._id.toString()]);
+    expect(submission.score.total).toBe(2);
+    expect(submission.score.percentage).toBe(50);
+    expect(submission.status).toBe('evaluated');
+    expect(quiz.updateStatistics).toHaveBeenCalledWith(50);
+    expect(student.updateStats).toHaveBeenCalledWith(50);
+    expect(Submission.releaseAttempt).not.toHaveBeenCalled();
+  });
+
+  it('grades autosaved answers, ending the attempt at the given time', async () => {
+    const startTime = new Date(Date.now() - 60 * 60 * 1000);
+    const submission = newSubmission({ timing: { startTime, timeLimit: 600 } });
+    submission.answers = [{ questionId: questions[2]._id, answer: 'Essay' }];
+
+    await finalizeSubmission(submission, quiz, { student, endTime: submission.getExpiryTime() });
+
+    expect(submission.status).toBe('needs-review');
+    expect(submission.timing.totalTime).toBe(600);
+    expect(submission.late).toBe(false);
+  });
+
+  it('releases the claim when the graded attempt cannot be saved', async () => {
+    Submission.prototype.save.mockRejectedValue(new Error('write failed'));
+    const submission = newSubmission({ status: 'submitted' });
+
+    await expect(finalizeSubmission(submission, quiz, { student, answers: [] })).rejects.toThrow('write failed');
+
+    expect(Submission.releaseAttempt).toHaveBeenCalledWith(submission._id);
+    expect(quiz.updateStatistics).not.toHaveBeenCalled();
+  });
+});
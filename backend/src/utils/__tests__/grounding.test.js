@@ -0,0 +1,63 @@
+const { groundQuestions } = require('../grounding');
+
+const TEXT = 'Plants make food by photosynthesis. Chlorophyll absorbs light in the leaves. '
+  + 'The mitochondria release energy in cells.';
+
+const shortAnswer = (question, correctAnswer, extra = {}) => ({ type: 'short-answer', question, correctAnswer, ...extra });
+
+describe('groundQuestions', () => {
+  it('finds the sentence the model quoted, with its offset', () => {
+    const [grounding] = groundQuestions([{
+      type: 'multiple-choice',
+      question: 'What absorbs light?',
+      options: [{ text: 'Chlorophyll', isCorrect: true }, { text: 'Water', isCorrect: false }],
+      sourceQuote: 'Chlorophyll absorbs light in the leaves.',
+    }], TEXT);
+
+    expect(grounding).toEqual({ excerpt: 'Chlorophyll absorbs light in the leaves.', offset: TEXT.indexOf('Chlorophyll') });
+  });
+
+  it('falls back to the sentence sharing the most words when there is no usable quote', () => {
+    const [grounding] = groundQuestions([
+      shortAnswer('What releases energy in cells?', 'mitochondria', { sourceQuote: 'Something the text never says at all' }),
+    ], TEXT);
+
+    expect(grounding.excerpt).toBe('The mitochondria release energy in cells.');
+  });
+
+  it('rejects answers the text around the excerpt does not state', () => {
+    const [grounding] = groundQuestions([shortAnswer('What releases energy in cells?', 'ribosomes')], TEXT);
+    expect(grounding).toEqual({ reasons: ['"ribosomes" is not supported by the source text'] });
+  });
+
+  it('checks the statement itself for true/false questions', () => {
+    const [supported, unrelated] = groundQuestions([
+      { type: 'true-false', question: 'Chlorophyll absorbs light.', correctAnswer: 'true' },
+      { type: 'true-false', question: 'Volcanoes erupt lava', correctAnswer: 'true' },
+    ], TEXT);
+
+    expect(supported.excerpt).toBe('Chlorophyll absorbs light in the leaves.');
+    expect(unrelated).toEqual({ reasons: ['no passage of the source text matches the question'] });
+  });
+
+  it('accepts answers from the neighbouring sentence', () => {
+    const [grounding] = groundQuestions([
+      shortAnswer('How do plants make food?', 'photosynthesis and chlorophyll', { sourceQuote: 'Plants make food by photosynthesis.' }),
+    ], TEXT);
+
+    expect(grounding.excerpt).toBe('Plants make food by photosynthesis.');
+  });
+
+  it('does not check essays for an answer', () => {
+    const [grounding] = groundQuestions([{ type: 'essay', question: 'Discuss photosynthesis in plants' }], TEXT);
+    expect(grounding.excerpt).toBe('Plants make food by photosynthesis.');
+  });
+
+  it('cuts long excerpts off', () => {
+    const sentence = `Photosynthesis ${'happens in green leaves and '.repeat(30)}stops at night.`;
+    const [grounding] = groundQuestions([shortAnswer('When does photosynthesis stop?', 'night')], sentence);
+
+    expect(grounding.excerpt).toHaveLength(400);
+    expect(grounding.excerpt.endsWith('…')).toBe(true);
+  });
+});
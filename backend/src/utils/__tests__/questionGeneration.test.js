@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const AIUsage = require('../../models/AIUsage');
+const { withUsage, QuotaExceededError } = require('../ai/usage');
+const { buildChunks, allocateQuestions, generateQuestionsFromDocument } = require('../questionGeneration');
+
+// Under NODE_ENV=test the configured provider is the offline fake, so these run without a model
+const WORDS = [
+  'chlorophyll', 'membrane', 'enzyme', 'glucose', 'nucleus', 'ribosome', 'vacuole', 'cytoplasm',
+  'oxygen', 'carbon', 'nitrogen', 'protein', 'lipid', 'hormone', 'neuron', 'artery',
+  'vein', 'capillary', 'stomach', 'intestine', 'kidney', 'liver', 'pancreas', 'insulin',
+  'pollen', 'stamen', 'pistil', 'embryo', 'zygote', 'gamete', 'chromosome', 'allele',
+  'mutation', 'habitat', 'predator', 'parasite', 'fungus', 'bacteria', 'virus', 'antibody',
+  'plasma', 'platelet', 'cartilage', 'tendon', 'ligament', 'skeleton', 'muscle', 'cortex',
+  'retina', 'cochlea',
+];
+
+// One page per number, each long enough to become its own chunk. Every sentence uses different
+// words, so no two generated questions look like duplicates.
+const page = (number) => ({
+  page: number,
+  text: Array.from({ length: 130 }, (_, n) => {
+    const words = Array.from({ length: 8 }, (__, k) => WORDS[(number * 31 + n * 13 + k * 7) % WORDS.length]);
+    return `${words.join(' ')} ${number}-${n}.`;
+  }).join(' '),
+});
+
+const DOCUMENT = { sections: [1, 2, 3].map(page), metadata: {} };
+
+describe('buildChunks and allocateQuestions', () => {
+  it('packs pages into chunks and spreads the questions over them', () => {
+    const chunks = buildChunks(DOCUMENT.sections, 6);
+
+    expect(chunks.map(chunk => [chunk.section, chunk.pageFrom, chunk.pageTo])).toEqual([[1, 1, 1], [2, 2, 2], [3, 3, 3]]);
+    expect(allocateQuestions(chunks, 6)).toEqual([2, 2, 2]);
+    expect(allocateQuestions(chunks, 2).reduce((sum, count) => sum + count, 0)).toBe(2);
+  });
+
+  it('puts several short pages in one chunk, remembering where each starts', () => {
+    const [chunk] = buildChunks([{ page: 1, text: 'First page.' }, { page: 2, text: 'Second page.' }], 5);
+    expect(chunk.pageStarts).toEqual([{ page: 1, start: 0 }, { page: 2, start: 12 }]);
+  });
+});
+
+describe('generateQuestionsFromDocument', () => {
+  let ledger;
+
+  // AI calls are metered; keep the usage ledger in memory
+  beforeEach(() => {
+    ledger = [];
+    jest.spyOn(AIUsage, 'create').mockImplementation(async (entry) => {
+      ledger.push(entry);
+    });
+    jest.spyOn(AIUsage, 'aggregate').mockImplementation(async () => {
+      const attempts = ledger.reduce((sum, entry) => sum + (entry.attempts || 0), 0);
+      return attempts > 0 ? [{ attempts }] : [];
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('returns the questions asked for, grounded in their chunk, in document order', async () => {
+    const questions = await generateQuestionsFromDocument(DOCUMENT, { numberOfQuestions: 6, difficulty: 'medium' });
+
+    expect(questions).toHaveLength(6);
+    expect(questions.map(question => question.source.section)).toEqual([1, 1, 2, 2, 3, 3]);
+    questions.forEach(question => {
+      const { text } = DOCUMENT.sections[question.source.page - 1];
+      expect(text).toContain(question.source.excerpt);
+      expect(question).not.toHaveProperty('sourceQuote');
+    });
+  });
+
+  it('gives the same questions for the same document', async () => {
+    const options = { numberOfQuestions: 4, questionTypes: ['multiple-choice', 'true-false'] };
+    const first = await generateQuestionsFromDocument(DOCUMENT, options);
+    const second = await generateQuestionsFromDocument(DOCUMENT, options);
+
+    expect(second).toEqual(first);
+    expect(new Set(first.map(question => question.type))).toEqual(new Set(['multiple-choice', 'true-false']));
+  });
+
+  it('reports progress after every chunk', async () => {
+    const onProgress = jest.fn();
+    await generateQuestionsFromDocument(DOCUMENT, { numberOfQuestions: 3 }, onProgress);
+
+    expect(onProgress.mock.calls.map(([progress]) => [progress.completedChunks, progress.totalChunks]))
+      .toEqual([[1, 3], [2, 3], [3, 3]]);
+    expect(ledger.map(entry => entry.method)).toEqual(Array(3).fill('generateQuestionsFromText'));
+  });
+
+  it('stops once the uploader runs out of AI calls', async () => {
+    const user = { _id: new mongoose.Types.ObjectId(), role: 'teacher', aiDailyQuota: 2 };
+    const onProgress = jest.fn();
+
+    await expect(withUsage({ user, endpoint: 'generation job' }, () => (
+      generateQuestionsFromDocument(DOCUMENT, { numberOfQuestions: 6 }, onProgress)
+    ))).rejects.toThrow(QuotaExceededError);
+
+    expect(onProgress).toHaveBeenCalledTimes(2);
+    expect(ledger).toHaveLength(2);
+    expect(ledger.every(entry => entry.user === user._id)).toBe(true);
+  });
+});
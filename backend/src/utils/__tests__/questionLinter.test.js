@@ -0,0 +1,87 @@
+const { lintQuestions, errorMessages } = require('../questionLinter');
+
+const codes = (question, options) => lintQuestions([question], options)[0].map(({ code }) => code);
+
+const choice = (options, extra = {}) => ({
+  type: 'multiple-choice',
+  question: 'Which planet is closest to the sun?',
+  options: options.map(([text, isCorrect = false]) => ({ text, isCorrect })),
+  ...extra,
+});
+
+describe('lintQuestions', () => {
+  it('passes a well-formed question', () => {
+    expect(codes(choice([['Mercury', true], ['Venus'], ['Mars']]))).toEqual([]);
+  });
+
+  it('flags options that cannot be graded fairly', () => {
+    expect(codes(choice([['Mercury'], ['Venus']]))).toEqual(['no-correct-option']);
+    expect(codes(choice([['Mercury', true], ['Venus', true]]))).toEqual(['several-correct-options']);
+    expect(codes(choice([['Mercury', true], ['  ']]))).toEqual(['empty-option', 'too-few-options']);
+    expect(codes(choice([['Mercury', true], ['Venus'], ['venus!']]))).toEqual(['duplicate-options']);
+  });
+
+  it('only warns when every option of a multiple-select question is correct', () => {
+    const question = choice([['Mercury', true], ['Venus', true]], { type: 'multiple-select' });
+    expect(lintQuestions([question])[0]).toEqual([
+      { severity: 'warning', code: 'all-options-correct', message: 'Every option is marked correct' },
+    ]);
+  });
+
+  it('flags a stem that gives the answer away', () => {
+    const leaky = choice([['Mercury', true], ['Venus']], { question: 'Is Mercury the planet closest to the sun?' });
+    const fair = choice([['Mercury', true], ['Venus']], { question: 'Is Mercury or Venus closer to the sun?' });
+
+    expect(codes(leaky)).toEqual(['answer-in-question']);
+    expect(codes(fair)).toEqual([]);
+    expect(codes({ type: 'short-answer', question: 'What is the chemical symbol of gold (Au)?', correctAnswer: 'au' }))
+      .toEqual([]);
+    expect(codes({ type: 'short-answer', question: 'Name the red planet, Mars.', correctAnswer: 'Mars' }))
+      .toEqual(['answer-in-question']);
+  });
+
+  it('needs a correct answer for true-false and short-answer questions', () => {
+    expect(codes({ type: 'true-false', question: 'The sun is a star.', correctAnswer: 'yes' })).toEqual(['no-correct-answer']);
+    expect(codes({ type: 'short-answer', question: 'Name a gas giant.', correctAnswer: ' ' })).toEqual(['no-correct-answer']);
+    expect(codes({ type: 'essay', question: 'Describe the water cycle.' })).toEqual([]);
+  });
+
+  it('warns about hard reading for the difficulty', () => {
+    const question = {
+      type: 'essay',
+      question: 'Explain why the increasing concentration of atmospheric carbon dioxide influences the rate of photosynthesis in plants.',
+    };
+
+    expect(lintQuestions([question], { difficulty: 'medium' })[0]).toEqual([{
+      severity: 'warning',
+      code: 'reading-level',
+      message: 'Reads at about grade 14; medium questions should read at grade 12 or below',
+    }]);
+    expect(codes({ ...question, difficulty: 'hard' }, { difficulty: 'easy' })).toEqual([]);
+    expect(codes({ type: 'essay', question: 'Why is the sky blue?' }, { difficulty: 'easy' })).toEqual([]);
+  });
+
+  it('warns about near-duplicate questions after the first', () => {
+    const issues = lintQuestions([
+      { type: 'essay', question: 'Explain how plants make their food.' },
+      { type: 'essay', question: 'Explain how plants make their own food.' },
+      { type: 'essay', question: 'Describe the water cycle.' },
+    ]);
+
+    expect(issues.map(list => list.map(({ code }) => code))).toEqual([[], ['near-duplicate'], []]);
+    expect(issues[1][0].message).toBe('Nearly the same as question 1');
+  });
+
+  it('reports questions without text', () => {
+    expect(lintQuestions([null, { type: 'essay', question: '' }]).map(list => list[0].code))
+      .toEqual(['no-question-text', 'no-question-text']);
+  });
+});
+
+describe('errorMessages', () => {
+  it('keeps the messages of errors only', () => {
+    const [issues] = lintQuestions([choice([['Mercury', true], ['Venus', true], ['Venus']], { type: 'multiple-select' })]);
+
+    expect(errorMessages(issues)).toEqual(['Options 2 and 3 are the same']);
+  });
+});
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Question = require('../../models/Question');
+const { drawSectionQuestions } = require('../questionPools');
+
+const teacher = new mongoose.Types.ObjectId();
+
+const bankQuestion = (index, fields = {}) => new Question({
+  type: 'true-false',
+  question: `Bank question number ${index}`,
+  correctAnswer: 'true',
+  subject: 'Biology',
+  difficulty: 'easy',
+  tags: ['cells'],
+  createdBy: teacher,
+  ...fields,
+});
+
+const BANK = [
+  ...Array.from({ length: 6 }, (_, index) => bankQuestion(index)),
+  ...Array.from({ length: 4 }, (_, index) => bankQuestion(index + 6, { difficulty: 'hard', tags: ['cells', 'genetics'] })),
+];
+
+// Question.find over BANK, honouring the filters findSectionCandidates sets
+const findInBank = (query) => ({
+  sort: async () => BANK.filter(question => (
+    (!query._id || query._id.$in.some(poolId => poolId.toString() === question._id.toString()))
+    && (!query.tags || query.tags.$all.every(tag => question.tags.includes(tag)))
+    && (!query.difficulty || question.difficulty === query.difficulty)
+  )),
+});
+
+const quizWith = (sections, questions = []) => ({ createdBy: teacher, questions, sections });
+const ids = (questions) => questions.map(question => question._id.toString());
+
+describe('drawSectionQuestions', () => {
+  beforeEach(() => {
+    jest.spyOn(Question, 'find').mockImplementation(findInBank);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('draws the same questions for the same seed', async () => {
+    const quiz = quizWith([{ count: 3, points: 2 }]);
+    const first = await drawSectionQuestions(quiz, 'submission-1');
+
+    expect(first).toHaveLength(3);
+    expect(ids(await drawSectionQuestions(quiz, 'submission-1'))).toEqual(ids(first));
+  });
+
+  it('copies the bank question, with the section points and index', async () => {
+    const [drawn] = await drawSectionQuestions(quizWith([{ count: 1, points: 2 }]), 'seed');
+    const source = BANK.find(question => question._id.toString() === drawn._id.toString());
+
+    expect(drawn).toMatchObject({ question: source.question, correctAnswer: 'true', bankQuestion: source._id, points: 2, section: 0 });
+  });
+
+  it('draws only from the pool, tags and difficulty a section asks for', async () => {
+    const hard = await drawSectionQuestions(quizWith([{ count: 10, points: 1, tags: ['genetics'], difficulty: 'hard' }]), 'seed');
+    expect(hard).toHaveLength(4);
+    expect(hard.every(question => question.difficulty === 'hard')).toBe(true);
+
+    const pool = BANK.slice(0, 2).map(question => question._id);
+    const pooled = await drawSectionQuestions(quizWith([{ count: 5, points: 1, pool }]), 'seed');
+    expect(ids(pooled).sort()).toEqual(pool.map(String).sort());
+  });
+
+  it('never draws a question twice or next to its copy among the fixed questions', async () => {
+    const fixed = [{ _id: new mongoose.Types.ObjectId(), bankQuestion: BANK[0]._id }];
+    const drawn = await drawSectionQuestions(quizWith([{ count: 5, points: 1 }, { count: 5, points: 1 }], fixed), 'seed');
+
+    expect(drawn).toHaveLength(BANK.length - 1);
+    expect(new Set(ids(drawn)).size).toBe(drawn.length);
+    expect(ids(drawn)).not.toContain(BANK[0]._id.toString());
+  });
+});
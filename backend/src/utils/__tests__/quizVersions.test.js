@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Quiz = require('../../models/Quiz');
+const QuizVersion = require('../../models/QuizVersion');
+const Submission = require('../../models/Submission');
+const {
+  diffQuestions,
+  hasContentChanges,
+  loadQuizVersion,
+  getAttemptQuestions,
+  getRegradeQuestions,
+} = require('../quizVersions');
+
+const trueFalse = (question, correctAnswer, points = 1) => ({ type: 'true-false', question, correctAnswer, points });
+
+const newQuiz = (questions, version = 1) => new Quiz({
+  title: 'Cells',
+  subject: 'Biology',
+  createdBy: new mongoose.Types.ObjectId(),
+  questions,
+  version,
+});
+
+describe('diffQuestions', () => {
+  it('reports added, removed and changed questions by id', () => {
+    const quiz = newQuiz([trueFalse('Cells have walls?', 'true'), trueFalse('Cells divide?', 'true')]);
+    const [kept, removed] = quiz.questions;
+    const edited = { ...kept.toObject(), correctAnswer: 'false', points: 2 };
+    const added = { _id: new mongoose.Types.ObjectId(), ...trueFalse('Cells breathe?', 'true') };
+
+    const diff = diffQuestions(quiz.questions, [edited, added]);
+
+    expect(diff.added.map(q => q.question)).toEqual(['Cells breathe?']);
+    expect(diff.removed.map(q => q._id)).toEqual([removed._id]);
+    expect(diff.changed).toEqual([expect.objectContaining({ _id: kept._id, fields: ['correctAnswer', 'points'] })]);
+  });
+});
+
+describe('hasContentChanges', () => {
+  const quiz = newQuiz([trueFalse('Cells have walls?', 'true'), trueFalse('Cells divide?', 'true')]);
+  const questions = () => quiz.questions.map(q => q.toObject());
+
+  it('ignores updates that leave the questions as they are, or only reorder them', () => {
+    expect(hasContentChanges(quiz, {})).toBe(false);
+    expect(hasContentChanges(quiz, { questions: questions().reverse() })).toBe(false);
+  });
+
+  it('notices edited questions and sections', () => {
+    const [first, second] = questions();
+    expect(hasContentChanges(quiz, { questions: [{ ...first, correctAnswer: 'false' }, second] })).toBe(true);
+    expect(hasContentChanges(quiz, { sections: [{ count: 2, points: 1 }] })).toBe(true);
+  });
+});
+
+describe('questions of an attempt', () => {
+  // Version 1 had questions a and b; version 2 fixed a's key, dropped b and added c
+  const quiz = newQuiz([trueFalse('Question a?', 'true'), trueFalse('Question c?', 'true')], 2);
+  const [a, c] = quiz.questions;
+  const oldVersion = {
+    version: 1,
+    questions: [{ ...a.toObject(), correctAnswer: 'false', points: 2 }, { _id: new mongoose.Types.ObjectId(), ...trueFalse('Question b?', 'true') }],
+  };
+  const b = oldVersion.questions[1];
+  const attempt = (quizVersion) => new Submission({
+    quiz: quiz._id,
+    student: new mongoose.Types.ObjectId(),
+    quizVersion,
+    timing: { startTime: new Date() },
+  });
+  const ids = (questions) => questions.map(q => q._id.toString());
+
+  beforeEach(() => {
+    jest.spyOn(QuizVersion, 'findOne').mockImplementation(async ({ version }) => (version === 1 ? oldVersion : null));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('loads the version a submission was taken on', async () => {
+    expect(await loadQuizVersion(quiz, 2)).toBe(quiz);
+    expect(await loadQuizVersion(quiz, 1)).toBe(oldVersion);
+    expect(ids(await getAttemptQuestions(attempt(1), quiz))).toEqual(ids([a, b]));
+  });
+
+  it('regrades with the current answer key but the attempt\'s own questions and points', async () => {
+    const questions = await getRegradeQuestions(attempt(1), quiz);
+
+    expect(ids(questions)).toEqual(ids([a, b]));
+    expect(questions[0]).toMatchObject({ correctAnswer: 'true', points: 2 });
+    expect(questions[1]).toBe(b);
+  });
+});
@@ -0,0 +1,88 @@
+const {
+  normalizeAnswer,
+  similarity,
+  parseNumericAnswer,
+  isValidPattern,
+  matchShortAnswer,
+} = require('../shortAnswerMatcher');
+
+const question = (answerRules = {}, correctAnswer = 'Photosynthesis') => ({ correctAnswer, answerRules });
+
+describe('normalizeAnswer', () => {
+  it('collapses whitespace and drops case and punctuation by default', () => {
+    expect(normalizeAnswer('  The   Cell-Wall! ')).toBe('the cell wall');
+  });
+
+  it('keeps case and punctuation when asked to', () => {
+    expect(normalizeAnswer('H2O!', { caseSensitive: true, ignorePunctuation: false })).toBe('H2O!');
+  });
+});
+
+describe('similarity', () => {
+  it('is 1 for identical strings and falls with each edit', () => {
+    expect(similarity('kitten', 'kitten')).toBe(1);
+    expect(similarity('kitten', 'sitting')).toBeCloseTo(1 - 3 / 7);
+    expect(similarity('', '')).toBe(1);
+  });
+});
+
+describe('parseNumericAnswer', () => {
+  it('splits a value from its unit', () => {
+    expect(parseNumericAnswer('9.81 m/s')).toEqual({ value: 9.81, unit: 'm/s' });
+    expect(parseNumericAnswer('1,000')).toEqual({ value: 1000, unit: '' });
+    expect(parseNumericAnswer('about ten')).toBeNull();
+  });
+});
+
+describe('matchShortAnswer', () => {
+  it('accepts the correct answer and accepted alternatives', () => {
+    expect(matchShortAnswer(question(), 'photosynthesis.')).toBe('exact');
+    expect(matchShortAnswer(question({ acceptedAnswers: ['photo synthesis'] }), 'Photo Synthesis')).toBe('exact');
+    expect(matchShortAnswer(question(), 'respiration')).toBeNull();
+    expect(matchShortAnswer(question(), '   ')).toBeNull();
+  });
+
+  it('respects case sensitivity', () => {
+    expect(matchShortAnswer(question({ caseSensitive: true }, 'NaCl'), 'nacl')).toBeNull();
+    expect(matchShortAnswer(question({ caseSensitive: true }, 'NaCl'), 'NaCl')).toBe('exact');
+  });
+
+  it('matches teacher patterns', () => {
+    const rules = { patterns: ['^photo\\s*synth'] };
+    expect(matchShortAnswer(question(rules), 'Photo synthesising')).toBe('pattern');
+    expect(matchShortAnswer(question({ ...rules, caseSensitive: true }), 'Photo synthesising')).toBeNull();
+  });
+
+  it('accepts near misses above the fuzzy threshold', () => {
+    expect(matchShortAnswer(question({ fuzzyThreshold: 0.85 }), 'photosynthesys')).toBe('fuzzy');
+    expect(matchShortAnswer(question({ fuzzyThreshold: 0.85 }), 'photography')).toBeNull();
+  });
+
+  it('compares numeric answers within the tolerance and units', () => {
+    const rules = { numeric: { enabled: true, value: 9.81, tolerance: 0.05, units: ['m/s2'], unitRequired: true } };
+    expect(matchShortAnswer(question(rules, '9.81'), '9.8 m/s2')).toBe('numeric');
+    expect(matchShortAnswer(question(rules, '9.81'), '9.8')).toBeNull();
+    expect(matchShortAnswer(question(rules, '9.81'), '9.7 m/s2')).toBeNull();
+    expect(matchShortAnswer(question(rules, '9.81'), '9.8 km')).toBeNull();
+  });
+
+  it('matches patterns that would backtrack catastrophically in linear time', () => {
+    const started = Date.now();
+    const answer = `${'a'.repeat(999)}!`;
+    expect(matchShortAnswer(question({ patterns: ['^(a+)+$'] }, 'zzz'), answer)).toBeNull();
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
+
+describe('isValidPattern', () => {
+  it('accepts patterns RE2 can run', () => {
+    expect(isValidPattern('^mito\\w*$')).toBe(true);
+    expect(isValidPattern('(a+)+$')).toBe(true);
+  });
+
+  it('rejects invalid patterns, lookarounds and backreferences', () => {
+    expect(isValidPattern('[')).toBe(false);
+    expect(isValidPattern('(?=a)b')).toBe(false);
+    expect(isValidPattern('(a)\\1')).toBe(false);
+  });
+});
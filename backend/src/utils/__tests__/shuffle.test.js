@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const Submission = require('../../models/Submission');
+const { hashSeed, createRandom, seededShuffle } = require('../shuffle');
+
+const ITEMS = Array.from({ length: 20 }, (_, i) => i);
+
+describe('hashSeed', () => {
+  it('gives the same unsigned 32-bit seed for the same string', () => {
+    expect(hashSeed('submission-1')).toBe(hashSeed('submission-1'));
+    expect(hashSeed('submission-1')).not.toBe(hashSeed('submission-2'));
+    expect(hashSeed('')).toBe(2166136261);
+  });
+});
+
+describe('createRandom', () => {
+  it('repeats the same sequence of numbers in [0, 1) for a seed', () => {
+    const first = createRandom(42);
+    const second = createRandom(42);
+    const values = Array.from({ length: 100 }, () => first());
+
+    expect(values).toEqual(Array.from({ length: 100 }, () => second()));
+    values.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+});
+
+describe('seededShuffle', () => {
+  it('gives the same order for the same seed', () => {
+    expect(seededShuffle(ITEMS, 'abc')).toEqual(seededShuffle(ITEMS, 'abc'));
+  });
+
+  it('gives different orders for different seeds', () => {
+    expect(seededShuffle(ITEMS, 'abc')).not.toEqual(seededShuffle(ITEMS, 'abd'));
+  });
+
+  it('keeps every item and leaves the input alone', () => {
+    const input = [...ITEMS];
+    const shuffled = seededShuffle(input, 'abc');
+
+    expect([...shuffled].sort((a, b) => a - b)).toEqual(ITEMS);
+    expect(input).toEqual(ITEMS);
+  });
+
+  it('handles empty and single-item lists', () => {
+    expect(seededShuffle([], 'abc')).toEqual([]);
+    expect(seededShuffle(['only'], 'abc')).toEqual(['only']);
+  });
+});
+
+describe('Submission ordering', () => {
+  const id = () => new mongoose.Types.ObjectId();
+  const questions = Array.from({ length: 8 }, (_, index) => ({
+    _id: id(),
+    question: `Question ${index}`,
+    options: ['A', 'B', 'C', 'D'].map(text => ({ _id: id(), text })),
+  }));
+  const quiz = (settings) => ({ questions, settings });
+  const texts = (ordered) => ordered.map(question => [question.question, question.options.map(option => option.text).join('')]);
+
+  it('shows an attempt the same order every time it is loaded', () => {
+    const submission = new Submission({ quiz: id(), student: id(), timing: { startTime: new Date() } });
+    submission.generateOrdering(quiz({ shuffleQuestions: true, shuffleOptions: true }));
+
+    const reloaded = new Submission(submission.toObject());
+    expect(texts(reloaded.orderQuestions(questions))).toEqual(texts(submission.orderQuestions(questions)));
+    expect(texts(submission.orderQuestions(questions))).not.toEqual(texts(questions));
+  });
+
+  it('keeps the authored order when shuffling is off', () => {
+    const submission = new Submission({ quiz: id(), student: id(), timing: { startTime: new Date() } });
+    submission.generateOrdering(quiz({ shuffleQuestions: false, shuffleOptions: false }));
+
+    expect(texts(submission.orderQuestions(questions))).toEqual(texts(questions));
+  });
+});
@@ -0,0 +1,55 @@
+const { createProvider } = require('../providers');
+const GeminiProvider = require('../providers/gemini');
+const OpenAICompatibleProvider = require('../providers/openaiCompatible');
+const FakeProvider = require('../providers/fake');
+
+describe('createProvider', () => {
+  it('uses AI_PROVIDER, else Gemini when a key is set, else the fake under test only', () => {
+    expect(createProvider({ AI_PROVIDER: 'openai', OPENAI_BASE_URL: 'http://localhost:11434/v1', AI_MODEL: 'llama3' }))
+      .toBeInstanceOf(OpenAICompatibleProvider);
+    expect(createProvider({ GEMINI_API_KEY: 'key' })).toBeInstanceOf(GeminiProvider);
+    expect(createProvider({ NODE_ENV: 'test' })).toBeInstanceOf(FakeProvider);
+    expect(() => createProvider({ NODE_ENV: 'production' })).toThrow('AI provider not configured');
+  });
+
+  it('rejects unknown providers', () => {
+    expect(() => createProvider({ AI_PROVIDER: 'gemni' })).toThrow('Unknown AI_PROVIDER "gemni"');
+  });
+});
+
+describe('utils/ai', () => {
+  const env = process.env;
+
+  // A fresh copy of the module, loaded with the given environment
+  const loadAI = (overrides) => {
+    process.env = { ...env, ...overrides };
+    delete process.env.GEMINI_API_KEY;
+    delete process.env.AI_PROVIDER;
+    let ai;
+    jest.isolateModules(() => {
+      ai = require('..');
+    });
+    return ai;
+  };
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  it('loads without a provider and rejects AI calls with a 503', async () => {
+    const ai = loadAI({ NODE_ENV: 'production' });
+
+    await expect(ai.evaluateSubmission({}, {}, [], [])).rejects.toMatchObject({
+      statusCode: 503,
+      message: expect.stringContaining('AI provider not configured. Set GEMINI_API_KEY'),
+    });
+    expect(() => ai.getProvider()).toThrow('AI provider not configured');
+  });
+
+  it('creates the provider on the first call and keeps it', () => {
+    const ai = loadAI({ NODE_ENV: 'test' });
+
+    expect(ai.getProvider().constructor.name).toBe('FakeProvider');
+    expect(ai.getProvider()).toBe(ai.getProvider());
+  });
+});
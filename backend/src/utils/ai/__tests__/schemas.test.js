@@ -0,0 +1,95 @@
+const { OutputError, SCHEMAS, extractJson, validateOutput } = require('../schemas');
+
+const extractQuestions = (text) => extractJson(text, SCHEMAS.questions.shape);
+
+describe('extractJson', () => {
+  it('reads JSON wrapped in code fences and text, with trailing commas', () => {
+    const text = 'Here you go:\n```json\n[{"type": "essay", "question": "Why?",},]\n```\nAnything else?';
+    expect(extractQuestions(text)).toEqual([{ type: 'essay', question: 'Why?' }]);
+  });
+
+  it.each([
+    ['', 'The response was empty'],
+    ['Sorry, I cannot help with that.', 'The response contains no JSON array'],
+    ['[{"type": "essay", "question": "Why', 'The JSON in the response is cut off'],
+  ])('throws an OutputError for %j', (text, message) => {
+    expect(() => extractQuestions(text)).toThrow(OutputError);
+    expect(() => extractQuestions(text)).toThrow(message);
+  });
+});
+
+describe('validateOutput', () => {
+  describe('questions', () => {
+    it('repairs fixable mistakes and lists what it changed', () => {
+      const { data, discarded, repaired } = validateOutput('questions', [
+        { type: 'Multiple Choice', question: 'Capital of France?', options: ['Paris', 'Rome'], correctAnswer: 'Paris', points: '2' },
+        { type: 'true/false', question: 'The sky is blue.', correctAnswer: 'True' },
+      ]);
+
+      expect(data).toEqual([
+        {
+          type: 'multiple-choice',
+          question: 'Capital of France?',
+          options: [{ text: 'Paris', isCorrect: true }, { text: 'Rome', isCorrect: false }],
+          points: 2,
+        },
+        { type: 'true-false', question: 'The sky is blue.', correctAnswer: 'true' },
+      ]);
+      expect(discarded).toEqual([]);
+      expect(repaired).toEqual([
+        {
+          index: 0,
+          changes: ['type "Multiple Choice" read as multiple-choice', 'options given as plain strings', 'correct option taken from correctAnswer'],
+        },
+        { index: 1, changes: ['type "true/false" read as true-false', 'correctAnswer "True" read as "true"'] },
+      ]);
+    });
+
+    it('drops questions that cannot be repaired and keeps the rest', () => {
+      const matching = { type: 'matching', question: 'Match these' };
+      const { data, discarded } = validateOutput('questions', [
+        { type: 'essay', question: 'Discuss.' },
+        matching,
+        { type: 'multiple-choice', question: 'Pick', options: [{ text: 'a', isCorrect: false }, { text: 'b', isCorrect: false }] },
+      ]);
+
+      expect(data).toHaveLength(1);
+      expect(discarded).toEqual([
+        { index: 1, item: matching, reasons: ['unknown type "matching"'] },
+        expect.objectContaining({ index: 2, reasons: ['no option is marked correct'] }),
+      ]);
+    });
+
+    it('throws an OutputError when nothing is usable', () => {
+      expect(() => validateOutput('questions', [{ type: 'matching' }])).toThrow(OutputError);
+      expect(() => validateOutput('questions', [])).toThrow('The questions array is empty');
+    });
+  });
+
+  it('repairs AI insights given in the wrong shape', () => {
+    const { data, repaired } = validateOutput('aiInsights', {
+      strengths: 'Clear answers',
+      weaknesses: ['Units'],
+      recommendations: [],
+      detailedAnalysis: ['Good work.', 'Check units.'],
+    });
+
+    expect(data).toEqual({
+      strengths: ['Clear answers'],
+      weaknesses: ['Units'],
+      recommendations: [],
+      detailedAnalysis: 'Good work. Check units.',
+    });
+    expect(repaired).toEqual([{ changes: ['strengths given as text and split into a list', 'detailedAnalysis given as a list and joined'] }]);
+  });
+
+  it('drops grade suggestions for questions that were not asked about', () => {
+    const { data, discarded } = validateOutput('gradeSuggestions', [
+      { questionId: 'q1', points: '1.5', justification: 'Mostly right' },
+      { questionId: 'q9', points: 1, justification: 'Made up' },
+    ], { questionIds: ['q1'] });
+
+    expect(data).toEqual([{ questionId: 'q1', points: 1.5, justification: 'Mostly right' }]);
+    expect(discarded.map(item => item.reasons)).toEqual([['unknown questionId "q9"']]);
+  });
+});
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const AIUsage = require('../../../models/AIUsage');
+const AICache = require('../../../models/AICache');
+const PromptProvider = require('../promptProvider');
+const { withUsage, roleQuotas, dailyQuota, QuotaExceededError, hasQuotaLeft } = require('../usage');
+const { aiQuota } = require('../../../middleware/aiQuota');
+
+const QUESTION = '[{"type": "essay", "question": "Why do leaves change colour?"}]';
+
+// Answers prompts with the given responses in turn
+class ScriptedProvider extends PromptProvider {
+  constructor(responses) {
+    super();
+    this.model = 'scripted';
+    this.responses = responses;
+    this.prompts = [];
+  }
+
+  async complete(prompt) {
+    this.prompts.push(prompt);
+    return this.responses[Math.min(this.prompts.length, this.responses.length) - 1];
+  }
+}
+
+const teacher = (aiDailyQuota) => ({ _id: new mongoose.Types.ObjectId(), role: 'teacher', aiDailyQuota });
+
+describe('quotas', () => {
+  it('takes role quotas from the environment, ignoring invalid values', () => {
+    expect(roleQuotas({ AI_DAILY_QUOTA_STUDENT: '5', AI_DAILY_QUOTA_TEACHER: '-1', AI_DAILY_QUOTA_ADMIN: 'lots' }))
+      .toEqual({ student: 5, teacher: 200, admin: 0 });
+  });
+
+  it("prefers the user's own quota to their role's", () => {
+    expect(dailyQuota({ role: 'student' })).toBe(20);
+    expect(dailyQuota({ role: 'student', aiDailyQuota: 3 })).toBe(3);
+    expect(dailyQuota({ role: 'student', aiDailyQuota: 0 })).toBe(0);
+  });
+});
+
+describe('PromptProvider usage', () => {
+  let ledger;
+  let cache;
+
+  beforeEach(() => {
+    ledger = [];
+    cache = new Map();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(AIUsage, 'create').mockImplementation(async (entry) => {
+      ledger.push(entry);
+    });
+    jest.spyOn(AIUsage, 'aggregate').mockImplementation(async () => {
+      const attempts = ledger.filter(entry => !entry.cached).reduce((sum, entry) => sum + entry.attempts, 0);
+      return attempts > 0 ? [{ attempts }] : [];
+    });
+    jest.spyOn(AICache, 'findOneAndUpdate').mockImplementation(({ key }) => ({
+      lean: async () => cache.get(key) || null,
+    }));
+    jest.spyOn(AICache, 'updateOne').mockImplementation(async ({ key }, entry) => {
+      cache.set(key, entry);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('retries unusable answers and records every attempt', async () => {
+    const provider = new ScriptedProvider(['Sorry, no.', QUESTION]);
+    const { data, report } = await provider.generateQuestionsFromText('Leaves change colour in autumn.');
+
+    expect(data).toEqual([{ type: 'essay', question: 'Why do leaves change colour?' }]);
+    expect(report).toMatchObject({ attempts: 2, rejectedResponses: [{ attempt: 1, reason: 'The response contains no JSON array' }] });
+    expect(provider.prompts[1]).toContain('Your previous response could not be used');
+    expect(ledger).toEqual([expect.objectContaining({ method: 'generateQuestionsFromText', attempts: 2, success: true })]);
+  });
+
+  it('answers a repeated prompt from the cache without asking the model', async () => {
+    const provider = new ScriptedProvider([QUESTION]);
+    await provider.generateQuestionsFromText('Leaves change colour in autumn.');
+    const { report } = await provider.generateQuestionsFromText('Leaves change colour in autumn.');
+
+    expect(report.cached).toBe(true);
+    expect(provider.prompts).toHaveLength(1);
+    expect(ledger.map(entry => entry.cached)).toEqual([undefined, true]);
+  });
+
+  it('stops retrying once the user runs out of AI calls', async () => {
+    const user = teacher(2);
+    const provider = new ScriptedProvider(['Sorry, no.']);
+
+    await expect(withUsage({ user, endpoint: 'test' }, () => (
+      provider.generateQuestionsFromText('Leaves change colour in autumn.')
+    ))).rejects.toThrow(QuotaExceededError);
+
+    expect(provider.prompts).toHaveLength(2);
+    expect(ledger).toEqual([expect.objectContaining({ user: user._id, attempts: 2, success: false })]);
+    expect(await hasQuotaLeft(user)).toBe(false);
+    expect(await hasQuotaLeft(teacher(0))).toBe(true);
+  });
+
+  it('refuses requests from users without AI calls left with a 429', async () => {
+    ledger.push({ attempts: 1 });
+    const next = jest.fn();
+    const res = await new Promise((resolve) => {
+      const response = { status: jest.fn().mockReturnThis(), json: jest.fn(() => resolve(response)) };
+      aiQuota({ user: teacher(1), method: 'POST', baseUrl: '/api/practice' }, response, next);
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ success: false, metadata: { quota: { limit: 1, used: 1 } } });
+  });
+});
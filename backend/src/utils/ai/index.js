@@ -0,0 +1,31 @@
+const { createProvider } = require('./providers');
+
+const METHODS = [
+  'generateQuestionsFromText',
+  'evaluateSubmission',
+  'suggestGrades',
+  'generatePracticeQuiz',
+  'analyzePerformanceTrends',
+];
+
+let provider;
+
+// The configured provider, created on first use so the server starts without AI settings.
+// Throws a 503 error saying which setting is missing or wrong until one is configured.
+const getProvider = () => {
+  if (!provider) {
+    try {
+      provider = createProvider();
+    } catch (error) {
+      throw Object.assign(error, { statusCode: 503 });
+    }
+  }
+  return provider;
+};
+
+// Every provider offers the same methods; these forward to the configured one and reject
+// when there is none, so auth, quizzes and reports keep working without AI
+module.exports = {
+  ...Object.fromEntries(METHODS.map(method => [method, async (...args) => getProvider()[method](...args)])),
+  getProvider,
+};
@@ -0,0 +1,331 @@
+const { OutputError, SCHEMAS, extractJson, validateOutput } = require('./schemas');
+const {
+  estimateTokens, recordUsage, QuotaExceededError, checkContextQuota, cacheKey, findCached, storeCached,
+} = require('./usage');
+
+const MAX_ATTEMPTS = 3; // first try plus two corrective retries
+
+// Methods whose answers are cached; practice quizzes are not, so every one is new
+const CACHED_METHODS = ['generateQuestionsFromText', 'evaluateSubmission', 'suggestGrades', 'analyzePerformanceTrends'];
+
+// The original prompt again, told what was wrong with the last answer
+const correctivePrompt = (prompt, problem) => `${prompt}
+
+      Your previous response could not be used: ${problem}.
+      Respond again with only the JSON described above and no other text.
+    `;
+
+// Shared base of the LLM providers that work from prompts (see providers/). Each method builds a
+// prompt, asks the model for JSON and validates it against a schema (schemas.js); subclasses only
+// implement complete(prompt) and set this.model to the model's name.
+//
+// Every method resolves to { data, report }. report lists what validation changed:
+// { attempts, rejectedResponses: [{ attempt, reason }], discarded: [{ index, item, reasons }],
+//   repaired: [{ index, changes }], cached }
+// Methods reject with a QuotaExceededError once the user has no AI calls left today.
+class PromptProvider {
+  // Raw text of the model's answer to a prompt
+  async complete() {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+
+  // Validated answer to a prompt for one of the methods below. An identical earlier prompt is
+  // answered from the cache; every call is recorded in the usage ledger (usage.js), and every
+  // model request first checks the daily quota of the user it is made for.
+  async generateValidated(method, prompt, schema, context) {
+    const usage = { provider: this.constructor.name, model: this.model, method, prompt };
+    const key = CACHED_METHODS.includes(method) && cacheKey([usage.provider, usage.model, schema, context, prompt]);
+
+    const cached = key && await findCached(key);
+    if (cached) {
+      await recordUsage({ ...usage, cached: true });
+      return { data: cached.data, report: { ...cached.report, cached: true } };
+    }
+
+    const started = Date.now();
+    const counts = { attempts: 0, promptTokens: 0, responseTokens: 0 };
+    const record = (outcome) => recordUsage({ ...usage, ...counts, latencyMs: Date.now() - started, ...outcome });
+    try {
+      const result = await this.askUntilValid(prompt, schema, context, counts);
+      await record({ success: true });
+      if (key) await storeCached(key, method, result);
+      return result;
+    } catch (error) {
+      // Refused before any request was made, so there is nothing to record
+      if (counts.attempts > 0) {
+        await record({ success: false, error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  // Ask until the answer passes the schema, at most MAX_ATTEMPTS times. Unusable answers are
+  // retried with a prompt that says what was wrong; usable ones keep their valid items only.
+  // counts tallies the attempts and estimated tokens as they happen.
+  async askUntilValid(prompt, schema, context, counts) {
+    const rejectedResponses = [];
+    let currentPrompt = prompt;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      await checkContextQuota(counts.attempts);
+      counts.attempts = attempt;
+      counts.promptTokens += estimateTokens(currentPrompt);
+      const text = await this.complete(currentPrompt);
+      counts.responseTokens += estimateTokens(text);
+      try {
+        const { data, discarded, repaired } = validateOutput(schema, extractJson(text, SCHEMAS[schema].shape), context);
+        return { data, report: { attempts: attempt, rejectedResponses, discarded, repaired, cached: false } };
+      } catch (error) {
+        if (!(error instanceof OutputError)) throw error;
+        rejectedResponses.push({ attempt, reason: error.message });
+        currentPrompt = correctivePrompt(prompt, error.message);
+      }
+    }
+
+    throw new Error(`No valid response after ${MAX_ATTEMPTS} attempts: ${rejectedResponses.map(r => r.reason).join('; ')}`);
+  }
+
+  // Generate questions from PDF text
+  async generateQuestionsFromText(text, options = {}) {
+    const {
+      numberOfQuestions = 10,
+      difficulty = 'medium',
+      questionTypes = ['multiple-choice', 'short-answer'],
+      subject = 'General',
+    } = options;
+
+    const prompt = `
+      As an expert educator, generate ${numberOfQuestions} high-quality quiz questions based on the following text content.
+      
+      Content: "${text}"
+      
+      Requirements:
+      - Difficulty level: ${difficulty}
+      - Question types: ${questionTypes.join(', ')}
+      - Subject: ${subject}
+      - Each question should test understanding, not just memorization
+      - For multiple-choice questions, provide 4 options with only one correct answer
+      - Include explanations for correct answers
+      - Ensure questions are clear and unambiguous
+      - Only ask about what the content states, and copy the sentence of the content that supports each answer word for word into sourceQuote
+      
+      Please format your response as a JSON array with the following structure:
+      [
+        {
+          "type": "multiple-choice",
+          "question": "Question text here?",
+          "options": [
+            {"text": "Option A", "isCorrect": false},
+            {"text": "Option B", "isCorrect": true},
+            {"text": "Option C", "isCorrect": false},
+            {"text": "Option D", "isCorrect": false}
+          ],
+          "explanation": "Explanation of the correct answer",
+          "sourceQuote": "Sentence of the content that supports the answer",
+          "difficulty": "${difficulty}",
+          "points": 1
+        },
+        {
+          "type": "short-answer",
+          "question": "Question text here?",
+          "correctAnswer": "Expected answer",
+          "explanation": "Explanation of the answer",
+          "sourceQuote": "Sentence of the content that supports the answer",
+          "difficulty": "${difficulty}",
+          "points": 2
+        }
+      ]
+      
+      Generate exactly ${numberOfQuestions} questions. Ensure the JSON is valid and properly formatted.
+    `;
+
+    try {
+      return await this.generateValidated('generateQuestionsFromText', prompt, 'questions');
+    } catch (error) {
+      console.error('Error generating questions:', error);
+      throw error instanceof QuotaExceededError ? error : new Error('Failed to generate questions from content');
+    }
+  }
+
+  // Render a stored answer as text; option answers are stored as option ids
+  describeAnswer(question, answer) {
+    if (question.type !== 'multiple-choice' && question.type !== 'multiple-select') {
+      return answer;
+    }
+
+    const refs = Array.isArray(answer) ? answer : [answer];
+    return refs.map(ref => {
+      const option = question.options.find(opt => opt._id && opt._id.toString() === String(ref));
+      return option ? option.text : ref;
+    }).join(', ');
+  }
+
+  // Evaluate quiz submission and provide AI feedback; questions default to the current quiz version
+  async evaluateSubmission(quiz, submission, studentAnswers, questions = submission.getQuestions(quiz)) {
+    const prompt = `
+      As an expert educator, evaluate this quiz submission and provide detailed feedback.
+      
+      Quiz Title: ${quiz.title}
+      Subject: ${quiz.subject}
+      
+      Questions and Student Answers:
+      ${questions.map((q, index) => {
+        const studentAnswer = studentAnswers.find(a => a.questionId.toString() === q._id.toString());
+        const hasOptions = q.type === 'multiple-choice' || q.type === 'multiple-select';
+        return `
+        Question ${index + 1}: ${q.question}
+        Type: ${q.type}
+        ${hasOptions ? `Options: ${q.options.map(opt => opt.text).join(', ')}` : ''}
+        Correct Answer: ${hasOptions ? q.options.filter(opt => opt.isCorrect).map(opt => opt.text).join(', ') : q.correctAnswer}
+        Student Answer: ${studentAnswer ? this.describeAnswer(q, studentAnswer.answer) : 'No answer provided'}
+        Points: ${q.points || 1}
+        `;
+      }).join('\n')}
+      
+      Current Score: ${submission.score.total}/${quiz.metadata.totalPoints} (${submission.score.percentage}%)
+      
+      Please provide:
+      1. Strengths - What the student did well (array of strings)
+      2. Weaknesses - Areas for improvement (array of strings)  
+      3. Recommendations - Specific study suggestions (array of strings)
+      4. Detailed Analysis - Overall performance analysis (string)
+      
+      Format your response as JSON:
+      {
+        "strengths": ["strength 1", "strength 2"],
+        "weaknesses": ["weakness 1", "weakness 2"],
+        "recommendations": ["recommendation 1", "recommendation 2"],
+        "detailedAnalysis": "Comprehensive analysis of the student's performance..."
+      }
+    `;
+
+    try {
+      return await this.generateValidated('evaluateSubmission', prompt, 'aiInsights');
+    } catch (error) {
+      console.error('Error evaluating submission:', error);
+      throw error instanceof QuotaExceededError ? error : new Error('Failed to generate AI feedback');
+    }
+  }
+
+  // Suggest scores for written answers; graded is a list of { question, answer } pairs
+  async suggestGrades(quiz, graded) {
+    const prompt = `
+      As an expert educator, grade the following written answers from a quiz.
+
+      Quiz Title: ${quiz.title}
+      Subject: ${quiz.subject}
+
+      ${graded.map(({ question, answer }) => `
+        Question ID: ${question._id}
+        Question: ${question.question}
+        Type: ${question.type}
+        Maximum Points: ${question.points || 1}
+        ${question.correctAnswer ? `Reference Answer: ${question.correctAnswer}` : ''}
+        ${question.rubric?.length ? `Rubric (choose one level per criterion):
+        ${question.rubric.map(criterion => `- Criterion ${criterion._id} "${criterion.title}": ${criterion.levels.map(level => `level ${level._id} "${level.label}" = ${level.points} points`).join('; ')}`).join('\n        ')}` : ''}
+        Student Answer: ${answer.answer}
+      `).join('\n')}
+
+      For each answer, suggest a score between 0 and the maximum points and a short justification
+      a teacher can check. For questions with a rubric, also pick one level for every criterion.
+
+      Format your response as a JSON array:
+      [
+        {
+          "questionId": "question id",
+          "points": 2,
+          "justification": "Why the answer earns these points",
+          "rubric": [{ "criterionId": "criterion id", "levelId": "level id" }]
+        }
+      ]
+    `;
+
+    try {
+      return await this.generateValidated('suggestGrades', prompt, 'gradeSuggestions', {
+        questionIds: graded.map(({ question }) => question._id.toString()),
+      });
+    } catch (error) {
+      console.error('Error suggesting grades:', error);
+      throw error instanceof QuotaExceededError ? error : new Error('Failed to generate grade suggestions');
+    }
+  }
+
+  // Generate practice quiz questions for a subject
+  async generatePracticeQuiz(subject, difficulty = 'medium', numberOfQuestions = 10) {
+    const prompt = `
+      Generate ${numberOfQuestions} practice quiz questions for the subject: ${subject}
+      Difficulty level: ${difficulty}
+      
+      Include a mix of:
+      - Multiple choice questions (60%)
+      - Short answer questions (30%)
+      - True/False questions (10%)
+      
+      Questions should cover key concepts, common misconceptions, and practical applications.
+      
+      Format as JSON array:
+      [
+        {
+          "type": "multiple-choice",
+          "question": "Question text?",
+          "options": [
+            {"text": "Option A", "isCorrect": false},
+            {"text": "Option B", "isCorrect": true},
+            {"text": "Option C", "isCorrect": false},
+            {"text": "Option D", "isCorrect": false}
+          ],
+          "explanation": "Why this answer is correct",
+          "difficulty": "${difficulty}",
+          "points": 1,
+          "tags": ["relevant", "topic", "tags"]
+        }
+      ]
+    `;
+
+    try {
+      return await this.generateValidated('generatePracticeQuiz', prompt, 'questions');
+    } catch (error) {
+      console.error('Error generating practice quiz:', error);
+      throw error instanceof QuotaExceededError ? error : new Error('Failed to generate practice quiz');
+    }
+  }
+
+  // Analyze student performance trends
+  async analyzePerformanceTrends(studentData) {
+    const { submissions, weakAreas, strengths, recentScores } = studentData;
+    
+    const prompt = `
+      Analyze this student's performance data and provide insights:
+      
+      Recent Quiz Scores: [${recentScores.join(', ')}]
+      Number of Submissions: ${submissions}
+      Identified Weak Areas: [${weakAreas.join(', ')}]
+      Identified Strengths: [${strengths.join(', ')}]
+      
+      Provide analysis and recommendations:
+      1. Performance trend (improving, declining, stable)
+      2. Key areas that need attention
+      3. Specific study recommendations
+      4. Motivational feedback
+      
+      Format as JSON:
+      {
+        "trend": "improving/declining/stable",
+        "keyInsights": ["insight 1", "insight 2"],
+        "studyRecommendations": ["recommendation 1", "recommendation 2"],
+        "motivationalFeedback": "Encouraging message for the student",
+        "focusAreas": ["area 1", "area 2"],
+        "improvementPlan": "Step-by-step improvement suggestions"
+      }
+    `;
+
+    try {
+      return await this.generateValidated('analyzePerformanceTrends', prompt, 'performanceAnalysis');
+    } catch (error) {
+      console.error('Error analyzing performance:', error);
+      throw error instanceof QuotaExceededError ? error : new Error('Failed to analyze performance trends');
+    }
+  }
+}
+
+module.exports = PromptProvider;
@@ -0,0 +1,238 @@
+const { validateOutput } = require('../schemas');
+const { estimateTokens, recordUsage, checkContextQuota } = require('../usage');
+
+// Offline stand-in for a real model, for development and tests. Answers are built from the
+// input alone, so the same input always gives the same output and no network is needed.
+
+const LETTERS = ['A', 'B', 'C', 'D'];
+
+const words = (text = '') => String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+
+const sentencesOf = (text) => String(text)
+  .split(/(?<=[.!?])\s+/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => sentence.length >= 20);
+
+// The longest word of a sentence (the first of equally long ones) is the one that gets asked about
+const keyWord = (sentence) => (sentence.match(/[A-Za-z]{4,}/g) || [])
+  .reduce((longest, word) => (word.length > longest.length ? word : longest), '');
+
+const blankOut = (sentence, word) => sentence.replace(word, '_____');
+
+// Words of the text other than the ones given, to use as wrong options
+const distractors = (text, exclude, count) => {
+  const excluded = new Set(exclude.map(word => word.toLowerCase()));
+  const picked = [];
+  for (const word of String(text).match(/[A-Za-z]{4,}/g) || []) {
+    if (picked.length === count) break;
+    if (!excluded.has(word.toLowerCase())) {
+      picked.push(word);
+      excluded.add(word.toLowerCase());
+    }
+  }
+  while (picked.length < count) picked.push(`none ${picked.length + 1}`);
+  return picked;
+};
+
+const questionFromSentence = (text, sentence, type, index, difficulty) => {
+  const word = keyWord(sentence) || sentence.split(/\s+/)[0];
+  const base = { type, explanation: `From the text: "${sentence}"`, sourceQuote: sentence, difficulty, points: 1 };
+
+  switch (type) {
+    case 'multiple-choice': {
+      const options = distractors(text, [word], 3).map(option => ({ text: option, isCorrect: false }));
+      options.splice(index % 4, 0, { text: word, isCorrect: true });
+      return { ...base, question: `Which word completes the sentence: "${blankOut(sentence, word)}"?`, options };
+    }
+    case 'multiple-select': {
+      const inSentence = [word, ...distractors(sentence, [word], 1)];
+      const notInSentence = distractors(text.replace(sentence, ''), inSentence, 2);
+      return {
+        ...base,
+        question: `Which words complete the sentence: "${inSentence.reduce(blankOut, sentence)}"?`,
+        options: [
+          ...inSentence.map(option => ({ text: option, isCorrect: true })),
+          ...notInSentence.map(option => ({ text: option, isCorrect: false })),
+        ],
+      };
+    }
+    case 'true-false': {
+      // Every other statement has its key word swapped, which makes it false
+      const statement = index % 2 === 0 ? sentence : sentence.replace(word, distractors(text, [word], 1)[0]);
+      return { ...base, question: `True or false: "${statement}"`, correctAnswer: String(index % 2 === 0) };
+    }
+    case 'essay':
+      return { ...base, question: `Explain in your own words: "${sentence}"`, correctAnswer: sentence };
+    default:
+      return { ...base, type: 'short-answer', question: `Complete the sentence: "${blankOut(sentence, word)}"`, correctAnswer: word };
+  }
+};
+
+// Share of the reference answer's words found in the answer (0-1), and a note on how it was judged
+const judgeAnswer = (question, answer) => {
+  const given = new Set(words(answer.answer));
+  const expected = [...new Set(words(question.correctAnswer).filter(word => word.length >= 3))];
+  if (expected.length === 0) {
+    const length = words(answer.answer).length;
+    return { share: Math.min(1, length / 50), note: `Answer is ${length} words long; there is no reference answer to compare with` };
+  }
+  const found = expected.filter(word => given.has(word)).length;
+  return { share: found / expected.length, note: `Answer contains ${found} of ${expected.length} key words of the reference answer` };
+};
+
+// Answers go through the same validation as a real model's, come with the same report and
+// are recorded in the usage ledger like a model call, so quotas can be tried out offline
+const validated = async (method, schema, value, context) => {
+  await checkContextQuota();
+  const { data, discarded, repaired } = validateOutput(schema, value, context);
+  await recordUsage({ provider: 'FakeProvider', method, attempts: 1, responseTokens: estimateTokens(JSON.stringify(data)) });
+  return { data, report: { attempts: 1, rejectedResponses: [], discarded, repaired, cached: false } };
+};
+
+class FakeProvider {
+  async generateQuestionsFromText(text, options = {}) {
+    const {
+      numberOfQuestions = 10,
+      difficulty = 'medium',
+      questionTypes = ['multiple-choice', 'short-answer'],
+    } = options;
+
+    const sentences = sentencesOf(text);
+    if (sentences.length === 0) {
+      throw new Error('Failed to generate questions from content');
+    }
+
+    return validated('generateQuestionsFromText', 'questions', Array.from({ length: numberOfQuestions }, (_, index) => questionFromSentence(
+      text,
+      sentences[index % sentences.length],
+      questionTypes[index % questionTypes.length],
+      index,
+      difficulty
+    )));
+  }
+
+  async evaluateSubmission(quiz, submission, studentAnswers, questions = submission.getQuestions(quiz)) {
+    const answered = questions.map(question => ({
+      question,
+      answer: studentAnswers.find(a => a.questionId.toString() === question._id.toString()),
+    }));
+    const right = answered.filter(({ answer }) => answer?.isCorrect);
+    const wrong = answered.filter(({ answer }) => !answer?.isCorrect);
+    const shorten = (text) => (text.length > 60 ? `${text.slice(0, 57)}...` : text);
+
+    return validated('evaluateSubmission', 'aiInsights', {
+      strengths: right.slice(0, 3).map(({ question }) => `Answered correctly: ${shorten(question.question)}`),
+      weaknesses: wrong.slice(0, 3).map(({ question }) => `Needs review: ${shorten(question.question)}`),
+      recommendations: wrong.length > 0
+        ? [`Revisit the ${wrong.length} question(s) that were missed`, `Practice more ${quiz.subject} questions`]
+        : [`Try a harder ${quiz.subject} quiz`],
+      detailedAnalysis: `Scored ${submission.score.total}/${quiz.metadata.totalPoints} (${submission.score.percentage}%), `
+        + `with ${right.length} of ${questions.length} questions answered correctly.`,
+    });
+  }
+
+  async suggestGrades(quiz, graded) {
+    const suggestions = graded.map(({ question, answer }) => {
+      const { share, note } = judgeAnswer(question, answer);
+
+      if (question.rubric?.length) {
+        // Per criterion, the level closest to the same share of that criterion's best level
+        const rubric = question.rubric.map(criterion => {
+          const best = Math.max(...criterion.levels.map(level => level.points));
+          const level = criterion.levels.reduce((closest, candidate) => (
+            Math.abs(candidate.points - share * best) < Math.abs(closest.points - share * best) ? candidate : closest
+          ));
+          return { criterionId: String(criterion._id), levelId: String(level._id), points: level.points };
+        });
+        return {
+          questionId: String(question._id),
+          points: rubric.reduce((total, choice) => total + choice.points, 0),
+          justification: note,
+          rubric: rubric.map(({ criterionId, levelId }) => ({ criterionId, levelId })),
+        };
+      }
+
+      return {
+        questionId: String(question._id),
+        points: Math.round(share * (question.points || 1) * 2) / 2,
+        justification: note,
+      };
+    });
+    return validated('suggestGrades', 'gradeSuggestions', suggestions, { questionIds: graded.map(({ question }) => String(question._id)) });
+  }
+
+  async generatePracticeQuiz(subject, difficulty = 'medium', numberOfQuestions = 10) {
+    const tags = [String(subject).toLowerCase(), 'practice'];
+
+    // Same 60/30/10 mix of multiple choice, short answer and true/false the prompt asks a model for
+    return validated('generatePracticeQuiz', 'questions', Array.from({ length: numberOfQuestions }, (_, index) => {
+      const base = {
+        explanation: `Sample ${subject} practice question`,
+        difficulty,
+        points: 1,
+        tags,
+      };
+      const slot = index % 10;
+
+      if (slot < 6) {
+        const correct = LETTERS[index % 4];
+        return {
+          ...base,
+          type: 'multiple-choice',
+          question: `${subject} practice question ${index + 1}: which option is ${correct}?`,
+          options: LETTERS.map(letter => ({ text: `Option ${letter}`, isCorrect: letter === correct })),
+        };
+      }
+      if (slot < 9) {
+        return {
+          ...base,
+          type: 'short-answer',
+          question: `${subject} practice question ${index + 1}: what is ${index + 1} times 3?`,
+          correctAnswer: String((index + 1) * 3),
+        };
+      }
+      return {
+        ...base,
+        type: 'true-false',
+        question: `${subject} practice question ${index + 1}: this statement is true`,
+        correctAnswer: 'true',
+      };
+    }));
+  }
+
+  async analyzePerformanceTrends(studentData) {
+    const { weakAreas, strengths, recentScores } = studentData;
+    const average = (scores) => (scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0);
+
+    // Scores are newest first; compare the newer half with the older half
+    const half = Math.ceil(recentScores.length / 2);
+    const change = average(recentScores.slice(0, half)) - average(recentScores.slice(half));
+    let trend = 'stable';
+    if (recentScores.length > 1 && change > 5) trend = 'improving';
+    if (recentScores.length > 1 && change < -5) trend = 'declining';
+
+    const focusAreas = weakAreas.slice(0, 3);
+    return validated('analyzePerformanceTrends', 'performanceAnalysis', {
+      trend,
+      keyInsights: [
+        `Average of the last ${recentScores.length} scores is ${Math.round(average(recentScores))}%`,
+        `Most recent score is ${recentScores[0] ?? 0}%`,
+        ...(strengths.length > 0 ? [`Strongest area: ${strengths[0]}`] : []),
+      ],
+      studyRecommendations: focusAreas.length > 0
+        ? focusAreas.map(area => `Revisit ${area}`)
+        : ['Keep taking practice quizzes to find areas to work on'],
+      motivationalFeedback: {
+        improving: 'Your scores are going up. Keep it going!',
+        declining: 'Your recent scores dipped. A little review will get you back on track.',
+        stable: 'Your scores are steady. Push a little further with harder quizzes.',
+      }[trend],
+      focusAreas,
+      improvementPlan: focusAreas.length > 0
+        ? `Review ${focusAreas.join(', ')}, then take a practice quiz on each.`
+        : 'Take a practice quiz every week and review the questions you miss.',
+    });
+  }
+}
+
+module.exports = FakeProvider;
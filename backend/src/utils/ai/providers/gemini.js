@@ -0,0 +1,20 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const PromptProvider = require('../promptProvider');
+
+// Google Gemini through the official SDK
+class GeminiProvider extends PromptProvider {
+  constructor({ apiKey, model = 'gemini-pro' }) {
+    super();
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.generativeModel = this.genAI.getGenerativeModel({ model });
+    this.model = model;
+  }
+
+  async complete(prompt) {
+    const result = await this.generativeModel.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,35 @@
+const GeminiProvider = require('./gemini');
+const OpenAICompatibleProvider = require('./openaiCompatible');
+const FakeProvider = require('./fake');
+
+const PROVIDERS = {
+  gemini: (config) => new GeminiProvider({ apiKey: config.GEMINI_API_KEY, model: config.AI_MODEL || undefined }),
+  openai: (config) => new OpenAICompatibleProvider({
+    baseUrl: config.OPENAI_BASE_URL,
+    apiKey: config.OPENAI_API_KEY,
+    model: config.AI_MODEL,
+    timeout: parseInt(config.AI_TIMEOUT, 10) || undefined,
+  }),
+  fake: () => new FakeProvider(),
+};
+
+// The provider named by AI_PROVIDER. Without it, Gemini is used when a key is configured. The
+// offline fake must be named, except under NODE_ENV=test, so a missing key can never pass its
+// placeholder questions off as real ones.
+const createProvider = (config = process.env) => {
+  const name = config.AI_PROVIDER
+    || (config.GEMINI_API_KEY && 'gemini')
+    || (config.NODE_ENV === 'test' && 'fake');
+  if (!name) {
+    throw new Error('AI provider not configured. Set GEMINI_API_KEY, or AI_PROVIDER to gemini, openai or fake (offline placeholder questions)');
+  }
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown AI_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return PROVIDERS[name](config);
+};
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+};
@@ -0,0 +1,48 @@
+const PromptProvider = require('../promptProvider');
+
+// Any server speaking the OpenAI chat completions API: OpenAI itself, or self-hosted models
+// behind Ollama, vLLM, llama.cpp, LM Studio and the like
+class OpenAICompatibleProvider extends PromptProvider {
+  constructor({ baseUrl, apiKey, model, timeout = 60000 }) {
+    super();
+    if (!baseUrl || !model) {
+      throw new Error('The openai provider needs OPENAI_BASE_URL and AI_MODEL');
+    }
+    if (typeof fetch !== 'function') {
+      throw new Error('The openai provider needs Node.js 18 or later');
+    }
+    this.url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeout = timeout;
+  }
+
+  async complete(prompt) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.7,
+      }),
+      signal: AbortSignal.timeout(this.timeout),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Chat completion request failed with status ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Chat completion response has no message content');
+    }
+    return content;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,333 @@
+const { validateQuestion } = require('../importers');
+
+// Checks and repairs for model output. Each schema validates the parsed JSON of one kind of
+// response: broken items are dropped (arrays) and fixable mistakes repaired, with both listed
+// in the result. A response that can't be used at all throws an OutputError, which makes
+// PromptProvider ask the model again.
+
+class OutputError extends Error {}
+
+const CHOICE_TYPES = ['multiple-choice', 'multiple-select'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const TRENDS = ['improving', 'declining', 'stable'];
+
+// Names models use for the question types besides the ones we ask for
+const TYPE_ALIASES = {
+  'multiple-choice': 'multiple-choice',
+  mcq: 'multiple-choice',
+  'single-choice': 'multiple-choice',
+  'multiple-select': 'multiple-select',
+  'multiple-response': 'multiple-select',
+  'multiple-answer': 'multiple-select',
+  'true-false': 'true-false',
+  'true-or-false': 'true-false',
+  truefalse: 'true-false',
+  boolean: 'true-false',
+  'short-answer': 'short-answer',
+  'fill-in-the-blank': 'short-answer',
+  'fill-in-the-blanks': 'short-answer',
+  essay: 'essay',
+  'long-answer': 'essay',
+};
+
+const LETTERS = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 't', 'yes'].includes(text)) return true;
+  if (['false', 'f', 'no'].includes(text)) return false;
+  return null;
+};
+
+// A list of strings from an array (non-strings dropped) or a single string (split on new lines)
+const toStringList = (value) => {
+  if (Array.isArray(value)) return value.filter(isText).map(item => item.trim());
+  if (isText(value)) return value.split(/\n+/).map(item => item.replace(/^\s*[-*\d.)]+\s*/, '').trim()).filter(Boolean);
+  return null;
+};
+
+// Parse the JSON array ('array') or object ('object') in a model's answer. Tolerates code fences,
+// text around the JSON and trailing commas.
+const extractJson = (text, shape) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new OutputError('The response was empty');
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const source = fenced ? fenced[1] : text;
+
+  // From the first opening bracket to its matching close, skipping brackets inside strings
+  const start = source.search(shape === 'array' ? /[[{]/ : /\{/);
+  if (start === -1) {
+    throw new OutputError(`The response contains no JSON ${shape}`);
+  }
+  let depth = 0;
+  let inString = false;
+  let end = -1;
+  for (let i = start; i < source.length && end === -1; i++) {
+    const char = source[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if ((char === ']' || char === '}') && --depth === 0) {
+      end = i;
+    }
+  }
+  if (end === -1) {
+    throw new OutputError('The JSON in the response is cut off');
+  }
+
+  let parsed;
+  const json = source.slice(start, end + 1);
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    try {
+      parsed = JSON.parse(json.replace(/,\s*([\]}])/g, '$1'));
+    } catch (error) {
+      throw new OutputError(`The JSON in the response is invalid: ${error.message}`);
+    }
+  }
+
+  if (shape === 'array' && !Array.isArray(parsed)) {
+    // Either the array wrapped in an object ({ "questions": [...] }) or a single item
+    const wrapped = Object.values(parsed).find(Array.isArray);
+    return wrapped && !('question' in parsed || 'questionId' in parsed) ? wrapped : [parsed];
+  }
+  if (shape === 'object' && Array.isArray(parsed)) {
+    throw new OutputError('Expected a JSON object but got an array');
+  }
+  return parsed;
+};
+
+// One generated question in the shape of questionFields. Returns { question, changes } or
+// { reasons } when it can't be used.
+const checkQuestion = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { reasons: ['not an object'] };
+  }
+
+  const changes = [];
+  const reasons = [];
+  const typeKey = String(raw.type || '').trim().toLowerCase().replace(/[\s_/]+/g, '-');
+  let type = TYPE_ALIASES[typeKey];
+  if (!type) {
+    return { reasons: [`unknown type "${raw.type}"`] };
+  }
+  if (type !== raw.type) changes.push(`type "${raw.type}" read as ${type}`);
+
+  if (!isText(raw.question)) reasons.push('question text is missing');
+  const question = { type, question: isText(raw.question) ? raw.question.trim() : '' };
+
+  if (CHOICE_TYPES.includes(type)) {
+    let options = Array.isArray(raw.options) ? raw.options : [];
+    if (options.some(option => typeof option === 'string')) {
+      options = options.map(option => (typeof option === 'string' ? { text: option } : option));
+      changes.push('options given as plain strings');
+    }
+    options = options
+      .filter(option => option && isText(String(option.text ?? '')))
+      .map(option => ({ text: String(option.text).trim(), isCorrect: toBoolean(option.isCorrect) === true }));
+
+    // No option marked correct: take correctAnswer as the option text or letter
+    if (options.length > 0 && !options.some(option => option.isCorrect) && raw.correctAnswer !== undefined) {
+      const answers = (Array.isArray(raw.correctAnswer) ? raw.correctAnswer : [raw.correctAnswer]).map(a => String(a).trim().toLowerCase());
+      options.forEach((option, index) => {
+        if (answers.includes(option.text.toLowerCase()) || answers.includes(LETTERS[index])) option.isCorrect = true;
+      });
+      if (options.some(option => option.isCorrect)) changes.push('correct option taken from correctAnswer');
+    }
+
+    const correct = options.filter(option => option.isCorrect).length;
+    if (options.length < 2) reasons.push('needs at least two options');
+    if (correct === 0) reasons.push('no option is marked correct');
+    if (type === 'multiple-choice' && correct > 1) {
+      type = 'multiple-select';
+      question.type = type;
+      changes.push(`${correct} correct options, so made multiple-select`);
+    }
+    question.options = options;
+  } else if (type === 'true-false') {
+    const answer = toBoolean(raw.correctAnswer);
+    if (answer === null) {
+      reasons.push(`correctAnswer "${raw.correctAnswer}" is not true or false`);
+    } else {
+      if (String(answer) !== raw.correctAnswer) changes.push(`correctAnswer ${JSON.stringify(raw.correctAnswer)} read as "${answer}"`);
+      question.correctAnswer = String(answer);
+    }
+  } else if (raw.correctAnswer !== undefined && raw.correctAnswer !== null && String(raw.correctAnswer).trim()) {
+    question.correctAnswer = String(raw.correctAnswer).trim();
+  } else if (type === 'short-answer') {
+    reasons.push('correctAnswer is missing');
+  }
+
+  if (isText(raw.explanation)) question.explanation = raw.explanation.trim();
+  if (isText(raw.sourceQuote)) question.sourceQuote = raw.sourceQuote.trim();
+
+  if (raw.points !== undefined) {
+    const points = Number(raw.points);
+    if (Number.isFinite(points) && points >= 0) {
+      question.points = points;
+    } else {
+      changes.push(`invalid points "${raw.points}" replaced by 1`);
+      question.points = 1;
+    }
+  }
+
+  if (raw.difficulty !== undefined) {
+    const difficulty = String(raw.difficulty).trim().toLowerCase();
+    if (DIFFICULTIES.includes(difficulty)) {
+      question.difficulty = difficulty;
+    } else {
+      changes.push(`unknown difficulty "${raw.difficulty}" dropped`);
+    }
+  }
+
+  if (raw.tags !== undefined) {
+    const tags = Array.isArray(raw.tags) ? toStringList(raw.tags) : String(raw.tags).split(',').map(tag => tag.trim()).filter(Boolean);
+    question.tags = tags;
+  }
+
+  if (reasons.length > 0) return { reasons };
+
+  // Whatever the checks above missed, the model's own validation catches
+  const invalid = validateQuestion(question);
+  return invalid ? { reasons: [invalid] } : { question, changes };
+};
+
+// Validate every item of an array response; throws when no item is usable
+const checkItems = (items, check, what) => {
+  const data = [];
+  const discarded = [];
+  const repaired = [];
+
+  items.forEach((item, index) => {
+    const result = check(item);
+    if (result.reasons) {
+      discarded.push({ index, item, reasons: result.reasons });
+      return;
+    }
+    if (result.changes.length > 0) repaired.push({ index, changes: result.changes });
+    data.push(result.value);
+  });
+
+  if (data.length === 0) {
+    const sample = discarded.slice(0, 3).map(({ index, reasons }) => `item ${index + 1}: ${reasons.join(', ')}`).join('; ');
+    throw new OutputError(items.length === 0 ? `The ${what} array is empty` : `None of the ${what} are valid (${sample})`);
+  }
+  return { data, discarded, repaired };
+};
+
+// Fields of an object response that must be lists of strings; a single string is split into one
+const checkLists = (raw, fields, changes) => fields.reduce((result, field) => {
+  const list = toStringList(raw[field]);
+  if (list === null) {
+    if (raw[field] !== undefined) changes.push(`${field} is not a list and was dropped`);
+    return { ...result, [field]: [] };
+  }
+  if (!Array.isArray(raw[field])) changes.push(`${field} given as text and split into a list`);
+  return { ...result, [field]: list };
+}, {});
+
+const objectResult = (data, changes) => ({
+  data,
+  discarded: [],
+  repaired: changes.length > 0 ? [{ changes }] : [],
+});
+
+const SCHEMAS = {
+  // Quiz questions, for generateQuestionsFromText and generatePracticeQuiz
+  questions: {
+    shape: 'array',
+    validate: (items) => checkItems(items, (raw) => {
+      const { question, changes, reasons } = checkQuestion(raw);
+      return reasons ? { reasons } : { value: question, changes };
+    }, 'questions'),
+  },
+
+  // Submission evaluation.aiInsights
+  aiInsights: {
+    shape: 'object',
+    validate: (raw) => {
+      const changes = [];
+      const lists = checkLists(raw, ['strengths', 'weaknesses', 'recommendations'], changes);
+      let { detailedAnalysis } = raw;
+      if (Array.isArray(detailedAnalysis)) {
+        detailedAnalysis = toStringList(detailedAnalysis).join(' ');
+        changes.push('detailedAnalysis given as a list and joined');
+      }
+      if (!isText(detailedAnalysis)) {
+        throw new OutputError('detailedAnalysis is missing');
+      }
+      return objectResult({ ...lists, detailedAnalysis: detailedAnalysis.trim() }, changes);
+    },
+  },
+
+  // Grade suggestions for written answers; context.questionIds are the questions that were asked about
+  gradeSuggestions: {
+    shape: 'array',
+    validate: (items, { questionIds = [] } = {}) => checkItems(items, (raw) => {
+      if (!raw || typeof raw !== 'object') return { reasons: ['not an object'] };
+      const reasons = [];
+      const changes = [];
+      const questionId = String(raw.questionId ?? '').trim();
+      if (!questionIds.includes(questionId)) reasons.push(`unknown questionId "${raw.questionId}"`);
+      const points = Number(raw.points);
+      if (!Number.isFinite(points) || points < 0) reasons.push(`invalid points "${raw.points}"`);
+      if (reasons.length > 0) return { reasons };
+
+      if (typeof raw.points !== 'number') changes.push(`points "${raw.points}" read as ${points}`);
+      const value = { questionId, points, justification: isText(raw.justification) ? raw.justification.trim() : '' };
+      if (Array.isArray(raw.rubric)) {
+        value.rubric = raw.rubric
+          .filter(choice => choice && choice.criterionId && choice.levelId)
+          .map(choice => ({ criterionId: String(choice.criterionId), levelId: String(choice.levelId) }));
+        if (value.rubric.length < raw.rubric.length) changes.push('incomplete rubric choices dropped');
+      }
+      return { value, changes };
+    }, 'grade suggestions'),
+  },
+
+  // Practice performance analysis
+  performanceAnalysis: {
+    shape: 'object',
+    validate: (raw) => {
+      const changes = [];
+      const trend = String(raw.trend ?? '').trim().toLowerCase();
+      if (!TRENDS.includes(trend)) {
+        throw new OutputError(`trend must be one of ${TRENDS.join(', ')}, got "${raw.trend}"`);
+      }
+      const lists = checkLists(raw, ['keyInsights', 'studyRecommendations', 'focusAreas'], changes);
+      const text = (field) => {
+        if (Array.isArray(raw[field])) {
+          changes.push(`${field} given as a list and joined`);
+          return toStringList(raw[field]).join(' ');
+        }
+        return isText(raw[field]) ? raw[field].trim() : '';
+      };
+      return objectResult({
+        trend,
+        ...lists,
+        motivationalFeedback: text('motivationalFeedback'),
+        improvementPlan: text('improvementPlan'),
+      }, changes);
+    },
+  },
+};
+
+// Validate parsed output against a schema: { data, discarded, repaired }
+const validateOutput = (schema, value, context) => SCHEMAS[schema].validate(value, context);
+
+module.exports = {
+  OutputError,
+  SCHEMAS,
+  extractJson,
+  validateOutput,
+};
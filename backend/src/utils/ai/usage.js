@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const AIUsage = require('../../models/AIUsage');
+const AICache = require('../../models/AICache');
+
+const MAX_STORED_PROMPT = 2000; // characters of each prompt kept in the ledger
+const CHARACTERS_PER_TOKEN = 4; // rough average for English text
+
+// Daily model requests per role, unless set with AI_DAILY_QUOTA_<ROLE>; 0 is unlimited
+const DEFAULT_QUOTAS = {
+  student: 20,
+  teacher: 200,
+  admin: 0,
+};
+
+// Who AI calls are made for: { user, endpoint } with the user's document, set per request
+// by middleware/aiQuota.js and per job by the generation worker
+const usageContext = new AsyncLocalStorage();
+
+const withUsage = (context, fn) => usageContext.run(context, fn);
+
+const estimateTokens = (text) => Math.ceil(String(text ?? '').length / CHARACTERS_PER_TOKEN);
+
+// Add a call to the ledger. Errors are logged rather than thrown, so metering never breaks an AI feature.
+const recordUsage = async ({ prompt, ...entry }) => {
+  const { user, endpoint } = usageContext.getStore() || {};
+  try {
+    await AIUsage.create({
+      ...entry,
+      user: user && user._id,
+      endpoint,
+      prompt: prompt && prompt.slice(0, MAX_STORED_PROMPT),
+      promptCharacters: prompt ? prompt.length : 0,
+    });
+  } catch (error) {
+    console.error('Error recording AI usage:', error);
+  }
+};
+
+const roleQuotas = (config = process.env) => Object.fromEntries(Object.entries(DEFAULT_QUOTAS).map(([role, fallback]) => {
+  const quota = parseInt(config[`AI_DAILY_QUOTA_${role.toUpperCase()}`], 10);
+  return [role, Number.isNaN(quota) || quota < 0 ? fallback : quota];
+}));
+
+// A user's own daily quota, else their role's
+const dailyQuota = (user) => user.aiDailyQuota ?? roleQuotas()[user.role] ?? 0;
+
+const startOfDay = () => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return today;
+};
+
+// Model requests made for a user since midnight UTC, retries included; cached answers are free
+const usedToday = async (userId) => {
+  const [today] = await AIUsage.aggregate([
+    { $match: { user: userId, cached: false, createdAt: { $gte: startOfDay() } } },
+    { $group: { _id: null, attempts: { $sum: '$attempts' } } },
+  ]);
+  return today ? today.attempts : 0;
+};
+
+// Thrown when a user has no AI calls left today
+class QuotaExceededError extends Error {
+  constructor(limit, used) {
+    super(`You have used all ${limit} of your AI calls for today. The limit resets at midnight UTC.`);
+    this.name = 'QuotaExceededError';
+    this.statusCode = 429;
+    const resetsAt = startOfDay();
+    resetsAt.setUTCDate(resetsAt.getUTCDate() + 1);
+    this.quota = { limit, used, resetsAt };
+  }
+}
+
+// Throw a QuotaExceededError unless the user may make another model request today;
+// pending counts requests already made that are not in the ledger yet
+const checkQuota = async (user, pending = 0) => {
+  const limit = dailyQuota(user);
+  if (limit === 0) return;
+
+  const used = await usedToday(user._id) + pending;
+  if (used >= limit) {
+    throw new QuotaExceededError(limit, used);
+  }
+};
+
+// checkQuota for the user of the current usage context, before every uncached model request
+const checkContextQuota = async (pending = 0) => {
+  const { user } = usageContext.getStore() || {};
+  if (user) {
+    await checkQuota(user, pending);
+  }
+};
+
+// Whether the user may make another AI call today
+const hasQuotaLeft = async (user) => {
+  try {
+    await checkQuota(user);
+    return true;
+  } catch (error) {
+    if (error instanceof QuotaExceededError) return false;
+    throw error;
+  }
+};
+
+const cacheKey = (parts) => crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+
+// A cached { data, report }, or null. Like the ledger, a failing cache only logs.
+const findCached = async (key) => {
+  try {
+    return await AICache.findOneAndUpdate({ key }, { $inc: { hits: 1 } }, { new: true }).lean();
+  } catch (error) {
+    console.error('Error reading the AI cache:', error);
+    return null;
+  }
+};
+
+const storeCached = async (key, method, { data, report }) => {
+  try {
+    await AICache.updateOne({ key }, { key, method, data, report, createdAt: new Date() }, { upsert: true });
+  } catch (error) {
+    console.error('Error writing the AI cache:', error);
+  }
+};
+
+module.exports = {
+  withUsage,
+  estimateTokens,
+  recordUsage,
+  roleQuotas,
+  dailyQuota,
+  startOfDay,
+  usedToday,
+  QuotaExceededError,
+  checkQuota,
+  checkContextQuota,
+  hasQuotaLeft,
+  cacheKey,
+  findCached,
+  storeCached,
+};
@@ -0,0 +1,67 @@
+const Submission = require('../models/Submission');
+const Quiz = require('../models/Quiz');
+const { finalizeSubmission } = require('./grading');
+
+const DEFAULT_SWEEP_INTERVAL = 60 * 1000; // 1 minute
+
+// Finalize every in-progress attempt whose time limit and grace period have run out. Each is
+// claimed first, so an attempt the student submits meanwhile is not graded twice.
+const closeExpiredAttempts = async () => {
+  const expiredSubmissions = await Submission.find({
+    status: 'in-progress',
+    'timing.timeLimit': { $gt: 0 },
+    $expr: {
+      $lt: [
+        {
+          $add: [
+            '$timing.startTime',
+            { $multiply: [{ $add: ['$timing.timeLimit', { $ifNull: ['$timing.gracePeriod', 0] }] }, 1000] },
+          ],
+        },
+        new Date(),
+      ],
+    },
+  });
+
+  let closed = 0;
+
+  for (const submission of expiredSubmissions) {
+    try {
+      const quiz = await Quiz.findById(submission.quiz);
+      if (!quiz) continue;
+
+      const claimed = await Submission.claimAttempt({ _id: submission._id });
+      if (!claimed) continue;
+
+      claimed.timing.autoClosed = true;
+      await finalizeSubmission(claimed, quiz, { endTime: claimed.getExpiryTime() });
+      closed += 1;
+    } catch (error) {
+      console.error(`Error closing expired submission ${submission._id}:`, error);
+    }
+  }
+
+  return closed;
+};
+
+// Run the sweeper on an interval; the timer does not keep the process alive
+const startAttemptSweeper = (intervalMs = parseInt(process.env.ATTEMPT_SWEEP_INTERVAL, 10) || DEFAULT_SWEEP_INTERVAL) => {
+  const timer = setInterval(async () => {
+    try {
+      const closed = await closeExpiredAttempts();
+      if (closed > 0) {
+        console.log(`Closed ${closed} expired quiz attempt(s)`);
+      }
+    } catch (error) {
+      console.error('Attempt sweeper error:', error);
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  closeExpiredAttempts,
+  startAttemptSweeper,
+};
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const mammoth = require('mammoth');
+const PDFProcessor = require('./pdfProcessor');
+const { htmlToText, decodeEntities } = require('./importers/text');
+
+// Lesson material formats quizzes can be generated from, keyed by file extension
+const DOCUMENT_FORMATS = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.txt': 'text',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+};
+
+const MIME_FORMATS = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/plain': 'text',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/html': 'html',
+};
+
+// Errors the uploader can fix, answered with a 400 instead of a server error
+const documentError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Plain text from Markdown: keeps the words, drops the syntax
+const markdownToText = (markdown) => markdown
+  .replace(/^```[^\n]*\n([\s\S]*?)^```/gm, '$1') // fenced code keeps its content
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // images -> alt text
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links -> link text
+  .replace(/^\s{0,3}#{1,6}\s+/gm, '') // headings
+  .replace(/^\s{0,3}>\s?/gm, '') // blockquotes
+  .replace(/^\s*([-*+]|\d+\.)\s+/gm, '') // list markers
+  .replace(/^\s*([-*_]\s*){3,}$/gm, '') // horizontal rules
+  .replace(/(\*\*|__)(.+?)\1/g, '$2') // bold
+  .replace(/(\*|_)(.+?)\1/g, '$2') // italics
+  .replace(/`([^`]+)`/g, '$1') // inline code
+  .replace(/<[^>]+>/g, ''); // inline HTML
+
+class DocumentProcessor {
+  // Format of an uploaded file, from its extension or else its mime type
+  static detectFormat(filename, mimeType) {
+    const ext = path.extname(filename || '').toLowerCase();
+    if (ext === '.doc') {
+      throw documentError('Legacy .doc files are not supported. Save the document as .docx and upload it again.');
+    }
+    const format = DOCUMENT_FORMATS[ext] || MIME_FORMATS[mimeType];
+    if (!format) {
+      throw documentError(`Unsupported document type. Upload one of: ${Object.keys(DOCUMENT_FORMATS).join(', ')}`);
+    }
+    return format;
+  }
+
+  // Raw text and whatever metadata the format carries
+  static async extractText(filePath, format) {
+    if (format === 'pdf') {
+      const extracted = await PDFProcessor.extractTextFromFile(filePath);
+      return {
+        text: extracted.text,
+        pageTexts: extracted.pageTexts,
+        pages: extracted.pages,
+        title: extracted.info?.Title,
+        author: extracted.info?.Author,
+        subject: extracted.info?.Subject,
+      };
+    }
+
+    if (format === 'docx') {
+      try {
+        const { value } = await mammoth.extractRawText({ path: filePath });
+        return { text: value };
+      } catch (error) {
+        console.error('Error extracting text from DOCX:', error);
+        throw documentError('Failed to read the Word document');
+      }
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+
+    if (format === 'markdown') {
+      return {
+        text: markdownToText(content),
+        title: content.match(/^\s{0,3}#\s+(.+)$/m)?.[1].trim(),
+      };
+    }
+
+    if (format === 'html') {
+      const title = content.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || content.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+      return {
+        text: htmlToText(content.replace(/<head[\s\S]*?<\/head>/i, '')),
+        title: title && decodeEntities(title[1].replace(/<[^>]+>/g, '')).trim(),
+      };
+    }
+
+    return { text: content };
+  }
+
+  // Whitespace is collapsed for every format; the PDF fixes only apply to PDFs
+  static cleanText(text, format) {
+    return format === 'pdf' ? PDFProcessor.cleanText(text) : text.replace(/\s+/g, ' ').trim();
+  }
+
+  // Validate document content for quiz generation. Long documents are generated from in
+  // chunks, so the upper limit only guards against runaway uploads.
+  static validateContentForQuiz(text) {
+    const minLength = 500; // Minimum text length
+    const maxLength = 500000; // Maximum text length
+
+    if (!text || text.trim().length < minLength) {
+      throw documentError(`Document content too short. Minimum ${minLength} characters required.`);
+    }
+
+    if (text.length > maxLength) {
+      throw documentError(`Document content too long. Maximum ${maxLength} characters allowed.`);
+    }
+
+    // Check for meaningful content
+    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 10);
+    if (sentences.length < 5) {
+      throw documentError('Document content does not contain enough meaningful sentences for quiz generation.');
+    }
+
+    return true;
+  }
+
+  // Split cleaned page texts into sections that never cross a page: [{ text, page }].
+  // page is null for formats without pages.
+  static splitIntoSections(pageTexts, paged) {
+    return pageTexts.flatMap((pageText, index) => (
+      pageText ? PDFProcessor.splitIntoSections(pageText).map(text => ({ text, page: paged ? index + 1 : null })) : []
+    ));
+  }
+
+  // Page numbers in a list of ranges such as "1-3, 7"
+  static parsePageRanges(value, pageCount) {
+    const pages = new Set();
+    String(value).split(',').forEach(range => {
+      const match = range.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+      if (!match) {
+        throw documentError(`Invalid page range "${range.trim()}". Use pages and ranges such as 1-3, 7`);
+      }
+      const from = parseInt(match[1], 10);
+      const to = match[2] ? parseInt(match[2], 10) : from;
+      if (from < 1 || to < from || to > pageCount) {
+        throw documentError(`Page range "${range.trim()}" is outside the document's ${pageCount} pages`);
+      }
+      for (let page = from; page <= to; page++) pages.add(page);
+    });
+    return pages;
+  }
+
+  // Pages picked with `pages` ranges and/or outline `chapters` ids (comma separated), or null
+  // when no selection was made and the whole document is used
+  static async selectPages(filePath, format, pageCount, { pages, chapters } = {}) {
+    if (!pages && !chapters) return null;
+    if (format !== 'pdf') {
+      throw documentError('Page and chapter selection is only available for PDFs');
+    }
+
+    const selected = pages ? this.parsePageRanges(pages, pageCount) : new Set();
+    if (chapters) {
+      const outline = await PDFProcessor.extractOutline(fs.readFileSync(filePath));
+      if (outline.length === 0) {
+        throw documentError('This PDF has no outline (bookmarks) to pick chapters from. Select pages instead.');
+      }
+      String(chapters).split(',').map(id => id.trim()).filter(Boolean).forEach(id => {
+        const entry = outline.find(item => item.id === id);
+        if (!entry) {
+          throw documentError(`Unknown chapter "${id}". Use the ids returned by the upload preview.`);
+        }
+        for (let page = entry.pageFrom; page <= entry.pageTo; page++) selected.add(page);
+      });
+    }
+    return selected;
+  }
+
+  // What teachers need to pick pages or chapters before generating: the outline and the text
+  // length of each page (PDF only), without calling the AI
+  static async previewDocument(file) {
+    const format = this.detectFormat(file.originalname, file.mimetype);
+    const extracted = await this.extractText(file.path, format);
+    const paged = Boolean(extracted.pageTexts?.length);
+    const pageLengths = paged ? extracted.pageTexts.map(pageText => this.cleanText(pageText || '', format).length) : null;
+
+    return {
+      format,
+      pages: extracted.pages || null,
+      outline: format === 'pdf' ? await PDFProcessor.extractOutline(fs.readFileSync(file.path)) : [],
+      pageLengths,
+      characterCount: paged ? pageLengths.reduce((total, length) => total + length, 0) : this.cleanText(extracted.text || '', format).length,
+      metadata: {
+        title: extracted.title || path.basename(file.originalname, path.extname(file.originalname)),
+        author: extracted.author || 'Unknown',
+        subject: extracted.subject || '',
+      },
+    };
+  }
+
+  // Extract, clean and check an uploaded file (multer file object) for quiz generation.
+  // selection: optional { pages, chapters } to generate from part of a PDF only
+  static async processDocumentForQuiz(file, selection = {}) {
+    const format = this.detectFormat(file.originalname, file.mimetype);
+    const extracted = await this.extractText(file.path, format);
+    const selectedPages = await this.selectPages(file.path, format, extracted.pages, selection);
+
+    const paged = Boolean(extracted.pageTexts?.length);
+    // Unselected pages are blanked rather than removed so sections keep their page numbers
+    const pageTexts = (paged ? extracted.pageTexts : [extracted.text || ''])
+      .map((pageText, index) => (selectedPages && !selectedPages.has(index + 1) ? '' : pageText))
+      .map(pageText => this.cleanText(pageText || '', format));
+    const cleanedText = pageTexts.filter(Boolean).join(' ');
+    this.validateContentForQuiz(cleanedText);
+
+    return {
+      format,
+      text: cleanedText,
+      sections: this.splitIntoSections(pageTexts, paged),
+      keyTopics: PDFProcessor.extractKeyTopics(cleanedText),
+      pages: extracted.pages || null,
+      selectedPages: selectedPages && [...selectedPages].sort((a, b) => a - b),
+      metadata: {
+        title: extracted.title || path.basename(file.originalname, path.extname(file.originalname)),
+        author: extracted.author || 'Unknown',
+        subject: extracted.subject || '',
+        wordCount: cleanedText.split(/\s+/).length,
+        characterCount: cleanedText.length,
+      },
+    };
+  }
+}
+
+module.exports = DocumentProcessor;
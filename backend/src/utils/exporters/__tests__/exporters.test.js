@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const { exportQuiz } = require('..');
+const { parseQuizFile } = require('../../importers');
+
+const poolQuestion = new mongoose.Types.ObjectId();
+
+const quiz = {
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Science / Unit 1: Plants & Light',
+  description: 'Photosynthesis basics',
+  subject: 'Biology',
+  settings: { timeLimit: 20, shuffleOptions: false },
+  metadata: { totalPoints: 11, difficulty: 'medium', timesTaken: 12 },
+  questions: [
+    {
+      _id: new mongoose.Types.ObjectId(),
+      type: 'multiple-choice',
+      question: 'Which gas do plants absorb?',
+      options: [
+        { _id: new mongoose.Types.ObjectId(), text: 'Carbon dioxide', isCorrect: true },
+        { _id: new mongoose.Types.ObjectId(), text: 'Oxygen', isCorrect: false },
+      ],
+      points: 2,
+      tags: ['plants'],
+    },
+    {
+      _id: new mongoose.Types.ObjectId(),
+      type: 'multiple-select',
+      question: 'Which are needed for photosynthesis?',
+      options: [
+        { text: 'Light', isCorrect: true },
+        { text: 'Water', isCorrect: true },
+        { text: 'Salt', isCorrect: false },
+      ],
+      scoring: { mode: 'partial', wrongPenalty: 0.5 },
+      points: 2,
+    },
+    { _id: new mongoose.Types.ObjectId(), type: 'true-false', question: 'Roots make sugar.', correctAnswer: 'false', points: 1 },
+    {
+      _id: new mongoose.Types.ObjectId(),
+      type: 'short-answer',
+      question: 'Name the green pigment.',
+      correctAnswer: 'Chlorophyll',
+      answerRules: { acceptedAnswers: ['chlorophyl'] },
+      points: 1,
+    },
+    {
+      _id: new mongoose.Types.ObjectId(),
+      type: 'short-answer',
+      question: 'How many carbon atoms does glucose have?',
+      answerRules: { numeric: { enabled: true, value: 6, tolerance: 0 } },
+      points: 1,
+    },
+    {
+      _id: new mongoose.Types.ObjectId(),
+      type: 'essay',
+      question: 'Explain why leaves are green.',
+      correctAnswer: 'Chlorophyll reflects green light.',
+      points: 4,
+    },
+  ],
+  sections: [{ _id: new mongoose.Types.ObjectId(), title: 'Bonus', pool: [poolQuestion], pick: 1 }],
+};
+
+describe('exportQuiz', () => {
+  it('names the file after the quiz title', async () => {
+    const { filename, contentType } = await exportQuiz(quiz, 'moodle');
+
+    expect(filename).toBe('science-unit-1-plants-light.xml');
+    expect(contentType).toBe('application/xml');
+    expect((await exportQuiz({ ...quiz, title: '???' }, 'json')).filename).toBe('quiz.json');
+  });
+
+  it('rejects unknown formats', async () => {
+    await expect(exportQuiz(quiz, 'docx')).rejects.toThrow('Unknown export format "docx"');
+  });
+
+  describe('JSON', () => {
+    it('keeps the quiz content without ids or statistics', async () => {
+      const { body } = await exportQuiz(quiz, 'json');
+      const exported = JSON.parse(body);
+
+      expect(exported).toMatchObject({ format: 'quiz-mantra', version: 1 });
+      expect(body).not.toContain('"_id"');
+      expect(exported.quiz.metadata).toEqual({ totalPoints: 11, difficulty: 'medium' });
+      expect(exported.quiz.questions[0]).toEqual({
+        type: 'multiple-choice',
+        question: 'Which gas do plants absorb?',
+        options: [{ text: 'Carbon dioxide', isCorrect: true }, { text: 'Oxygen', isCorrect: false }],
+        points: 2,
+        tags: ['plants'],
+      });
+      expect(exported.quiz.sections).toEqual([{ title: 'Bonus', pool: [poolQuestion.toString()], pick: 1 }]);
+    });
+  });
+
+  describe('Moodle XML', () => {
+    it('files the questions under a category named after the quiz', async () => {
+      const { body } = await exportQuiz(quiz, 'moodle');
+
+      expect(body).toContain('<text>$course$/top/Science - Unit 1: Plants &amp; Light</text>');
+      expect(body).toContain('<graderinfo format="html">');
+    });
+
+    it('weights multiple-select answers by share and penalty', async () => {
+      const { body } = await exportQuiz(quiz, 'moodle');
+
+      expect(body).toContain('<single>false</single>');
+      expect(body.match(/fraction="(-?[\d.]+)"/g)).toEqual(expect.arrayContaining([
+        'fraction="50"', 'fraction="-25"',
+      ]));
+    });
+
+    it('reads back through the Moodle XML importer', async () => {
+      const { body } = await exportQuiz(quiz, 'moodle');
+      const { questions, errors } = await parseQuizFile(Buffer.from(body), 'moodle');
+
+      expect(errors).toEqual([]);
+      expect(questions.map(question => question.type)).toEqual(quiz.questions.map(question => question.type));
+      expect(questions[0]).toMatchObject({
+        question: 'Which gas do plants absorb?',
+        options: [{ text: 'Carbon dioxide', isCorrect: true }, { text: 'Oxygen', isCorrect: false }],
+        points: 2,
+      });
+      expect(questions[2].correctAnswer).toBe('false');
+      expect(questions[3]).toMatchObject({ correctAnswer: 'Chlorophyll', answerRules: { acceptedAnswers: ['chlorophyl'] } });
+      expect(questions[4].answerRules.numeric).toMatchObject({ enabled: true, value: 6 });
+    });
+  });
+
+  describe('QTI', () => {
+    it('packages a manifest, the assessment and one file per question', async () => {
+      const { body, filename, contentType } = await exportQuiz(quiz, 'qti');
+      const content = body.toString('latin1');
+
+      expect(filename).toBe('science-unit-1-plants-light.zip');
+      expect(contentType).toBe('application/zip');
+      expect(content.startsWith('PK')).toBe(true);
+      expect(content).toContain('imsmanifest.xml');
+      expect(content).toContain('assessment.xml');
+      quiz.questions.forEach((question, index) => {
+        expect(content).toContain(`items/item_${index + 1}.xml`);
+      });
+    });
+  });
+});
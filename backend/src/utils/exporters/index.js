@@ -0,0 +1,31 @@
+const exportJson = require('./json');
+const exportMoodleXml = require('./moodleXml');
+const exportQti = require('./qti');
+const { slugify } = require('./markup');
+
+const EXPORTERS = {
+  qti: { build: exportQti, extension: 'zip', contentType: 'application/zip' },
+  moodle: { build: exportMoodleXml, extension: 'xml', contentType: 'application/xml' },
+  json: { build: exportJson, extension: 'json', contentType: 'application/json' },
+};
+
+const FORMATS = Object.keys(EXPORTERS);
+
+// Build a downloadable export of a quiz: { filename, contentType, body }
+const exportQuiz = async (quiz, format) => {
+  const exporter = EXPORTERS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format "${format}"`);
+  }
+
+  return {
+    filename: `${slugify(quiz.title)}.${exporter.extension}`,
+    contentType: exporter.contentType,
+    body: await exporter.build(quiz),
+  };
+};
+
+module.exports = {
+  FORMATS,
+  exportQuiz,
+};
@@ -0,0 +1,44 @@
+// Quiz Mantra's own JSON export: the full quiz content without ids, ownership or statistics
+const EXPORT_VERSION = 1;
+
+const QUESTION_FIELDS = [
+  'type', 'question', 'options', 'correctAnswer', 'scoring', 'answerRules', 'rubric',
+  'explanation', 'points', 'difficulty', 'tags',
+];
+
+// Drop Mongo ids from nested documents (options, rubric criteria and levels)
+const withoutIds = (value) => {
+  if (Array.isArray(value)) return value.map(withoutIds);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).filter(([key]) => key !== '_id').map(([key, val]) => [key, withoutIds(val)])
+    );
+  }
+  return value;
+};
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+const exportJson = (quiz) => {
+  const data = typeof quiz.toObject === 'function' ? quiz.toObject() : quiz;
+
+  return JSON.stringify({
+    format: 'quiz-mantra',
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    quiz: withoutIds({
+      ...pick(data, ['title', 'description', 'subject', 'grade', 'settings']),
+      metadata: pick(data.metadata || {}, ['totalPoints', 'estimatedTime', 'difficulty', 'category', 'tags']),
+      questions: data.questions.map(question => pick(question, QUESTION_FIELDS)),
+      // Random sections refer to the owner's question bank, so pools keep their question ids
+      sections: (data.sections || []).map(({ _id, pool = [], ...section }) => ({
+        ...section,
+        pool: pool.map(id => id.toString()),
+      })),
+    }),
+  }, null, 2);
+};
+
+module.exports = exportJson;
@@ -0,0 +1,39 @@
+// XML helpers shared by the quiz exporters
+const { XMLBuilder } = require('fast-xml-parser');
+
+const builder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  format: true,
+  suppressEmptyNode: true,
+  suppressBooleanAttributes: false,
+});
+
+// XML document from a fast-xml-parser object; attributes use the "@_" prefix
+const buildXml = (root) => builder.build({
+  '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+  ...root,
+});
+
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Question text is stored as plain text; keep its line breaks as HTML
+const textToHtml = (text = '') => `<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>`;
+
+// File name friendly version of a quiz title
+const slugify = (title = '') => String(title)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60) || 'quiz';
+
+module.exports = {
+  buildXml,
+  escapeHtml,
+  textToHtml,
+  slugify,
+};
@@ -0,0 +1,108 @@
+// Moodle XML export, the counterpart of importers/moodleXml.js
+const { buildXml, textToHtml } = require('./markup');
+
+const htmlText = (text) => ({ '@_format': 'html', text: textToHtml(text) });
+
+// Moodle expects answer fractions as percentages with at most 5 decimals
+const percent = (value) => Math.round(value * 100000) / 100000;
+
+const answer = (text, fraction, extra = {}) => ({
+  '@_fraction': percent(fraction),
+  '@_format': 'plain_text',
+  text,
+  ...extra,
+});
+
+const typeFields = (question, shuffle) => {
+  switch (question.type) {
+    case 'multiple-choice':
+      return {
+        '@_type': 'multichoice',
+        single: 'true',
+        shuffleanswers: shuffle ? 1 : 0,
+        answernumbering: 'abc',
+        answer: question.options.map(option => answer(option.text, option.isCorrect ? 100 : 0)),
+      };
+
+    case 'multiple-select': {
+      const correctCount = question.options.filter(option => option.isCorrect).length || 1;
+      const share = 100 / correctCount;
+      // All-or-nothing has no Moodle equivalent; a full negative weight per wrong pick comes closest
+      const penalty = question.scoring?.mode === 'partial' ? share * (question.scoring.wrongPenalty ?? 1) : 100;
+      return {
+        '@_type': 'multichoice',
+        single: 'false',
+        shuffleanswers: shuffle ? 1 : 0,
+        answernumbering: 'abc',
+        answer: question.options.map(option => answer(option.text, option.isCorrect ? share : -Math.min(penalty, 100))),
+      };
+    }
+
+    case 'true-false':
+      return {
+        '@_type': 'truefalse',
+        answer: ['true', 'false'].map(value => answer(value, question.correctAnswer === value ? 100 : 0)),
+      };
+
+    case 'short-answer': {
+      const rules = question.answerRules || {};
+      if (rules.numeric?.enabled) {
+        return {
+          '@_type': 'numerical',
+          answer: answer(String(rules.numeric.value), 100, { tolerance: rules.numeric.tolerance || 0 }),
+          ...(rules.numeric.units?.length > 0 && {
+            units: { unit: rules.numeric.units.map(unit => ({ multiplier: 1, unit_name: unit })) },
+          }),
+        };
+      }
+      const accepted = [question.correctAnswer, ...(rules.acceptedAnswers || [])].filter(Boolean);
+      return {
+        '@_type': 'shortanswer',
+        usecase: rules.caseSensitive ? 1 : 0,
+        answer: [...new Set(accepted)].map(text => answer(text, 100)),
+      };
+    }
+
+    case 'essay':
+      return {
+        '@_type': 'essay',
+        responseformat: 'editor',
+        responsefieldlines: 15,
+        ...(question.correctAnswer && { graderinfo: htmlText(question.correctAnswer) }),
+      };
+
+    default:
+      return null;
+  }
+};
+
+const questionNode = (question, index, shuffle) => {
+  const fields = typeFields(question, shuffle);
+  if (!fields) return null;
+
+  const { '@_type': type, ...rest } = fields;
+  return {
+    '@_type': type,
+    name: { text: `Q${index + 1}` },
+    questiontext: htmlText(question.question),
+    ...(question.explanation && { generalfeedback: htmlText(question.explanation) }),
+    defaultgrade: question.points ?? 1,
+    ...rest,
+    ...(question.tags?.length > 0 && { tags: { tag: question.tags.map(tag => ({ text: tag })) } }),
+  };
+};
+
+// The fixed questions of a quiz, filed under a category named after the quiz
+const exportMoodleXml = (quiz) => buildXml({
+  quiz: {
+    question: [
+      // "/" separates category levels in Moodle
+      { '@_type': 'category', category: { text: `$course$/top/${quiz.title.replace(/\//g, '-')}` } },
+      ...quiz.questions
+        .map((question, index) => questionNode(question, index, quiz.settings?.shuffleOptions))
+        .filter(Boolean),
+    ],
+  },
+});
+
+module.exports = exportMoodleXml;
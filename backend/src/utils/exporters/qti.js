@@ -0,0 +1,264 @@
+// IMS QTI 2.1 content package: one assessmentItem per question, an assessmentTest
+// listing them in quiz order, and an imsmanifest.xml describing every file.
+const archiver = require('archiver');
+const { buildXml } = require('./markup');
+
+const QTI_NS = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const TEMPLATES = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates';
+
+const choiceId = (index) => `choice_${index + 1}`;
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const scoreOutcomes = (points) => [
+  { '@_identifier': 'SCORE', '@_cardinality': 'single', '@_baseType': 'float', defaultValue: { value: 0 } },
+  { '@_identifier': 'MAXSCORE', '@_cardinality': 'single', '@_baseType': 'float', defaultValue: { value: points } },
+];
+
+// One XHTML paragraph per line of text
+const paragraphs = (...texts) => texts.filter(Boolean).flatMap(text => String(text).split('\n'));
+
+// Explanations and model answers are only shown to scorers and tutors
+const rubricBlock = (question) => {
+  const notes = paragraphs(question.type === 'essay' && question.correctAnswer, question.explanation);
+  return notes.length > 0 ? { rubricBlock: { '@_view': 'scorer tutor', p: notes } } : {};
+};
+
+// Prompts hold inline content only, so line breaks are kept as plain whitespace
+const prompt = (question) => question.question;
+
+// SCORE = MAXSCORE when the response matches; match_correct alone only scores 1
+const scaledMatch = (condition) => ({
+  responseCondition: {
+    responseIf: {
+      ...condition,
+      setOutcomeValue: { '@_identifier': 'SCORE', variable: { '@_identifier': 'MAXSCORE' } },
+    },
+  },
+});
+
+const MATCH_CORRECT = { match: { variable: { '@_identifier': 'RESPONSE' }, correct: { '@_identifier': 'RESPONSE' } } };
+
+const choiceItem = (question, options, { multiple, correct, mapping, shuffle }) => ({
+  responseDeclaration: {
+    '@_identifier': 'RESPONSE',
+    '@_cardinality': multiple ? 'multiple' : 'single',
+    '@_baseType': 'identifier',
+    correctResponse: { value: correct },
+    ...(mapping && { mapping }),
+  },
+  body: {
+    ...rubricBlock(question),
+    choiceInteraction: {
+      '@_responseIdentifier': 'RESPONSE',
+      '@_shuffle': shuffle,
+      '@_maxChoices': multiple ? 0 : 1,
+      prompt: prompt(question),
+      simpleChoice: options.map((text, index) => ({ '@_identifier': choiceId(index), '#text': text })),
+    },
+  },
+  responseProcessing: mapping ? { '@_template': `${TEMPLATES}/map_response` } : scaledMatch(MATCH_CORRECT),
+});
+
+const textEntryItem = (question, baseType, correct, responseProcessing, mapping) => ({
+  responseDeclaration: {
+    '@_identifier': 'RESPONSE',
+    '@_cardinality': 'single',
+    '@_baseType': baseType,
+    correctResponse: { value: correct },
+    ...(mapping && { mapping }),
+  },
+  body: {
+    ...rubricBlock(question),
+    p: [
+      ...paragraphs(question.question),
+      { textEntryInteraction: { '@_responseIdentifier': 'RESPONSE', '@_expectedLength': 20 } },
+    ],
+  },
+  responseProcessing,
+});
+
+const itemParts = (question, shuffle) => {
+  const points = question.points ?? 1;
+  const options = (question.options || []).map(option => option.text);
+  const correctIds = (question.options || [])
+    .map((option, index) => (option.isCorrect ? choiceId(index) : null))
+    .filter(Boolean);
+
+  switch (question.type) {
+    case 'multiple-choice':
+      return choiceItem(question, options, { multiple: false, correct: correctIds[0], shuffle });
+
+    case 'multiple-select': {
+      if (question.scoring?.mode !== 'partial') {
+        return choiceItem(question, options, { multiple: true, correct: correctIds, shuffle });
+      }
+      const share = points / (correctIds.length || 1);
+      const penalty = share * (question.scoring.wrongPenalty ?? 1);
+      return choiceItem(question, options, {
+        multiple: true,
+        correct: correctIds,
+        shuffle,
+        mapping: {
+          '@_lowerBound': 0,
+          '@_upperBound': points,
+          '@_defaultValue': 0,
+          mapEntry: (question.options || []).map((option, index) => ({
+            '@_mapKey': choiceId(index),
+            '@_mappedValue': round(option.isCorrect ? share : -penalty),
+          })),
+        },
+      });
+    }
+
+    case 'true-false':
+      return choiceItem(question, ['True', 'False'], {
+        multiple: false,
+        correct: question.correctAnswer === 'false' ? choiceId(1) : choiceId(0),
+        shuffle: false,
+      });
+
+    case 'short-answer': {
+      const rules = question.answerRules || {};
+      if (rules.numeric?.enabled) {
+        const tolerance = rules.numeric.tolerance || 0;
+        return textEntryItem(question, 'float', rules.numeric.value, scaledMatch({
+          equal: {
+            '@_toleranceMode': 'absolute',
+            '@_tolerance': `${tolerance} ${tolerance}`,
+            variable: { '@_identifier': 'RESPONSE' },
+            correct: { '@_identifier': 'RESPONSE' },
+          },
+        }));
+      }
+      const accepted = [...new Set([question.correctAnswer, ...(rules.acceptedAnswers || [])].filter(Boolean))];
+      return textEntryItem(question, 'string', accepted[0], { '@_template': `${TEMPLATES}/map_response` }, {
+        '@_defaultValue': 0,
+        '@_upperBound': points,
+        mapEntry: accepted.map(text => ({
+          '@_mapKey': text,
+          '@_mappedValue': points,
+          '@_caseSensitive': Boolean(rules.caseSensitive),
+        })),
+      });
+    }
+
+    case 'essay':
+      return {
+        responseDeclaration: { '@_identifier': 'RESPONSE', '@_cardinality': 'single', '@_baseType': 'string' },
+        body: {
+          ...rubricBlock(question),
+          extendedTextInteraction: { '@_responseIdentifier': 'RESPONSE', '@_expectedLines': 15, prompt: prompt(question) },
+        },
+        responseProcessing: null,
+      };
+
+    default:
+      return null;
+  }
+};
+
+const itemXml = (question, identifier, title, shuffle) => {
+  const parts = itemParts(question, shuffle);
+  if (!parts) return null;
+
+  return buildXml({
+    assessmentItem: {
+      '@_xmlns': QTI_NS,
+      '@_identifier': identifier,
+      '@_title': title,
+      '@_adaptive': 'false',
+      '@_timeDependent': 'false',
+      responseDeclaration: parts.responseDeclaration,
+      outcomeDeclaration: scoreOutcomes(question.points ?? 1),
+      itemBody: parts.body,
+      ...(parts.responseProcessing && { responseProcessing: parts.responseProcessing }),
+    },
+  });
+};
+
+const testXml = (quiz, items) => buildXml({
+  assessmentTest: {
+    '@_xmlns': QTI_NS,
+    '@_identifier': `quiz_${quiz._id}`,
+    '@_title': quiz.title,
+    ...(quiz.settings?.timeLimit && { timeLimits: { '@_maxTime': quiz.settings.timeLimit * 60 } }),
+    testPart: {
+      '@_identifier': 'part_1',
+      '@_navigationMode': 'nonlinear',
+      '@_submissionMode': 'simultaneous',
+      assessmentSection: {
+        '@_identifier': 'section_1',
+        '@_title': quiz.title,
+        '@_visible': 'true',
+        ...(quiz.settings?.shuffleQuestions && { ordering: { '@_shuffle': 'true' } }),
+        assessmentItemRef: items.map(item => ({ '@_identifier': item.identifier, '@_href': item.href })),
+      },
+    },
+  },
+});
+
+// Tags become LOM keywords on each item resource
+const keywords = (tags = []) => (tags.length > 0 ? {
+  metadata: {
+    'imsmd:lom': {
+      'imsmd:general': {
+        'imsmd:keyword': tags.map(tag => ({ 'imsmd:string': tag })),
+      },
+    },
+  },
+} : {});
+
+const manifestXml = (quiz, items) => buildXml({
+  manifest: {
+    '@_xmlns': 'http://www.imsglobal.org/xsd/imscp_v1p1',
+    '@_xmlns:imsmd': 'http://ltsc.ieee.org/xsd/LOM',
+    '@_identifier': `manifest_${quiz._id}`,
+    metadata: { schema: 'QTIv2.1 Package', schemaversion: '1.0.0' },
+    organizations: '',
+    resources: {
+      resource: [
+        {
+          '@_identifier': 'test',
+          '@_type': 'imsqti_test_xmlv2p1',
+          '@_href': 'assessment.xml',
+          file: { '@_href': 'assessment.xml' },
+          dependency: items.map(item => ({ '@_identifierref': item.identifier })),
+        },
+        ...items.map(item => ({
+          '@_identifier': item.identifier,
+          '@_type': 'imsqti_item_xmlv2p1',
+          '@_href': item.href,
+          ...keywords(item.tags),
+          file: { '@_href': item.href },
+        })),
+      ],
+    },
+  },
+});
+
+// Zip of the package as a Buffer
+const exportQti = (quiz) => {
+  const shuffle = Boolean(quiz.settings?.shuffleOptions);
+  const items = quiz.questions
+    .map((question, index) => {
+      const identifier = `item_${index + 1}`;
+      const xml = itemXml(question, identifier, `Question ${index + 1}`, shuffle);
+      return xml && { identifier, href: `items/${identifier}.xml`, tags: question.tags, xml };
+    })
+    .filter(Boolean);
+
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const chunks = [];
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+
+    archive.append(manifestXml(quiz, items), { name: 'imsmanifest.xml' });
+    archive.append(testXml(quiz, items), { name: 'assessment.xml' });
+    items.forEach(item => archive.append(item.xml, { name: item.href }));
+    archive.finalize();
+  });
+};
+
+module.exports = exportQti;
@@ -50,9 +50,15 @@ const fileFilter = (req, file, cb) => {
     'application/msword': true,
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document': true,
     'text/plain': true,
+    'text/markdown': true,
+    'text/x-markdown': true,
+    'text/html': true,
   };
 
-  if (allowedTypes[file.mimetype]) {
+  // Markdown often arrives without a mime type of its own
+  const isMarkdown = ['.md', '.markdown'].includes(path.extname(file.originalname).toLowerCase());
+
+  if (allowedTypes[file.mimetype] || isMarkdown) {
     cb(null, true);
   } else {
     cb(new Error('Invalid file type. Only images, PDFs, and documents are allowed.'), false);
@@ -69,6 +75,25 @@ const upload = multer({
   },
 });
 
+// Question files for quiz import are parsed straight from memory. Browsers send
+// GIFT, XML and CSV files with unreliable mime types, so the extension is checked instead.
+const IMPORT_EXTENSIONS = ['.gift', '.txt', '.xml', '.csv', '.xlsx'];
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. Allowed: ${IMPORT_EXTENSIONS.join(', ')}`), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1,
+  },
+});
+
 // Middleware for different upload types
 const uploadMiddleware = {
   // Single file upload (for profile pictures, quiz documents)
@@ -79,6 +104,9 @@ const uploadMiddleware = {
   
   // Mixed fields upload
   fields: (fields) => upload.fields(fields),
+
+  // Single question file for quiz import, kept in memory
+  importFile: (fieldName) => importUpload.single(fieldName),
 };
 
 // Helper function to delete file
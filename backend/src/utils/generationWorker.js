@@ -0,0 +1,118 @@
+const GenerationJob = require('../models/GenerationJob');
+const Quiz = require('../models/Quiz');
+const User = require('../models/User');
+const DocumentProcessor = require('./documentProcessor');
+const { generateQuestionsFromDocument } = require('./questionGeneration');
+const { deleteFile } = require('./fileUpload');
+const { withUsage } = require('./ai/usage');
+
+const DEFAULT_POLL_INTERVAL = 5 * 1000; // 5 seconds
+
+let running = false;
+
+// Generation options from the upload form fields
+const generationOptions = (request, documentData) => ({
+  numberOfQuestions: parseInt(request.numberOfQuestions, 10) || 10,
+  difficulty: request.difficulty || 'medium',
+  questionTypes: request.questionTypes ? request.questionTypes.split(',') : ['multiple-choice', 'short-answer'],
+  subject: request.subject || documentData.metadata.subject || 'General',
+});
+
+// Extract the document, generate its questions chunk by chunk and save them as a draft quiz.
+// Progress and the questions of each finished chunk are saved as they come in.
+const runGenerationJob = async (job) => {
+  const { request } = job;
+
+  try {
+    const file = { path: job.file.path, originalname: job.file.originalName, mimetype: job.file.mimeType };
+    const documentData = await DocumentProcessor.processDocumentForQuiz(file, {
+      pages: request.pages,
+      chapters: request.chapters,
+    });
+    const options = generationOptions(request, documentData);
+
+    job.progress.stage = 'generating';
+    await job.save();
+
+    const questions = await generateQuestionsFromDocument(documentData, options, async (progress) => {
+      job.progress.totalChunks = progress.totalChunks;
+      job.progress.completedChunks = progress.completedChunks;
+      if (progress.failed) job.progress.failedChunks += 1;
+      job.partialQuestions.push(...progress.questions);
+      job.discardedQuestions.push(...progress.discarded);
+      await job.save();
+    });
+
+    job.progress.stage = 'saving';
+    await job.save();
+
+    const quiz = await Quiz.create({
+      title: request.title || documentData.metadata.title || 'Generated Quiz',
+      description: request.description || `Quiz generated from uploaded document: ${job.file.originalName}`,
+      subject: options.subject,
+      questions,
+      createdBy: job.createdBy,
+      status: 'draft',
+    });
+
+    job.set({ status: 'completed', quiz: quiz._id, 'progress.stage': 'done' });
+  } catch (error) {
+    console.error(`Error running generation job ${job._id}:`, error);
+    job.set({ status: 'failed', failure: { message: error.message, statusCode: error.statusCode || 500 } });
+  } finally {
+    deleteFile(job.file.path);
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+};
+
+// Mark the oldest queued job as processing, atomically so no job is run twice
+const claimNextJob = () => GenerationJob.findOneAndUpdate(
+  { status: 'queued' },
+  { status: 'processing', startedAt: new Date(), 'progress.stage': 'extracting' },
+  { sort: { createdAt: 1 }, new: true }
+);
+
+// Claim queued jobs one at a time, oldest first, until none are left. Safe to call at any
+// time: a call while jobs are already being worked through returns straight away.
+const processQueuedJobs = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    let job = await claimNextJob();
+    while (job) {
+      // AI calls count against the quota of whoever uploaded the document, and the job
+      // fails once it is used up
+      const user = await User.findById(job.createdBy).select('role aiDailyQuota');
+      await withUsage({ user, endpoint: 'generation job' }, () => runGenerationJob(job));
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    console.error('Generation worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Requeue jobs a previous run of the server left unfinished, then poll for queued jobs.
+// The timer does not keep the process alive.
+const startGenerationWorker = (intervalMs = parseInt(process.env.GENERATION_POLL_INTERVAL, 10) || DEFAULT_POLL_INTERVAL) => {
+  GenerationJob.updateMany(
+    { status: 'processing' },
+    { status: 'queued', progress: { stage: 'queued' }, partialQuestions: [], discardedQuestions: [] }
+  )
+    .then(processQueuedJobs)
+    .catch(error => console.error('Error requeueing interrupted generation jobs:', error));
+
+  const timer = setInterval(processQueuedJobs, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runGenerationJob,
+  processQueuedJobs,
+  startGenerationWorker,
+};
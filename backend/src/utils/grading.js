@@ -0,0 +1,378 @@
+const User = require('../models/User');
+const Submission = require('../models/Submission');
+const Question = require('../models/Question');
+const Message = require('../models/Message');
+const { matchShortAnswer } = require('./shortAnswerMatcher');
+const { getAttemptQuestions, getRegradeQuestions } = require('./quizVersions');
+
+// Find the option a student picked; answers carry the option _id.
+// Matching on text is kept only for attempts saved before ids were used.
+const findOption = (question, optionRef) => {
+  const ref = String(optionRef);
+  return question.options.find(opt => opt._id && opt._id.toString() === ref)
+    || question.options.find(opt => opt.text === ref);
+};
+
+// Score a "select all that apply" answer according to the question's scoring mode
+const gradeMultipleSelect = (question, answer) => {
+  const maxPoints = question.points || 1;
+  const picked = new Set(
+    (Array.isArray(answer) ? answer : [answer])
+      .map(ref => findOption(question, ref))
+      .filter(Boolean)
+  );
+  const correctOptions = question.options.filter(opt => opt.isCorrect);
+  const correctPicks = [...picked].filter(opt => opt.isCorrect).length;
+  const wrongPicks = picked.size - correctPicks;
+  const isCorrect = correctOptions.length > 0 && correctPicks === correctOptions.length && wrongPicks === 0;
+
+  if (question.scoring?.mode !== 'partial' || correctOptions.length === 0) {
+    return { isCorrect, points: isCorrect ? maxPoints : 0 };
+  }
+
+  const penalty = question.scoring.wrongPenalty ?? 1;
+  const credit = Math.max(0, correctPicks - wrongPicks * penalty) / correctOptions.length;
+  return {
+    isCorrect,
+    points: Math.round(maxPoints * credit * 100) / 100,
+  };
+};
+
+// Grade a single answer against its question
+const gradeAnswer = (question, answer) => {
+  let isCorrect = false;
+
+  if (question.type === 'multiple-select') {
+    return gradeMultipleSelect(question, answer);
+  }
+
+  // Essays and rubric questions are graded by hand from the grading queue
+  if (question.type === 'essay' || question.rubric?.length) {
+    return { isCorrect: false, points: 0, pendingReview: true };
+  }
+
+  if (question.type === 'multiple-choice') {
+    const pickedOption = findOption(question, answer);
+    isCorrect = Boolean(pickedOption && pickedOption.isCorrect);
+  } else if (question.type === 'true-false') {
+    isCorrect = String(question.correctAnswer || '').toLowerCase() === String(answer).toLowerCase();
+  } else if (question.type === 'short-answer') {
+    isCorrect = Boolean(matchShortAnswer(question, answer));
+  }
+
+  return {
+    isCorrect,
+    points: isCorrect ? (question.points || 1) : 0,
+  };
+};
+
+// Grade a list of raw answers against the attempt's questions. A question answered
+// more than once keeps its last answer only, so it can't be scored twice; answers
+// without a questionId are dropped.
+const gradeAnswers = (questions, answers) => {
+  const latest = new Map(answers
+    .filter(answer => answer && answer.questionId)
+    .map(answer => [answer.questionId.toString(), answer]));
+
+  return [...latest.values()].map(answer => {
+    const questionId = answer.questionId.toString();
+    const question = questions.find(q => q._id.toString() === questionId);
+    const result = question ? gradeAnswer(question, answer.answer) : { isCorrect: false, points: 0 };
+
+    return {
+      questionId,
+      answer: answer.answer,
+      isCorrect: result.isCorrect,
+      points: result.points,
+      timeSpent: answer.timeSpent || 0,
+      pendingReview: Boolean(result.pendingReview),
+    };
+  });
+};
+
+// Work out the points for one teacher grade: either a raw number of points,
+// or one rubric level per criterion. Returns { points, rubricScores } or { error }.
+const scoreManualGrade = (question, grade) => {
+  const maxPoints = question.points || 1;
+
+  if (Array.isArray(grade.rubric)) {
+    if (!question.rubric?.length) {
+      return { error: `Question ${question._id} has no rubric` };
+    }
+
+    const rubricScores = [];
+    for (const criterion of question.rubric) {
+      const selection = grade.rubric.find(s => String(s.criterionId) === criterion._id.toString());
+      const level = selection && criterion.levels.find(l => l._id.toString() === String(selection.levelId));
+      if (!level) {
+        return { error: `Select a level for "${criterion.title}"` };
+      }
+      rubricScores.push({
+        criterionId: criterion._id,
+        levelId: level._id,
+        criterion: criterion.title,
+        level: level.label,
+        points: level.points,
+      });
+    }
+
+    const total = rubricScores.reduce((sum, score) => sum + score.points, 0);
+    return { points: Math.min(total, maxPoints), rubricScores };
+  }
+
+  const points = Number(grade.points);
+  if (!Number.isFinite(points) || points < 0 || points > maxPoints) {
+    return { error: `Points for question ${question._id} must be between 0 and ${maxPoints}` };
+  }
+  return { points, rubricScores: [] };
+};
+
+// Apply teacher grades to a submission's answers and recalculate its score.
+// Returns an error message, leaving the submission untouched, if any grade is invalid.
+const applyManualGrades = (submission, questions, grades) => {
+  const scored = [];
+  for (const grade of grades) {
+    const question = questions.find(q => q._id.toString() === String(grade.questionId));
+    if (!question) {
+      return `Question ${grade.questionId} is not part of this quiz`;
+    }
+    const result = scoreManualGrade(question, grade);
+    if (result.error) {
+      return result.error;
+    }
+    scored.push({ questionId: question._id.toString(), ...result });
+  }
+
+  scored.forEach(({ questionId, points, rubricScores }) => {
+    const answer = submission.answers.find(a => a.questionId.toString() === questionId);
+    if (answer) {
+      answer.points = points;
+      answer.isCorrect = points > 0;
+      answer.pendingReview = false;
+      answer.rubricScores = rubricScores;
+    }
+  });
+
+  submission.calculateScore(questions);
+  return null;
+};
+
+// Grade a closed submission's stored answers again, e.g. against an edited quiz version.
+// Answers that need a teacher keep any grade they already have; ungraded ones stay queued.
+const regradeAnswers = (submission, questions) => {
+  submission.answers.forEach(answer => {
+    const question = questions.find(q => q._id.toString() === answer.questionId.toString());
+    if (!question) return;
+
+    const result = gradeAnswer(question, answer.answer);
+    if (result.pendingReview) return;
+
+    answer.isCorrect = result.isCorrect;
+    answer.points = result.points;
+    answer.pendingReview = false;
+    answer.rubricScores = [];
+  });
+
+  submission.calculateScore(questions);
+  if (submission.status === 'needs-review' && !submission.answers.some(answer => answer.pendingReview)) {
+    submission.status = 'evaluated';
+  }
+};
+
+// Move quiz and student averages after a grade change on a submission they already count,
+// e.g. a teacher grading its essays; before is the submission's percentage beforehand
+const adjustAverages = async (submission, quiz, before) => {
+  const delta = submission.score.percentage - before;
+  if (delta === 0 || submission.status === 'in-progress') return;
+
+  await quiz.adjustAverageScore(delta);
+  const studentDoc = await User.findById(submission.student._id || submission.student);
+  if (studentDoc) {
+    await studentDoc.adjustAverageScore(delta);
+  }
+};
+
+// Regrade finished submissions with the current quiz version's answer key, recording each
+// score before and after. Each submission keeps the questions and maximum score of the version
+// it was taken on (getRegradeQuestions). Quiz and student averages move by the score changes,
+// and students whose score changed get a message. Returns one entry per submission.
+const regradeSubmissions = async (quiz, submissions, regradedBy) => {
+  const results = [];
+
+  for (const submission of submissions) {
+    const before = { total: submission.score.total, percentage: submission.score.percentage };
+    regradeAnswers(submission, await getRegradeQuestions(submission, quiz));
+    const after = { total: submission.score.total, percentage: submission.score.percentage };
+
+    submission.regrades.push({ regradedBy, quizVersion: quiz.version, before, after });
+    await submission.save();
+
+    results.push({
+      submission: submission._id,
+      student: submission.student,
+      before,
+      after,
+      changed: before.total !== after.total || before.percentage !== after.percentage,
+    });
+  }
+
+  const changed = results.filter(result => result.changed);
+  const studentDeltas = new Map();
+  let quizDelta = 0;
+  changed.forEach(({ student, before, after }) => {
+    const studentId = student._id.toString();
+    studentDeltas.set(studentId, (studentDeltas.get(studentId) || 0) + after.percentage - before.percentage);
+    quizDelta += after.percentage - before.percentage;
+  });
+
+  if (quizDelta !== 0) {
+    await quiz.adjustAverageScore(quizDelta);
+  }
+  for (const [studentId, delta] of studentDeltas) {
+    const studentDoc = await User.findById(studentId);
+    if (studentDoc && delta !== 0) {
+      await studentDoc.adjustAverageScore(delta);
+    }
+  }
+
+  if (changed.length > 0) {
+    await Message.insertMany(changed.map(({ submission, student, before, after }) => ({
+      sender: regradedBy,
+      recipient: student._id,
+      subject: `Your score for "${quiz.title}" was updated`,
+      content: `Your answers were regraded after a correction to the quiz. Your score changed from ${before.total} points (${before.percentage}%) to ${after.total} points (${after.percentage}%).`,
+      type: 'revaluation',
+      relatedQuiz: quiz._id,
+      relatedSubmission: submission,
+      metadata: { isSystemGenerated: true },
+    })));
+  }
+
+  return results;
+};
+
+// Clamp an AI grade suggestion to the question's points. Rubric picks that don't
+// fit the rubric are dropped, keeping the suggested points instead.
+const normalizeSuggestion = (question, raw) => {
+  const maxPoints = question.points || 1;
+  let points = Math.min(maxPoints, Math.max(0, Number(raw.points) || 0));
+  let rubric = [];
+
+  if (question.rubric?.length && Array.isArray(raw.rubric)) {
+    const scored = scoreManualGrade(question, { rubric: raw.rubric });
+    if (!scored.error) {
+      points = scored.points;
+      rubric = scored.rubricScores.map(({ criterionId, levelId }) => ({ criterionId, levelId }));
+    }
+  }
+
+  return {
+    points: Math.round(points * 100) / 100,
+    justification: String(raw.justification || '').trim(),
+    rubric,
+    status: 'pending',
+    generatedAt: new Date(),
+  };
+};
+
+// Apply teacher decisions on AI suggestions: "accept" grades with the suggestion,
+// "edit" with the teacher's points or rubric levels, and "reject" leaves the score alone.
+// Returns an error message, leaving the submission untouched, if any decision is invalid.
+const reviewSuggestions = (submission, questions, decisions, reviewerId) => {
+  const grades = [];
+  const reviewed = [];
+
+  for (const decision of decisions) {
+    const questionId = String(decision.questionId);
+    const answer = submission.answers.find(a => a.questionId.toString() === questionId);
+    const suggestion = answer?.aiSuggestion;
+    if (!suggestion?.status) {
+      return `No AI suggestion for question ${questionId}`;
+    }
+
+    if (decision.action === 'accept') {
+      grades.push(suggestion.rubric.length
+        ? { questionId, rubric: suggestion.rubric }
+        : { questionId, points: suggestion.points });
+      reviewed.push({ suggestion, status: 'accepted' });
+    } else if (decision.action === 'edit') {
+      grades.push({ questionId, points: decision.points, rubric: decision.rubric });
+      reviewed.push({ suggestion, status: 'edited' });
+    } else if (decision.action === 'reject') {
+      reviewed.push({ suggestion, status: 'rejected' });
+    } else {
+      return `Unknown action "${decision.action}" for question ${questionId}`;
+    }
+  }
+
+  const gradeError = applyManualGrades(submission, questions, grades);
+  if (gradeError) {
+    return gradeError;
+  }
+
+  reviewed.forEach(({ suggestion, status }) => {
+    suggestion.status = status;
+    suggestion.reviewedBy = reviewerId;
+    suggestion.reviewedAt = new Date();
+  });
+  return null;
+};
+
+// Grade and close an attempt, then record quiz and student statistics. The caller claims the
+// attempt first (Submission.claimAttempt); if grading or saving fails the claim is released.
+// When no answers are passed, the answers autosaved on the submission are graded; endTime
+// defaults to now.
+const finalizeSubmission = async (submission, quiz, { answers, student, endTime } = {}) => {
+  let questions;
+  try {
+    questions = await getAttemptQuestions(submission, quiz);
+    const rawAnswers = answers || submission.answers.map(answer => answer.toObject());
+
+    // Store answers in the order the student saw the questions
+    const position = new Map(
+      submission.orderQuestions(questions).map((question, index) => [question._id.toString(), index])
+    );
+    submission.answers = gradeAnswers(questions, rawAnswers).sort((a, b) => (
+      (position.get(a.questionId) ?? position.size) - (position.get(b.questionId) ?? position.size)
+    ));
+    submission.calculateScore(questions);
+    submission.finishSubmission(endTime);
+
+    // Ungraded essays hold the submission for review; otherwise auto-evaluate if enabled
+    if (submission.answers.some(answer => answer.pendingReview)) {
+      submission.status = 'needs-review';
+    } else if (quiz.settings.autoGrade) {
+      submission.status = 'evaluated';
+      submission.evaluation.autoGraded = true;
+      submission.evaluation.evaluatedAt = new Date();
+    }
+
+    await submission.save();
+  } catch (error) {
+    await Submission.releaseAttempt(submission._id);
+    throw error;
+  }
+
+  // Update quiz and user statistics
+  await quiz.updateStatistics(submission.score.percentage);
+  await Question.recordResults(questions, submission.answers);
+
+  const studentDoc = student || await User.findById(submission.student);
+  if (studentDoc) {
+    await studentDoc.updateStats(submission.score.percentage);
+  }
+
+  return submission;
+};
+
+module.exports = {
+  gradeAnswer,
+  gradeAnswers,
+  applyManualGrades,
+  regradeAnswers,
+  regradeSubmissions,
+  normalizeSuggestion,
+  reviewSuggestions,
+  adjustAverages,
+  finalizeSubmission,
+};
@@ -0,0 +1,89 @@
+const { normalizeAnswer } = require('./shortAnswerMatcher');
+
+// Tie generated questions to the passage of the source text they were generated from, and
+// check that their answers are actually stated there.
+
+const MAX_EXCERPT_LENGTH = 400; // longer source sentences are cut off in the stored excerpt
+const MIN_QUOTE_MATCH = 0.6; // share of the model's quoted words a sentence must have to count as the quote
+const MIN_SUPPORT = 0.5; // share of an answer's words that must appear around the excerpt
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'are', 'was', 'were', 'been', 'being', 'have', 'has', 'had',
+  'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'can', 'must', 'shall',
+  'this', 'that', 'these', 'those', 'you', 'she', 'they', 'its', 'their', 'them', 'from', 'into',
+  'what', 'where', 'when', 'why', 'how', 'which', 'who', 'whom', 'whose', 'not', 'all', 'any',
+  'true', 'false', 'following', 'statement', 'according', 'text', 'passage',
+]);
+
+// Words that carry meaning, with a plural "s" dropped so "cells" matches "cell"
+const contentWords = (text) => normalizeAnswer(text)
+  .split(' ')
+  .filter(word => (word.length >= 3 || /\d/.test(word)) && !STOP_WORDS.has(word))
+  .map(word => (word.length > 4 ? word.replace(/s$/, '') : word));
+
+// Share of the words found in the set; 1 when there are no words to look for
+const share = (words, set) => (words.length === 0 ? 1 : words.filter(word => set.has(word)).length / words.length);
+
+// Sentences of the text with their offsets
+const sentencesOf = (text) => [...text.matchAll(/\S[^]*?(?:[.!?]+(?=\s|$)|$)/g)]
+  .map(match => ({ text: match[0], start: match.index, words: new Set(contentWords(match[0])) }));
+
+// What the source has to state for the question to be fair: the correct options, the
+// short answer, or a true/false statement itself. Essays have no single answer to check.
+const claimsOf = (question) => {
+  if (question.type === 'multiple-choice' || question.type === 'multiple-select') {
+    return (question.options || []).filter(option => option.isCorrect).map(option => option.text);
+  }
+  if (question.type === 'short-answer') return [question.correctAnswer];
+  if (question.type === 'true-false') return [question.question];
+  return [];
+};
+
+// Index of the sentence the question is based on: the one matching the model's quote, else
+// the one sharing the most words with the question and its answers; -1 when none share any
+const locate = (question, sentences, claims) => {
+  const best = (words, score) => sentences.reduce((found, sentence, index) => {
+    const value = score(words, sentence.words);
+    return value > found.value ? { index, value } : found;
+  }, { index: -1, value: 0 });
+
+  if (typeof question.sourceQuote === 'string') {
+    const quoted = best(contentWords(question.sourceQuote), share);
+    if (quoted.value >= MIN_QUOTE_MATCH) return quoted.index;
+  }
+
+  const words = contentWords([question.question, ...claims].join(' '));
+  return best(words, (list, set) => list.filter(word => set.has(word)).length).index;
+};
+
+const excerptOf = (text) => (
+  text.length > MAX_EXCERPT_LENGTH ? `${text.slice(0, MAX_EXCERPT_LENGTH - 1).trimEnd()}…` : text
+);
+
+// Ground each question in the text it was generated from. Returns, in the same order,
+// { excerpt, offset } with the supporting sentence and where it starts in the text, or
+// { reasons } when no sentence matches or an answer is not stated around the one found.
+const groundQuestions = (questions, text) => {
+  const sentences = sentencesOf(text);
+
+  return questions.map(question => {
+    const claims = claimsOf(question).filter(claim => typeof claim === 'string');
+    const index = locate(question, sentences, claims);
+    if (index === -1) {
+      return { reasons: ['no passage of the source text matches the question'] };
+    }
+
+    // The sentence before and after count too, as answers often run over a sentence break
+    const around = new Set(sentences.slice(Math.max(0, index - 1), index + 2).flatMap(sentence => [...sentence.words]));
+    const unsupported = claims.filter(claim => share(contentWords(claim), around) < MIN_SUPPORT);
+    if (unsupported.length > 0) {
+      return { reasons: unsupported.map(claim => `"${claim}" is not supported by the source text`) };
+    }
+
+    return { excerpt: excerptOf(sentences[index].text), offset: sentences[index].start };
+  });
+};
+
+module.exports = {
+  groundQuestions,
+};
@@ -0,0 +1,203 @@
+const ExcelJS = require('exceljs');
+const { detectFormat, parseQuizFile } = require('..');
+
+const parse = (content, format) => parseQuizFile(Buffer.from(content), format);
+
+describe('detectFormat', () => {
+  it('goes by the file extension', () => {
+    expect(detectFormat('quiz.xml')).toBe('moodle');
+    expect(detectFormat('quiz.gift')).toBe('gift');
+    expect(detectFormat('quiz.csv')).toBe('csv');
+    expect(detectFormat('quiz.xlsx')).toBe('xlsx');
+  });
+
+  it('tells Aiken from GIFT in text files by their content', () => {
+    expect(detectFormat('quiz.txt', 'What?\nA. yes\nB. no\nANSWER: A')).toBe('aiken');
+    expect(detectFormat('quiz.txt', 'What? {=yes ~no}')).toBe('gift');
+    expect(detectFormat('quiz.txt', '<?xml version="1.0"?><quiz></quiz>')).toBe('moodle');
+  });
+});
+
+describe('parseQuizFile', () => {
+  it('rejects unknown formats', async () => {
+    await expect(parse('', 'docx')).rejects.toThrow('Unknown import format "docx"');
+  });
+
+  describe('GIFT', () => {
+    const gift = `// Geography
+$CATEGORY: Geography
+
+::Capital:: What is the capital of France? {=Paris ~London ~Berlin #Paris is right}
+
+Water boils at 100 degrees Celsius at sea level. {TRUE}
+
+Name the largest planet. {=Jupiter =Jove}
+
+What is pi to two decimals? {#3.14:0.01}
+
+Describe photosynthesis. {}
+
+Broken question {=a ~b
+`;
+
+    it('reads each supported question type, tagged with its category', async () => {
+      const { questions } = await parse(gift, 'gift');
+
+      expect(questions.map(q => q.type)).toEqual(['multiple-choice', 'true-false', 'short-answer', 'short-answer', 'essay']);
+      expect(questions[0]).toMatchObject({
+        question: 'What is the capital of France?',
+        options: [
+          { text: 'Paris', isCorrect: true },
+          { text: 'London', isCorrect: false },
+          { text: 'Berlin', isCorrect: false },
+        ],
+        tags: ['Geography'],
+      });
+      expect(questions[1].correctAnswer).toBe('true');
+      expect(questions[2]).toMatchObject({ correctAnswer: 'Jupiter', answerRules: { acceptedAnswers: ['Jove'] } });
+      expect(questions[3].answerRules.numeric).toEqual({ enabled: true, value: 3.14, tolerance: 0.01 });
+    });
+
+    it('reports questions it cannot read with their line', async () => {
+      const { errors } = await parse(gift, 'gift');
+      expect(errors).toEqual([{ line: 14, snippet: 'Broken question {=a ~b', message: 'No answer block in braces found' }]);
+    });
+  });
+
+  describe('Aiken', () => {
+    it('reads lettered options and the answer line', async () => {
+      const { questions, errors } = await parse('What is 2 + 2?\nA. 3\nB) 4\nANSWER: B\n\nBad question\nA. x\nANSWER: C\n', 'aiken');
+
+      expect(questions).toEqual([{
+        type: 'multiple-choice',
+        question: 'What is 2 + 2?',
+        options: [{ text: '3', isCorrect: false }, { text: '4', isCorrect: true }],
+      }]);
+      expect(errors).toEqual([{ line: 6, snippet: 'Bad question', message: 'At least two options (A., B., ...) are needed' }]);
+    });
+  });
+
+  describe('Moodle XML', () => {
+    const xml = `<?xml version="1.0"?>
+<quiz>
+  <question type="category"><category><text>$course$/Science</text></category></question>
+  <question type="multichoice">
+    <questiontext format="html"><text><![CDATA[<p>Which gas do plants absorb?</p>]]></text></questiontext>
+    <defaultgrade>2</defaultgrade>
+    <single>true</single>
+    <answer fraction="100"><text>Carbon dioxide</text></answer>
+    <answer fraction="0"><text>Oxygen</text></answer>
+  </question>
+  <question type="truefalse">
+    <questiontext><text>The Earth is flat.</text></questiontext>
+    <answer fraction="0"><text>true</text></answer>
+    <answer fraction="100"><text>false</text></answer>
+  </question>
+  <question type="shortanswer">
+    <questiontext><text>Chemical symbol for gold?</text></questiontext>
+    <answer fraction="100"><text>Au</text></answer>
+  </question>
+  <question type="matching"><questiontext><text>Match these</text></questiontext></question>
+</quiz>`;
+
+    it('reads questions as plain text, tagged with their category', async () => {
+      const { questions } = await parse(xml, 'moodle');
+
+      expect(questions).toHaveLength(3);
+      expect(questions[0]).toMatchObject({
+        type: 'multiple-choice',
+        question: 'Which gas do plants absorb?',
+        points: 2,
+        options: [{ text: 'Carbon dioxide', isCorrect: true }, { text: 'Oxygen', isCorrect: false }],
+        tags: ['Science'],
+      });
+      expect(questions[1]).toMatchObject({ type: 'true-false', correctAnswer: 'false' });
+      expect(questions[2]).toMatchObject({ type: 'short-answer', correctAnswer: 'Au' });
+    });
+
+    it('reports unsupported question types', async () => {
+      const { errors } = await parse(xml, 'moodle');
+      expect(errors.map(error => error.message)).toEqual(['Question type "matching" is not supported']);
+    });
+  });
+
+  describe('CSV', () => {
+    const csv = `Type,Question,Options,Correct Answer,Explanation,Points,Difficulty,Tags
+multiple-choice,What is 2+2?,3|4|5,4,Basic sums,1,easy,"math, sums"
+multiple select,Which are even?,1|2|3|4,B|D,,2,,
+true-false,The sky is blue,,yes,,1,,
+short-answer,Capital of Italy?,,Rome|Roma,,2,hard,
+multiple-choice,No answer here?,a|b,c,,1,,
+`;
+
+    it('reads one question per row, with options by text or letter', async () => {
+      const { questions } = await parse(csv, 'csv');
+
+      expect(questions).toHaveLength(4);
+      expect(questions[0]).toMatchObject({
+        type: 'multiple-choice',
+        options: [{ text: '3', isCorrect: false }, { text: '4', isCorrect: true }, { text: '5', isCorrect: false }],
+        explanation: 'Basic sums',
+        difficulty: 'easy',
+        tags: ['math', 'sums'],
+      });
+      expect(questions[1].options.filter(option => option.isCorrect).map(option => option.text)).toEqual(['2', '4']);
+      expect(questions[2].correctAnswer).toBe('true');
+      expect(questions[3]).toMatchObject({ correctAnswer: 'Rome', answerRules: { acceptedAnswers: ['Roma'] }, points: 2 });
+    });
+
+    it('reports rows whose answer matches no option', async () => {
+      const { errors } = await parse(csv, 'csv');
+      expect(errors).toEqual([{ line: 6, snippet: 'No answer here?', message: 'Correct answer "c" does not match any option' }]);
+    });
+  });
+
+  describe('XLSX', () => {
+    const workbook = async (rows) => {
+      const book = new ExcelJS.Workbook();
+      book.addWorksheet('Questions').addRows(rows);
+      return Buffer.from(await book.xlsx.writeBuffer());
+    };
+
+    it('reads the first sheet, with one column per option', async () => {
+      const buffer = await workbook([
+        ['Question', 'Type', 'Option A', 'Option B', 'Option C', 'Correct_Answer', 'Points'],
+        ['Largest ocean?', 'Multiple Choice', 'Atlantic', 'Pacific', 'Indian', 'b', 3],
+        ['Explain tides.', 'essay', '', '', '', '', 5],
+        ['Pick one', 'multiple-choice', 'x', 'y', '', 'a|b', 1],
+      ]);
+      const { questions, errors } = await parseQuizFile(buffer, 'xlsx');
+
+      expect(questions).toEqual([
+        {
+          type: 'multiple-choice',
+          question: 'Largest ocean?',
+          options: [
+            { text: 'Atlantic', isCorrect: false },
+            { text: 'Pacific', isCorrect: true },
+            { text: 'Indian', isCorrect: false },
+          ],
+          points: 3,
+        },
+        { type: 'essay', question: 'Explain tides.', points: 5 },
+      ]);
+      expect(errors).toEqual([{
+        line: 4,
+        snippet: 'Pick one',
+        message: 'Multiple-choice questions have one correct answer; use multiple-select for more',
+      }]);
+    });
+
+    it('reports a missing question column', async () => {
+      const { questions, errors } = await parseQuizFile(await workbook([['Type', 'Text'], ['essay', 'Why?']]), 'xlsx');
+
+      expect(questions).toEqual([]);
+      expect(errors).toEqual([{ line: 1, snippet: '', message: 'Missing column(s): question' }]);
+    });
+
+    it('rejects files that are not workbooks', async () => {
+      const { errors } = await parseQuizFile(Buffer.from('Type,Question'), 'xlsx');
+      expect(errors).toEqual([{ line: null, snippet: '', message: 'Not a valid XLSX file' }]);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+// Aiken format: question text, lettered options and an ANSWER line, e.g.
+//   What is 2 + 2?
+//   A. 3
+//   B. 4
+//   ANSWER: B
+// Only single-answer multiple choice questions exist in Aiken.
+
+const OPTION_LINE = /^([A-Z])[.)]\s+(.*)$/;
+const ANSWER_LINE = /^ANSWER:\s*(.*)$/i;
+
+const parseBlock = (lines) => {
+  const questionLines = [];
+  const options = [];
+  let answer = null;
+
+  for (const line of lines) {
+    const answerMatch = line.match(ANSWER_LINE);
+    const optionMatch = line.match(OPTION_LINE);
+    if (answerMatch) {
+      answer = answerMatch[1].trim().toUpperCase();
+    } else if (optionMatch && questionLines.length > 0) {
+      options.push({ letter: optionMatch[1], text: optionMatch[2].trim() });
+    } else if (options.length > 0) {
+      return { error: `Unexpected line after the options: "${line}"` };
+    } else {
+      questionLines.push(line);
+    }
+  }
+
+  if (questionLines.length === 0) {
+    return { error: 'Question text is empty' };
+  }
+  if (options.length < 2) {
+    return { error: 'At least two options (A., B., ...) are needed' };
+  }
+  if (!answer) {
+    return { error: 'Missing ANSWER line' };
+  }
+  if (!options.some(option => option.letter === answer)) {
+    return { error: `ANSWER ${answer} does not match any option` };
+  }
+
+  return {
+    question: {
+      type: 'multiple-choice',
+      question: questionLines.join('\n'),
+      options: options.map(option => ({ text: option.text, isCorrect: option.letter === answer })),
+    },
+  };
+};
+
+// Returns { questions: [{ line, question }], errors: [{ line, snippet, message }] }
+const parseAiken = (content) => {
+  const questions = [];
+  const errors = [];
+  const lines = String(content).replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  let block = [];
+  let blockStart = 0;
+
+  const flush = () => {
+    if (block.length === 0) return;
+    const result = parseBlock(block);
+    if (result.error) {
+      errors.push({ line: blockStart, snippet: block[0].slice(0, 80), message: result.error });
+    } else {
+      questions.push({ line: blockStart, question: result.question });
+    }
+    block = [];
+  };
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      flush();
+      return;
+    }
+    if (block.length === 0) blockStart = index + 1;
+    block.push(trimmed);
+    // The ANSWER line always ends a question, even without a blank line after it
+    if (ANSWER_LINE.test(trimmed)) flush();
+  });
+  flush();
+
+  return { questions, errors };
+};
+
+module.exports = parseAiken;
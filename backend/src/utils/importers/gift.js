@@ -0,0 +1,254 @@
+// Moodle GIFT format: one question per blank-line separated block, e.g.
+//   ::Capital:: What is the capital of France? {=Paris ~London ~Berlin #Feedback}
+// Supported: multiple choice (with % weights), true/false, short answer, numeric and essay.
+const { htmlToText, categoryTag } = require('./text');
+
+// Index of the first unescaped occurrence of token at or after start, or -1
+const findUnescaped = (text, token, start = 0) => {
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text.startsWith(token, i)) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// Split on unescaped separators, keeping each separator at the start of its piece
+const splitUnescaped = (text, separators) => {
+  const pieces = [];
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      current += text[i] + text[i + 1];
+      i++;
+    } else if (separators.includes(text[i])) {
+      if (current.trim()) pieces.push(current);
+      current = text[i];
+    } else {
+      current += text[i];
+    }
+  }
+  if (current.trim()) pieces.push(current);
+  return pieces;
+};
+
+const unescape = (text) => text
+  .replace(/\\n/g, '\n')
+  .replace(/\\([~=#{}:\\])/g, '$1')
+  .trim();
+
+// Question text may start with a [html], [markdown], [plain] or [moodle] format marker
+const formatText = (raw) => {
+  const match = raw.trim().match(/^\[(html|markdown|plain|moodle)\]([\s\S]*)$/i);
+  if (!match) return unescape(raw);
+  return match[1].toLowerCase() === 'html' ? htmlToText(unescape(match[2])) : unescape(match[2]);
+};
+
+// "5:0.5" (value and tolerance) or "4..6" (range)
+const parseNumeric = (spec) => {
+  const range = spec.match(/^\s*(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)\s*$/);
+  if (range) {
+    const min = parseFloat(range[1]);
+    const max = parseFloat(range[2]);
+    return { value: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+  }
+  const [value, tolerance = '0'] = spec.split(':');
+  return { value: parseFloat(value), tolerance: Math.abs(parseFloat(tolerance)) };
+};
+
+const parseNumericAnswer = (body) => {
+  let spec = body.slice(1).trim();
+  if (spec.startsWith('=')) {
+    // Several graded answers: use the one worth full credit
+    const answers = splitUnescaped(spec, '=').map(piece => piece.slice(1));
+    spec = answers.find(answer => !/^%/.test(answer.trim()) || /^%100%/.test(answer.trim())) || answers[0];
+    spec = spec.replace(/^\s*%[-\d.]+%/, '');
+  }
+  spec = spec.slice(0, findUnescaped(spec, '#') === -1 ? spec.length : findUnescaped(spec, '#'));
+
+  const { value, tolerance } = parseNumeric(spec);
+  if (!Number.isFinite(value) || !Number.isFinite(tolerance)) {
+    return { error: `Invalid numeric answer "${spec.trim()}"` };
+  }
+  return {
+    question: {
+      type: 'short-answer',
+      correctAnswer: String(value),
+      answerRules: { numeric: { enabled: true, value, tolerance } },
+    },
+  };
+};
+
+const parseChoiceAnswers = (body) => {
+  const answers = splitUnescaped(body, '=~').map(piece => {
+    const marker = piece[0];
+    let text = piece.slice(1);
+    const feedbackAt = findUnescaped(text, '#');
+    if (feedbackAt !== -1) text = text.slice(0, feedbackAt);
+
+    let weight = marker === '=' ? 100 : 0;
+    const weightMatch = text.trim().match(/^%(-?[\d.]+)%([\s\S]*)$/);
+    if (weightMatch) {
+      weight = parseFloat(weightMatch[1]);
+      text = weightMatch[2];
+    }
+    return { marker, text: unescape(text), weight };
+  });
+
+  if (answers.some(answer => answer.text.includes('->'))) {
+    return { error: 'Matching questions are not supported' };
+  }
+  if (answers.length === 0 || answers.some(answer => !'=~'.includes(answer.marker))) {
+    return { error: 'Could not read the answers' };
+  }
+
+  // Only "=" answers and no wrong options: a short answer with alternatives
+  if (answers.every(answer => answer.marker === '=')) {
+    const [first, ...rest] = answers.map(answer => answer.text);
+    return {
+      question: {
+        type: 'short-answer',
+        correctAnswer: first,
+        answerRules: { acceptedAnswers: rest },
+      },
+    };
+  }
+
+  const correctCount = answers.filter(answer => answer.weight > 0).length;
+  if (correctCount === 0) {
+    return { error: 'No correct answer marked' };
+  }
+  return {
+    question: {
+      type: correctCount > 1 ? 'multiple-select' : 'multiple-choice',
+      options: answers.map(answer => ({ text: answer.text, isCorrect: answer.weight > 0 })),
+      ...(correctCount > 1 && { scoring: { mode: 'partial' } }),
+    },
+  };
+};
+
+const parseAnswerBlock = (body) => {
+  const trimmed = body.trim();
+  if (!trimmed) {
+    return { question: { type: 'essay' } };
+  }
+
+  const trueFalse = trimmed.match(/^(TRUE|FALSE|T|F)\b/i);
+  if (trueFalse) {
+    return {
+      question: {
+        type: 'true-false',
+        correctAnswer: trueFalse[1][0].toUpperCase() === 'T' ? 'true' : 'false',
+      },
+    };
+  }
+
+  if (trimmed.startsWith('#')) {
+    return parseNumericAnswer(trimmed);
+  }
+  return parseChoiceAnswers(trimmed);
+};
+
+const parseBlock = (block) => {
+  let text = block;
+
+  let title = '';
+  if (text.trim().startsWith('::')) {
+    const start = text.indexOf('::') + 2;
+    const end = findUnescaped(text, '::', start);
+    if (end !== -1) {
+      title = unescape(text.slice(start, end));
+      text = text.slice(end + 2);
+    }
+  }
+
+  const open = findUnescaped(text, '{');
+  const close = open === -1 ? -1 : findUnescaped(text, '}', open);
+  if (open === -1 || close === -1) {
+    return { title, error: 'No answer block in braces found' };
+  }
+
+  let answerBody = text.slice(open + 1, close);
+  let explanation = '';
+  const generalFeedbackAt = findUnescaped(answerBody, '####');
+  if (generalFeedbackAt !== -1) {
+    explanation = unescape(answerBody.slice(generalFeedbackAt + 4));
+    answerBody = answerBody.slice(0, generalFeedbackAt);
+  }
+
+  // Text after the braces makes it a "missing word" question
+  const before = text.slice(0, open);
+  const after = text.slice(close + 1);
+  const questionText = after.trim()
+    ? `${formatText(before)} _____ ${formatText(after)}`
+    : formatText(before);
+
+  const parsed = parseAnswerBlock(answerBody);
+  if (parsed.error) {
+    return { title, error: parsed.error };
+  }
+  if (!questionText) {
+    return { title, error: 'Question text is empty' };
+  }
+
+  return {
+    title,
+    question: {
+      ...parsed.question,
+      question: questionText,
+      ...(explanation && { explanation }),
+    },
+  };
+};
+
+// Returns { questions: [{ line, question }], errors: [{ line, snippet, message }] }
+const parseGift = (content) => {
+  const questions = [];
+  const errors = [];
+  const lines = String(content).replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  let category = null;
+  let block = [];
+  let blockStart = 0;
+
+  const flush = () => {
+    if (block.length === 0) return;
+    const source = block.join('\n');
+    const result = parseBlock(source);
+    if (result.error) {
+      errors.push({ line: blockStart, snippet: (result.title || source).slice(0, 80), message: result.error });
+    } else {
+      questions.push({
+        line: blockStart,
+        question: { ...result.question, ...(category && { tags: [category] }) },
+      });
+    }
+    block = [];
+  };
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('//')) return;
+
+    const categoryMatch = trimmed.match(/^\$CATEGORY:\s*(.+)$/i);
+    if (categoryMatch) {
+      flush();
+      category = categoryTag(categoryMatch[1]);
+      return;
+    }
+
+    if (!trimmed) {
+      flush();
+      return;
+    }
+    if (block.length === 0) blockStart = index + 1;
+    block.push(line);
+  });
+  flush();
+
+  return { questions, errors };
+};
+
+module.exports = parseGift;
@@ -0,0 +1,69 @@
+const path = require('path');
+const Quiz = require('../../models/Quiz');
+const parseGift = require('./gift');
+const parseAiken = require('./aiken');
+const parseMoodleXml = require('./moodleXml');
+const { parseCsv, parseXlsx } = require('./spreadsheet');
+
+const PARSERS = {
+  gift: parseGift,
+  aiken: parseAiken,
+  moodle: parseMoodleXml,
+  csv: parseCsv,
+  xlsx: parseXlsx,
+};
+
+// Formats parsed from the raw file rather than its text
+const BINARY_FORMATS = ['xlsx'];
+
+const FORMATS = Object.keys(PARSERS);
+
+// Guess the format from the file extension; .txt files can be Aiken or GIFT
+const detectFormat = (filename = '', content = '') => {
+  const ext = path.extname(filename).toLowerCase();
+  if (ext === '.xml') return 'moodle';
+  if (ext === '.gift') return 'gift';
+  if (ext === '.csv') return 'csv';
+  if (ext === '.xlsx') return 'xlsx';
+  if (/^\s*<\?xml|^\s*<quiz[\s>]/.test(content)) return 'moodle';
+  return /^ANSWER:/im.test(content) && !/\{[\s\S]*\}/.test(content) ? 'aiken' : 'gift';
+};
+
+// Mongoose validation message of a single question, or null when it is valid
+const validateQuestion = (question) => {
+  const [doc] = new Quiz({ questions: [question] }).questions;
+  const error = doc.validateSync();
+  if (!error) return null;
+  return Object.values(error.errors).map(err => err.message).join('; ');
+};
+
+// Parse an uploaded question file (a Buffer) into quiz questions. Questions that fail
+// to parse or validate are reported in errors with their line and are left out.
+const parseQuizFile = async (buffer, format) => {
+  const parse = PARSERS[format];
+  if (!parse) {
+    throw new Error(`Unknown import format "${format}"`);
+  }
+
+  const { questions, errors } = await parse(BINARY_FORMATS.includes(format) ? buffer : buffer.toString('utf8'));
+  const valid = [];
+
+  questions.forEach(({ line, question }) => {
+    const message = validateQuestion(question);
+    if (message) {
+      errors.push({ line, snippet: question.question.slice(0, 80), message });
+    } else {
+      valid.push(question);
+    }
+  });
+
+  errors.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+  return { questions: valid, errors };
+};
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  validateQuestion,
+  parseQuizFile,
+};
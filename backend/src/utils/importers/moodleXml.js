@@ -0,0 +1,160 @@
+// Moodle XML question export. Supported types: multichoice, truefalse, shortanswer,
+// numerical and essay; category entries become tags and description entries are skipped.
+const { XMLParser } = require('fast-xml-parser');
+const { htmlToText, categoryTag } = require('./text');
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  isArray: name => ['question', 'answer', 'tag', 'unit'].includes(name),
+  parseTagValue: false,
+  trimValues: true,
+});
+
+// Text of a <questiontext>, <answer>, ... element: <text> child or the element itself
+const textOf = (node) => {
+  if (node === undefined || node === null) return '';
+  if (typeof node !== 'object') return String(node);
+  const value = node.text !== undefined ? node.text : node['#text'];
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? textOf(value) : String(value);
+};
+
+const formattedText = (node) => {
+  const text = textOf(node);
+  return node?.format === 'plain_text' || node?.format === 'markdown' ? text.trim() : htmlToText(text);
+};
+
+const fraction = (answer) => parseFloat(answer.fraction) || 0;
+
+const parseQuestion = (node) => {
+  const question = {
+    question: formattedText(node.questiontext),
+  };
+
+  const points = parseFloat(textOf(node.defaultgrade));
+  if (Number.isFinite(points)) question.points = points;
+
+  const explanation = formattedText(node.generalfeedback);
+  if (explanation) question.explanation = explanation;
+
+  const tags = (node.tags?.tag || []).map(tag => textOf(tag).trim()).filter(Boolean);
+  if (tags.length > 0) question.tags = tags;
+
+  const answers = node.answer || [];
+
+  switch (node.type) {
+    case 'multichoice': {
+      const correctCount = answers.filter(answer => fraction(answer) > 0).length;
+      if (correctCount === 0) return { error: 'No correct answer marked' };
+      const single = textOf(node.single).trim() !== 'false';
+      return {
+        question: {
+          ...question,
+          type: single ? 'multiple-choice' : 'multiple-select',
+          options: answers.map(answer => ({ text: formattedText(answer), isCorrect: fraction(answer) > 0 })),
+          ...(!single && { scoring: { mode: 'partial' } }),
+        },
+      };
+    }
+
+    case 'truefalse': {
+      const correct = answers.find(answer => fraction(answer) >= 100);
+      const value = correct && textOf(correct).trim().toLowerCase();
+      if (value !== 'true' && value !== 'false') return { error: 'No correct answer marked' };
+      return { question: { ...question, type: 'true-false', correctAnswer: value } };
+    }
+
+    case 'shortanswer': {
+      const accepted = answers.filter(answer => fraction(answer) >= 100).map(answer => textOf(answer).trim());
+      if (accepted.length === 0) return { error: 'No answer worth full credit' };
+      const [correctAnswer, ...acceptedAnswers] = accepted;
+      return {
+        question: {
+          ...question,
+          type: 'short-answer',
+          correctAnswer,
+          answerRules: {
+            acceptedAnswers,
+            caseSensitive: textOf(node.usecase).trim() === '1',
+          },
+        },
+      };
+    }
+
+    case 'numerical': {
+      const correct = answers.find(answer => fraction(answer) >= 100);
+      const value = correct && parseFloat(textOf(correct));
+      if (!Number.isFinite(value)) return { error: 'No numeric answer worth full credit' };
+      const tolerance = Math.abs(parseFloat(textOf(correct.tolerance))) || 0;
+      const units = (node.units?.unit || []).map(unit => textOf(unit.unit_name).trim()).filter(Boolean);
+      return {
+        question: {
+          ...question,
+          type: 'short-answer',
+          correctAnswer: String(value),
+          answerRules: { numeric: { enabled: true, value, tolerance, units } },
+        },
+      };
+    }
+
+    case 'essay': {
+      const graderInfo = formattedText(node.graderinfo);
+      return {
+        question: {
+          ...question,
+          type: 'essay',
+          ...(graderInfo && { correctAnswer: graderInfo }),
+        },
+      };
+    }
+
+    default:
+      return { error: `Question type "${node.type}" is not supported` };
+  }
+};
+
+// Returns { questions: [{ line, question }], errors: [{ line, snippet, message }] }.
+// "line" is the position of the <question> element, since the parser does not track lines.
+const parseMoodleXml = (content) => {
+  let document;
+  try {
+    document = parser.parse(String(content));
+  } catch (error) {
+    return { questions: [], errors: [{ line: null, snippet: '', message: `Invalid XML: ${error.message}` }] };
+  }
+
+  const nodes = document?.quiz?.question;
+  if (!nodes) {
+    return { questions: [], errors: [{ line: null, snippet: '', message: 'No <quiz> element with questions found' }] };
+  }
+
+  const questions = [];
+  const errors = [];
+  let category = null;
+
+  nodes.forEach((node, index) => {
+    if (node.type === 'category') {
+      category = categoryTag(textOf(node.category));
+      return;
+    }
+    if (node.type === 'description') return;
+
+    const name = textOf(node.name).trim();
+    const result = parseQuestion(node);
+    if (result.error) {
+      errors.push({ line: index + 1, snippet: name.slice(0, 80), message: result.error });
+      return;
+    }
+
+    const tags = [...(result.question.tags || []), ...(category ? [category] : [])];
+    questions.push({
+      line: index + 1,
+      question: { ...result.question, ...(tags.length > 0 && { tags: [...new Set(tags)] }) },
+    });
+  });
+
+  return { questions, errors };
+};
+
+module.exports = parseMoodleXml;
@@ -0,0 +1,193 @@
+// CSV and XLSX question sheets. The first non-empty row is a header naming the columns
+// (case, spaces and underscores don't matter); every other row is one question:
+//   type           multiple-choice, multiple-select, true-false, short-answer or essay
+//   question       the question text
+//   options        choices separated by "|"; or one column per choice (option_a, option_b, ...)
+//   correct_answer choice letter(s) or text ("|" between several), true/false, accepted
+//                  short answers separated by "|", or an essay's model answer
+//   explanation, points, difficulty (easy, medium, hard), tags (comma separated)
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+
+const TYPES = ['multiple-choice', 'multiple-select', 'true-false', 'short-answer', 'essay'];
+const OPTION_TYPES = ['multiple-choice', 'multiple-select'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const OPTION_COLUMN = /^option(_[a-z]|_?\d+)$/;
+
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/[\s-]+/g, '_');
+const normalizeType = (type) => String(type).trim().toLowerCase().replace(/[\s_]+/g, '-');
+const splitList = (value, separator) => String(value || '').split(separator).map(item => item.trim()).filter(Boolean);
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Index of the option an answer token points at: its exact text first, then its letter
+const optionIndex = (options, token) => {
+  const byText = options.findIndex(option => option.toLowerCase() === token.toLowerCase());
+  if (byText !== -1) return byText;
+  return token.length === 1 ? LETTERS.indexOf(token.toUpperCase()) : -1;
+};
+
+const buildOptions = (type, options, answer) => {
+  if (options.length < 2) {
+    return { error: 'At least two options are needed' };
+  }
+
+  const indexes = splitList(answer, '|').map(token => optionIndex(options, token));
+  if (indexes.length === 0) {
+    return { error: 'Missing correct answer' };
+  }
+  if (indexes.some(index => index < 0 || index >= options.length)) {
+    return { error: `Correct answer "${answer}" does not match any option` };
+  }
+  if (type === 'multiple-choice' && new Set(indexes).size > 1) {
+    return { error: 'Multiple-choice questions have one correct answer; use multiple-select for more' };
+  }
+
+  return {
+    fields: {
+      options: options.map((text, index) => ({ text, isCorrect: indexes.includes(index) })),
+    },
+  };
+};
+
+const buildTypeFields = (type, options, answer) => {
+  if (OPTION_TYPES.includes(type)) {
+    return buildOptions(type, options, answer);
+  }
+
+  if (type === 'true-false') {
+    const value = String(answer).trim().toLowerCase();
+    if (['true', 't', 'yes'].includes(value)) return { fields: { correctAnswer: 'true' } };
+    if (['false', 'f', 'no'].includes(value)) return { fields: { correctAnswer: 'false' } };
+    return { error: 'True/false questions need a correct answer of true or false' };
+  }
+
+  if (type === 'short-answer') {
+    const [correctAnswer, ...acceptedAnswers] = splitList(answer, '|');
+    if (!correctAnswer) return { error: 'Missing correct answer' };
+    return { fields: { correctAnswer, answerRules: { acceptedAnswers } } };
+  }
+
+  // Essay: the correct answer column is an optional model answer
+  return { fields: answer ? { correctAnswer: String(answer).trim() } : {} };
+};
+
+const buildQuestion = (record) => {
+  const type = normalizeType(record.type || '');
+  if (!TYPES.includes(type)) {
+    return { error: record.type ? `Unknown type "${record.type}"` : 'Missing type' };
+  }
+
+  const question = String(record.question || '').trim();
+  if (!question) {
+    return { error: 'Missing question text' };
+  }
+
+  const options = record.options.length > 0 ? record.options : splitList(record.optionList, '|');
+  const typeFields = buildTypeFields(type, options, record.correct_answer || '');
+  if (typeFields.error) {
+    return { error: typeFields.error };
+  }
+
+  const result = { type, question, ...typeFields.fields };
+
+  if (record.explanation) result.explanation = String(record.explanation).trim();
+
+  if (record.points !== undefined && String(record.points).trim() !== '') {
+    const points = Number(record.points);
+    if (!Number.isFinite(points) || points < 0) return { error: `Invalid points "${record.points}"` };
+    result.points = points;
+  }
+
+  if (record.difficulty) {
+    const difficulty = String(record.difficulty).trim().toLowerCase();
+    if (!DIFFICULTIES.includes(difficulty)) return { error: `Invalid difficulty "${record.difficulty}"` };
+    result.difficulty = difficulty;
+  }
+
+  const tags = splitList(record.tags, ',');
+  if (tags.length > 0) result.tags = tags;
+
+  return { question: result };
+};
+
+// Rows are { line, cells: [string] } with the header row first
+const parseRows = (rows) => {
+  const questions = [];
+  const errors = [];
+
+  const [headerRow, ...dataRows] = rows.filter(row => row.cells.some(cell => String(cell).trim()));
+  if (!headerRow) {
+    return { questions, errors: [{ line: null, snippet: '', message: 'The sheet is empty' }] };
+  }
+
+  const headers = headerRow.cells.map(normalizeHeader);
+  const missing = ['type', 'question'].filter(column => !headers.includes(column));
+  if (missing.length > 0) {
+    return {
+      questions,
+      errors: [{ line: headerRow.line, snippet: '', message: `Missing column(s): ${missing.join(', ')}` }],
+    };
+  }
+
+  // Per-choice columns in sheet order
+  const optionColumns = headers
+    .map((header, index) => (OPTION_COLUMN.test(header) ? index : -1))
+    .filter(index => index !== -1);
+
+  dataRows.forEach(({ line, cells }) => {
+    const record = Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? '']));
+    record.optionList = record.options;
+    record.options = optionColumns.map(index => String(cells[index] ?? '').trim()).filter(Boolean);
+
+    const result = buildQuestion(record);
+    if (result.error) {
+      errors.push({ line, snippet: String(record.question || '').trim().slice(0, 80), message: result.error });
+    } else {
+      questions.push({ line, question: result.question });
+    }
+  });
+
+  return { questions, errors };
+};
+
+const parseCsv = (content) => {
+  let records;
+  try {
+    records = parse(String(content), { bom: true, relax_column_count: true, info: true });
+  } catch (error) {
+    return { questions: [], errors: [{ line: error.lines ?? null, snippet: '', message: `Invalid CSV: ${error.message}` }] };
+  }
+  // info.lines is the line a record ends on, which differs from its index once cells span lines
+  return parseRows(records.map(({ record, info }) => ({ line: info.lines, cells: record })));
+};
+
+// First worksheet of an .xlsx workbook; cells are read as displayed
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    return { questions: [], errors: [{ line: null, snippet: '', message: 'Not a valid XLSX file' }] };
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return { questions: [], errors: [{ line: null, snippet: '', message: 'The workbook has no sheets' }] };
+  }
+
+  const rows = [];
+  sheet.eachRow((row, line) => {
+    const cells = [];
+    for (let column = 1; column <= row.cellCount; column++) {
+      cells.push(row.getCell(column).text);
+    }
+    rows.push({ line, cells });
+  });
+  return parseRows(rows);
+};
+
+module.exports = {
+  parseCsv,
+  parseXlsx,
+};
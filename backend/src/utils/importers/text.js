@@ -0,0 +1,43 @@
+// Text helpers shared by the question importers
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+// Plain text from an HTML fragment; block elements become line breaks
+const htmlToText = (html = '') => decodeEntities(
+  String(html)
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6]|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+)
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\s*\n\s*/g, '\n')
+  .trim();
+
+// Last part of a Moodle category path, e.g. "$course$/top/Algebra" -> "Algebra"
+const categoryTag = (category = '') => {
+  const parts = String(category).split('/').map(part => part.trim()).filter(Boolean);
+  const last = parts[parts.length - 1];
+  return last && !/^\$.*\$$/.test(last) && last.toLowerCase() !== 'top' ? last : null;
+};
+
+module.exports = {
+  decodeEntities,
+  htmlToText,
+  categoryTag,
+};
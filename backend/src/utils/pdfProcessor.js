@@ -1,14 +1,51 @@
 const pdf = require('pdf-parse');
+// The pdf.js build bundled with pdf-parse, for what pdf-parse doesn't expose (the outline)
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
 const fs = require('fs');
 const path = require('path');
 
+PDFJS.disableWorker = true;
+
+// Same text layout as pdf-parse's default page renderer: a line break whenever the baseline moves
+const renderPage = async (pageData) => {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return text;
+};
+
+// 1-based page an outline destination points at, or null (e.g. for web links)
+const destinationPage = async (doc, dest) => {
+  try {
+    const explicit = typeof dest === 'string' ? await doc.getDestination(dest) : dest;
+    if (!Array.isArray(explicit)) return null;
+    const target = explicit[0];
+    const pageIndex = Number.isInteger(target) ? target : await doc.getPageIndex(target);
+    return pageIndex + 1;
+  } catch {
+    return null;
+  }
+};
+
 class PDFProcessor {
-  // Extract text from PDF buffer
+  // Extract text from PDF buffer; pageTexts holds the text of each page in order
   static async extractTextFromBuffer(buffer) {
     try {
-      const data = await pdf(buffer);
+      const pageTexts = [];
+      const data = await pdf(buffer, {
+        pagerender: async (pageData) => {
+          const text = await renderPage(pageData);
+          pageTexts[pageData.pageIndex] = text;
+          return text;
+        },
+      });
       return {
         text: data.text,
+        pageTexts,
         pages: data.numpages,
         info: data.info,
         metadata: data.metadata,
@@ -34,6 +71,35 @@ class PDFProcessor {
     }
   }
 
+  // Outline (bookmarks) flattened in reading order: [{ id, title, level, pageFrom, pageTo }].
+  // id is the position in the tree ("4", "4.2"). An entry runs up to the page before the next
+  // entry at the same or a higher level, so chapters are selected by whole pages.
+  static async extractOutline(buffer) {
+    const doc = await PDFJS.getDocument(buffer);
+    try {
+      const entries = [];
+      const visit = async (items, level, parentId) => {
+        for (const [index, item] of items.entries()) {
+          const id = parentId ? `${parentId}.${index + 1}` : String(index + 1);
+          const pageFrom = await destinationPage(doc, item.dest);
+          if (pageFrom) {
+            entries.push({ id, title: item.title.trim(), level, pageFrom });
+          }
+          await visit(item.items || [], level + 1, id);
+        }
+      };
+      await visit((await doc.getOutline()) || [], 1, '');
+
+      return entries.map((entry, index) => {
+        const next = entries.slice(index + 1).find(other => other.level <= entry.level);
+        const pageTo = next ? Math.max(entry.pageFrom, next.pageFrom - 1) : doc.numPages;
+        return { ...entry, pageTo };
+      });
+    } finally {
+      doc.destroy();
+    }
+  }
+
   // Clean and format extracted text
   static cleanText(text) {
     // Remove excessive whitespace and line breaks
@@ -106,65 +172,6 @@ class PDFProcessor {
 
     return sortedWords;
   }
-
-  // Validate PDF content for quiz generation
-  static validateContentForQuiz(text) {
-    const minLength = 500; // Minimum text length
-    const maxLength = 50000; // Maximum text length
-    
-    if (!text || text.trim().length < minLength) {
-      throw new Error(`PDF content too short. Minimum ${minLength} characters required.`);
-    }
-    
-    if (text.length > maxLength) {
-      throw new Error(`PDF content too long. Maximum ${maxLength} characters allowed.`);
-    }
-
-    // Check for meaningful content
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 10);
-    if (sentences.length < 5) {
-      throw new Error('PDF content does not contain enough meaningful sentences for quiz generation.');
-    }
-
-    return true;
-  }
-
-  // Process PDF for quiz generation
-  static async processPDFForQuiz(filePath) {
-    try {
-      // Extract text from PDF
-      const extracted = await this.extractTextFromFile(filePath);
-      
-      // Clean the text
-      const cleanedText = this.cleanText(extracted.text);
-      
-      // Validate content
-      this.validateContentForQuiz(cleanedText);
-      
-      // Extract key topics
-      const keyTopics = this.extractKeyTopics(cleanedText);
-      
-      // Split into manageable sections
-      const sections = this.splitIntoSections(cleanedText);
-      
-      return {
-        text: cleanedText,
-        sections,
-        keyTopics,
-        pages: extracted.pages,
-        metadata: {
-          title: extracted.info?.Title || 'Untitled',
-          author: extracted.info?.Author || 'Unknown',
-          subject: extracted.info?.Subject || '',
-          wordCount: cleanedText.split(/\s+/).length,
-          characterCount: cleanedText.length,
-        },
-      };
-    } catch (error) {
-      console.error('Error processing PDF for quiz:', error);
-      throw error;
-    }
-  }
 }
 
 module.exports = PDFProcessor;
\ No newline at end of file
@@ -0,0 +1,159 @@
+const ai = require('./ai');
+const { QuotaExceededError } = require('./ai/usage');
+const { normalizeAnswer, similarity } = require('./shortAnswerMatcher');
+const { lintQuestions, errorMessages } = require('./questionLinter');
+const { groundQuestions } = require('./grounding');
+
+const MIN_CHUNK_LENGTH = 8000; // characters per prompt, unless few questions are asked for
+const MAX_CHUNK_LENGTH = 30000; // never put more than this into one prompt
+const DUPLICATE_SIMILARITY = 0.85; // question texts at least this similar count as the same question
+
+// Pack consecutive document sections ({ text, page }) into numbered chunks. Chunks grow
+// when few questions are asked for, so most chunks get at least one question. Each chunk
+// keeps the offsets where its pages start, as pageStarts [{ page, start }].
+const buildChunks = (sections, numberOfQuestions) => {
+  const totalLength = sections.reduce((total, section) => total + section.text.length, 0);
+  const chunkLength = Math.min(MAX_CHUNK_LENGTH, Math.max(MIN_CHUNK_LENGTH, Math.ceil(totalLength / numberOfQuestions)));
+
+  const chunks = [];
+  let current = null;
+  sections.forEach(section => {
+    if (current && current.text.length + section.text.length + 1 > chunkLength) {
+      chunks.push(current);
+      current = null;
+    }
+    if (current) {
+      if (section.page !== current.pageTo) {
+        current.pageStarts.push({ page: section.page, start: current.text.length + 1 });
+      }
+      current.text += ` ${section.text}`;
+      current.pageTo = section.page;
+    } else {
+      current = {
+        text: section.text,
+        pageFrom: section.page,
+        pageTo: section.page,
+        pageStarts: [{ page: section.page, start: 0 }],
+      };
+    }
+  });
+  if (current) chunks.push(current);
+
+  return chunks.map((chunk, index) => ({ ...chunk, section: index + 1 }));
+};
+
+// Split the question count over chunks in proportion to their length. Rounding the running
+// total spreads the remainder evenly through the document and always sums to the count.
+const allocateQuestions = (chunks, numberOfQuestions) => {
+  const totalLength = chunks.reduce((total, chunk) => total + chunk.text.length, 0);
+  let covered = 0;
+  let allocated = 0;
+
+  return chunks.map(chunk => {
+    covered += chunk.text.length;
+    const upTo = Math.round((numberOfQuestions * covered) / totalLength);
+    const count = upTo - allocated;
+    allocated = upTo;
+    return count;
+  });
+};
+
+// Page of the chunk that the text at offset is on
+const pageAt = (chunk, offset) => chunk.pageStarts.filter(({ start }) => start <= offset).pop().page;
+
+const sourceOf = (chunk, { excerpt, offset }) => ({
+  section: chunk.section,
+  ...(chunk.pageFrom && { pageFrom: chunk.pageFrom, pageTo: chunk.pageTo, page: pageAt(chunk, offset) }),
+  excerpt,
+});
+
+// Generate questions from a processed document (DocumentProcessor.processDocumentForQuiz).
+// Each chunk is asked for its share plus one spare; spares replace duplicates across chunks
+// and the share of any chunk whose generation failed. Questions come back in document order,
+// each with the `source` section (and pages) it was generated from and the excerpt that
+// supports its answer; questions whose answer the chunk does not support are left out.
+// onProgress is awaited after every chunk with { completedChunks, totalChunks, questions, discarded, failed },
+// where discarded lists the AI's questions that failed validation, grounding or the linter's
+// error checks as { section, question, reasons }.
+const generateQuestionsFromDocument = async (documentData, options = {}, onProgress = async () => {}) => {
+  const numberOfQuestions = options.numberOfQuestions || 10;
+  const chunks = buildChunks(documentData.sections, numberOfQuestions);
+  const allocation = allocateQuestions(chunks, numberOfQuestions);
+  const totalChunks = allocation.filter(count => count > 0).length;
+
+  const generated = [];
+  let completedChunks = 0;
+  for (const [index, chunk] of chunks.entries()) {
+    if (allocation[index] === 0) continue;
+
+    const questions = [];
+    let discarded = [];
+    try {
+      const { data, report } = await ai.generateQuestionsFromText(chunk.text, {
+        ...options,
+        numberOfQuestions: allocation[index] + 1,
+      });
+      discarded = report.discarded.map(({ item, reasons }) => ({
+        section: chunk.section,
+        question: typeof item?.question === 'string' ? item.question : '',
+        reasons,
+      }));
+      const grounding = groundQuestions(data, chunk.text);
+      const issues = lintQuestions(data, options);
+      // The model's sourceQuote gives way to the excerpt found in the text
+      data.forEach(({ sourceQuote, ...question }, i) => {
+        const reasons = grounding[i].reasons || errorMessages(issues[i]);
+        if (reasons.length > 0) {
+          discarded.push({ section: chunk.section, question: question.question, reasons });
+        } else {
+          questions.push({ ...question, source: sourceOf(chunk, grounding[i]) });
+        }
+      });
+      if (questions.length > 0) generated.push({ share: allocation[index], questions });
+    } catch (error) {
+      // Out of AI calls for today: the job stops here rather than failing chunk after chunk
+      if (error instanceof QuotaExceededError) throw error;
+      console.error(`Error generating questions for document section ${chunk.section}:`, error);
+    }
+
+    completedChunks++;
+    await onProgress({ completedChunks, totalChunks, questions, discarded, failed: questions.length === 0 });
+  }
+
+  if (generated.length === 0) {
+    throw Object.assign(new Error('Failed to generate questions from content'), { statusCode: 502 });
+  }
+
+  const kept = [];
+  const keptKeys = [];
+  const keep = (question) => {
+    const key = normalizeAnswer(question.question);
+    if (kept.length >= numberOfQuestions || keptKeys.some(other => similarity(key, other) >= DUPLICATE_SIMILARITY)) {
+      return false;
+    }
+    kept.push(question);
+    keptKeys.push(key);
+    return true;
+  };
+
+  const spares = [];
+  generated.forEach(({ share, questions }) => {
+    let taken = 0;
+    questions.forEach(question => {
+      if (taken < share && keep(question)) {
+        taken++;
+      } else {
+        spares.push(question);
+      }
+    });
+  });
+  spares.forEach(keep);
+
+  return kept.sort((a, b) => a.source.section - b.source.section);
+};
+
+module.exports = {
+  buildChunks,
+  allocateQuestions,
+  generateQuestionsFromDocument,
+};
@@ -0,0 +1,144 @@
+const { normalizeAnswer, similarity } = require('./shortAnswerMatcher');
+
+// Quality checks for quiz questions, run on AI-generated questions and from the quiz editor.
+// Errors are questions that cannot be graded fairly as written; warnings are worth a look.
+
+const CHOICE_TYPES = ['multiple-choice', 'multiple-select'];
+const NEAR_DUPLICATE_SIMILARITY = 0.85; // question texts at least this similar are flagged
+const MIN_LEAK_LENGTH = 3; // shorter answers (like "5" or "H") turn up in stems by chance
+const MIN_READING_WORDS = 10; // reading level is not meaningful for shorter questions
+
+// Highest Flesch-Kincaid grade expected of a question at each difficulty
+const READING_LEVELS = {
+  easy: 8,
+  medium: 12,
+  hard: 16,
+};
+
+const issue = (severity, code, message) => ({ severity, code, message });
+
+const hasText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Rough syllable count: groups of vowels, without a silent final "e"
+const countSyllables = (word) => {
+  const groups = word.toLowerCase().replace(/(?:[^laeiouy]es|[^laeiouy]e)$/, '').match(/[aeiouy]+/g);
+  return Math.max(1, groups ? groups.length : 0);
+};
+
+// Flesch-Kincaid grade level of a text, or null when it is too short to tell
+const readingGrade = (text) => {
+  const words = String(text).match(/[A-Za-z]+/g) || [];
+  if (words.length < MIN_READING_WORDS) return null;
+
+  const sentences = Math.max(1, (String(text).match(/[.!?]+(?=\s|$)/g) || []).length);
+  const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+  return 0.39 * (words.length / sentences) + 11.8 * (syllables / words.length) - 15.59;
+};
+
+// Whether the stem contains the answer as a whole phrase
+const mentions = (stem, answer) => {
+  const key = normalizeAnswer(answer);
+  return key.length >= MIN_LEAK_LENGTH && ` ${stem} `.includes(` ${key} `);
+};
+
+const checkOptions = (question) => {
+  const issues = [];
+  const options = Array.isArray(question.options) ? question.options : [];
+  const filled = options.filter(option => hasText(option?.text));
+  const correct = filled.filter(option => option.isCorrect);
+
+  if (filled.length < options.length) {
+    issues.push(issue('error', 'empty-option', 'Has an option without text'));
+  }
+  if (filled.length < 2) {
+    issues.push(issue('error', 'too-few-options', 'Needs at least two options'));
+  }
+  if (correct.length === 0) {
+    issues.push(issue('error', 'no-correct-option', 'No option is marked correct'));
+  } else if (question.type === 'multiple-choice' && correct.length > 1) {
+    issues.push(issue('error', 'several-correct-options', `${correct.length} options are marked correct; multiple choice allows one`));
+  } else if (correct.length === filled.length && filled.length > 1) {
+    issues.push(issue('warning', 'all-options-correct', 'Every option is marked correct'));
+  }
+
+  const seen = new Map();
+  filled.forEach((option, index) => {
+    const key = normalizeAnswer(option.text);
+    if (seen.has(key)) {
+      issues.push(issue('error', 'duplicate-options', `Options ${seen.get(key) + 1} and ${index + 1} are the same`));
+    } else {
+      seen.set(key, index);
+    }
+  });
+
+  // A stem that names the correct option, but none of the others, gives the answer away
+  const stem = normalizeAnswer(question.question);
+  if (correct.some(option => mentions(stem, option.text))
+    && !filled.some(option => !option.isCorrect && mentions(stem, option.text))) {
+    issues.push(issue('error', 'answer-in-question', 'The question text contains the correct option'));
+  }
+
+  return issues;
+};
+
+const checkAnswer = (question) => {
+  if (question.type === 'true-false') {
+    return ['true', 'false'].includes(question.correctAnswer)
+      ? []
+      : [issue('error', 'no-correct-answer', 'The answer must be true or false')];
+  }
+  if (question.type !== 'short-answer') return [];
+
+  if (!hasText(question.correctAnswer)) {
+    return [issue('error', 'no-correct-answer', 'No correct answer is given')];
+  }
+  return mentions(normalizeAnswer(question.question), question.correctAnswer)
+    ? [issue('error', 'answer-in-question', 'The question text contains the answer')]
+    : [];
+};
+
+const checkReadingLevel = (question, difficulty) => {
+  const level = question.difficulty || difficulty;
+  const grade = readingGrade(question.question);
+  if (!READING_LEVELS[level] || grade === null || grade <= READING_LEVELS[level]) return [];
+
+  return [issue(
+    'warning',
+    'reading-level',
+    `Reads at about grade ${Math.round(grade)}; ${level} questions should read at grade ${READING_LEVELS[level]} or below`
+  )];
+};
+
+// Check a list of questions. Returns one list of { severity, code, message } issues per
+// question, in the same order. difficulty applies to questions without their own.
+const lintQuestions = (questions, { difficulty } = {}) => {
+  const keys = questions.map(question => normalizeAnswer(question?.question));
+
+  return questions.map((question, index) => {
+    if (!question || !hasText(question.question)) {
+      return [issue('error', 'no-question-text', 'The question has no text')];
+    }
+
+    const issues = [
+      ...(CHOICE_TYPES.includes(question.type) ? checkOptions(question) : checkAnswer(question)),
+      ...checkReadingLevel(question, difficulty),
+    ];
+
+    const original = keys.findIndex((key, other) => other < index
+      && Math.min(key.length, keys[index].length) / Math.max(key.length, keys[index].length) >= NEAR_DUPLICATE_SIMILARITY
+      && similarity(key, keys[index]) >= NEAR_DUPLICATE_SIMILARITY);
+    if (original !== -1) {
+      issues.push(issue('warning', 'near-duplicate', `Nearly the same as question ${original + 1}`));
+    }
+
+    return issues;
+  });
+};
+
+// Messages of the error-level issues of one question
+const errorMessages = (issues) => issues.filter(({ severity }) => severity === 'error').map(({ message }) => message);
+
+module.exports = {
+  lintQuestions,
+  errorMessages,
+};
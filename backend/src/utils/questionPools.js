@@ -0,0 +1,57 @@
+const Question = require('../models/Question');
+const { seededShuffle } = require('./shuffle');
+
+// Bank fields copied onto a drawn question, so later bank edits don't change a taken attempt
+const SNAPSHOT_FIELDS = [
+  'type', 'question', 'options', 'correctAnswer', 'scoring', 'answerRules',
+  'rubric', 'explanation', 'difficulty', 'tags',
+];
+
+// Bank questions a section may draw from, oldest first so the seeded draw is repeatable
+const findSectionCandidates = (quiz, section) => {
+  const query = { createdBy: quiz.createdBy, isActive: true };
+  if (section.pool && section.pool.length > 0) query._id = { $in: section.pool };
+  if (section.tags && section.tags.length > 0) query.tags = { $all: section.tags };
+  if (section.difficulty) query.difficulty = section.difficulty;
+
+  return Question.find(query).sort({ _id: 1 });
+};
+
+// Draw each section's questions for one attempt, seeded from the submission id.
+// Drawn questions keep their bank question id, so answers to the same question
+// line up across students. A question is never drawn twice or alongside its own
+// copy among the quiz's fixed questions.
+const drawSectionQuestions = async (quiz, seed) => {
+  const used = new Set(
+    quiz.questions
+      .filter(q => q.bankQuestion)
+      .map(q => q.bankQuestion.toString())
+  );
+  const drawn = [];
+
+  for (const [index, section] of (quiz.sections || []).entries()) {
+    const candidates = (await findSectionCandidates(quiz, section))
+      .filter(candidate => !used.has(candidate._id.toString()));
+
+    seededShuffle(candidates, `${seed}:section:${index}`)
+      .slice(0, section.count)
+      .forEach(candidate => {
+        used.add(candidate._id.toString());
+        const source = candidate.toObject();
+        const snapshot = Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, source[field]]));
+        drawn.push({
+          ...snapshot,
+          _id: candidate._id,
+          bankQuestion: candidate._id,
+          points: section.points,
+          section: index,
+        });
+      });
+  }
+
+  return drawn;
+};
+
+module.exports = {
+  drawSectionQuestions,
+};
@@ -0,0 +1,96 @@
+const Quiz = require('../models/Quiz');
+const QuizVersion = require('../models/QuizVersion');
+
+// Question fields that change how a question is shown or graded
+const DIFF_FIELDS = [
+  'type', 'question', 'options', 'correctAnswer', 'scoring', 'answerRules',
+  'rubric', 'explanation', 'points',
+];
+
+const plain = (doc) => (typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// JSON with object keys sorted, so key order never reads as a change
+const canonical = (value) => JSON.stringify(value, (key, val) => (
+  val && typeof val === 'object' && !Array.isArray(val)
+    ? Object.fromEntries(Object.keys(val).sort().map(k => [k, val[k]]))
+    : val
+));
+
+const sectionsFingerprint = (sections = []) => canonical(
+  sections.map(section => {
+    const { _id, ...rest } = plain(section);
+    return rest;
+  })
+);
+
+const summarize = (question) => ({
+  _id: question._id,
+  type: question.type,
+  question: question.question,
+});
+
+// Compare two question lists by question id
+const diffQuestions = (fromQuestions, toQuestions) => {
+  const fromById = new Map(fromQuestions.map(q => [q._id.toString(), q]));
+  const toIds = new Set(toQuestions.map(q => q._id.toString()));
+
+  const added = toQuestions.filter(q => !fromById.has(q._id.toString())).map(summarize);
+  const removed = fromQuestions.filter(q => !toIds.has(q._id.toString())).map(summarize);
+  const changed = toQuestions
+    .filter(q => fromById.has(q._id.toString()))
+    .map(q => {
+      const before = plain(fromById.get(q._id.toString()));
+      const after = plain(q);
+      const fields = DIFF_FIELDS.filter(field => canonical(before[field]) !== canonical(after[field]));
+      return { ...summarize(q), fields };
+    })
+    .filter(entry => entry.fields.length > 0);
+
+  return { added, removed, changed };
+};
+
+// Whether an update body would change the questions or sections of a quiz; reordering alone
+// does not. The update is cast through the schema first so defaults don't count as edits.
+const hasContentChanges = (quiz, updates) => {
+  const next = new Quiz({
+    questions: updates.questions || quiz.questions.map(plain),
+    sections: updates.sections || quiz.sections.map(plain),
+  });
+
+  const { added, removed, changed } = diffQuestions(quiz.questions, next.questions);
+  const questionsChanged = added.length + removed.length + changed.length > 0;
+
+  return questionsChanged || sectionsFingerprint(next.sections) !== sectionsFingerprint(quiz.sections);
+};
+
+// The quiz itself for its current version, otherwise the stored snapshot (or null)
+const loadQuizVersion = async (quiz, version) => {
+  if (!version || version === quiz.version) return quiz;
+  return QuizVersion.findOne({ quiz: quiz._id, version });
+};
+
+// Questions of the quiz version a submission was taken against, plus its drawn questions
+const getAttemptQuestions = async (submission, quiz) => {
+  const source = await loadQuizVersion(quiz, submission.quizVersion);
+  return submission.getQuestions(source || quiz);
+};
+
+// A submission's own questions with the current version's answer key, for regrading. Questions
+// the attempt had take their current grading fields but keep their points; questions removed
+// since keep their original ones. Questions added since are not part of the attempt.
+const getRegradeQuestions = async (submission, quiz) => {
+  const current = new Map(quiz.questions.map(q => [q._id.toString(), q]));
+  return (await getAttemptQuestions(submission, quiz)).map(question => {
+    const latest = current.get(question._id.toString());
+    return latest ? { ...plain(latest), points: question.points } : question;
+  });
+};
+
+module.exports = {
+  diffQuestions,
+  sectionsFingerprint,
+  hasContentChanges,
+  loadQuizVersion,
+  getAttemptQuestions,
+  getRegradeQuestions,
+};
@@ -0,0 +1,119 @@
+const RE2 = require('re2');
+
+// Short-answer matching rules shared by automatic grading
+
+const MAX_ANSWER_LENGTH = 1000; // longer answers are not run through teacher regexes
+
+// Collapse whitespace, and optionally drop case and punctuation
+const normalizeAnswer = (value, { caseSensitive = false, ignorePunctuation = true } = {}) => {
+  let normalized = String(value ?? '');
+  if (ignorePunctuation) {
+    normalized = normalized.replace(/[^\p{L}\p{N}\s]/gu, ' ');
+  }
+  normalized = normalized.replace(/\s+/g, ' ').trim();
+  return caseSensitive ? normalized : normalized.toLowerCase();
+};
+
+// Levenshtein distance between two strings
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Similarity ratio in [0, 1], where 1 means identical
+const similarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+  return 1 - editDistance(a, b) / longest;
+};
+
+// Split "9.81 m/s" into { value: 9.81, unit: 'm/s' }; null when there is no leading number
+const parseNumericAnswer = (value) => {
+  const match = String(value ?? '').trim().replace(/,/g, '').match(/^([-+]?\d*\.?\d+(?:e[-+]?\d+)?)\s*(.*)$/i);
+  if (!match) return null;
+
+  return {
+    value: parseFloat(match[1]),
+    unit: match[2].replace(/\s+/g, ' ').trim(),
+  };
+};
+
+// Teacher patterns run on RE2, which matches in linear time, so no pattern can stall the
+// server on a crafted answer. It has no lookarounds or backreferences. Null when invalid.
+const compilePattern = (pattern, flags = 'u') => {
+  try {
+    return new RE2(pattern, flags);
+  } catch {
+    return null;
+  }
+};
+
+const isValidPattern = (pattern) => compilePattern(pattern) !== null;
+
+const matchNumeric = (answer, numeric) => {
+  const parsed = parseNumericAnswer(answer);
+  if (!parsed || typeof numeric.value !== 'number') return false;
+
+  if (Math.abs(parsed.value - numeric.value) > (numeric.tolerance || 0)) return false;
+
+  const units = (numeric.units || []).map(unit => unit.toLowerCase());
+  if (!parsed.unit) return !numeric.unitRequired;
+  return units.includes(parsed.unit.toLowerCase());
+};
+
+// Check a short answer against the question's correct answer and matching rules.
+// Returns the rule that matched, or null.
+const matchShortAnswer = (question, answer) => {
+  const rules = question.answerRules || {};
+  const options = {
+    caseSensitive: Boolean(rules.caseSensitive),
+    ignorePunctuation: rules.ignorePunctuation !== false,
+  };
+  const rawAnswer = String(answer ?? '');
+  const normalizedAnswer = normalizeAnswer(rawAnswer, options);
+
+  if (!normalizedAnswer) return null;
+
+  if (rules.numeric && rules.numeric.enabled) {
+    return matchNumeric(rawAnswer, rules.numeric) ? 'numeric' : null;
+  }
+
+  const candidates = [question.correctAnswer, ...(rules.acceptedAnswers || [])]
+    .map(candidate => normalizeAnswer(candidate, options))
+    .filter(Boolean);
+
+  if (candidates.includes(normalizedAnswer)) return 'exact';
+
+  if (rawAnswer.length <= MAX_ANSWER_LENGTH) {
+    const flags = options.caseSensitive ? 'u' : 'iu';
+    const matchesPattern = (rules.patterns || [])
+      .map(pattern => compilePattern(pattern, flags))
+      .some(regex => regex && regex.test(rawAnswer.trim()));
+    if (matchesPattern) return 'pattern';
+  }
+
+  const threshold = rules.fuzzyThreshold ?? 1;
+  if (threshold < 1 && candidates.some(candidate => similarity(candidate, normalizedAnswer) >= threshold)) {
+    return 'fuzzy';
+  }
+
+  return null;
+};
+
+module.exports = {
+  normalizeAnswer,
+  similarity,
+  parseNumericAnswer,
+  isValidPattern,
+  matchShortAnswer,
+};
@@ -0,0 +1,39 @@
+// Deterministic shuffling, so an attempt always sees the same order
+
+// Hash a string (e.g. a submission id) into a 32-bit seed (FNV-1a)
+const hashSeed = (value) => {
+  let hash = 2166136261;
+  for (const char of String(value)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// Small seeded PRNG (mulberry32) returning floats in [0, 1)
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates shuffle driven by a seed string; returns a new array
+const seededShuffle = (array, seed) => {
+  const random = createRandom(hashSeed(seed));
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+module.exports = {
+  hashSeed,
+  createRandom,
+  seededShuffle,
+};
@@ -20,6 +20,7 @@ const CreateQuizPage = React.lazy(() => import('./pages/quiz/CreateQuizPage'));
 const TakeQuizPage = React.lazy(() => import('./pages/quiz/TakeQuizPage'));
 const SubmissionsPage = React.lazy(() => import('./pages/submission/SubmissionsPage'));
 const SubmissionDetailsPage = React.lazy(() => import('./pages/submission/SubmissionDetailsPage'));
+const GradingQueuePage = React.lazy(() => import('./pages/submission/GradingQueuePage'));
 const AnalyticsPage = React.lazy(() => import('./pages/analytics/AnalyticsPage'));
 const CompetitionsPage = React.lazy(() => import('./pages/competition/CompetitionsPage'));
 const AnnouncementsPage = React.lazy(() => import('./pages/announcement/AnnouncementsPage'));
@@ -27,6 +28,7 @@ const MessagesPage = React.lazy(() => import('./pages/message/MessagesPage'));
 const AdminUsersPage = React.lazy(() => import('./pages/admin/AdminUsersPage'));
 const AdminDashboardPage = React.lazy(() => import('./pages/admin/AdminDashboardPage'));
 const AdminAnalyticsPage = React.lazy(() => import('./pages/admin/AdminAnalyticsPage'));
+const AdminAIUsagePage = React.lazy(() => import('./pages/admin/AdminAIUsagePage'));
 const AdminSettingsPage = React.lazy(() => import('./pages/admin/AdminSettingsPage'));
 const NotFoundPage = React.lazy(() => import('./pages/error/NotFoundPage'));
 
@@ -85,6 +87,7 @@ function App() {
                   <Route path="quizzes/:id/take" element={<ProtectedRoute allowedRoles={["student"]}><TakeQuizPage /></ProtectedRoute>} />
                   <Route path="submissions" element={<ProtectedRoute><SubmissionsPage /></ProtectedRoute>} />
                   <Route path="submission/:id" element={<ProtectedRoute><SubmissionDetailsPage /></ProtectedRoute>} />
+                  <Route path="grading" element={<ProtectedRoute allowedRoles={["teacher", "admin"]}><GradingQueuePage /></ProtectedRoute>} />
                   <Route path="analytics" element={<ProtectedRoute allowedRoles={["teacher", "admin"]}><AnalyticsPage /></ProtectedRoute>} />
                   <Route path="competitions" element={<ProtectedRoute><CompetitionsPage /></ProtectedRoute>} />
                   <Route path="announcements" element={<ProtectedRoute allowedRoles={["teacher", "admin"]}><AnnouncementsPage /></ProtectedRoute>} />
@@ -92,6 +95,7 @@ function App() {
                   <Route path="admin/dashboard" element={<ProtectedRoute allowedRoles={["admin"]}><AdminDashboardPage /></ProtectedRoute>} />
                   <Route path="admin/users" element={<ProtectedRoute allowedRoles={["admin"]}><AdminUsersPage /></ProtectedRoute>} />
                   <Route path="admin/analytics" element={<ProtectedRoute allowedRoles={["admin"]}><AdminAnalyticsPage /></ProtectedRoute>} />
+                  <Route path="admin/ai-usage" element={<ProtectedRoute allowedRoles={["admin"]}><AdminAIUsagePage /></ProtectedRoute>} />
                   <Route path="admin/quizzes" element={<ProtectedRoute allowedRoles={["admin"]}><QuizzesPage /></ProtectedRoute>} />
                   <Route path="admin/competitions" element={<ProtectedRoute allowedRoles={["admin"]}><CompetitionsPage /></ProtectedRoute>} />
                   <Route path="admin/announcements" element={<ProtectedRoute allowedRoles={["admin"]}><AnnouncementsPage /></ProtectedRoute>} />
@@ -9,6 +9,7 @@ const icons = {
   quiz: '📝',
   create: '➕',
   submissions: '📄',
+  grading: '✍️',
   analytics: '📈',
   competitions: '🏆',
   users: '👥',
@@ -100,6 +101,13 @@ const Sidebar = () => {
         icon: icons.submissions,
         roles: ['teacher']
       },
+      {
+        id: 'grading-queue',
+        name: 'Grading Queue',
+        path: '/grading',
+        icon: icons.grading,
+        roles: ['teacher']
+      },
       {
         id: 'analytics',
         name: 'Analytics',
@@ -159,6 +167,13 @@ const Sidebar = () => {
         icon: icons.analytics,
         roles: ['admin']
       },
+      {
+        id: 'ai-usage',
+        name: 'AI Usage',
+        path: '/admin/ai-usage',
+        icon: icons.analytics,
+        roles: ['admin']
+      },
       {
         id: 'competitions',
         name: 'Competitions',
@@ -341,10 +341,62 @@ export const QuizProvider = ({ children }) => {
     }
   };
 
-  const submitQuiz = async (quizId, answers) => {
+  const startQuizAttempt = async (quizId) => {
     try {
       setLoading(true);
-      const response = await quizAPI.submitQuiz(quizId, { answers });
+      const response = await quizAPI.startQuiz(quizId);
+      
+      if (response.data.success) {
+        dispatch({ type: actionTypes.SET_CURRENT_SUBMISSION, payload: response.data.data.submission });
+        return { success: true, data: response.data.data };
+      }
+    } catch (error) {
+      console.error('Start quiz error:', error);
+      const errorMessage = error.response?.data?.message || 'Failed to start quiz';
+      setError(errorMessage);
+      return { success: false, error: errorMessage, data: error.response?.data?.data };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resumeQuizAttempt = async (quizId, submissionId) => {
+    try {
+      setLoading(true);
+      const response = await quizAPI.resumeAttempt(quizId, submissionId);
+      
+      if (response.data.success) {
+        dispatch({ type: actionTypes.SET_CURRENT_SUBMISSION, payload: response.data.data.submission });
+        return { success: true, data: response.data.data };
+      }
+    } catch (error) {
+      console.error('Resume quiz error:', error);
+      const errorMessage = error.response?.data?.message || 'Failed to resume quiz';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Autosave runs in the background, so it leaves the global loading flag alone
+  const saveQuizProgress = async (quizId, submissionId, answers) => {
+    try {
+      const response = await quizAPI.saveAttempt(quizId, submissionId, answers);
+      
+      if (response.data.success) {
+        return { success: true, data: response.data.data };
+      }
+    } catch (error) {
+      console.error('Save quiz progress error:', error);
+      return { success: false, error: error.response?.data?.message };
+    }
+  };
+
+  const submitQuiz = async (quizId, submissionId, answers) => {
+    try {
+      setLoading(true);
+      const response = await quizAPI.submitQuiz(quizId, { submissionId, answers });
       
       if (response.data.success) {
         dispatch({ type: actionTypes.ADD_SUBMISSION, payload: response.data.data });
@@ -356,7 +408,7 @@ export const QuizProvider = ({ children }) => {
       const errorMessage = error.response?.data?.message || 'Failed to submit quiz';
       setError(errorMessage);
       toast.error(errorMessage);
-      return { success: false, error: errorMessage };
+      return { success: false, error: errorMessage, status: error.response?.status };
     } finally {
       setLoading(false);
     }
@@ -410,6 +462,9 @@ export const QuizProvider = ({ children }) => {
     
     // Submission actions
     fetchSubmissions,
+    startQuizAttempt,
+    resumeQuizAttempt,
+    saveQuizProgress,
     submitQuiz,
     fetchSubmissionById,
     
@@ -0,0 +1,243 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Card, Button, Loading } from '../../components/common';
+import { authAPI, reportsAPI } from '../../utils/api';
+import { formatDate } from '../../utils/helpers';
+import { toast } from 'react-hot-toast';
+import styles from './AdminAIUsagePage.module.css';
+
+const PERIODS = [1, 7, 30];
+
+const tokensOf = (row) => row.promptTokens + row.responseTokens;
+
+const describeQuota = (quota) => (quota === 0 ? 'unlimited' : `${quota} a day`);
+
+// Calls, tokens and latency per group of AI usage ledger entries
+const UsageTable = ({ title, rows, name, label }) => (
+  <Card className={styles.section}>
+    <h2>{title}</h2>
+    <table className={styles.table}>
+      <thead>
+        <tr>
+          <th>{label}</th>
+          <th>Calls</th>
+          <th>Cached</th>
+          <th>Failed</th>
+          <th>Tokens</th>
+          <th>Avg latency</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row[name]}>
+            <td>{row[name]}</td>
+            <td>{row.calls}</td>
+            <td>{row.cachedCalls}</td>
+            <td>{row.failedCalls}</td>
+            <td>{tokensOf(row).toLocaleString()}</td>
+            <td>{row.averageLatencyMs} ms</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </Card>
+);
+
+// AI calls from the usage ledger, with the busiest users' daily quotas, which can be changed here
+const AdminAIUsagePage = () => {
+  const [days, setDays] = useState(7);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [quotas, setQuotas] = useState({});
+  const [savingUser, setSavingUser] = useState(null);
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await reportsAPI.getAIUsageReport(days);
+      setReport(response.data.data);
+      setQuotas({});
+    } catch {
+      // The api interceptor already reports the error
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  // A number sets the user's own quota; null goes back to their role's
+  const saveQuota = async (userId, value) => {
+    const quota = value === null ? null : parseInt(value, 10);
+    if (quota !== null && (Number.isNaN(quota) || quota < 0)) {
+      toast.error('Enter a number of calls, or 0 for unlimited');
+      return;
+    }
+
+    setSavingUser(userId);
+    try {
+      await authAPI.setAIQuota(userId, quota);
+      toast.success('Quota updated');
+      await loadReport();
+    } catch {
+      // The api interceptor already reports the error
+    } finally {
+      setSavingUser(null);
+    }
+  };
+
+  if (loading && !report) {
+    return <Loading text="Loading AI usage..." />;
+  }
+
+  const totals = report?.totals;
+
+  return (
+    <div className={styles.page}>
+      <div className={styles.header}>
+        <div>
+          <h1>AI Usage</h1>
+          <p className={styles.subtitle}>
+            Daily quotas: {Object.entries(report?.quotas || {}).map(([role, quota]) => `${role} ${describeQuota(quota)}`).join(' · ')}
+          </p>
+        </div>
+        <select className={styles.select} value={days} onChange={(e) => setDays(Number(e.target.value))}>
+          {PERIODS.map(period => (
+            <option key={period} value={period}>{period === 1 ? 'Today' : `Last ${period} days`}</option>
+          ))}
+        </select>
+      </div>
+
+      {!totals ? (
+        <Card className={styles.section}>
+          <p>No AI calls in this period.</p>
+        </Card>
+      ) : (
+        <>
+          <div className={styles.stats}>
+            <Card className={styles.stat}>
+              <span className={styles.statValue}>{totals.calls}</span>
+              <span className={styles.statLabel}>Calls</span>
+            </Card>
+            <Card className={styles.stat}>
+              <span className={styles.statValue}>{Math.round((totals.cachedCalls / totals.calls) * 100)}%</span>
+              <span className={styles.statLabel}>From cache ({report.cache.entries} cached answers)</span>
+            </Card>
+            <Card className={styles.stat}>
+              <span className={styles.statValue}>{totals.failedCalls}</span>
+              <span className={styles.statLabel}>Failed</span>
+            </Card>
+            <Card className={styles.stat}>
+              <span className={styles.statValue}>{tokensOf(totals).toLocaleString()}</span>
+              <span className={styles.statLabel}>Estimated tokens</span>
+            </Card>
+            <Card className={styles.stat}>
+              <span className={styles.statValue}>{totals.averageLatencyMs} ms</span>
+              <span className={styles.statLabel}>Average latency</span>
+            </Card>
+          </div>
+
+          <UsageTable title="By Day" rows={report.byDay} name="date" label="Date" />
+          <UsageTable title="By Feature" rows={report.byMethod} name="method" label="Method" />
+          <UsageTable title="By Role" rows={report.byRole} name="role" label="Role" />
+
+          <Card className={styles.section}>
+            <h2>Top Users</h2>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>User</th>
+                  <th>Calls</th>
+                  <th>Tokens</th>
+                  <th>Today</th>
+                  <th>Daily quota</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.users.map((row, index) => (
+                  <tr key={row.user?._id || index}>
+                    <td>
+                      {row.user?.name || 'Deleted user'}
+                      {row.user && <span className={styles.muted}> {row.user.role}</span>}
+                    </td>
+                    <td>{row.calls}</td>
+                    <td>{tokensOf(row).toLocaleString()}</td>
+                    <td>{row.dailyQuota ? `${row.usedToday} / ${row.dailyQuota}` : row.usedToday}</td>
+                    <td>
+                      {row.user && (
+                        <div className={styles.quota}>
+                          <input
+                            type="number"
+                            min="0"
+                            className={styles.quotaInput}
+                            placeholder={describeQuota(row.dailyQuota)}
+                            value={quotas[row.user._id] ?? ''}
+                            onChange={(e) => setQuotas(prev => ({ ...prev, [row.user._id]: e.target.value }))}
+                          />
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            disabled={!quotas[row.user._id] || savingUser === row.user._id}
+                            onClick={() => saveQuota(row.user._id, quotas[row.user._id])}
+                          >
+                            Set
+                          </Button>
+                          {row.user.aiDailyQuota !== null && row.user.aiDailyQuota !== undefined && (
+                            <Button
+                              size="sm"
+                              variant="ghost"
+                              disabled={savingUser === row.user._id}
+                              onClick={() => saveQuota(row.user._id, null)}
+                            >
+                              Use role quota
+                            </Button>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Card>
+
+          <Card className={styles.section}>
+            <h2>Recent Calls</h2>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>User</th>
+                  <th>Endpoint</th>
+                  <th>Method</th>
+                  <th>Tokens</th>
+                  <th>Latency</th>
+                  <th>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.recent.map(entry => (
+                  <tr key={entry._id} title={entry.prompt}>
+                    <td>{formatDate(entry.createdAt)}</td>
+                    <td>{entry.user?.name || '—'}</td>
+                    <td>{entry.endpoint || '—'}</td>
+                    <td>{entry.method}</td>
+                    <td>{tokensOf(entry).toLocaleString()}</td>
+                    <td>{entry.cached ? '—' : `${entry.latencyMs} ms`}</td>
+                    <td className={entry.success ? '' : styles.failed}>
+                      {entry.cached && 'Cached'}
+                      {!entry.cached && (entry.success ? 'OK' : entry.error)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AdminAIUsagePage;
@@ -3,16 +3,151 @@ import { useNavigate, useParams } from 'react-router-dom';
 import { Card, Button, Input, Loading, Modal } from '../../components/common';
 import { useAuth } from '../../context/AuthContext';
 import { useQuiz } from '../../context/QuizContext';
+import { questionAPI, quizAPI } from '../../utils/api';
 import { toast } from 'react-hot-toast';
+import QuestionBankModal from './QuestionBankModal';
+import ImportQuizModal from './ImportQuizModal';
+import GenerateQuizModal from './GenerateQuizModal';
+import QuestionImportModal from './QuestionImportModal';
 import styles from './CreateQuizPage.module.css';
 
 const QUESTION_TYPES = {
   MULTIPLE_CHOICE: 'multiple-choice',
+  MULTIPLE_SELECT: 'multiple-select',
   TRUE_FALSE: 'true-false',
   SHORT_ANSWER: 'short-answer',
   ESSAY: 'essay'
 };
 
+const OPTION_TYPES = [QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.MULTIPLE_SELECT];
+const RUBRIC_TYPES = [QUESTION_TYPES.SHORT_ANSWER, QUESTION_TYPES.ESSAY];
+
+// Fields copied from a question bank entry into the quiz
+const BANK_CONTENT_FIELDS = [
+  'type', 'question', 'options', 'correctAnswer', 'scoring', 'answerRules', 'rubric', 'explanation', 'points', 'tags',
+  'difficulty'
+];
+
+const createEmptyCriterion = () => ({
+  title: '',
+  levels: [{ label: '', points: 0 }, { label: '', points: 1 }]
+});
+
+const rubricMaxPoints = (rubric = []) =>
+  rubric.reduce((sum, criterion) => sum + Math.max(0, ...criterion.levels.map(level => level.points || 0)), 0);
+
+const createEmptyAnswerRules = () => ({
+  acceptedAnswers: [],
+  patterns: [],
+  caseSensitive: false,
+  ignorePunctuation: true,
+  fuzzyThreshold: 1,
+  numeric: { enabled: false, value: '', tolerance: 0, units: [], unitRequired: false }
+});
+
+const createEmptyQuestion = () => ({
+  type: QUESTION_TYPES.MULTIPLE_CHOICE,
+  question: '',
+  options: [{ text: '', isCorrect: false }, { text: '', isCorrect: false }, { text: '', isCorrect: false }, { text: '', isCorrect: false }],
+  correctAnswer: '',
+  explanation: '',
+  points: 1,
+  scoring: { mode: 'all-or-nothing', wrongPenalty: 1 },
+  answerRules: createEmptyAnswerRules(),
+  rubric: []
+});
+
+// Fill a question from the bank or an import file out to the shape the question form edits
+const toFormQuestion = (content) => {
+  const emptyQuestion = createEmptyQuestion();
+  return {
+    ...emptyQuestion,
+    ...content,
+    question_text: content.question,
+    options: content.options?.length ? content.options : emptyQuestion.options,
+    answerRules: {
+      ...emptyQuestion.answerRules,
+      ...content.answerRules,
+      numeric: { ...emptyQuestion.answerRules.numeric, ...content.answerRules?.numeric }
+    }
+  };
+};
+
+// Patterns are matched with RE2 on the server, which has no lookarounds or backreferences
+const UNSUPPORTED_PATTERN = /\(\?<?[=!]|\\[1-9]|\\k</;
+
+const isValidPattern = (pattern) => {
+  if (UNSUPPORTED_PATTERN.test(pattern)) return false;
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Drop blank list entries before the rules are saved
+const cleanAnswerRules = (rules) => {
+  const cleanList = (list = []) => list.map(item => item.trim()).filter(Boolean);
+  return {
+    ...rules,
+    acceptedAnswers: cleanList(rules.acceptedAnswers),
+    patterns: cleanList(rules.patterns),
+    numeric: { ...rules.numeric, units: cleanList(rules.numeric.units) }
+  };
+};
+
+// Question content sent to the server, shared by quiz saves and the question bank
+const buildQuestionPayload = (q) => ({
+  type: q.type,
+  question: q.question_text || q.question || "",
+  // Keep option ids so answers already given by students still match
+  options: OPTION_TYPES.includes(q.type)
+    ? q.options
+      .filter((opt) => opt.text && opt.text.trim())
+      .map((opt) => ({ ...(opt._id && { _id: opt._id }), text: opt.text, isCorrect: Boolean(opt.isCorrect) }))
+    : undefined,
+  correctAnswer: !OPTION_TYPES.includes(q.type) ? q.correctAnswer : undefined,
+  scoring: q.type === QUESTION_TYPES.MULTIPLE_SELECT ? q.scoring : undefined,
+  answerRules: q.type === QUESTION_TYPES.SHORT_ANSWER && q.answerRules ? cleanAnswerRules(q.answerRules) : undefined,
+  rubric: RUBRIC_TYPES.includes(q.type) ? q.rubric || [] : undefined,
+  explanation: q.explanation || "",
+  points: q.points || 0,
+  tags: q.tags || [],
+  source: q.source,
+});
+
+// "Section 2 · p. 4" for questions generated from an uploaded document; questions generated
+// before excerpts were recorded show the section's page range instead
+const describeSource = (source) => {
+  let pages = source.page && `p. ${source.page}`;
+  if (!pages && source.pageFrom) {
+    pages = source.pageFrom === source.pageTo ? `p. ${source.pageFrom}` : `p. ${source.pageFrom}–${source.pageTo}`;
+  }
+  return [`Section ${source.section}`, pages].filter(Boolean).join(' · ');
+};
+
+// A random section draws `count` questions per student from the question bank
+const createEmptySection = () => ({
+  title: '',
+  count: 1,
+  points: 1,
+  difficulty: '',
+  tags: '',
+  pool: []
+});
+
+const buildSectionPayload = (section) => ({
+  title: section.title.trim(),
+  count: parseInt(section.count, 10) || 1,
+  points: parseFloat(section.points) || 0,
+  difficulty: section.difficulty || undefined,
+  tags: section.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+  pool: section.pool
+});
+
+const LINT_DELAY = 800; // ms after the last change before questions are checked again
+
 const DIFFICULTY_LEVELS = {
   EASY: 'easy',
   MEDIUM: 'medium',
@@ -34,29 +169,31 @@ export default function CreateQuizPage() {
     difficulty: DIFFICULTY_LEVELS.MEDIUM,
     settings: {
       timeLimit: 30,
+      gracePeriod: 30,
       allowRetake: false,
       showResults: true,
       shuffleQuestions: false,
+      shuffleOptions: false,
     },
     status: 'draft',
-    questions: []
+    questions: [],
+    sections: []
   });
 
   // Question form state
-  const [currentQuestion, setCurrentQuestion] = useState({
-    type: QUESTION_TYPES.MULTIPLE_CHOICE,
-    question: '',
-    options: [{ text: '' }, { text: '' }, { text: '' }, { text: '' }],
-    correctAnswer: '',
-    explanation: '',
-    points: 1
-  });
+  const [currentQuestion, setCurrentQuestion] = useState(createEmptyQuestion);
 
   // UI state
   const [showQuestionModal, setShowQuestionModal] = useState(false);
   const [editingQuestionIndex, setEditingQuestionIndex] = useState(-1);
   const [showPreview, setShowPreview] = useState(false);
   const [saveStatus, setSaveStatus] = useState('');
+  const [showBankModal, setShowBankModal] = useState(false);
+  const [poolSectionIndex, setPoolSectionIndex] = useState(-1);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showGenerateModal, setShowGenerateModal] = useState(false);
+  const [showSpreadsheetModal, setShowSpreadsheetModal] = useState(false);
+  const [lintIssues, setLintIssues] = useState([]);
 
   // Load quiz data if editing
   useEffect(() => {
@@ -65,6 +202,27 @@ export default function CreateQuizPage() {
     }
   }, [isEditing, id]);
 
+  // Check the questions for problems a little after each change; issues line up with formData.questions
+  useEffect(() => {
+    if (formData.questions.length === 0) {
+      setLintIssues([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await quizAPI.lintQuiz({
+          questions: formData.questions.map(buildQuestionPayload),
+          difficulty: formData.difficulty
+        });
+        setLintIssues(response.data.data);
+      } catch {
+        // The api interceptor already reports the error
+      }
+    }, LINT_DELAY);
+    return () => clearTimeout(timer);
+  }, [formData.questions, formData.difficulty]);
+
   const loadQuizData = async () => {
     try {
       const quiz = await getQuiz(id);
@@ -74,12 +232,20 @@ export default function CreateQuizPage() {
         difficulty: quiz.metadata?.difficulty || quiz.difficulty,
         settings: {
           timeLimit: quiz.settings?.timeLimit ?? 30,
+          gracePeriod: quiz.settings?.gracePeriod ?? 30,
           allowRetake: quiz.settings?.allowRetake ?? false,
           showResults: quiz.settings?.showResults ?? true,
           shuffleQuestions: quiz.settings?.shuffleQuestions ?? false,
+          shuffleOptions: quiz.settings?.shuffleOptions ?? false,
         },
         status: quiz.status,
-        questions: quiz.questions || []
+        questions: quiz.questions || [],
+        sections: (quiz.sections || []).map(section => ({
+          ...createEmptySection(),
+          ...section,
+          difficulty: section.difficulty || '',
+          tags: (section.tags || []).join(', ')
+        }))
       });
     } catch (error) {
       toast.error('Failed to load quiz data');
@@ -94,6 +260,13 @@ export default function CreateQuizPage() {
     }));
   };
 
+  const handleSettingChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      settings: { ...prev.settings, [field]: value }
+    }));
+  };
+
   const handleQuestionChange = (field, value) => {
     setCurrentQuestion(prev => ({
       ...prev,
@@ -108,6 +281,81 @@ export default function CreateQuizPage() {
     }));
   };
 
+  // Multiple choice has exactly one correct option; multiple select toggles each one
+  const handleCorrectOptionChange = (index) => {
+    setCurrentQuestion(prev => ({
+      ...prev,
+      options: prev.options.map((option, i) => {
+        if (prev.type === QUESTION_TYPES.MULTIPLE_SELECT) {
+          return i === index ? { ...option, isCorrect: !option.isCorrect } : option;
+        }
+        return { ...option, isCorrect: i === index };
+      })
+    }));
+  };
+
+  const handleScoringChange = (field, value) => {
+    setCurrentQuestion(prev => ({
+      ...prev,
+      scoring: { ...prev.scoring, [field]: value }
+    }));
+  };
+
+  const handleAnswerRulesChange = (field, value) => {
+    setCurrentQuestion(prev => ({
+      ...prev,
+      answerRules: { ...prev.answerRules, [field]: value }
+    }));
+  };
+
+  const handleNumericRuleChange = (field, value) => {
+    setCurrentQuestion(prev => ({
+      ...prev,
+      answerRules: {
+        ...prev.answerRules,
+        numeric: { ...prev.answerRules.numeric, [field]: value }
+      }
+    }));
+  };
+
+  const updateRubric = (update) => {
+    setCurrentQuestion(prev => ({ ...prev, rubric: update(prev.rubric) }));
+  };
+
+  const addRubricCriterion = () => {
+    updateRubric(rubric => [...rubric, createEmptyCriterion()]);
+  };
+
+  const removeRubricCriterion = (criterionIndex) => {
+    updateRubric(rubric => rubric.filter((_, i) => i !== criterionIndex));
+  };
+
+  const handleCriterionChange = (criterionIndex, field, value) => {
+    updateRubric(rubric => rubric.map((criterion, i) =>
+      i === criterionIndex ? { ...criterion, [field]: value } : criterion
+    ));
+  };
+
+  const addRubricLevel = (criterionIndex) => {
+    updateRubric(rubric => rubric.map((criterion, i) =>
+      i === criterionIndex ? { ...criterion, levels: [...criterion.levels, { label: '', points: 0 }] } : criterion
+    ));
+  };
+
+  const removeRubricLevel = (criterionIndex, levelIndex) => {
+    updateRubric(rubric => rubric.map((criterion, i) =>
+      i === criterionIndex ? { ...criterion, levels: criterion.levels.filter((_, j) => j !== levelIndex) } : criterion
+    ));
+  };
+
+  const handleLevelChange = (criterionIndex, levelIndex, field, value) => {
+    updateRubric(rubric => rubric.map((criterion, i) =>
+      i === criterionIndex
+        ? { ...criterion, levels: criterion.levels.map((level, j) => (j === levelIndex ? { ...level, [field]: value } : level)) }
+        : criterion
+    ));
+  };
+
   const addQuestion = () => {
     // Validate question
     if (!currentQuestion.question_text || !currentQuestion.question_text.trim()) {
@@ -115,16 +363,21 @@ export default function CreateQuizPage() {
       return;
     }
 
-    if (currentQuestion.type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+    if (OPTION_TYPES.includes(currentQuestion.type)) {
       const validOptions = currentQuestion.options.filter(opt => opt.text && opt.text.trim());
+      const correctCount = validOptions.filter(opt => opt.isCorrect).length;
       if (validOptions.length < 2) {
         toast.error('At least 2 options are required for multiple choice questions');
         return;
       }
-      if (!currentQuestion.correctAnswer) {
+      if (currentQuestion.type === QUESTION_TYPES.MULTIPLE_CHOICE && correctCount !== 1) {
         toast.error('Please select the correct answer');
         return;
       }
+      if (currentQuestion.type === QUESTION_TYPES.MULTIPLE_SELECT && correctCount === 0) {
+        toast.error('Please select at least one correct answer');
+        return;
+      }
     }
 
     if (currentQuestion.type === QUESTION_TYPES.TRUE_FALSE && !currentQuestion.correctAnswer) {
@@ -132,8 +385,32 @@ export default function CreateQuizPage() {
       return;
     }
 
+    if (currentQuestion.type === QUESTION_TYPES.SHORT_ANSWER) {
+      const { patterns, numeric } = currentQuestion.answerRules;
+      const invalidPattern = patterns.map(p => p.trim()).find(p => p && !isValidPattern(p));
+      if (invalidPattern) {
+        toast.error(`Invalid pattern: ${invalidPattern}`);
+        return;
+      }
+      if (numeric.enabled && (numeric.value === '' || Number.isNaN(Number(numeric.value)))) {
+        toast.error('Please enter the numeric answer');
+        return;
+      }
+    }
+
+    if (RUBRIC_TYPES.includes(currentQuestion.type)) {
+      const incomplete = currentQuestion.rubric.some(criterion =>
+        !criterion.title.trim() || !criterion.levels.length || criterion.levels.some(level => !level.label.trim())
+      );
+      if (incomplete) {
+        toast.error('Every rubric criterion needs a title and labelled levels');
+        return;
+      }
+    }
+
     const newQuestion = {
       ...currentQuestion,
+      question: currentQuestion.question_text,
       id: Date.now(), // Temporary ID for frontend
       order: formData.questions.length + 1
     };
@@ -163,11 +440,110 @@ export default function CreateQuizPage() {
 
   const editQuestion = (index) => {
     const question = formData.questions[index];
-    setCurrentQuestion(question);
+    const emptyQuestion = createEmptyQuestion();
+    setCurrentQuestion({
+      ...emptyQuestion,
+      ...question,
+      question_text: question.question_text || question.question,
+      options: question.options?.length ? question.options : emptyQuestion.options,
+      scoring: question.scoring || emptyQuestion.scoring,
+      rubric: question.rubric || [],
+      answerRules: {
+        ...emptyQuestion.answerRules,
+        ...question.answerRules,
+        numeric: { ...emptyQuestion.answerRules.numeric, ...question.answerRules?.numeric }
+      }
+    });
     setEditingQuestionIndex(index);
     setShowQuestionModal(true);
   };
 
+  // Copy bank questions into the quiz; the copy keeps a link back for usage history and statistics
+  const addBankQuestions = (bankQuestions) => {
+    const added = bankQuestions.map((bankQuestion, i) => {
+      const content = Object.fromEntries(
+        BANK_CONTENT_FIELDS.filter(field => bankQuestion[field] !== undefined).map(field => [field, bankQuestion[field]])
+      );
+      return {
+        ...toFormQuestion(content),
+        bankQuestion: bankQuestion._id,
+        id: Date.now() + i
+      };
+    });
+
+    setFormData(prev => ({
+      ...prev,
+      questions: [...prev.questions, ...added]
+    }));
+    toast.success(`${added.length} question(s) added from the bank`);
+  };
+
+  const addImportedQuestions = (importedQuestions) => {
+    const added = importedQuestions.map((question, i) => ({
+      ...toFormQuestion(question),
+      id: Date.now() + i
+    }));
+
+    setFormData(prev => ({
+      ...prev,
+      questions: [...prev.questions, ...added]
+    }));
+    toast.success(`${added.length} question(s) imported`);
+  };
+
+  const saveToBank = async (index) => {
+    const question = formData.questions[index];
+    try {
+      const response = await questionAPI.createQuestion({
+        ...buildQuestionPayload(question),
+        subject: 'General',
+        // Questions without a difficulty of their own take the quiz's
+        difficulty: question.difficulty || formData.difficulty
+      });
+      setFormData(prev => ({
+        ...prev,
+        questions: prev.questions.map((q, i) => (i === index ? { ...q, bankQuestion: response.data.data._id } : q))
+      }));
+      toast.success('Question saved to your bank');
+    } catch {
+      // The api interceptor already reports the error
+    }
+  };
+
+  const addSection = () => {
+    setFormData(prev => ({ ...prev, sections: [...prev.sections, createEmptySection()] }));
+  };
+
+  const handleSectionChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      sections: prev.sections.map((section, i) => (i === index ? { ...section, [field]: value } : section))
+    }));
+  };
+
+  const removeSection = (index) => {
+    setFormData(prev => ({ ...prev, sections: prev.sections.filter((_, i) => i !== index) }));
+  };
+
+  // The bank modal either adds questions to the quiz or picks the pool for a section
+  const handleBankSelection = (bankQuestions) => {
+    if (poolSectionIndex >= 0) {
+      handleSectionChange(poolSectionIndex, 'pool', bankQuestions.map(q => q._id));
+    } else {
+      addBankQuestions(bankQuestions);
+    }
+  };
+
+  const closeBankModal = () => {
+    setShowBankModal(false);
+    setPoolSectionIndex(-1);
+  };
+
+  const openPoolPicker = (index) => {
+    setPoolSectionIndex(index);
+    setShowBankModal(true);
+  };
+
   const deleteQuestion = (index) => {
     setFormData(prev => ({
       ...prev,
@@ -177,14 +553,7 @@ export default function CreateQuizPage() {
   };
 
   const resetQuestionForm = () => {
-    setCurrentQuestion({
-      type: QUESTION_TYPES.MULTIPLE_CHOICE,
-      question: '',
-      options: [{ text: '' }, { text: '' }, { text: '' }, { text: '' }],
-      correctAnswer: '',
-      explanation: '',
-      points: 1
-    });
+    setCurrentQuestion(createEmptyQuestion());
     setEditingQuestionIndex(-1);
   };
 
@@ -197,10 +566,14 @@ export default function CreateQuizPage() {
       toast.error('Quiz description is required');
       return false;
     }
-    if (formData.questions.length === 0) {
+    if (formData.questions.length === 0 && formData.sections.length === 0) {
       toast.error('At least one question is required');
       return false;
     }
+    if (formData.sections.some(section => !(parseInt(section.count, 10) >= 1))) {
+      toast.error('Each random section must draw at least one question');
+      return false;
+    }
     if ((formData.settings?.timeLimit ?? 0) < 1) {
       toast.error('Time limit must be at least 1 minute');
       return false;
@@ -221,15 +594,14 @@ export default function CreateQuizPage() {
         metadata: { difficulty: formData.difficulty },
         settings: formData.settings,
         questions: formData.questions.map((q, index) => ({
-          type: q.type,
-          question: q.question_text || q.question || "",
-          options: q.type === QUESTION_TYPES.MULTIPLE_CHOICE ? q.options.map((opt) => ({ text: opt.text, isCorrect: opt.text === q.correctAnswer })) : undefined,
-          correctAnswer: q.type !== QUESTION_TYPES.MULTIPLE_CHOICE ? q.correctAnswer : undefined,
-          explanation: q.explanation || "",
-          points: q.points || 0,
-          difficulty: formData.difficulty,
+          // Existing questions keep their id so submissions and versions still line up
+          ...(q._id && { _id: q._id }),
+          ...buildQuestionPayload(q),
+          difficulty: q.difficulty || formData.difficulty,
+          bankQuestion: q.bankQuestion,
           order: index + 1,
         })),
+        sections: formData.sections.map(buildSectionPayload),
       };
 
       if (isEditing) {
@@ -337,6 +709,18 @@ export default function CreateQuizPage() {
             onChange={(e) => setFormData(prev => ({ ...prev, settings: { ...prev.settings, timeLimit: parseInt(e.target.value) } }))}
           />
         </div>
+
+        <div className={styles.formGroup}>
+          <label htmlFor="grace_period">Grace Period (seconds)</label>
+          <Input
+            id="grace_period"
+            type="number"
+            min="0"
+            max="600"
+            value={formData.settings.gracePeriod}
+            onChange={(e) => setFormData(prev => ({ ...prev, settings: { ...prev.settings, gracePeriod: parseInt(e.target.value) || 0 } }))}
+          />
+        </div>
       </div>
     </Card>
   );
@@ -345,14 +729,35 @@ export default function CreateQuizPage() {
     <Card className={styles.stepCard}>
       <div className={styles.questionsHeader}>
         <h2>Questions ({formData.questions.length})</h2>
-        <Button
-          variant="primary"
-          onClick={() => setShowQuestionModal(true)}
-        >
-          Add Question
-        </Button>
+        <div className={styles.questionActions}>
+          <Button
+            variant="outline"
+            onClick={() => setShowBankModal(true)}
+          >
+            Add from Bank
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => setShowSpreadsheetModal(true)}
+          >
+            Import Spreadsheet
+          </Button>
+          <Button
+            variant="primary"
+            onClick={() => setShowQuestionModal(true)}
+          >
+            Add Question
+          </Button>
+        </div>
       </div>
 
+      {isEditing && formData.status === 'published' && (
+        <p className={styles.versionNotice}>
+          This quiz is published. Saving changes to its questions creates a new version;
+          submissions already made keep the version they were taken on.
+        </p>
+      )}
+
       {formData.questions.length === 0 ? (
         <div className={styles.emptyQuestions}>
           <p>No questions added yet. Click "Add Question" to get started.</p>
@@ -366,8 +771,22 @@ export default function CreateQuizPage() {
                   <span className={styles.questionNumber}>Q{index + 1}</span>
                   <span className={styles.questionType}>{question.type.replace('_', ' ')}</span>
                   <span className={styles.questionPoints}>{question.points} pts</span>
+                  {question.source?.section && (
+                    <span className={styles.questionSource}>{describeSource(question.source)}</span>
+                  )}
                 </div>
                 <div className={styles.questionActions}>
+                  {question.bankQuestion ? (
+                    <span className={styles.bankBadge}>In bank</span>
+                  ) : (
+                    <Button
+                      variant="ghost"
+                      size="small"
+                      onClick={() => saveToBank(index)}
+                    >
+                      Save to Bank
+                    </Button>
+                  )}
                   <Button
                     variant="outline"
                     size="small"
@@ -385,18 +804,30 @@ export default function CreateQuizPage() {
                 </div>
               </div>
               
+              {lintIssues[index]?.length > 0 && (
+                <ul className={styles.questionIssues}>
+                  {lintIssues[index].map((issue, issueIndex) => (
+                    <li key={issueIndex} className={styles[issue.severity]}>{issue.message}</li>
+                  ))}
+                </ul>
+              )}
+
               <div className={styles.questionContent}>
                 <p className={styles.questionText}>{question.question}</p>
+
+                {question.source?.excerpt && (
+                  <blockquote className={styles.questionExcerpt}>{question.source.excerpt}</blockquote>
+                )}
                 
-                {question.type === QUESTION_TYPES.MULTIPLE_CHOICE && (
+                {OPTION_TYPES.includes(question.type) && (
                   <div className={styles.questionOptions}>
                     {question.options.filter(opt => opt.text && opt.text.trim()).map((option, optIndex) => (
                       <div 
                         key={optIndex}
-                        className={`${styles.option} ${option.text === question.correctAnswer ? styles.correct : ''}`}
+                        className={`${styles.option} ${option.isCorrect ? styles.correct : ''}`}
                       >
                         {String.fromCharCode(65 + optIndex)}. {option.text}
-                        {option.text === question.correctAnswer && <span className={styles.correctMark}>✓</span>}
+                        {option.isCorrect && <span className={styles.correctMark}>✓</span>}
                       </div>
                     ))}
                   </div>
@@ -423,9 +854,111 @@ export default function CreateQuizPage() {
           ))}
         </div>
       )}
+
+      {renderSections()}
     </Card>
   );
 
+  const renderSections = () => (
+    <div className={styles.sectionsBlock}>
+      <div className={styles.questionsHeader}>
+        <div>
+          <h3>Random Sections ({formData.sections.length})</h3>
+          <p className={styles.rubricHint}>
+            Each student gets their own draw from your question bank when they start the quiz.
+          </p>
+        </div>
+        <Button variant="outline" onClick={addSection}>
+          Add Section
+        </Button>
+      </div>
+
+      {formData.sections.map((section, index) => (
+        <div key={index} className={styles.sectionCard}>
+          <div className={styles.formRow}>
+            <div className={styles.formGroup}>
+              <label htmlFor={`section_title_${index}`}>Title</label>
+              <Input
+                id={`section_title_${index}`}
+                placeholder={`Section ${index + 1}`}
+                value={section.title}
+                onChange={(e) => handleSectionChange(index, 'title', e.target.value)}
+              />
+            </div>
+            <div className={styles.formGroup}>
+              <label htmlFor={`section_count_${index}`}>Questions to draw</label>
+              <Input
+                id={`section_count_${index}`}
+                type="number"
+                min="1"
+                value={section.count}
+                onChange={(e) => handleSectionChange(index, 'count', e.target.value)}
+              />
+            </div>
+            <div className={styles.formGroup}>
+              <label htmlFor={`section_points_${index}`}>Points each</label>
+              <Input
+                id={`section_points_${index}`}
+                type="number"
+                min="0"
+                step="0.5"
+                value={section.points}
+                onChange={(e) => handleSectionChange(index, 'points', e.target.value)}
+              />
+            </div>
+          </div>
+
+          <div className={styles.formRow}>
+            <div className={styles.formGroup}>
+              <label htmlFor={`section_difficulty_${index}`}>Difficulty</label>
+              <select
+                id={`section_difficulty_${index}`}
+                className={styles.select}
+                value={section.difficulty}
+                onChange={(e) => handleSectionChange(index, 'difficulty', e.target.value)}
+              >
+                <option value="">Any difficulty</option>
+                <option value={DIFFICULTY_LEVELS.EASY}>Easy</option>
+                <option value={DIFFICULTY_LEVELS.MEDIUM}>Medium</option>
+                <option value={DIFFICULTY_LEVELS.HARD}>Hard</option>
+              </select>
+            </div>
+            <div className={styles.formGroup}>
+              <label htmlFor={`section_tags_${index}`}>Tags (all must match)</label>
+              <Input
+                id={`section_tags_${index}`}
+                placeholder="Tags, comma separated"
+                value={section.tags}
+                onChange={(e) => handleSectionChange(index, 'tags', e.target.value)}
+              />
+            </div>
+          </div>
+
+          <div className={styles.sectionFooter}>
+            <span>
+              {section.pool.length > 0
+                ? `Drawing from ${section.pool.length} chosen question(s)`
+                : 'Drawing from your whole question bank'}
+            </span>
+            <div className={styles.questionActions}>
+              <Button variant="ghost" size="small" onClick={() => openPoolPicker(index)}>
+                Choose Pool
+              </Button>
+              {section.pool.length > 0 && (
+                <Button variant="ghost" size="small" onClick={() => handleSectionChange(index, 'pool', [])}>
+                  Clear Pool
+                </Button>
+              )}
+              <Button variant="danger" size="small" onClick={() => removeSection(index)}>
+                Remove
+              </Button>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
   const renderSettings = () => (
     <div className={styles.settingsStep}>
       <Card className={styles.stepCard}>
@@ -458,10 +991,19 @@ export default function CreateQuizPage() {
           <label className={styles.checkboxLabel}>
             <input
               type="checkbox"
-              checked={formData.randomize_questions}
-              onChange={(e) => handleBasicInfoChange('randomize_questions', e.target.checked)}
+              checked={formData.settings.shuffleQuestions}
+              onChange={(e) => handleSettingChange('shuffleQuestions', e.target.checked)}
+            />
+            Randomize question order for each student
+          </label>
+
+          <label className={styles.checkboxLabel}>
+            <input
+              type="checkbox"
+              checked={formData.settings.shuffleOptions}
+              onChange={(e) => handleSettingChange('shuffleOptions', e.target.checked)}
             />
-            Randomize question order
+            Shuffle answer options for each student
           </label>
 
           <label className={styles.checkboxLabel}>
@@ -510,6 +1052,193 @@ export default function CreateQuizPage() {
     </div>
   );
 
+  const renderAnswerRules = () => {
+    const rules = currentQuestion.answerRules;
+
+    return (
+      <div className={styles.answerRules}>
+        <h4>Answer Matching</h4>
+
+        <label className={styles.checkboxLabel}>
+          <input
+            type="checkbox"
+            checked={rules.numeric.enabled}
+            onChange={(e) => handleNumericRuleChange('enabled', e.target.checked)}
+          />
+          Numeric answer
+        </label>
+
+        {rules.numeric.enabled ? (
+          <>
+            <div className={styles.formRow}>
+              <div className={styles.formGroup}>
+                <label htmlFor="numeric_value">Value *</label>
+                <Input
+                  id="numeric_value"
+                  type="number"
+                  step="any"
+                  value={rules.numeric.value}
+                  onChange={(e) => handleNumericRuleChange('value', e.target.value === '' ? '' : parseFloat(e.target.value))}
+                />
+              </div>
+              <div className={styles.formGroup}>
+                <label htmlFor="numeric_tolerance">Tolerance (±)</label>
+                <Input
+                  id="numeric_tolerance"
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={rules.numeric.tolerance}
+                  onChange={(e) => handleNumericRuleChange('tolerance', parseFloat(e.target.value) || 0)}
+                />
+              </div>
+            </div>
+            <div className={styles.formGroup}>
+              <label htmlFor="numeric_units">Accepted units (comma separated)</label>
+              <Input
+                id="numeric_units"
+                placeholder="e.g. m/s, meters per second"
+                value={rules.numeric.units.join(',')}
+                onChange={(e) => handleNumericRuleChange('units', e.target.value.split(','))}
+              />
+            </div>
+            <label className={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={rules.numeric.unitRequired}
+                onChange={(e) => handleNumericRuleChange('unitRequired', e.target.checked)}
+              />
+              Require a unit
+            </label>
+          </>
+        ) : (
+          <>
+            <div className={styles.formGroup}>
+              <label htmlFor="accepted_answers">Other accepted answers (one per line)</label>
+              <textarea
+                id="accepted_answers"
+                className={styles.textarea}
+                value={rules.acceptedAnswers.join('\n')}
+                onChange={(e) => handleAnswerRulesChange('acceptedAnswers', e.target.value.split('\n'))}
+                rows={3}
+              />
+            </div>
+            <div className={styles.formGroup}>
+              <label htmlFor="answer_patterns">Regular expressions (one per line)</label>
+              <textarea
+                id="answer_patterns"
+                className={styles.textarea}
+                placeholder="e.g. ^(the )?mitochondri(a|on)$"
+                value={rules.patterns.join('\n')}
+                onChange={(e) => handleAnswerRulesChange('patterns', e.target.value.split('\n'))}
+                rows={2}
+              />
+            </div>
+            <div className={styles.formGroup}>
+              <label htmlFor="fuzzy_threshold">
+                Typo tolerance: {rules.fuzzyThreshold < 1 ? `${Math.round(rules.fuzzyThreshold * 100)}% similar` : 'exact match only'}
+              </label>
+              <input
+                id="fuzzy_threshold"
+                type="range"
+                min="0.5"
+                max="1"
+                step="0.05"
+                value={rules.fuzzyThreshold}
+                onChange={(e) => handleAnswerRulesChange('fuzzyThreshold', parseFloat(e.target.value))}
+              />
+            </div>
+            <label className={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={rules.caseSensitive}
+                onChange={(e) => handleAnswerRulesChange('caseSensitive', e.target.checked)}
+              />
+              Case sensitive
+            </label>
+            <label className={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={rules.ignorePunctuation}
+                onChange={(e) => handleAnswerRulesChange('ignorePunctuation', e.target.checked)}
+              />
+              Ignore punctuation
+            </label>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderRubricEditor = () => {
+    const maxPoints = rubricMaxPoints(currentQuestion.rubric);
+
+    return (
+      <div className={styles.rubricSection}>
+        <div className={styles.rubricHeader}>
+          <h4>Rubric (optional)</h4>
+          <Button variant="outline" size="sm" onClick={addRubricCriterion}>
+            Add Criterion
+          </Button>
+        </div>
+
+        {currentQuestion.rubric.length > 0 && (
+          <p className={styles.rubricHint}>
+            Answers are graded by hand using this rubric. Top score: {maxPoints} of {currentQuestion.points} points
+            {maxPoints > currentQuestion.points && ' (scores are capped at the question points)'}
+          </p>
+        )}
+
+        {currentQuestion.rubric.map((criterion, criterionIndex) => (
+          <div key={criterionIndex} className={styles.rubricCriterion}>
+            <div className={styles.optionInput}>
+              <Input
+                type="text"
+                placeholder="Criterion, e.g. Use of evidence"
+                value={criterion.title}
+                onChange={(e) => handleCriterionChange(criterionIndex, 'title', e.target.value)}
+              />
+              <Button variant="ghost" size="sm" onClick={() => removeRubricCriterion(criterionIndex)}>
+                Remove
+              </Button>
+            </div>
+
+            {criterion.levels.map((level, levelIndex) => (
+              <div key={levelIndex} className={styles.rubricLevel}>
+                <Input
+                  type="text"
+                  placeholder={`Level ${levelIndex + 1}, e.g. Proficient`}
+                  value={level.label}
+                  onChange={(e) => handleLevelChange(criterionIndex, levelIndex, 'label', e.target.value)}
+                />
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  aria-label="Level points"
+                  value={level.points}
+                  onChange={(e) => handleLevelChange(criterionIndex, levelIndex, 'points', parseFloat(e.target.value) || 0)}
+                />
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => removeRubricLevel(criterionIndex, levelIndex)}
+                  disabled={criterion.levels.length <= 1}
+                >
+                  ✕
+                </Button>
+              </div>
+            ))}
+
+            <Button variant="ghost" size="sm" onClick={() => addRubricLevel(criterionIndex)}>
+              + Add Level
+            </Button>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   const renderQuestionModal = () => (
     <Modal
       isOpen={showQuestionModal}
@@ -531,6 +1260,7 @@ export default function CreateQuizPage() {
               onChange={(e) => handleQuestionChange('type', e.target.value)}
             >
               <option value={QUESTION_TYPES.MULTIPLE_CHOICE}>Multiple Choice</option>
+              <option value={QUESTION_TYPES.MULTIPLE_SELECT}>Multiple Select</option>
               <option value={QUESTION_TYPES.TRUE_FALSE}>True/False</option>
               <option value={QUESTION_TYPES.SHORT_ANSWER}>Short Answer</option>
               <option value={QUESTION_TYPES.ESSAY}>Essay</option>
@@ -563,7 +1293,7 @@ export default function CreateQuizPage() {
           />
         </div>
 
-        {currentQuestion.type === QUESTION_TYPES.MULTIPLE_CHOICE && (
+        {OPTION_TYPES.includes(currentQuestion.type) && (
           <div className={styles.optionsSection}>
             <label>Answer Options *</label>
             {currentQuestion.options.map((option, index) => (
@@ -576,11 +1306,10 @@ export default function CreateQuizPage() {
                 />
                 <label className={styles.correctOption}>
                   <input
-                    type="radio"
+                    type={currentQuestion.type === QUESTION_TYPES.MULTIPLE_SELECT ? 'checkbox' : 'radio'}
                     name="correct_answer"
-                    value={option.text}
-                    checked={currentQuestion.correctAnswer === option.text}
-                    onChange={(e) => handleQuestionChange('correctAnswer', e.target.value)}
+                    checked={Boolean(option.isCorrect)}
+                    onChange={() => handleCorrectOptionChange(index)}
                   />
                   Correct
                 </label>
@@ -589,6 +1318,37 @@ export default function CreateQuizPage() {
           </div>
         )}
 
+        {currentQuestion.type === QUESTION_TYPES.MULTIPLE_SELECT && (
+          <div className={styles.formRow}>
+            <div className={styles.formGroup}>
+              <label htmlFor="scoring_mode">Scoring</label>
+              <select
+                id="scoring_mode"
+                className={styles.select}
+                value={currentQuestion.scoring?.mode || 'all-or-nothing'}
+                onChange={(e) => handleScoringChange('mode', e.target.value)}
+              >
+                <option value="all-or-nothing">All or nothing</option>
+                <option value="partial">Partial credit</option>
+              </select>
+            </div>
+
+            {currentQuestion.scoring?.mode === 'partial' && (
+              <div className={styles.formGroup}>
+                <label htmlFor="wrong_penalty">Penalty per wrong pick (correct picks cancelled)</label>
+                <Input
+                  id="wrong_penalty"
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={currentQuestion.scoring?.wrongPenalty ?? 1}
+                  onChange={(e) => handleScoringChange('wrongPenalty', parseFloat(e.target.value) || 0)}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
         {currentQuestion.type === QUESTION_TYPES.TRUE_FALSE && (
           <div className={styles.trueFalseSection}>
             <label>Correct Answer *</label>
@@ -619,7 +1379,9 @@ export default function CreateQuizPage() {
 
         {(currentQuestion.type === QUESTION_TYPES.SHORT_ANSWER || currentQuestion.type === QUESTION_TYPES.ESSAY) && (
           <div className={styles.formGroup}>
-            <label htmlFor="sample_answer">Sample Answer (for grading reference)</label>
+            <label htmlFor="sample_answer">
+              {currentQuestion.type === QUESTION_TYPES.SHORT_ANSWER ? 'Correct Answer' : 'Sample Answer (for grading reference)'}
+            </label>
             <textarea
               id="sample_answer"
               className={styles.textarea}
@@ -631,6 +1393,10 @@ export default function CreateQuizPage() {
           </div>
         )}
 
+        {currentQuestion.type === QUESTION_TYPES.SHORT_ANSWER && renderAnswerRules()}
+
+        {RUBRIC_TYPES.includes(currentQuestion.type) && renderRubricEditor()}
+
         <div className={styles.formGroup}>
           <label htmlFor="explanation">Explanation (optional)</label>
           <textarea
@@ -679,6 +1445,24 @@ export default function CreateQuizPage() {
         </div>
 
         <div className={styles.headerActions}>
+          {!isEditing && (
+            <Button
+              variant="ghost"
+              onClick={() => setShowImportModal(true)}
+              disabled={saveStatus === 'saving'}
+            >
+              Import File
+            </Button>
+          )}
+          {!isEditing && (
+            <Button
+              variant="ghost"
+              onClick={() => setShowGenerateModal(true)}
+              disabled={saveStatus === 'saving'}
+            >
+              Generate from Document
+            </Button>
+          )}
           <Button
             variant="outline"
             onClick={() => navigate('/quizzes')}
@@ -696,7 +1480,7 @@ export default function CreateQuizPage() {
           <Button
             variant="primary"
             onClick={handlePublish}
-            disabled={saveStatus === 'saving' || formData.questions.length === 0}
+            disabled={saveStatus === 'saving' || (formData.questions.length === 0 && formData.sections.length === 0)}
           >
             {saveStatus === 'saving' ? 'Publishing...' : 'Publish Quiz'}
           </Button>
@@ -734,6 +1518,21 @@ export default function CreateQuizPage() {
       </div>
 
       {renderQuestionModal()}
+      <QuestionBankModal
+        isOpen={showBankModal}
+        onClose={closeBankModal}
+        onAdd={handleBankSelection}
+        title={poolSectionIndex >= 0 ? 'Choose Section Pool' : undefined}
+        actionLabel={poolSectionIndex >= 0 ? 'Use' : undefined}
+        excludeIds={formData.questions.map(q => q.bankQuestion).filter(Boolean)}
+      />
+      <ImportQuizModal isOpen={showImportModal} onClose={() => setShowImportModal(false)} />
+      <GenerateQuizModal isOpen={showGenerateModal} onClose={() => setShowGenerateModal(false)} />
+      <QuestionImportModal
+        isOpen={showSpreadsheetModal}
+        onClose={() => setShowSpreadsheetModal(false)}
+        onAdd={addImportedQuestions}
+      />
     </div>
   );
 }
\ No newline at end of file
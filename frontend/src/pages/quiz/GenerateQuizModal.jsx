@@ -0,0 +1,223 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Button, Input, Modal } from '../../components/common';
+import { quizAPI } from '../../utils/api';
+import styles from './GenerateQuizModal.module.css';
+
+const POLL_INTERVAL = 2000;
+
+const STAGES = {
+  queued: 'Waiting to start',
+  extracting: 'Reading the document',
+  generating: 'Generating questions',
+  saving: 'Saving the draft',
+  done: 'Done'
+};
+
+// Upload lesson material and follow the background job that turns it into a draft quiz.
+// PDFs are previewed first so generation can be limited to some pages or chapters.
+export default function GenerateQuizModal({ isOpen, onClose }) {
+  const navigate = useNavigate();
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [title, setTitle] = useState('');
+  const [numberOfQuestions, setNumberOfQuestions] = useState(10);
+  const [difficulty, setDifficulty] = useState('medium');
+  const [pages, setPages] = useState('');
+  const [chapters, setChapters] = useState([]);
+  const [starting, setStarting] = useState(false);
+  const [job, setJob] = useState(null);
+
+  const running = job && (job.status === 'queued' || job.status === 'processing');
+
+  // Poll the job until it has finished
+  useEffect(() => {
+    if (!running) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await quizAPI.getGenerationJob(job._id);
+        setJob(response.data.data);
+      } catch {
+        // The api interceptor already reports the error
+        setJob(null);
+      }
+    }, POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [job, running]);
+
+  const handleClose = () => {
+    setFile(null);
+    setPreview(null);
+    setPages('');
+    setChapters([]);
+    setJob(null);
+    onClose();
+  };
+
+  const handleFile = async (selected) => {
+    setFile(selected);
+    setPreview(null);
+    setPages('');
+    setChapters([]);
+    if (!selected || !selected.name.toLowerCase().endsWith('.pdf')) return;
+
+    const formData = new FormData();
+    formData.append('document', selected);
+    try {
+      const response = await quizAPI.previewDocument(formData);
+      setPreview(response.data.data);
+    } catch {
+      // The api interceptor already reports the error
+    }
+  };
+
+  const toggleChapter = (chapterId) => {
+    setChapters(prev => (prev.includes(chapterId) ? prev.filter(other => other !== chapterId) : [...prev, chapterId]));
+  };
+
+  const handleGenerate = async () => {
+    const formData = new FormData();
+    formData.append('document', file);
+    formData.append('numberOfQuestions', numberOfQuestions);
+    formData.append('difficulty', difficulty);
+    if (title.trim()) formData.append('title', title.trim());
+    if (pages.trim()) formData.append('pages', pages.trim());
+    if (chapters.length > 0) formData.append('chapters', chapters.join(','));
+
+    setStarting(true);
+    try {
+      const response = await quizAPI.uploadDocument(formData);
+      setJob(response.data.data);
+    } catch {
+      // The api interceptor already reports the error
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const renderForm = () => (
+    <div className={styles.form}>
+      <p className={styles.hint}>
+        Upload lesson material (PDF, DOCX, TXT, Markdown or HTML). Questions are generated in the
+        background; you can follow the progress here.
+      </p>
+      <input
+        type="file"
+        accept=".pdf,.docx,.txt,.md,.markdown,.html,.htm"
+        onChange={(e) => handleFile(e.target.files[0] || null)}
+      />
+      <Input
+        label="Title"
+        placeholder="Defaults to the document title"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+      />
+      <div className={styles.row}>
+        <Input
+          label="Questions"
+          type="number"
+          min="1"
+          max="50"
+          value={numberOfQuestions}
+          onChange={(e) => setNumberOfQuestions(e.target.value)}
+        />
+        <label className={styles.field}>
+          Difficulty
+          <select className={styles.select} value={difficulty} onChange={(e) => setDifficulty(e.target.value)}>
+            <option value="easy">Easy</option>
+            <option value="medium">Medium</option>
+            <option value="hard">Hard</option>
+          </select>
+        </label>
+      </div>
+
+      {preview && (
+        <>
+          <Input
+            label={`Pages (of ${preview.pages})`}
+            placeholder="All pages, or e.g. 1-3, 7"
+            value={pages}
+            onChange={(e) => setPages(e.target.value)}
+          />
+          {preview.outline.length > 0 && (
+            <div className={styles.outline}>
+              <span className={styles.outlineTitle}>Chapters</span>
+              {preview.outline.map(entry => (
+                <label key={entry.id} className={styles.chapter} style={{ paddingLeft: `${(entry.level - 1) * 16}px` }}>
+                  <input
+                    type="checkbox"
+                    checked={chapters.includes(entry.id)}
+                    onChange={() => toggleChapter(entry.id)}
+                  />
+                  {entry.title}
+                  <span className={styles.pages}>
+                    p. {entry.pageFrom === entry.pageTo ? entry.pageFrom : `${entry.pageFrom}–${entry.pageTo}`}
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+
+  const renderJob = () => {
+    const { progress } = job;
+    return (
+      <div className={styles.form}>
+        <div className={styles.status}>
+          <span>{job.status === 'failed' ? 'Generation failed' : STAGES[progress.stage]}</span>
+          {progress.totalChunks > 0 && (
+            <span className={styles.pages}>
+              {progress.completedChunks} of {progress.totalChunks} sections
+              {progress.failedChunks > 0 && ` (${progress.failedChunks} failed)`}
+            </span>
+          )}
+        </div>
+        {job.status !== 'failed' && (
+          <div className={styles.progressBar}>
+            <div className={styles.progressFill} style={{ width: `${progress.percent}%` }} />
+          </div>
+        )}
+        {job.failure && <p className={styles.failure}>{job.failure.message}</p>}
+        {job.partialQuestions?.length > 0 && (
+          <ol className={styles.questions}>
+            {job.partialQuestions.map((question, index) => (
+              <li key={index}>{question.question}</li>
+            ))}
+          </ol>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title="Generate Quiz from Document"
+      footer={
+        <>
+          <Button variant="outline" onClick={handleClose}>{running ? 'Close' : 'Cancel'}</Button>
+          {job?.status === 'completed' && (
+            <Button variant="primary" onClick={() => navigate(`/quizzes/${job.quiz}/edit`)}>
+              Open Draft
+            </Button>
+          )}
+          {job?.status === 'failed' && (
+            <Button variant="primary" onClick={() => setJob(null)}>Try Again</Button>
+          )}
+          {!job && (
+            <Button variant="primary" onClick={handleGenerate} disabled={!file || starting}>
+              {starting ? 'Uploading...' : 'Generate'}
+            </Button>
+          )}
+        </>
+      }
+    >
+      {job ? renderJob() : renderForm()}
+    </Modal>
+  );
+}
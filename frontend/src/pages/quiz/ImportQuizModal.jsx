@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Button, Input, Modal } from '../../components/common';
+import { quizAPI } from '../../utils/api';
+import { toast } from 'react-hot-toast';
+import styles from './ImportQuizModal.module.css';
+
+const FORMATS = [
+  { value: '', label: 'Detect from file' },
+  { value: 'gift', label: 'GIFT' },
+  { value: 'aiken', label: 'Aiken' },
+  { value: 'moodle', label: 'Moodle XML' },
+  { value: 'csv', label: 'CSV spreadsheet' },
+  { value: 'xlsx', label: 'Excel spreadsheet' }
+];
+
+// Create a draft quiz from a GIFT, Aiken, Moodle XML or spreadsheet file. Questions that could not
+// be imported are listed so the teacher can fix the file or add them by hand.
+export default function ImportQuizModal({ isOpen, onClose }) {
+  const navigate = useNavigate();
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('');
+  const [title, setTitle] = useState('');
+  const [subject, setSubject] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleClose = () => {
+    setFile(null);
+    setResult(null);
+    onClose();
+  };
+
+  const handleImport = async () => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (format) formData.append('format', format);
+    if (title.trim()) formData.append('title', title.trim());
+    if (subject.trim()) formData.append('subject', subject.trim());
+
+    setImporting(true);
+    try {
+      const response = await quizAPI.importQuiz(formData);
+      const { data: quiz, metadata, message } = response.data;
+      toast.success(message);
+      if (metadata.errors.length > 0) {
+        setResult({ quiz, errors: metadata.errors });
+      } else {
+        navigate(`/quizzes/${quiz._id}/edit`);
+      }
+    } catch (error) {
+      // The api interceptor already reports the error; keep the parse errors on screen
+      setResult({ quiz: null, errors: error.response?.data?.errors || [] });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title="Import Quiz"
+      footer={
+        <>
+          <Button variant="outline" onClick={handleClose}>Cancel</Button>
+          {result?.quiz ? (
+            <Button variant="primary" onClick={() => navigate(`/quizzes/${result.quiz._id}/edit`)}>
+              Open Draft
+            </Button>
+          ) : (
+            <Button variant="primary" onClick={handleImport} disabled={!file || importing}>
+              {importing ? 'Importing...' : 'Import'}
+            </Button>
+          )}
+        </>
+      }
+    >
+      <div className={styles.form}>
+        <p className={styles.hint}>
+          Upload a GIFT (.gift, .txt), Aiken (.txt), Moodle XML (.xml) or spreadsheet (.csv, .xlsx)
+          file. The questions are added to a new draft quiz.
+        </p>
+        <input
+          type="file"
+          accept=".gift,.txt,.xml,.csv,.xlsx"
+          onChange={(e) => {
+            setFile(e.target.files[0] || null);
+            setResult(null);
+          }}
+        />
+        <select className={styles.select} value={format} onChange={(e) => setFormat(e.target.value)}>
+          {FORMATS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <Input
+          label="Title"
+          placeholder="Defaults to the file name"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+        />
+        <Input
+          label="Subject"
+          placeholder="General"
+          value={subject}
+          onChange={(e) => setSubject(e.target.value)}
+        />
+      </div>
+
+      {result && result.errors.length > 0 && (
+        <div className={styles.errors}>
+          <h4>{result.errors.length} question(s) could not be imported</h4>
+          <ul>
+            {result.errors.map((error, index) => (
+              <li key={index}>
+                {error.line && <strong>Line {error.line}: </strong>}
+                {error.message}
+                {error.snippet && <span className={styles.snippet}> — {error.snippet}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </Modal>
+  );
+}
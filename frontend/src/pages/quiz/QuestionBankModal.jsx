@@ -0,0 +1,181 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Button, Input, Loading, Modal } from '../../components/common';
+import { questionAPI } from '../../utils/api';
+import { formatDate } from '../../utils/helpers';
+import styles from './QuestionBankModal.module.css';
+
+const EMPTY_FILTERS = { search: '', type: '', difficulty: '', tags: '' };
+
+// Pick questions from the teacher's question bank to add to a quiz
+export default function QuestionBankModal({
+  isOpen,
+  onClose,
+  onAdd,
+  excludeIds = [],
+  title = 'Add from Question Bank',
+  actionLabel = 'Add'
+}) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [questions, setQuestions] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadQuestions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = Object.fromEntries(Object.entries(appliedFilters).filter(([, value]) => value));
+      const response = await questionAPI.getQuestions({ ...params, limit: 50 });
+      setQuestions(response.data.data);
+    } catch {
+      // The api interceptor already reports the error
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters]);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadQuestions();
+    }
+  }, [isOpen, loadQuestions]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setAppliedFilters(filters);
+  };
+
+  const toggleSelected = (question) => {
+    setSelected(prev => (
+      prev.some(q => q._id === question._id)
+        ? prev.filter(q => q._id !== question._id)
+        : [...prev, question]
+    ));
+  };
+
+  const handleClose = () => {
+    setSelected([]);
+    onClose();
+  };
+
+  const handleAdd = () => {
+    onAdd(selected);
+    handleClose();
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title={title}
+      size="lg"
+      footer={
+        <>
+          <Button variant="outline" onClick={handleClose}>Cancel</Button>
+          <Button variant="primary" onClick={handleAdd} disabled={selected.length === 0}>
+            {actionLabel} {selected.length || ''} Question{selected.length === 1 ? '' : 's'}
+          </Button>
+        </>
+      }
+    >
+      <form className={styles.filters} onSubmit={handleSearch}>
+        <Input
+          placeholder="Search question text..."
+          value={filters.search}
+          onChange={(e) => handleFilterChange('search', e.target.value)}
+        />
+        <select
+          className={styles.select}
+          value={filters.type}
+          onChange={(e) => handleFilterChange('type', e.target.value)}
+        >
+          <option value="">All types</option>
+          <option value="multiple-choice">Multiple Choice</option>
+          <option value="multiple-select">Multiple Select</option>
+          <option value="true-false">True/False</option>
+          <option value="short-answer">Short Answer</option>
+          <option value="essay">Essay</option>
+        </select>
+        <select
+          className={styles.select}
+          value={filters.difficulty}
+          onChange={(e) => handleFilterChange('difficulty', e.target.value)}
+        >
+          <option value="">Any difficulty</option>
+          <option value="easy">Easy</option>
+          <option value="medium">Medium</option>
+          <option value="hard">Hard</option>
+        </select>
+        <Input
+          placeholder="Tags, comma separated"
+          value={filters.tags}
+          onChange={(e) => handleFilterChange('tags', e.target.value)}
+        />
+        <Button type="submit" variant="outline">Search</Button>
+      </form>
+
+      {loading ? (
+        <Loading text="Loading questions..." />
+      ) : questions.length === 0 ? (
+        <p className={styles.empty}>No questions in your bank match these filters.</p>
+      ) : (
+        <div className={styles.list}>
+          {questions.map(question => {
+            const alreadyAdded = excludeIds.includes(question._id);
+            const isSelected = selected.some(q => q._id === question._id);
+
+            return (
+              <div
+                key={question._id}
+                className={`${styles.item} ${isSelected ? styles.selected : ''} ${alreadyAdded ? styles.disabled : ''}`}
+              >
+                <label className={styles.itemMain}>
+                  <input
+                    type="checkbox"
+                    checked={isSelected}
+                    disabled={alreadyAdded}
+                    onChange={() => toggleSelected(question)}
+                  />
+                  <div>
+                    <p className={styles.questionText}>{question.question}</p>
+                    <div className={styles.meta}>
+                      <span className={styles.badge}>{question.type.replace('-', ' ')}</span>
+                      <span className={styles.badge}>{question.difficulty}</span>
+                      <span>{question.points} pts</span>
+                      {question.tags?.map(tag => <span key={tag} className={styles.tag}>#{tag}</span>)}
+                      {alreadyAdded && <span>Already in this quiz</span>}
+                    </div>
+                  </div>
+                </label>
+
+                <button
+                  type="button"
+                  className={styles.usageToggle}
+                  onClick={() => setExpandedId(expandedId === question._id ? null : question._id)}
+                >
+                  Used in {question.usage?.length || 0} quiz{question.usage?.length === 1 ? '' : 'zes'}
+                  {question.statistics?.timesAnswered > 0 && ` · ${question.successRate}% correct`}
+                </button>
+
+                {expandedId === question._id && (
+                  <ul className={styles.usage}>
+                    {question.usage?.length ? question.usage.map(entry => (
+                      <li key={entry._id}>
+                        {entry.quiz?.title || 'Deleted quiz'} · added {formatDate(entry.addedAt, 'PP')}
+                      </li>
+                    )) : <li>Not used in any quiz yet</li>}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import { Button, Modal } from '../../components/common';
+import { quizAPI } from '../../utils/api';
+import { downloadBlob } from '../../utils/helpers';
+import styles from './QuestionImportModal.module.css';
+
+// Column layout documented in the backend README; options and answers use "|" between items
+const TEMPLATE_CSV = [
+  'type,question,options,correct_answer,explanation,points,difficulty,tags',
+  'multiple-choice,What is the capital of France?,Paris|London|Berlin,A,Paris is the capital.,1,easy,"geography, europe"',
+  'multiple-select,Which numbers are prime?,2|3|4|9,2|3,,2,medium,math',
+  'true-false,The Earth orbits the Sun.,,true,,1,easy,science',
+  'short-answer,Who wrote Hamlet?,,Shakespeare|William Shakespeare,,1,medium,literature',
+  'essay,Explain photosynthesis.,,Light energy is converted into chemical energy.,,5,hard,biology'
+].join('\n');
+
+// Short description of the answer key of a parsed question
+const describeKey = (question) => {
+  if (question.options?.length) {
+    return question.options.filter(option => option.isCorrect).map(option => option.text).join(', ');
+  }
+  const accepted = question.answerRules?.acceptedAnswers || [];
+  return [question.correctAnswer, ...accepted].filter(Boolean).join(' | ') || '—';
+};
+
+// Upload a CSV or XLSX sheet, review the parsed questions and row errors, then add
+// the valid questions to the quiz being edited
+export default function QuestionImportModal({ isOpen, onClose, onAdd }) {
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleClose = () => {
+    setPreview(null);
+    onClose();
+  };
+
+  const handleFile = async (file) => {
+    setPreview(null);
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+    setLoading(true);
+    try {
+      const response = await quizAPI.previewImport(formData);
+      setPreview(response.data.data);
+    } catch {
+      // The api interceptor already reports the error
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = () => {
+    onAdd(preview.questions);
+    handleClose();
+  };
+
+  const questionCount = preview?.questions.length || 0;
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title="Import Questions from Spreadsheet"
+      size="lg"
+      footer={
+        <>
+          <Button variant="outline" onClick={handleClose}>Cancel</Button>
+          <Button variant="primary" onClick={handleAdd} disabled={questionCount === 0}>
+            Add {questionCount || ''} Question{questionCount === 1 ? '' : 's'}
+          </Button>
+        </>
+      }
+    >
+      <div className={styles.upload}>
+        <p className={styles.hint}>
+          One question per row with the columns <code>type</code>, <code>question</code>, <code>options</code>,{' '}
+          <code>correct_answer</code>, <code>explanation</code>, <code>points</code>, <code>difficulty</code> and{' '}
+          <code>tags</code>. Nothing is saved until you add the questions and save the quiz.
+        </p>
+        <div className={styles.uploadActions}>
+          <input
+            type="file"
+            accept=".csv,.xlsx"
+            onChange={(e) => handleFile(e.target.files[0])}
+          />
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => downloadBlob(new Blob([TEMPLATE_CSV], { type: 'text/csv' }), 'questions-template.csv')}
+          >
+            Download template
+          </Button>
+        </div>
+      </div>
+
+      {loading && <p className={styles.hint}>Reading file...</p>}
+
+      {preview && preview.errors.length > 0 && (
+        <div className={styles.errors}>
+          <h4>{preview.errors.length} row(s) will be skipped</h4>
+          <ul>
+            {preview.errors.map((error, index) => (
+              <li key={index}>
+                {error.line && <strong>Row {error.line}: </strong>}
+                {error.message}
+                {error.snippet && <span className={styles.snippet}> — {error.snippet}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {preview && (
+        questionCount === 0 ? (
+          <p className={styles.hint}>No valid questions found in this file.</p>
+        ) : (
+          <table className={styles.previewTable}>
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Type</th>
+                <th>Question</th>
+                <th>Answer</th>
+                <th>Points</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.questions.map((question, index) => (
+                <tr key={index}>
+                  <td>{index + 1}</td>
+                  <td>{question.type}</td>
+                  <td>{question.question}</td>
+                  <td>{describeKey(question)}</td>
+                  <td>{question.points ?? 1}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )
+      )}
+    </Modal>
+  );
+}
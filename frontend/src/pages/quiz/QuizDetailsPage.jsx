@@ -3,9 +3,18 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import { Card, Button, Loading, Modal } from '../../components/common';
 import { useAuth } from '../../context/AuthContext';
 import { useQuiz } from '../../context/QuizContext';
+import { quizAPI } from '../../utils/api';
+import { downloadBlob } from '../../utils/helpers';
 import { toast } from 'react-hot-toast';
+import QuizVersionsPanel from './QuizVersionsPanel';
 import styles from './QuizDetailsPage.module.css';
 
+const EXPORT_FORMATS = [
+  { value: 'qti', label: 'QTI 2.1 package (.zip)', description: 'For Canvas, Blackboard and other QTI-compatible systems' },
+  { value: 'moodle', label: 'Moodle XML (.xml)', description: 'Import into a Moodle question bank' },
+  { value: 'json', label: 'Quiz Mantra JSON (.json)', description: 'Everything, including random sections and rubrics' }
+];
+
 export default function QuizDetailsPage() {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -24,6 +33,8 @@ export default function QuizDetailsPage() {
   const [activeTab, setActiveTab] = useState('overview');
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [showStatusModal, setShowStatusModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [exportingFormat, setExportingFormat] = useState(null);
 
   useEffect(() => {
     if (id) {
@@ -76,6 +87,20 @@ export default function QuizDetailsPage() {
     }
   };
 
+  const handleExport = async (format) => {
+    setExportingFormat(format);
+    try {
+      const response = await quizAPI.exportQuiz(id, format);
+      const filename = response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1] || `quiz-${id}`;
+      downloadBlob(response.data, filename);
+      setShowExportModal(false);
+    } catch {
+      // The api interceptor already reports the error
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return '-';
     return new Date(dateString).toLocaleDateString('en-US', {
@@ -139,7 +164,10 @@ export default function QuizDetailsPage() {
 
           <div className={styles.infoItem}>
             <span className={styles.infoLabel}>Questions:</span>
-            <span className={styles.infoValue}>{quiz.questions?.length || 0}</span>
+            <span className={styles.infoValue}>
+              {(quiz.questions?.length || 0) + (quiz.sections?.reduce((sum, section) => sum + section.count, 0) || 0)}
+              {quiz.sections?.length > 0 && ` (${quiz.sections.length} random section${quiz.sections.length === 1 ? '' : 's'})`}
+            </span>
           </div>
 
           <div className={styles.infoItem}>
@@ -188,6 +216,13 @@ export default function QuizDetailsPage() {
             </span>
           </div>
 
+          <div className={styles.settingItem}>
+            <span className={styles.settingIcon}>🔤</span>
+            <span className={styles.settingText}>
+              {quiz.settings?.shuffleOptions ? 'Answer options are shuffled' : 'Answer options in fixed order'}
+            </span>
+          </div>
+
           <div className={styles.settingItem}>
             <span className={styles.settingIcon}>⏭️</span>
             <span className={styles.settingText}>
@@ -253,7 +288,7 @@ export default function QuizDetailsPage() {
               <div className={styles.questionContent}>
                 <p className={styles.questionText}>{question.question || question.question_text}</p>
 
-                {question.type === 'multiple-choice' && (
+                {(question.type === 'multiple-choice' || question.type === 'multiple-select') && (
                   <div className={styles.questionOptions}>
                     {question.options?.map((opt, optIndex) => (
                       <div
@@ -379,6 +414,13 @@ export default function QuizDetailsPage() {
                 Change Status
               </Button>
 
+              <Button
+                variant="outline"
+                onClick={() => setShowExportModal(true)}
+              >
+                Export
+              </Button>
+
               <Button
                 variant="danger"
                 onClick={() => setShowDeleteModal(true)}
@@ -423,6 +465,15 @@ export default function QuizDetailsPage() {
             Submissions
           </button>
         )}
+
+        {canEditQuiz() && (
+          <button
+            className={`${styles.tab} ${activeTab === 'versions' ? styles.active : ''}`}
+            onClick={() => setActiveTab('versions')}
+          >
+            Versions (v{quiz.version || 1})
+          </button>
+        )}
       </div>
 
       {/* Tab Content */}
@@ -430,6 +481,7 @@ export default function QuizDetailsPage() {
         {activeTab === 'overview' && renderOverviewTab()}
         {activeTab === 'questions' && renderQuestionsTab()}
         {activeTab === 'submissions' && renderSubmissionsTab()}
+        {activeTab === 'versions' && <QuizVersionsPanel quizId={id} />}
       </div>
 
       {/* Delete Confirmation Modal */}
@@ -490,6 +542,38 @@ export default function QuizDetailsPage() {
           </Button>
         </div>
       </Modal>
+
+      {/* Export Modal */}
+      <Modal
+        isOpen={showExportModal}
+        onClose={() => setShowExportModal(false)}
+        title="Export Quiz"
+      >
+        <p>Download "{quiz.title}" with its answer key:</p>
+        <div className={styles.exportOptions}>
+          {EXPORT_FORMATS.map(format => (
+            <div key={format.value} className={styles.exportOption}>
+              <div>
+                <strong>{format.label}</strong>
+                <p>{format.description}</p>
+              </div>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => handleExport(format.value)}
+                disabled={exportingFormat !== null}
+              >
+                {exportingFormat === format.value ? 'Exporting...' : 'Download'}
+              </Button>
+            </div>
+          ))}
+        </div>
+        {quiz.sections?.length > 0 && (
+          <p className={styles.exportNote}>
+            QTI and Moodle XML contain the fixed questions only; random sections are kept in the JSON export.
+          </p>
+        )}
+      </Modal>
     </div>
   );
 }
\ No newline at end of file
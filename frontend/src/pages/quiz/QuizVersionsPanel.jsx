@@ -0,0 +1,190 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Button, Loading, ConfirmModal } from '../../components/common';
+import { quizAPI } from '../../utils/api';
+import { formatDate } from '../../utils/helpers';
+import { toast } from 'react-hot-toast';
+import styles from './QuizVersionsPanel.module.css';
+
+const DIFF_GROUPS = [
+  { key: 'added', label: 'Added' },
+  { key: 'removed', label: 'Removed' },
+  { key: 'changed', label: 'Changed' }
+];
+
+// Versions of a quiz, what changed between them, and regrading of submissions.
+// regradeTarget is an earlier version number, or 'current' for the current version's submissions.
+export default function QuizVersionsPanel({ quizId }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [diff, setDiff] = useState(null);
+  const [regradeTarget, setRegradeTarget] = useState(null);
+  const [regrading, setRegrading] = useState(false);
+  const [regradeResult, setRegradeResult] = useState(null);
+
+  const loadVersions = useCallback(async () => {
+    try {
+      const response = await quizAPI.getVersions(quizId);
+      setVersions(response.data.data);
+    } catch {
+      // The api interceptor already reports the error
+    } finally {
+      setLoading(false);
+    }
+  }, [quizId]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const current = versions.find(version => version.current);
+
+  const showDiff = async (version) => {
+    try {
+      const response = await quizAPI.getVersionDiff(quizId, version, current.version);
+      setDiff(response.data.data);
+    } catch {
+      // The api interceptor already reports the error
+    }
+  };
+
+  const handleRegrade = async () => {
+    setRegrading(true);
+    try {
+      const response = regradeTarget === 'current'
+        ? await quizAPI.regradeQuiz(quizId)
+        : await quizAPI.regradeVersion(quizId, regradeTarget);
+      toast.success(response.data.message);
+      setRegradeResult(response.data.data);
+      setRegradeTarget(null);
+      await loadVersions();
+    } catch {
+      // The api interceptor already reports the error
+    } finally {
+      setRegrading(false);
+    }
+  };
+
+  if (loading) {
+    return <Loading text="Loading versions..." />;
+  }
+
+  return (
+    <div className={styles.versionsPanel}>
+      <Card>
+        <div className={styles.diffHeader}>
+          <h3>Versions</h3>
+          <Button variant="outline" size="sm" onClick={() => setRegradeTarget('current')}>
+            Regrade current version
+          </Button>
+        </div>
+        <p className={styles.hint}>
+          Editing the questions of a published quiz creates a new version. Submissions keep the
+          version they were taken on; regrading one grades its questions with the current answer key.
+        </p>
+
+        <div className={styles.versionList}>
+          {versions.map(version => (
+            <div key={version.version} className={styles.versionRow}>
+              <div>
+                <strong>Version {version.version}</strong>
+                {version.current && <span className={styles.currentBadge}>Current</span>}
+                <p className={styles.meta}>
+                  {version.questionCount} questions
+                  {version.sectionCount > 0 && ` · ${version.sectionCount} random sections`}
+                  {` · ${version.totalPoints} pts · ${version.submissionCount} submissions`}
+                  {version.replacedAt && ` · replaced ${formatDate(version.replacedAt)}`}
+                  {version.replacedBy?.name && ` by ${version.replacedBy.name}`}
+                </p>
+              </div>
+              {!version.current && (
+                <div className={styles.actions}>
+                  <Button variant="outline" size="sm" onClick={() => showDiff(version.version)}>
+                    Compare with current
+                  </Button>
+                  {version.submissionCount > 0 && (
+                    <Button variant="primary" size="sm" onClick={() => setRegradeTarget(version.version)}>
+                      Regrade submissions
+                    </Button>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </Card>
+
+      {diff && (
+        <Card>
+          <div className={styles.diffHeader}>
+            <h3>Version {diff.from} → {diff.to}</h3>
+            <Button variant="ghost" size="sm" onClick={() => setDiff(null)}>Close</Button>
+          </div>
+
+          {diff.sectionsChanged && <p className={styles.hint}>Random sections changed.</p>}
+
+          {DIFF_GROUPS.every(group => diff[group.key].length === 0) && !diff.sectionsChanged ? (
+            <p className={styles.hint}>No question changes between these versions.</p>
+          ) : DIFF_GROUPS.filter(group => diff[group.key].length > 0).map(group => (
+            <div key={group.key} className={styles.diffGroup}>
+              <h4 className={styles[group.key]}>{group.label} ({diff[group.key].length})</h4>
+              <ul>
+                {diff[group.key].map(question => (
+                  <li key={question._id}>
+                    {question.question}
+                    {question.fields && <span className={styles.fields}> — {question.fields.join(', ')}</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </Card>
+      )}
+
+      {regradeResult && (
+        <Card>
+          <div className={styles.diffHeader}>
+            <h3>Regrade results</h3>
+            <Button variant="ghost" size="sm" onClick={() => setRegradeResult(null)}>Close</Button>
+          </div>
+          <p className={styles.hint}>
+            {regradeResult.regraded} submission(s) regraded against version {regradeResult.version};
+            {' '}{regradeResult.changed} score(s) changed and those students were notified.
+          </p>
+          {regradeResult.changed > 0 && (
+            <table className={styles.resultsTable}>
+              <thead>
+                <tr>
+                  <th>Student</th>
+                  <th>Before</th>
+                  <th>After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {regradeResult.results.filter(result => result.changed).map(result => (
+                  <tr key={result.submission}>
+                    <td>{result.student?.name}</td>
+                    <td>{result.before.total} pts ({result.before.percentage}%)</td>
+                    <td>{result.after.total} pts ({result.after.percentage}%)</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </Card>
+      )}
+
+      <ConfirmModal
+        isOpen={regradeTarget !== null}
+        onClose={() => setRegradeTarget(null)}
+        onConfirm={handleRegrade}
+        title="Regrade Submissions"
+        message={regradeTarget === 'current'
+          ? `Grade every finished submission taken on the current version (${current?.version}) again? Students whose score changes will be notified.`
+          : `Grade every finished submission taken on version ${regradeTarget} again with the answer key of version ${current?.version}? Scores may change; each submission keeps the questions and points it was taken with.`}
+        confirmText="Regrade"
+        variant="primary"
+        loading={regrading}
+      />
+    </div>
+  );
+}
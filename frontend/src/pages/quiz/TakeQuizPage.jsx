@@ -1,15 +1,465 @@
-import React from 'react';
-import { Card } from '../../components/common';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { Card, Button, Loading, ConfirmModal } from '../../components/common';
+import { useQuiz } from '../../context/QuizContext';
+import { calculateTimeRemaining, describeAnswer, formatDate } from '../../utils/helpers';
+import { toast } from 'react-hot-toast';
+import styles from './TakeQuizPage.module.css';
+
+const LOW_TIME_WARNING = 60; // seconds
+const AUTOSAVE_DELAY = 2000; // ms after the last answer change
+
+const isAnswered = (answer) => {
+  if (Array.isArray(answer)) return answer.length > 0;
+  return answer !== undefined && answer !== null && String(answer).trim() !== '';
+};
+
+export default function TakeQuizPage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { startQuizAttempt, resumeQuizAttempt, saveQuizProgress, submitQuiz } = useQuiz();
+
+  const [quiz, setQuiz] = useState(null);
+  const [submission, setSubmission] = useState(null);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [answers, setAnswers] = useState({});
+  const [timeRemaining, setTimeRemaining] = useState(null);
+  // Seconds left by the server's clock, and when the client received them
+  const [countdown, setCountdown] = useState(null);
+  const [isReviewing, setIsReviewing] = useState(false);
+  const [showSubmitModal, setShowSubmitModal] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+
+  // Time tracking lives in refs so the per-second timer does not re-render it
+  const attemptStartedRef = useRef(false);
+  const hasSubmittedRef = useRef(false);
+  const activeQuestionRef = useRef(null);
+  const questionStartRef = useRef(Date.now());
+  const timeSpentRef = useRef({});
+  const hasUnsavedChangesRef = useRef(false);
+
+  const syncCountdown = (seconds) => {
+    if (seconds !== null && seconds !== undefined) {
+      setCountdown({ seconds, receivedAt: new Date() });
+    }
+  };
+
+  // Start the attempt once (StrictMode runs effects twice in development)
+  useEffect(() => {
+    if (attemptStartedRef.current) return;
+    attemptStartedRef.current = true;
+
+    const beginAttempt = async () => {
+      const result = await startQuizAttempt(id);
+      if (result?.success) {
+        setQuiz(result.data.quiz);
+        setSubmission(result.data.submission);
+        syncCountdown(result.data.timeRemaining);
+        return;
+      }
+
+      // An in-progress attempt already exists: pick it up where it was left
+      const existingSubmissionId = result?.data?._id;
+      const resumed = existingSubmissionId && await resumeQuizAttempt(id, existingSubmissionId);
+      if (resumed?.success) {
+        const savedAnswers = {};
+        resumed.data.answers.forEach(answer => {
+          savedAnswers[answer.questionId] = answer.answer;
+          timeSpentRef.current[answer.questionId] = (answer.timeSpent || 0) * 1000;
+        });
+        setAnswers(savedAnswers);
+        setQuiz(resumed.data.quiz);
+        setSubmission(resumed.data.submission);
+        syncCountdown(resumed.data.timeRemaining);
+        setLastSavedAt(resumed.data.submission.timing?.lastSavedAt || null);
+        toast.success('Resumed your saved attempt');
+      } else {
+        navigate(`/quizzes/${id}`);
+      }
+    };
+
+    beginAttempt();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id]);
+
+  // Add the time spent on the active question since it was last shown
+  const flushTimeSpent = useCallback(() => {
+    const questionId = activeQuestionRef.current;
+    if (questionId) {
+      timeSpentRef.current[questionId] = (timeSpentRef.current[questionId] || 0) + (Date.now() - questionStartRef.current);
+    }
+    questionStartRef.current = Date.now();
+  }, []);
+
+  const buildAnswerPayload = useCallback(() => (
+    Object.entries(answers).map(([questionId, answer]) => ({
+      questionId,
+      answer,
+      timeSpent: Math.round((timeSpentRef.current[questionId] || 0) / 1000),
+    }))
+  ), [answers]);
+
+  useEffect(() => {
+    if (!quiz) return;
+    flushTimeSpent();
+    activeQuestionRef.current = isReviewing ? null : quiz.questions[currentIndex]?._id;
+  }, [quiz, currentIndex, isReviewing, flushTimeSpent]);
+
+  // Countdown from the time the server says is left, so a wrong client clock does not matter
+  useEffect(() => {
+    if (!countdown) return;
+
+    const tick = () => {
+      setTimeRemaining(calculateTimeRemaining(countdown.receivedAt, countdown.seconds));
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [countdown]);
+
+  // Autosave shortly after the student stops changing answers
+  useEffect(() => {
+    if (!submission || !hasUnsavedChangesRef.current) return;
+
+    const timeout = setTimeout(async () => {
+      if (hasSubmittedRef.current) return;
+      flushTimeSpent();
+      hasUnsavedChangesRef.current = false;
+      const result = await saveQuizProgress(id, submission._id, buildAnswerPayload());
+      if (result?.success) {
+        setLastSavedAt(result.data.savedAt);
+        syncCountdown(result.data.timeRemaining);
+      } else {
+        hasUnsavedChangesRef.current = true;
+      }
+    }, AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timeout);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [answers, submission]);
+
+  const handleSubmit = useCallback(async (isAutoSubmit = false) => {
+    if (!submission || hasSubmittedRef.current) return;
+    hasSubmittedRef.current = true;
+    setShowSubmitModal(false);
+    setIsSubmitting(true);
+    flushTimeSpent();
+
+    if (isAutoSubmit) {
+      toast('Time is up! Submitting your answers...');
+    }
+
+    const payload = buildAnswerPayload().filter(entry => isAnswered(entry.answer));
+
+    const result = await submitQuiz(id, submission._id, payload);
+    if (result?.success) {
+      navigate(`/submission/${result.data._id}`);
+    } else if (result?.status === 404 || result?.status === 409) {
+      // The attempt was already closed, e.g. by the expiry sweeper, so show its results
+      navigate(`/submission/${submission._id}`);
+    } else if (result?.status >= 400 && result?.status < 500) {
+      navigate(`/quizzes/${id}`);
+    } else {
+      // Server or network error: the student can try again
+      hasSubmittedRef.current = false;
+      setIsSubmitting(false);
+    }
+  }, [id, submission, submitQuiz, navigate, flushTimeSpent, buildAnswerPayload]);
+
+  // Auto-submit once when the countdown reaches zero
+  const isTimeUp = timeRemaining?.total === 0;
+  useEffect(() => {
+    if (isTimeUp) {
+      handleSubmit(true);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isTimeUp]);
+
+  const toggleOption = (questionId, optionId) => {
+    const selected = Array.isArray(answers[questionId]) ? answers[questionId] : [];
+    handleAnswerChange(
+      questionId,
+      selected.includes(optionId)
+        ? selected.filter(selectedId => selectedId !== optionId)
+        : [...selected, optionId]
+    );
+  };
+
+  const handleAnswerChange = (questionId, value) => {
+    hasUnsavedChangesRef.current = true;
+    setAnswers(prev => ({
+      ...prev,
+      [questionId]: value
+    }));
+  };
+
+  const goToQuestion = (index) => {
+    setIsReviewing(false);
+    setCurrentIndex(index);
+  };
+
+  if (!quiz || !submission) {
+    return <Loading text="Starting quiz..." />;
+  }
+
+  const questions = quiz.questions || [];
+  const currentQuestion = questions[currentIndex];
+  const answeredCount = questions.filter(q => isAnswered(answers[q._id])).length;
+  const unansweredCount = questions.length - answeredCount;
+
+  const renderAnswerInput = (question) => {
+    const value = answers[question._id] ?? '';
+
+    switch (question.type) {
+      case 'multiple-choice':
+        return (
+          <div className={styles.options}>
+            {question.options?.map((option, optIndex) => (
+              <label
+                key={option._id || optIndex}
+                className={`${styles.option} ${value === option._id ? styles.selected : ''}`}
+              >
+                <input
+                  type="radio"
+                  name={`question_${question._id}`}
+                  value={option._id}
+                  checked={value === option._id}
+                  onChange={(e) => handleAnswerChange(question._id, e.target.value)}
+                />
+                <span className={styles.optionLetter}>{String.fromCharCode(65 + optIndex)}</span>
+                <span>{option.text}</span>
+              </label>
+            ))}
+          </div>
+        );
+
+      case 'multiple-select': {
+        const selected = Array.isArray(value) ? value : [];
+        return (
+          <div className={styles.options}>
+            <span className={styles.optionHint}>Select all that apply</span>
+            {question.options?.map((option, optIndex) => (
+              <label
+                key={option._id || optIndex}
+                className={`${styles.option} ${selected.includes(option._id) ? styles.selected : ''}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={selected.includes(option._id)}
+                  onChange={() => toggleOption(question._id, option._id)}
+                />
+                <span className={styles.optionLetter}>{String.fromCharCode(65 + optIndex)}</span>
+                <span>{option.text}</span>
+              </label>
+            ))}
+          </div>
+        );
+      }
+
+      case 'true-false':
+        return (
+          <div className={styles.options}>
+            {['true', 'false'].map(choice => (
+              <label
+                key={choice}
+                className={`${styles.option} ${value === choice ? styles.selected : ''}`}
+              >
+                <input
+                  type="radio"
+                  name={`question_${question._id}`}
+                  value={choice}
+                  checked={value === choice}
+                  onChange={(e) => handleAnswerChange(question._id, e.target.value)}
+                />
+                <span>{choice === 'true' ? 'True' : 'False'}</span>
+              </label>
+            ))}
+          </div>
+        );
+
+      case 'essay':
+        return (
+          <textarea
+            className={styles.textarea}
+            placeholder="Write your answer..."
+            value={value}
+            onChange={(e) => handleAnswerChange(question._id, e.target.value)}
+            rows={8}
+          />
+        );
+
+      default:
+        return (
+          <input
+            type="text"
+            className={styles.textInput}
+            placeholder="Type your answer..."
+            value={value}
+            onChange={(e) => handleAnswerChange(question._id, e.target.value)}
+          />
+        );
+    }
+  };
+
+  const renderQuestion = () => (
+    <Card className={styles.questionCard}>
+      <div className={styles.questionMeta}>
+        <span className={styles.questionNumber}>Question {currentIndex + 1} of {questions.length}</span>
+        <span className={styles.questionType}>{(currentQuestion.type || '').replace('-', ' ')}</span>
+        <span className={styles.questionPoints}>{currentQuestion.points || 1} pts</span>
+      </div>
+
+      <p className={styles.questionText}>{currentQuestion.question}</p>
+
+      {renderAnswerInput(currentQuestion)}
+
+      <div className={styles.questionNavigation}>
+        <Button
+          variant="outline"
+          onClick={() => setCurrentIndex(prev => prev - 1)}
+          disabled={currentIndex === 0}
+        >
+          Previous
+        </Button>
+
+        {currentIndex < questions.length - 1 ? (
+          <Button
+            variant="primary"
+            onClick={() => setCurrentIndex(prev => prev + 1)}
+          >
+            Next
+          </Button>
+        ) : (
+          <Button
+            variant="primary"
+            onClick={() => setIsReviewing(true)}
+          >
+            Review Answers
+          </Button>
+        )}
+      </div>
+    </Card>
+  );
+
+  const renderReview = () => (
+    <Card className={styles.reviewCard}>
+      <h2>Review Your Answers</h2>
+      <p className={styles.reviewSummary}>
+        {answeredCount} of {questions.length} questions answered
+        {unansweredCount > 0 && ` — ${unansweredCount} unanswered`}
+      </p>
+
+      <div className={styles.reviewList}>
+        {questions.map((question, index) => {
+          const answer = answers[question._id];
+          return (
+            <div key={question._id} className={styles.reviewItem}>
+              <div className={styles.reviewQuestion}>
+                <strong>Q{index + 1}.</strong> {question.question}
+              </div>
+              <div className={isAnswered(answer) ? styles.reviewAnswer : styles.reviewUnanswered}>
+                {isAnswered(answer) ? describeAnswer(question, answer) : 'Not answered'}
+              </div>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => goToQuestion(index)}
+              >
+                Edit
+              </Button>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className={styles.questionNavigation}>
+        <Button
+          variant="outline"
+          onClick={() => goToQuestion(currentIndex)}
+        >
+          Back to Questions
+        </Button>
+        <Button
+          variant="primary"
+          onClick={() => setShowSubmitModal(true)}
+          loading={isSubmitting}
+        >
+          Submit Quiz
+        </Button>
+      </div>
+    </Card>
+  );
 
-const TakeQuizPage = () => {
   return (
-    <div className="take-quiz-page">
-      <h1>Take Quiz</h1>
-      <Card>
-        <p>Quiz taking functionality will be implemented here.</p>
-      </Card>
+    <div className={styles.takeQuizPage}>
+      <div className={styles.header}>
+        <div className={styles.headerContent}>
+          <h1>{quiz.title}</h1>
+          {quiz.description && <p className={styles.description}>{quiz.description}</p>}
+        </div>
+
+        {timeRemaining && (
+          <div className={`${styles.timer} ${timeRemaining.total <= LOW_TIME_WARNING ? styles.timerWarning : ''}`}>
+            <span className={styles.timerLabel}>Time Remaining</span>
+            <span className={styles.timerValue}>{timeRemaining.formatted}</span>
+          </div>
+        )}
+      </div>
+
+      <div className={styles.layout}>
+        <aside className={styles.navigator}>
+          <div className={styles.navigatorHeader}>
+            <span>Questions</span>
+            <span>{answeredCount}/{questions.length}</span>
+          </div>
+          <div className={styles.navigatorGrid}>
+            {questions.map((question, index) => (
+              <button
+                key={question._id}
+                type="button"
+                className={[
+                  styles.navigatorItem,
+                  isAnswered(answers[question._id]) && styles.answered,
+                  !isReviewing && index === currentIndex && styles.current,
+                ].filter(Boolean).join(' ')}
+                onClick={() => goToQuestion(index)}
+              >
+                {index + 1}
+              </button>
+            ))}
+          </div>
+          <Button
+            variant="outline"
+            fullWidth
+            onClick={() => setIsReviewing(true)}
+            disabled={isSubmitting}
+          >
+            Review &amp; Submit
+          </Button>
+          {lastSavedAt && (
+            <span className={styles.savedStatus}>Saved at {formatDate(lastSavedAt, 'p')}</span>
+          )}
+        </aside>
+
+        <div className={styles.main}>
+          {isReviewing ? renderReview() : renderQuestion()}
+        </div>
+      </div>
+
+      <ConfirmModal
+        isOpen={showSubmitModal}
+        onClose={() => setShowSubmitModal(false)}
+        onConfirm={() => handleSubmit(false)}
+        title="Submit Quiz"
+        message={unansweredCount > 0
+          ? `You have ${unansweredCount} unanswered question(s). Submit anyway? You cannot change your answers afterwards.`
+          : 'Submit your answers? You cannot change them afterwards.'}
+        confirmText="Submit"
+        variant="primary"
+        loading={isSubmitting}
+      />
     </div>
   );
-};
-
-export default TakeQuizPage;
\ No newline at end of file
+}
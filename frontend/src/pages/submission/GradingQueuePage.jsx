@@ -0,0 +1,224 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Card, Button, Loading } from '../../components/common';
+import { submissionAPI } from '../../utils/api';
+import { formatDate } from '../../utils/helpers';
+import { toast } from 'react-hot-toast';
+import styles from './GradingQueuePage.module.css';
+
+const PAGE_SIZE = 20; // submissions per page
+
+const itemKey = (item) => `${item.submissionId}:${item.question?._id}`;
+
+const hasRubric = (item) => Boolean(item.question?.rubric?.length);
+
+// Points for the chosen levels, capped at the question points like the server does
+const rubricTotal = (item, selection = {}) => {
+  const total = item.question.rubric.reduce((sum, criterion) => {
+    const level = criterion.levels.find(l => l._id === selection[criterion._id]);
+    return sum + (level ? level.points : 0);
+  }, 0);
+  return Math.min(total, item.question.points || 1);
+};
+
+const GradingQueuePage = () => {
+  const [items, setItems] = useState([]);
+  const [grades, setGrades] = useState({});
+  const [rubricSelections, setRubricSelections] = useState({});
+  const [savingKey, setSavingKey] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ pages: 1, total: 0 });
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await submissionAPI.getGradingQueue({ page, limit: PAGE_SIZE });
+      setItems(response.data.data);
+      setPagination(response.data.pagination);
+    } catch {
+      // The api interceptor already reports the error
+    } finally {
+      setLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const handleGradeChange = (key, value) => {
+    setGrades(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleLevelSelect = (key, criterionId, levelId) => {
+    setRubricSelections(prev => ({
+      ...prev,
+      [key]: { ...prev[key], [criterionId]: levelId }
+    }));
+  };
+
+  const isGradeReady = (item) => {
+    const key = itemKey(item);
+    if (hasRubric(item)) {
+      return item.question.rubric.every(criterion => rubricSelections[key]?.[criterion._id]);
+    }
+    return grades[key] !== undefined && grades[key] !== '';
+  };
+
+  const buildGrade = (item) => {
+    const key = itemKey(item);
+    if (hasRubric(item)) {
+      return {
+        questionId: item.question._id,
+        rubric: Object.entries(rubricSelections[key]).map(([criterionId, levelId]) => ({ criterionId, levelId })),
+      };
+    }
+    return { questionId: item.question._id, points: parseFloat(grades[key]) };
+  };
+
+  const saveGrade = async (item) => {
+    const key = itemKey(item);
+    const grade = buildGrade(item);
+    const maxPoints = item.question?.points || 1;
+
+    if (!hasRubric(item) && (Number.isNaN(grade.points) || grade.points < 0 || grade.points > maxPoints)) {
+      toast.error(`Enter a score between 0 and ${maxPoints}`);
+      return;
+    }
+
+    setSavingKey(key);
+    try {
+      await submissionAPI.evaluateSubmission(item.submissionId, {
+        manualGrades: [grade],
+      });
+      setItems(prev => prev.filter(other => itemKey(other) !== key));
+      toast.success('Grade saved');
+    } catch {
+      // The api interceptor already reports the error
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  if (loading) {
+    return <Loading text="Loading grading queue..." />;
+  }
+
+  return (
+    <div className={styles.gradingQueuePage}>
+      <div className={styles.header}>
+        <h1>Grading Queue</h1>
+        <p className={styles.subtitle}>
+          Essay and rubric-graded answers waiting for a grade across all your quizzes
+        </p>
+      </div>
+
+      {items.length === 0 ? (
+        <Card className={styles.emptyState}>
+          <h3>All caught up</h3>
+          <p>There are no answers waiting to be graded.</p>
+        </Card>
+      ) : (
+        <div className={styles.queue}>
+          {items.map(item => {
+            const key = itemKey(item);
+            return (
+              <Card key={key} className={styles.queueItem}>
+                <div className={styles.itemMeta}>
+                  <Link to={`/submission/${item.submissionId}`} className={styles.quizTitle}>
+                    {item.quiz.title}
+                  </Link>
+                  <span>{item.student?.name}</span>
+                  <span>{formatDate(item.submittedAt)}</span>
+                  {item.late && <span className={styles.lateBadge}>Late</span>}
+                </div>
+
+                <p className={styles.questionText}>{item.question?.question}</p>
+
+                {item.question?.sampleAnswer && (
+                  <div className={styles.sampleAnswer}>
+                    <strong>Sample answer:</strong> {item.question.sampleAnswer}
+                  </div>
+                )}
+
+                <div className={styles.studentAnswer}>{String(item.answer)}</div>
+
+                {hasRubric(item) && (
+                  <div className={styles.rubric}>
+                    {item.question.rubric.map(criterion => (
+                      <div key={criterion._id} className={styles.rubricRow}>
+                        <span className={styles.criterionTitle}>{criterion.title}</span>
+                        <div className={styles.rubricLevels}>
+                          {criterion.levels.map(level => (
+                            <button
+                              key={level._id}
+                              type="button"
+                              className={`${styles.rubricLevel} ${rubricSelections[key]?.[criterion._id] === level._id ? styles.selectedLevel : ''}`}
+                              onClick={() => handleLevelSelect(key, criterion._id, level._id)}
+                              title={level.description}
+                            >
+                              {level.label}
+                              <span className={styles.levelPoints}>{level.points} pts</span>
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <div className={styles.gradeRow}>
+                  {hasRubric(item) ? (
+                    <span>
+                      Score: {rubricTotal(item, rubricSelections[key])} / {item.question.points || 1}
+                    </span>
+                  ) : (
+                    <>
+                      <label htmlFor={`grade-${key}`}>
+                        Score (out of {item.question?.points || 1})
+                      </label>
+                      <input
+                        id={`grade-${key}`}
+                        type="number"
+                        min="0"
+                        max={item.question?.points || 1}
+                        step="0.5"
+                        className={styles.gradeInput}
+                        value={grades[key] ?? ''}
+                        onChange={(e) => handleGradeChange(key, e.target.value)}
+                      />
+                    </>
+                  )}
+                  <Button
+                    variant="primary"
+                    size="sm"
+                    onClick={() => saveGrade(item)}
+                    loading={savingKey === key}
+                    disabled={!isGradeReady(item)}
+                  >
+                    Save Grade
+                  </Button>
+                </div>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+
+      {pagination.pages > 1 && (
+        <div className={styles.pagination}>
+          <Button variant="outline" size="sm" onClick={() => setPage(p => p - 1)} disabled={page <= 1}>
+            Previous
+          </Button>
+          <span>Page {page} of {pagination.pages}</span>
+          <Button variant="outline" size="sm" onClick={() => setPage(p => p + 1)} disabled={page >= pagination.pages}>
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GradingQueuePage;
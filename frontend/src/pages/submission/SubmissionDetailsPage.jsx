@@ -1,15 +1,271 @@
-import React from 'react';
-import { Card } from '../../components/common';
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { Card, Button, Loading } from '../../components/common';
+import { useAuth } from '../../context/AuthContext';
+import { submissionAPI } from '../../utils/api';
+import { describeAnswer, formatDate } from '../../utils/helpers';
+import { toast } from 'react-hot-toast';
+import styles from './SubmissionDetailsPage.module.css';
+
+const STATUS_LABELS = {
+  'in-progress': 'In progress',
+  submitted: 'Submitted',
+  evaluated: 'Graded',
+  'needs-review': 'Awaiting grading'
+};
+
+const SUGGESTION_ACTIONS = ['accept', 'edit', 'reject'];
 
 const SubmissionDetailsPage = () => {
+  const { id } = useParams();
+  const { isTeacher, isAdmin } = useAuth();
+  const [submission, setSubmission] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [decisions, setDecisions] = useState({});
+  const [aiBusy, setAiBusy] = useState(false);
+
+  const canGrade = isTeacher() || isAdmin();
+
+  const loadSubmission = useCallback(async () => {
+    try {
+      const response = await submissionAPI.getSubmission(id);
+      const data = response.data.data;
+      setSubmission(data);
+      // Start every pending suggestion as accepted; the teacher changes what they disagree with
+      setDecisions(Object.fromEntries(
+        data.answers
+          .filter(answer => answer.aiSuggestion?.status === 'pending')
+          .map(answer => [answer.questionId, { action: 'accept', points: answer.aiSuggestion.points }])
+      ));
+    } catch {
+      // The api interceptor already reports the error
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    loadSubmission();
+  }, [loadSubmission]);
+
+  const handleSuggestGrades = async () => {
+    setAiBusy(true);
+    try {
+      await submissionAPI.suggestGrades(id);
+      toast.success('AI suggestions ready for review');
+      await loadSubmission();
+    } catch {
+      // The api interceptor already reports the error
+    } finally {
+      setAiBusy(false);
+    }
+  };
+
+  const handleDecisionChange = (questionId, field, value) => {
+    setDecisions(prev => ({
+      ...prev,
+      [questionId]: { ...prev[questionId], [field]: value }
+    }));
+  };
+
+  const setAllDecisions = (action) => {
+    setDecisions(prev => Object.fromEntries(
+      Object.entries(prev).map(([questionId, decision]) => [questionId, { ...decision, action }])
+    ));
+  };
+
+  const handleApplyDecisions = async () => {
+    setAiBusy(true);
+    try {
+      await submissionAPI.reviewGradeSuggestions(id, Object.entries(decisions).map(([questionId, decision]) => ({
+        questionId,
+        action: decision.action,
+        points: decision.action === 'edit' ? parseFloat(decision.points) : undefined,
+      })));
+      toast.success('Grades updated');
+      await loadSubmission();
+    } catch {
+      // The api interceptor already reports the error
+    } finally {
+      setAiBusy(false);
+    }
+  };
+
+  if (loading) {
+    return <Loading text="Loading submission..." />;
+  }
+
+  if (!submission) {
+    return (
+      <div className={styles.submissionDetailsPage}>
+        <Card className={styles.emptyState}>
+          <h3>Submission not found</h3>
+          <Link to="/submissions">Back to submissions</Link>
+        </Card>
+      </div>
+    );
+  }
+
+  const { quiz, score, evaluation } = submission;
+  const answersByQuestion = new Map(submission.answers.map(answer => [answer.questionId, answer]));
+  const lastRegrade = submission.regrades?.[submission.regrades.length - 1];
+
   return (
-    <div className="submission-details-page">
-      <h1>Submission Details</h1>
-      <Card>
-        <p>Submission details functionality will be implemented here.</p>
-      </Card>
+    <div className={styles.submissionDetailsPage}>
+      <div className={styles.header}>
+        <div>
+          <h1>{quiz.title}</h1>
+          <p className={styles.meta}>
+            {submission.student?.name} · {formatDate(submission.timing?.endTime || submission.updatedAt)}
+            {submission.late && <span className={styles.lateBadge}>Late</span>}
+          </p>
+        </div>
+        <div className={styles.scoreBox}>
+          <span className={styles.scoreValue}>{score.percentage}%</span>
+          <span className={styles.scoreLabel}>{score.total} / {quiz.metadata?.totalPoints} pts · {score.grade}</span>
+          <span className={`${styles.statusBadge} ${styles[submission.status]}`}>
+            {STATUS_LABELS[submission.status] || submission.status}
+          </span>
+        </div>
+      </div>
+
+      {submission.status === 'needs-review' && (
+        <Card className={styles.notice}>
+          Some answers are still waiting to be graded by your teacher. Your score will update once they are.
+        </Card>
+      )}
+
+      {canGrade && (
+        <Card className={styles.aiPanel}>
+          <div>
+            <strong>AI grading</strong>
+            <p>
+              {Object.keys(decisions).length > 0
+                ? `${Object.keys(decisions).length} suggestion(s) to review. Nothing counts towards the score until you apply your decisions.`
+                : 'Ask the AI to suggest scores for essay and short-answer responses.'}
+            </p>
+          </div>
+          <div className={styles.aiActions}>
+            {Object.keys(decisions).length > 0 ? (
+              <>
+                <Button variant="ghost" size="sm" onClick={() => setAllDecisions('accept')}>Accept all</Button>
+                <Button variant="ghost" size="sm" onClick={() => setAllDecisions('reject')}>Reject all</Button>
+                <Button variant="primary" size="sm" onClick={handleApplyDecisions} loading={aiBusy}>
+                  Apply decisions
+                </Button>
+              </>
+            ) : (
+              <Button variant="outline" size="sm" onClick={handleSuggestGrades} loading={aiBusy}>
+                Suggest grades with AI
+              </Button>
+            )}
+          </div>
+        </Card>
+      )}
+
+      {lastRegrade && (
+        <Card className={styles.notice}>
+          Regraded {formatDate(lastRegrade.regradedAt)}: {lastRegrade.before.percentage}% → {lastRegrade.after.percentage}%
+        </Card>
+      )}
+
+      {evaluation?.feedback && (
+        <Card className={styles.feedback}>
+          <strong>Teacher feedback:</strong> {evaluation.feedback}
+        </Card>
+      )}
+
+      <div className={styles.questions}>
+        {quiz.questions.map((question, index) => {
+          const answer = answersByQuestion.get(question._id);
+
+          return (
+            <Card key={question._id} className={styles.questionCard}>
+              <div className={styles.questionMeta}>
+                <span className={styles.questionNumber}>Question {index + 1}</span>
+                <span className={styles.questionPoints}>
+                  {answer?.pendingReview ? 'Not graded yet' : `${answer?.points ?? 0} / ${question.points} pts`}
+                </span>
+              </div>
+
+              <p className={styles.questionText}>{question.question}</p>
+
+              <div className={styles.answer}>
+                <strong>Answer:</strong>{' '}
+                {answer ? describeAnswer(question, answer.answer) : <em>Not answered</em>}
+                {answer && !answer.pendingReview && !answer.rubricScores?.length && (
+                  <span className={answer.isCorrect ? styles.correct : styles.incorrect}>
+                    {answer.isCorrect ? ' ✓' : ' ✗'}
+                  </span>
+                )}
+              </div>
+
+              {answer?.rubricScores?.length > 0 && (
+                <table className={styles.rubricTable}>
+                  <thead>
+                    <tr>
+                      <th>Criterion</th>
+                      <th>Level</th>
+                      <th>Points</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {answer.rubricScores.map(rubricScore => (
+                      <tr key={rubricScore.criterionId}>
+                        <td>{rubricScore.criterion}</td>
+                        <td>{rubricScore.level}</td>
+                        <td>{rubricScore.points}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {decisions[question._id] && (
+                <div className={styles.suggestion}>
+                  <p>
+                    <strong>AI suggests {answer.aiSuggestion.points} / {question.points} pts:</strong>{' '}
+                    {answer.aiSuggestion.justification}
+                  </p>
+                  <div className={styles.suggestionActions}>
+                    {SUGGESTION_ACTIONS.map(action => (
+                      <label key={action} className={styles.suggestionAction}>
+                        <input
+                          type="radio"
+                          name={`decision-${question._id}`}
+                          checked={decisions[question._id].action === action}
+                          onChange={() => handleDecisionChange(question._id, 'action', action)}
+                        />
+                        {action.charAt(0).toUpperCase() + action.slice(1)}
+                      </label>
+                    ))}
+                    {decisions[question._id].action === 'edit' && (
+                      <input
+                        type="number"
+                        min="0"
+                        max={question.points}
+                        step="0.5"
+                        aria-label="Points"
+                        className={styles.pointsInput}
+                        value={decisions[question._id].points}
+                        onChange={(e) => handleDecisionChange(question._id, 'points', e.target.value)}
+                      />
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {question.explanation && (
+                <div className={styles.explanation}>
+                  <strong>Explanation:</strong> {question.explanation}
+                </div>
+              )}
+            </Card>
+          );
+        })}
+      </div>
     </div>
   );
 };
 
-export default SubmissionDetailsPage;
\ No newline at end of file
+export default SubmissionDetailsPage;
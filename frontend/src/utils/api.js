@@ -69,6 +69,7 @@ export const authAPI = {
   deleteAccount: () => api.delete('/auth/account'),
   getAllUsers: (params) => api.get('/auth/users', { params }),
   changeUserRole: (userId, role) => api.put(`/auth/role/${userId}`, { role }),
+  setAIQuota: (userId, aiDailyQuota) => api.put(`/auth/ai-quota/${userId}`, { aiDailyQuota }),
 };
 
 // Quiz API calls
@@ -77,12 +78,34 @@ export const quizAPI = {
   getQuiz: (id) => api.get(`/api/quiz/${id}`),
   createQuiz: (data) => api.post('/api/quiz', data),
   updateQuiz: (id, data) => api.put(`/api/quiz/${id}`, data),
+  lintQuiz: (data) => api.post('/api/quiz/lint', data),
+  getVersions: (id) => api.get(`/api/quiz/${id}/versions`),
+  getVersionDiff: (id, from, to) => api.get(`/api/quiz/${id}/versions/diff`, { params: { from, to } }),
+  regradeVersion: (id, version) => api.post(`/api/quiz/${id}/versions/${version}/regrade`),
+  regradeQuiz: (id) => api.post(`/api/quiz/${id}/regrade`),
   deleteQuiz: (id) => api.delete(`/api/quiz/${id}`),
-  uploadPDF: (formData) => api.post('/api/quiz/upload', formData, {
+  uploadDocument: (formData) => api.post('/api/quiz/upload', formData, {
     headers: { 'Content-Type': 'multipart/form-data' },
   }),
+  previewDocument: (formData) => api.post('/api/quiz/upload/preview', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  getGenerationJobs: () => api.get('/api/quiz/jobs'),
+  getGenerationJob: (jobId) => api.get(`/api/quiz/jobs/${jobId}`),
+  previewImport: (formData) => api.post('/api/quiz/import/preview', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  importQuiz: (formData) => api.post('/api/quiz/import', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  exportQuiz: (id, format) => api.get(`/api/quiz/${id}/export`, {
+    params: { format },
+    responseType: 'blob',
+  }),
   assignQuiz: (id, studentIds) => api.post(`/api/quiz/${id}/assign`, { studentIds }),
   startQuiz: (id) => api.post(`/api/quiz/${id}/start`),
+  resumeAttempt: (id, submissionId) => api.get(`/api/quiz/${id}/attempt/${submissionId}`),
+  saveAttempt: (id, submissionId, answers) => api.patch(`/api/quiz/${id}/attempt/${submissionId}`, { answers }),
   submitQuiz: (id, data) => api.post(`/api/quiz/${id}/submit`, data),
   generateAIFeedback: (submissionId) => api.post(`/api/quiz/submission/${submissionId}/feedback`),
 };
@@ -95,6 +118,18 @@ export const submissionAPI = {
   requestRevaluation: (id, reason) => api.post(`/api/submissions/${id}/revaluation`, { reason }),
   handleRevaluation: (id, data) => api.put(`/api/submissions/${id}/revaluation`, data),
   getSubmissionStats: () => api.get('/api/submissions/stats'),
+  getGradingQueue: (params) => api.get('/api/submissions/grading-queue', { params }),
+  suggestGrades: (id) => api.post(`/api/submissions/${id}/ai-grade`),
+  reviewGradeSuggestions: (id, decisions) => api.put(`/api/submissions/${id}/ai-grade`, { decisions }),
+};
+
+// Question bank API calls
+export const questionAPI = {
+  getQuestions: (params) => api.get('/api/questions', { params }),
+  getQuestion: (id) => api.get(`/api/questions/${id}`),
+  createQuestion: (data) => api.post('/api/questions', data),
+  updateQuestion: (id, data) => api.put(`/api/questions/${id}`, data),
+  deleteQuestion: (id) => api.delete(`/api/questions/${id}`),
 };
 
 // Reports API calls
@@ -103,6 +138,7 @@ export const reportsAPI = {
   getQuizReport: (quizId) => api.get(`/api/reports/quiz/${quizId}`),
   getTeacherReport: () => api.get('/api/reports/teacher'),
   getAdminReport: () => api.get('/api/reports/admin'),
+  getAIUsageReport: (days) => api.get('/api/reports/ai-usage', { params: { days } }),
 };
 
 // Practice API calls
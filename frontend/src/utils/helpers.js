@@ -183,6 +183,15 @@ export const shuffleArray = (array) => {
   return shuffled;
 };
 
+// Option answers are stored as option ids; show their text instead
+export const describeAnswer = (question, answer) => {
+  if (!question.options?.length) return String(answer);
+  const refs = Array.isArray(answer) ? answer : [answer];
+  return refs
+    .map(ref => question.options.find(opt => opt._id === ref)?.text ?? ref)
+    .join(', ');
+};
+
 // Color utilities for charts
 export const chartColors = {
   primary: '#3b82f6',
@@ -215,6 +224,16 @@ export const debounce = (func, wait) => {
   };
 };
 
+// Save a Blob as a file, e.g. an export returned with responseType 'blob'
+export const downloadBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  window.URL.revokeObjectURL(url);
+};
+
 export const throttle = (func, limit) => {
   let inThrottle;
   return function() {